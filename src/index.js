@@ -3,102 +3,194 @@
  * Fetch Solidity Contract - Main Entry Point
  * 
  * Usage:
- *   node src/index.js <chain> <contractAddress>
+ *   node src/index.js <chain> <contractAddress> [--crawl] [--depth <n>] [--no-decompile]
+ *                     [--block <n>] [--history] [--verify] [--solc-dir <dir>]
+ *                     [--profile minimal|standard|full] [--export foundry|hardhat] [--export-dir <dir>]
+ *                     [--offline | --refresh | --no-cache] [--cache-dir <dir>] [--rules <file>]
+ *   node src/index.js batch <listFile> [--concurrency <n>] [--rate <n>] [--state <file>]
+ *                     [--report <file>] [--fresh] [fetch options]
+ *   node src/index.js diff <old> <new> [--out <dir>]
+ *                     (each side is <chain>:<address> or a saved output directory)
+ *   node src/index.js fingerprints add <package> <version...> [--prefix <path>]
+ *   node src/index.js serve [--port <n>] [--host <address>] [--concurrency <n>] [fetch options]
+ *   node src/index.js watch <listFile> [--mode poll|logs] [--interval <seconds>] [--once]
+ *                     [--webhook <url>] [--alerts-dir <dir>] [--state <file>] [--concurrency <n>]
+ *   (any command) [--fingerprints <file>] [--json | --ndjson] [--quiet | --verbose]
+ *
+ * Exit codes (see EXIT_CODES): 0 success, 1 other error, 2 unverified,
+ * 3 unsupported chain, 4 network failure
  * 
  * Example:
  *   node src/index.js ethereum 0x1234...
  *   node src/index.js bsc 0x5678...
+ *   node src/index.js batch deployments.csv --concurrency 4
+ *   node src/index.js diff ethereum:0x1234... ethereum:0x5678...
+ *   node src/index.js fingerprints add @openzeppelin/contracts 4.9.3 5.0.2
+ *   node src/index.js serve --port 3000
+ *   node src/index.js watch proxies.csv --interval 300 --webhook https://hooks.example.com/...
  */
 
 import { getChainConfig, getSupportedChains, isChainSupported } from './modules/chainConfig.js';
-import { detectProxy } from './modules/proxyDetector.js';
-import { fetchContractSource } from './modules/sourceFetcher.js';
-import { processAndSaveSource, createOutputDirectory } from './modules/sourceParser.js';
+import { detectProxy, PROXY_STATUS } from './modules/proxyDetector.js';
+import { fetchContractSource, SourceUnavailableError } from './modules/sourceFetcher.js';
+import { processAndSaveSource, parseContractSource, saveVendorDiffs, createOutputDirectory, updateAuditManifest, linkAuditManifests, configureOutput, getContractSubDirectory } from './modules/sourceParser.js';
+import { decompileContract } from './modules/decompiler.js';
+import { crawlDependencies } from './modules/dependencyCrawler.js';
+import { fetchUpgradeHistory } from './modules/upgradeHistory.js';
+import { getFacetContractType, saveSelectorMap } from './modules/diamond.js';
+import { diffContracts, writeDiffReport } from './modules/sourceDiff.js';
+import { recordStorageLayouts } from './modules/storageLayout.js';
+import { verifyBytecode, VERIFICATION_STATUS } from './modules/bytecodeVerifier.js';
+import { exportProject, getDefaultProjectDirectory, FRAMEWORKS } from './modules/projectExporter.js';
+import { writeAuditReport } from './modules/auditReport.js';
+import { reloadAuditRules } from './modules/auditRules.js';
+import { configureVendorFingerprints, getVendorFingerprintsConfig, addPackageFingerprints } from './modules/vendorFingerprints.js';
+import { configureCache, getCacheStats, getCacheConfig, CACHE_MODES } from './modules/cache.js';
+import { readBatchFile, runBatch, classifyResult, BATCH_STATUS } from './modules/batch.js';
+import { setExplorerRateLimit } from './modules/rateLimiter.js';
+import { startApiServer } from './modules/apiServer.js';
+import { runWatch, WATCH_MODES } from './modules/watch.js';
+import { isTransportError } from './modules/rpcProvider.js';
+import { logger, configureLogger, LOG_LEVELS, OUTPUT_FORMATS } from './modules/logger.js';
+import { parseArgs } from 'util';
 import fs from 'fs';
 import path from 'path';
 
+// Process exit codes of the CLI
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  UNVERIFIED: 2,
+  UNSUPPORTED_CHAIN: 3,
+  NETWORK_FAILURE: 4
+};
+
 /**
  * Main orchestrator function to fetch and process contract
- * @param {string} chainName - Name of the chain
+ * @param {string} chainName - Name, alias or chain ID of the chain
  * @param {string} contractAddress - Address of the contract
+ * @param {Object} options - Processing options
+ * @param {boolean} options.decompile - Decompile unverified contracts (default: true)
+ * @param {boolean} options.crawl - Also fetch external contracts referenced by the target (default: false)
+ * @param {number} options.crawlDepth - Maximum reference depth when crawling (default: 2)
+ * @param {string|number} options.blockTag - Run all on-chain reads at this block (default: latest)
+ * @param {boolean} options.history - Rebuild the proxy's upgrade history and fetch every past implementation (default: false)
+ * @param {boolean} options.verify - Recompile verified sources and compare them with the deployed bytecode (default: false)
+ * @param {string} options.solcDir - Local compiler directory for verification and export (default: SOLC_DIR or .solc)
+ * @param {string} options.exportFramework - Also write each verified source as a 'foundry' or 'hardhat' project
+ * @param {string} options.exportDir - Project root for the export (default: <output>/projects/<chain>/<address>/<framework>)
  * @returns {Promise<Object>} Processing result
  */
-export async function fetchContract(chainName, contractAddress) {
-  console.log('\n========================================');
-  console.log('Fetch Solidity Contract');
-  console.log('========================================\n');
+export async function fetchContract(chainName, contractAddress, options = {}) {
+  const { decompile = true, crawl = false, crawlDepth = 2, blockTag = 'latest', history = false, verify = false, solcDir, exportFramework = null, exportDir = null } = options;
+
+  logger.info('\n========================================');
+  logger.info('Fetch Solidity Contract');
+  logger.info('========================================\n');
   
   // Validate chain
   if (!isChainSupported(chainName)) {
     throw new Error(`Unsupported chain: ${chainName}. Supported chains: ${getSupportedChains().join(', ')}`);
   }
   
+  // Aliases and chain IDs resolve to the registry name, which names the output directory
   const chainConfig = getChainConfig(chainName);
-  console.log(`Chain: ${chainConfig.name} (ID: ${chainConfig.chainId})`);
-  console.log(`Contract: ${contractAddress}`);
-  console.log('');
+  chainName = chainConfig.key;
+  logger.info(`Chain: ${chainConfig.name} (ID: ${chainConfig.chainId})`);
+  logger.info(`Contract: ${contractAddress}`);
+  if (chainConfig.explorerUrl) {
+    logger.info(`Explorer: ${chainConfig.explorerUrl}/address/${contractAddress}`);
+  }
+  if (blockTag !== 'latest') {
+    logger.info(`Block: ${blockTag}`);
+  }
+  logger.info('');
   
   const result = {
     chainName,
     contractAddress,
     chainConfig,
+    blockTag,
     proxyInfo: null,
-    sourceResults: []
+    sourceResults: [],
+    selectorMapPath: null,
+    storage: null,
+    projects: null,
+    upgradeHistory: null,
+    dependencyGraph: null,
+    report: null
   };
   
   // Step 1: Fetch source first to enable enhanced proxy detection
-  console.log('Step 1: Fetching contract source for analysis...');
+  logger.info('Step 1: Fetching contract source for analysis...');
   let mainSourceData = null;
   try {
     mainSourceData = await fetchContractSource(chainName, contractAddress);
     if (mainSourceData.isVerified) {
-      console.log(`  ✓ Contract verified: ${mainSourceData.contractName}`);
+      logger.info(`  ✓ Contract verified: ${mainSourceData.contractName} (source: ${mainSourceData.sourceProvider})`);
     } else {
-      console.log(`  ℹ Contract not verified (will attempt decompilation later)`);
+      logger.info(`  ℹ Contract not verified${decompile ? ' (will attempt decompilation later)' : ''}`);
     }
   } catch (error) {
-    console.log(`  ⚠ Could not fetch source: ${error.message}`);
+    logger.warn(`  ⚠ Could not fetch source: ${error.message}`);
   }
-  console.log('');
+  logger.info('');
   
   // Step 2: Detect if contract is a proxy (with source data for enhanced detection)
-  console.log('Step 2: Detecting proxy...');
-  const proxyInfo = await detectProxy(chainName, contractAddress, mainSourceData);
+  logger.info('Step 2: Detecting proxy...');
+  const proxyInfo = await detectProxy(chainName, contractAddress, mainSourceData, { blockTag });
   result.proxyInfo = proxyInfo;
   
-  if (proxyInfo.isProxy) {
-    console.log(`  ✓ Contract IS a proxy`);
-    console.log(`    Proxy Address: ${proxyInfo.proxyAddress}`);
-    console.log(`    Implementation: ${proxyInfo.implementationAddress}`);
+  if (proxyInfo.isDiamond) {
+    const selectorCount = proxyInfo.facets.reduce((total, facet) => total + facet.selectors.length, 0);
+    logger.info(`  ✓ Contract IS a diamond (EIP-2535)`);
+    logger.info(`    Facets: ${proxyInfo.facets.length} (${selectorCount} selectors)`);
+    logger.info(`    Detection Method: ${proxyInfo.detectionMethod}`);
+  } else if (proxyInfo.isProxy) {
+    logger.info(`  ✓ Contract IS a proxy`);
+    logger.info(`    Proxy Address: ${proxyInfo.proxyAddress}`);
+    logger.info(`    Implementation: ${proxyInfo.implementationAddress}`);
     if (proxyInfo.detectionMethod) {
-      console.log(`    Detection Method: ${proxyInfo.detectionMethod}`);
+      logger.info(`    Detection Method: ${proxyInfo.detectionMethod}`);
+    }
+  } else if (proxyInfo.status === PROXY_STATUS.INCONCLUSIVE) {
+    logger.warn(`  ⚠ Proxy detection inconclusive - RPC reads failed, treating as a regular contract`);
+    for (const rpcError of proxyInfo.rpcErrors || [proxyInfo.error]) {
+      logger.info(`    - ${rpcError}`);
     }
   } else {
-    console.log(`  ✓ Contract is NOT a proxy`);
+    logger.info(`  ✓ Contract is NOT a proxy`);
   }
-  console.log('');
+  logger.info('');
   
   // Step 3: Determine which addresses to fetch
-  const addressesToFetch = proxyInfo.isProxy
-    ? [
-        { address: proxyInfo.proxyAddress, type: 'proxy', sourceData: mainSourceData },
-        { address: proxyInfo.implementationAddress, type: 'implementation', sourceData: null }
-      ]
-    : [{ address: contractAddress, type: 'main', sourceData: mainSourceData }];
+  let addressesToFetch = [{ address: contractAddress, type: 'main', sourceData: mainSourceData }];
+  if (proxyInfo.isDiamond) {
+    // A diamond is saved like a proxy, with one folder per facet instead of an implementation
+    addressesToFetch = [
+      { address: proxyInfo.proxyAddress, type: 'proxy', sourceData: mainSourceData },
+      ...proxyInfo.facets.map(facet => ({ address: facet.facetAddress, type: getFacetContractType(facet.facetAddress), sourceData: null }))
+    ];
+  } else if (proxyInfo.isProxy) {
+    addressesToFetch = [
+      { address: proxyInfo.proxyAddress, type: 'proxy', sourceData: mainSourceData },
+      { address: proxyInfo.implementationAddress, type: 'implementation', sourceData: null }
+    ];
+  }
   
   // Step 4: Process and save source for each address
   // All contracts saved in flattened structure at contract address root level
-  console.log('Step 3: Processing contract sources...');
+  logger.info('Step 3: Processing contract sources...');
   
   for (const item of addressesToFetch) {
-    console.log(`  Processing ${item.type} (${item.address})...`);
+    logger.info(`  Processing ${item.type} (${item.address})...`);
     
     try {
       // Use cached source data if available, otherwise fetch
       const sourceData = item.sourceData || await fetchContractSource(chainName, item.address);
       
       if (sourceData.isVerified) {
-        console.log(`    ✓ Contract verified: ${sourceData.contractName}`);
+        logger.info(`    ✓ Contract verified: ${sourceData.contractName} (source: ${sourceData.sourceProvider})`);
         
         // Process and save source
         // All files saved flattened at root level with contract type suffix for metadata
@@ -107,74 +199,834 @@ export async function fetchContract(chainName, contractAddress) {
         const saveResult = processAndSaveSource(sourceData, item.type, baseAddress);
         
         if (saveResult.success) {
-          console.log(`    ✓ Source saved to: ${saveResult.outputDir}`);
-          console.log(`    ✓ Files saved: ${saveResult.savedFiles.length}`);
+          logger.info(`    ✓ Source saved to: ${saveResult.outputDir}`);
+          logger.info(`    ✓ Files saved: ${saveResult.savedFiles.length}`);
+          const artifactNames = Object.values(saveResult.artifacts).filter(Boolean).map(p => path.basename(p));
+          if (artifactNames.length > 0) {
+            logger.info(`    ✓ Artifacts: ${artifactNames.join(', ')}`);
+          }
+          
+          // Modified vendor files: diff against the closest known release
+          if (saveResult.vendorFiles.modified.length > 0) {
+            // Same parse as processAndSaveSource, so the diffs are keyed by the saved paths
+            const files = parseContractSource(sourceData).files;
+            saveResult.vendorFiles.modified = await saveVendorDiffs(chainName, baseAddress, files, saveResult.vendorFiles, item.type);
+            for (const entry of saveResult.vendorFiles.modified) {
+              if (entry.error) {
+                logger.warn(`    ⚠ ${entry.file}: could not diff against ${entry.package} (${entry.error})`);
+              } else if (entry.closestVersion) {
+                logger.warn(`    🚨 ${entry.file}: modified ${entry.package}@${entry.closestVersion} (+${entry.addedLines} -${entry.removedLines})`);
+              } else {
+                logger.warn(`    🚨 ${entry.file}: not part of any known ${entry.package} release`);
+              }
+            }
+          }
         }
         
         result.sourceResults.push({
           ...item,
+          sourceData,
           verified: true,
+          sourceProvider: sourceData.sourceProvider,
           ...saveResult
         });
+      } else if (decompile) {
+        logger.info(`    ℹ Contract not verified - decompiling bytecode`);
+        
+        const decompileResult = await decompileContract(chainName, item.address, {
+          contractType: item.type,
+          baseAddress: contractAddress,
+          blockTag
+        });
+        
+        if (decompileResult.pseudoDecompiled) {
+          logger.info(`    ✓ Decompiled with built-in decompiler (${decompileResult.selectors.length} function(s) recovered)`);
+        } else {
+          logger.info(`    ✓ Decompiled with ${decompileResult.tool}`);
+        }
+        logger.info(`    ✓ Decompiled source saved to: ${decompileResult.outputPath}`);
+        
+        result.sourceResults.push({
+          ...item,
+          verified: false,
+          decompiled: true,
+          success: decompileResult.success,
+          outputDir: decompileResult.outputDir,
+          outputPath: decompileResult.outputPath,
+          decompileTool: decompileResult.tool
+        });
       } else {
-        console.log(`    ✗ Contract not verified - skipping (only verified contracts are supported)`);
+        logger.warn(`    ✗ Contract not verified - skipping (decompilation disabled)`);
         
         result.sourceResults.push({
           ...item,
           verified: false,
+          skipped: true,
           success: false,
           error: 'Contract source code is not verified on block explorer'
         });
       }
     } catch (error) {
-      console.log(`    ✗ Error: ${error.message}`);
+      logger.error(`    ✗ Error: ${error.message}`);
       result.sourceResults.push({
         ...item,
-        error: error.message
+        error: error.message,
+        networkFailure: isNetworkFailure(error)
       });
     }
   }
   
-  console.log('');
-  console.log('========================================');
-  console.log('Processing Complete');
-  console.log('========================================');
+  // Proxy and implementation (or facet) manifests point at each other
+  if (proxyInfo.isProxy || proxyInfo.isDiamond) {
+    const [proxyItem, ...targets] = addressesToFetch;
+    linkAuditManifests(chainName, contractAddress, proxyItem, targets);
+  }
+  
+  // Storage layout of every verified contract, written into its audit manifest
+  const storage = recordStorageLayouts(chainName, contractAddress, result.sourceResults);
+  result.storage = storage;
+  for (const [type, layout] of Object.entries(storage.layouts)) {
+    const note = layout.complete ? '' : ` (incomplete: ${layout.warnings.length} warning(s))`;
+    logger.info(`  ✓ Storage layout of ${type}: ${layout.variables.length} variable(s) in ${layout.slotCount} slot(s)${note}`);
+  }
+  if (storage.collisions) {
+    if (storage.collisions.length === 0) {
+      logger.info('  ✓ No storage collisions between proxy and implementation');
+    }
+    for (const collision of storage.collisions) {
+      logger.warn(`  ⚠ Storage collision at slot ${collision.slot}: proxy ${collision.proxyVariable} (${collision.proxyType}) / implementation ${collision.implementationVariable} (${collision.implementationType})`);
+    }
+  }
+  
+  // Map every diamond selector to its facet, named from the verified facet ABIs
+  if (proxyInfo.isDiamond) {
+    const facetSources = new Map(result.sourceResults
+      .filter(r => r.verified && r.type !== 'proxy')
+      .map(r => [r.address.toLowerCase(), r.sourceData]));
+    result.selectorMapPath = saveSelectorMap(chainName, contractAddress, proxyInfo, facetSources);
+    logger.info(`  ✓ Selector map saved to: ${result.selectorMapPath}`);
+  }
+  
+  let step = 4;
+  
+  // Step 5: Recompile verified sources and compare them with the deployed bytecode
+  if (verify) {
+    logger.info('');
+    logger.info(`Step ${step++}: Verifying bytecode...`);
+    
+    const labels = {
+      [VERIFICATION_STATUS.EXACT]: '✓ Exact match',
+      [VERIFICATION_STATUS.PARTIAL]: '✓ Partial match (metadata hash differs)',
+      [VERIFICATION_STATUS.MISMATCH]: '⚠ Bytecode mismatch',
+      [VERIFICATION_STATUS.SKIPPED]: 'ℹ Skipped',
+      [VERIFICATION_STATUS.ERROR]: '✗ Verification failed'
+    };
+    for (const sourceResult of result.sourceResults.filter(r => r.verified)) {
+      const verification = await verifyBytecode(chainName, sourceResult.address, sourceResult.sourceData, { blockTag, solcDir });
+      sourceResult.bytecodeVerification = verification;
+      sourceResult.auditManifest = updateAuditManifest(chainName, contractAddress, sourceResult.type, { bytecodeVerification: verification });
+      
+      let detail = verification.reason ? `: ${verification.reason}` : '';
+      if (verification.status === VERIFICATION_STATUS.MISMATCH && verification.firstDifference !== null) {
+        detail = ` at byte ${verification.firstDifference}`;
+      }
+      logger.info(`  ${labels[verification.status]} - ${sourceResult.type}${detail}`);
+    }
+  }
+  
+  // Step 6: Write buildable projects from the untouched sources
+  if (exportFramework) {
+    logger.info('');
+    logger.info(`Step ${step++}: Exporting ${exportFramework} project(s)...`);
+    
+    result.projects = [];
+    for (const sourceResult of result.sourceResults.filter(r => r.verified)) {
+      const projectDir = exportDir
+        ? path.join(exportDir, getContractSubDirectory(sourceResult.type))
+        : getDefaultProjectDirectory(chainName, contractAddress, sourceResult.type, exportFramework);
+      try {
+        const project = exportProject(sourceResult.sourceData, projectDir, { framework: exportFramework, solcDir });
+        result.projects.push({ type: sourceResult.type, ...project });
+        if (!project.success) {
+          logger.error(`  ✗ ${sourceResult.type}: ${project.error}`);
+          continue;
+        }
+        logger.info(`  ✓ ${sourceResult.type}: ${project.files.length} file(s) in ${project.outputDir}`);
+        for (const warning of project.warnings) {
+          logger.warn(`    ⚠ ${warning}`);
+        }
+      } catch (error) {
+        logger.error(`  ✗ ${sourceResult.type}: ${error.message}`);
+      }
+    }
+  }
+  
+  // Step 7: Rebuild the upgrade history from Upgraded / BeaconUpgraded events
+  if (history) {
+    logger.info('');
+    logger.info(`Step ${step++}: Rebuilding upgrade history...`);
+    
+    try {
+      const upgradeHistory = await fetchUpgradeHistory(chainName, contractAddress, {
+        toBlock: blockTag,
+        baseAddress: contractAddress,
+        decompile
+      });
+      if (upgradeHistory.versions.length === 0) {
+        logger.info('  ℹ No upgrade events found');
+      } else {
+        logger.info(`  ✓ Implementations: ${upgradeHistory.versions.length} (logs from ${upgradeHistory.logSource})`);
+      }
+      logger.info(`  ✓ Upgrade history saved to: ${upgradeHistory.historyPath}`);
+      result.upgradeHistory = upgradeHistory;
+    } catch (error) {
+      logger.error(`  ✗ Upgrade history failed: ${error.message}`);
+    }
+  }
+  
+  // Step 8: Crawl external contracts referenced by the verified sources
+  if (crawl) {
+    logger.info('');
+    logger.info(`Step ${step++}: Crawling dependencies (max depth ${crawlDepth})...`);
+    
+    const seeds = result.sourceResults
+      .filter(r => r.verified)
+      .map(r => ({ address: r.address, role: r.type, sourceData: r.sourceData }));
+    
+    if (seeds.length === 0) {
+      logger.info('  ℹ No verified contracts to crawl from');
+    } else {
+      try {
+        const graph = await crawlDependencies(chainName, contractAddress, { seeds, maxDepth: crawlDepth, blockTag });
+        const dependencies = graph.nodes.filter(n => n.role === 'dependency');
+        logger.info(`  ✓ Dependencies found: ${dependencies.length} (${dependencies.filter(n => n.verified).length} verified)`);
+        logger.info(`  ✓ Dependency graph saved to: ${graph.graphPath}`);
+        if (!graph.complete) {
+          logger.warn(`  ⚠ Dependency graph incomplete: some RPC reads failed (see referencesError / error in the graph)`);
+        }
+        result.dependencyGraph = graph;
+      } catch (error) {
+        logger.error(`  ✗ Dependency crawl failed: ${error.message}`);
+      }
+    }
+  }
+  
+  // Human-readable report of everything above, next to the audit manifests
+  try {
+    const { markdownPath, htmlPath } = writeAuditReport(result);
+    result.report = { markdownPath, htmlPath };
+  } catch (error) {
+    logger.warn(`  ⚠ Could not write the audit report: ${error.message}`);
+  }
+  
+  logger.info('');
+  logger.info('========================================');
+  logger.info('Processing Complete');
+  logger.info('========================================');
+  
+  const cacheConfig = getCacheConfig();
+  if (cacheConfig.enabled) {
+    const cacheStats = getCacheStats();
+    logger.info(`\n💾 Cache (${cacheConfig.mode}): ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es)`);
+  }
   
   // Print minimal audit info
-  console.log('\n📄 Audit Manifests:');
+  logger.info('\n📄 Audit Manifests:');
   for (const sourceResult of result.sourceResults) {
     if (sourceResult.auditManifest) {
       const manifest = sourceResult.auditManifest;
-      console.log(`   ${sourceResult.type}: ${manifest.mainContract} (${manifest.mainContractPath})`);
+      logger.info(`   ${sourceResult.type}: ${manifest.mainContract} (${manifest.mainContractPath})`);
+      if (manifest.unreachableFiles?.length > 0) {
+        logger.info(`      ℹ ${manifest.unreachableFiles.length} file(s) not reachable from the main contract`);
+      }
+      if (manifest.missingImports?.length > 0) {
+        logger.warn(`      ⚠ ${manifest.missingImports.length} missing import(s): ${manifest.missingImports.map(m => m.import).join(', ')}`);
+      }
+      for (const redFlag of manifest.redFlags || []) {
+        logger.warn(`      🚨 ${redFlag.file} (${redFlag.reason})`);
+      }
+    }
+  }
+  if (result.report) {
+    logger.info(`\n📝 Report: ${result.report.markdownPath}`);
+    logger.info(`   HTML:   ${result.report.htmlPath}`);
+  }
+  logger.info('');
+  
+  return result;
+}
+
+/**
+ * Whether an error means the network could not answer: every RPC endpoint or every explorer failed
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for network failures (other errors are compile, parse or programming errors)
+ */
+function isNetworkFailure(error) {
+  return isTransportError(error) || error instanceof SourceUnavailableError;
+}
+
+/**
+ * Exit code of a fetch
+ * @param {Object} result - fetchContract result
+ * @returns {number} EXIT_CODES.SUCCESS, UNVERIFIED, NETWORK_FAILURE or ERROR
+ */
+export function getExitCode(result) {
+  const { status, networkFailure } = classifyResult(result);
+  if (status === BATCH_STATUS.SUCCEEDED) return EXIT_CODES.SUCCESS;
+  if (status === BATCH_STATUS.UNVERIFIED) return EXIT_CODES.UNVERIFIED;
+  if (networkFailure) return EXIT_CODES.NETWORK_FAILURE;
+  
+  // Contracts skipped as unverified (--no-decompile) are not a failure
+  const failed = result.sourceResults.length === 0 ||
+    result.sourceResults.some(r => r.error && !r.skipped);
+  return failed ? EXIT_CODES.ERROR : EXIT_CODES.UNVERIFIED;
+}
+
+/**
+ * Exit code for the failures of a batch or watch
+ * @param {number} failed - Failed entries
+ * @param {number} networkFailures - Entries among them that failed because the network could not answer
+ * @returns {number|null} EXIT_CODES.NETWORK_FAILURE when every failure is a network failure,
+ *   EXIT_CODES.ERROR when any other error failed an entry, null when nothing failed
+ */
+function getFailureExitCode(failed, networkFailures) {
+  if (failed === 0) return null;
+  return networkFailures === failed ? EXIT_CODES.NETWORK_FAILURE : EXIT_CODES.ERROR;
+}
+
+/**
+ * Result document printed by --json (and as the ndjson result event)
+ * @param {Object} result - fetchContract result
+ * @returns {Object} JSON-safe summary of the fetch
+ */
+export function buildResultDocument(result) {
+  const exitCode = getExitCode(result);
+  const statuses = {
+    [EXIT_CODES.SUCCESS]: BATCH_STATUS.SUCCEEDED,
+    [EXIT_CODES.UNVERIFIED]: BATCH_STATUS.UNVERIFIED,
+    [EXIT_CODES.NETWORK_FAILURE]: BATCH_STATUS.FAILED,
+    [EXIT_CODES.ERROR]: BATCH_STATUS.FAILED
+  };
+  const proxyInfo = result.proxyInfo || {};
+  
+  return {
+    command: 'fetch',
+    status: statuses[exitCode],
+    exitCode,
+    chain: result.chainName,
+    chainId: result.chainConfig?.chainId ?? null,
+    contractAddress: result.contractAddress,
+    blockTag: result.blockTag,
+    proxy: {
+      status: proxyInfo.status || null,
+      isProxy: Boolean(proxyInfo.isProxy),
+      isDiamond: Boolean(proxyInfo.isDiamond),
+      detectionMethod: proxyInfo.detectionMethod || null,
+      implementationAddress: proxyInfo.implementationAddress || null,
+      facets: (proxyInfo.facets || []).map(facet => ({ address: facet.facetAddress, selectors: facet.selectors.length })),
+      errors: proxyInfo.rpcErrors || []
+    },
+    contracts: result.sourceResults.map(r => ({
+      type: r.type,
+      address: r.address,
+      verified: Boolean(r.verified),
+      decompiled: Boolean(r.decompiled),
+      contractName: r.sourceData?.contractName || null,
+      sourceProvider: r.sourceProvider || null,
+      compilerVersion: r.sourceData?.compilerVersion || null,
+      outputDir: r.outputDir || null,
+      savedFiles: r.savedFiles ? r.savedFiles.length : 0,
+      deletedFiles: r.deletedFiles ? r.deletedFiles.length : 0,
+      mainContractPath: r.auditManifest?.mainContractPath || null,
+      totalSloc: r.auditManifest?.totalSloc ?? null,
+      auditSloc: r.auditManifest?.auditSloc ?? null,
+      redFlags: r.redFlags || [],
+      vendorFiles: r.vendorFiles || null,
+      bytecodeVerification: r.bytecodeVerification ? r.bytecodeVerification.status : null,
+      decompileTool: r.decompileTool || null,
+      error: r.error || null
+    })),
+    storageCollisions: result.storage?.collisions || null,
+    selectorMapPath: result.selectorMapPath,
+    projects: result.projects ? result.projects.map(project => ({ type: project.type, success: project.success, outputDir: project.outputDir || null, error: project.error || null })) : null,
+    upgradeHistory: result.upgradeHistory ? { versions: result.upgradeHistory.versions.length, historyPath: result.upgradeHistory.historyPath } : null,
+    dependencyGraph: result.dependencyGraph ? { nodes: result.dependencyGraph.nodes.length, graphPath: result.dependencyGraph.graphPath } : null,
+    report: result.report
+  };
+}
+
+/**
+ * Fetch every contract in a batch list file and print the summary
+ * @param {string} listFile - Batch list file (CSV, JSON or one pair per line)
+ * @param {Object} values - Parsed CLI options
+ * @param {Object} fetchOptions - Options passed to fetchContract for every entry
+ * @returns {Promise<Object>} Batch summary report
+ */
+async function runBatchCommand(listFile, values, fetchOptions) {
+  const concurrency = parseInt(values.concurrency, 10);
+  if (Number.isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid --concurrency value: ${values.concurrency}`);
+  }
+  if (values.rate !== undefined) {
+    setExplorerRateLimit(Number(values.rate));
+  }
+  
+  const entries = readBatchFile(listFile);
+  const statePath = values.state || `${listFile}.state.json`;
+  const reportPath = values.report || `${listFile}.report.json`;
+  
+  const report = await runBatch(entries, {
+    concurrency,
+    statePath,
+    reportPath,
+    resume: !values.fresh,
+    processEntry: (entry) => fetchContract(entry.chain, entry.address, fetchOptions),
+    isNetworkFailure
+  });
+  
+  logger.info('');
+  logger.info('========================================');
+  logger.info('Batch Complete');
+  logger.info('========================================');
+  logger.info(`  ✓ Succeeded:  ${report.succeeded}`);
+  logger.info(`  ℹ Unverified: ${report.unverified}`);
+  logger.info(`  ✗ Failed:     ${report.failed}`);
+  for (const failure of report.results.filter(r => r.status === 'failed')) {
+    const reason = failure.error ||
+      failure.contracts.filter(c => c.error).map(c => `${c.type}: ${c.error}`).join('; ') ||
+      `proxy detection ${failure.proxyStatus}`;
+    logger.info(`     - ${failure.chain} ${failure.address}: ${reason}`);
+  }
+  logger.info(`\n📄 Report saved to: ${reportPath}`);
+  logger.info(`   Resume state: ${statePath}`);
+  logger.info('');
+  
+  return report;
+}
+
+/**
+ * Diff two contracts or saved output directories and print the summary
+ * @param {string} leftTarget - Old version: <chain>:<address> or a saved output directory
+ * @param {string} rightTarget - New version: <chain>:<address> or a saved output directory
+ * @param {Object} values - Parsed CLI options
+ * @returns {Promise<Object>} Diff result with patchPath and summaryPath
+ */
+async function runDiffCommand(leftTarget, rightTarget, values) {
+  logger.info('\n========================================');
+  logger.info('Source Diff');
+  logger.info('========================================\n');
+  logger.info(`Old: ${leftTarget}`);
+  logger.info(`New: ${rightTarget}`);
+  logger.info('');
+  
+  const result = await diffContracts(leftTarget, rightTarget);
+  const { patchPath, summaryPath } = writeDiffReport(result, values.out);
+  const { stats } = result;
+  
+  logger.info(`Files: ${stats.modified} modified, ${stats.added} added, ${stats.removed} removed, ${stats.moved} moved, ${stats.unchanged} unchanged`);
+  
+  const changedContracts = result.contracts.filter(contract => contract.status !== 'unchanged');
+  if (changedContracts.length === 0) {
+    logger.info('  ✓ No code changes (comments ignored)');
+  }
+  for (const contract of changedContracts) {
+    logger.info(`\n  ${contract.kind} ${contract.name} (${contract.status})`);
+    for (const category of ['functions', 'modifiers', 'storageVariables']) {
+      const changes = contract[category];
+      const lines = [
+        ...changes.added.map(key => `+ ${key}`),
+        ...changes.removed.map(key => `- ${key}`),
+        ...changes.changed.map(key => `~ ${key}`)
+      ];
+      for (const line of lines) {
+        logger.info(`    ${category.padEnd(16)} ${line}`);
+      }
     }
   }
-  console.log('');
+  
+  logger.info(`\n📄 Unified diff saved to: ${patchPath}`);
+  logger.info(`   Summary: ${summaryPath}`);
+  logger.info('');
+  
+  return { ...result, patchPath, summaryPath };
+}
+
+/**
+ * Start the HTTP API; it runs until the process is stopped
+ * @param {Object} values - Parsed CLI options
+ * @param {Object} fetchOptions - Defaults for every fetch job (a request's options override them)
+ * @returns {Promise<Object>} { server, url, close }
+ */
+async function runServeCommand(values, fetchOptions) {
+  const port = parseInt(values.port, 10);
+  if (Number.isNaN(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port value: ${values.port}`);
+  }
+  const concurrency = parseInt(values.concurrency, 10);
+  if (Number.isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid --concurrency value: ${values.concurrency}`);
+  }
+  
+  const api = await startApiServer({
+    port,
+    host: values.host,
+    concurrency,
+    fetchContract: async (chain, address, options) => buildResultDocument(await fetchContract(chain, address, { ...fetchOptions, ...options }))
+  });
+  
+  logger.info('\n========================================');
+  logger.info('API Server');
+  logger.info('========================================\n');
+  logger.info(`🌐 Listening on ${api.url} (${concurrency} fetch job(s) at once)`);
+  logger.info(`   POST ${api.url}/fetch  { "chain": "ethereum", "address": "0x..." }`);
+  logger.info(`   GET  ${api.url}/jobs/<id>, /proxy/<chain>/<address>, /source/<chain>/<address>, /files/`);
+  logger.info('');
+  
+  return api;
+}
+
+/**
+ * Watch the proxies of a list file for upgrades; runs until stopped unless --once is given
+ * @param {string} listFile - Proxy list file (same formats as batch)
+ * @param {Object} values - Parsed CLI options
+ * @returns {Promise<Object>} runWatch result, with statePath
+ */
+async function runWatchCommand(listFile, values) {
+  const interval = Number(values.interval);
+  if (!(Number.isFinite(interval) && interval > 0)) {
+    throw new Error(`Invalid --interval value: ${values.interval}`);
+  }
+  const concurrency = parseInt(values.concurrency, 10);
+  if (Number.isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid --concurrency value: ${values.concurrency}`);
+  }
+  if (!Object.values(WATCH_MODES).includes(values.mode)) {
+    throw new Error(`Invalid --mode value: ${values.mode} (expected ${Object.values(WATCH_MODES).join(' or ')})`);
+  }
+  
+  const entries = readBatchFile(listFile);
+  const statePath = values.state || `${listFile}.watch-state.json`;
+  
+  logger.info('\n========================================');
+  logger.info('Upgrade Watch');
+  logger.info('========================================\n');
+  
+  const result = await runWatch(entries, {
+    mode: values.mode,
+    intervalMs: interval * 1000,
+    cycles: values.once ? 1 : Infinity,
+    concurrency,
+    statePath,
+    alertsDir: values['alerts-dir'],
+    webhookUrl: values.webhook || null,
+    isNetworkFailure
+  });
+  
+  logger.info(`\n📄 Watch state: ${statePath}`);
+  for (const alert of result.alerts) {
+    logger.info(`   🚨 ${alert.alertPath}`);
+  }
+  logger.info('');
+  
+  return { ...result, statePath };
+}
+
+/**
+ * Fingerprint releases of a vendor package into the fingerprint database
+ * @param {string} packageName - npm package name
+ * @param {string[]} versions - Release versions
+ * @param {Object} values - Parsed CLI options
+ * @returns {Promise<Object>} addPackageFingerprints result
+ */
+async function runFingerprintsCommand(packageName, versions, values) {
+  logger.info('\n========================================');
+  logger.info('Vendor Fingerprints');
+  logger.info('========================================\n');
+  logger.info(`Package: ${packageName}`);
+  logger.info(`Versions: ${versions.join(', ')}`);
+  logger.info('');
+  
+  const result = await addPackageFingerprints(packageName, versions, { paths: values.prefix });
+  for (const [version, count] of Object.entries(result.versions)) {
+    logger.info(`  ✓ ${packageName}@${version}: ${count} .sol file(s)`);
+  }
+  
+  logger.info(`\n📄 ${result.files} fingerprinted path(s) for ${packageName} saved to: ${getVendorFingerprintsConfig().databasePath}`);
+  logger.info('');
   
   return result;
 }
 
 // CLI Entry point
 async function main() {
-  const args = process.argv.slice(2);
+  let args;
+  try {
+    args = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        crawl: { type: 'boolean', default: false },
+        depth: { type: 'string', default: '2' },
+        'no-decompile': { type: 'boolean', default: false },
+        block: { type: 'string' },
+        history: { type: 'boolean', default: false },
+        verify: { type: 'boolean', default: false },
+        'solc-dir': { type: 'string' },
+        profile: { type: 'string' },
+        export: { type: 'string' },
+        'export-dir': { type: 'string' },
+        offline: { type: 'boolean', default: false },
+        refresh: { type: 'boolean', default: false },
+        'no-cache': { type: 'boolean', default: false },
+        'cache-dir': { type: 'string' },
+        fingerprints: { type: 'string' },
+        rules: { type: 'string' },
+        prefix: { type: 'string', multiple: true },
+        concurrency: { type: 'string', default: '3' },
+        rate: { type: 'string' },
+        state: { type: 'string' },
+        report: { type: 'string' },
+        fresh: { type: 'boolean', default: false },
+        out: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        ndjson: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        port: { type: 'string', default: '3000' },
+        host: { type: 'string', default: '127.0.0.1' },
+        mode: { type: 'string', default: 'poll' },
+        interval: { type: 'string', default: '60' },
+        once: { type: 'boolean', default: false },
+        webhook: { type: 'string' },
+        'alerts-dir': { type: 'string' }
+      }
+    });
+  } catch (error) {
+    logger.error('Error:', error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const { values, positionals } = args;
+  
+  if (values.json && values.ndjson) {
+    logger.error('Error: --json and --ndjson are mutually exclusive');
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (values.quiet && values.verbose) {
+    logger.error('Error: --quiet and --verbose are mutually exclusive');
+    process.exit(EXIT_CODES.ERROR);
+  }
+  configureLogger({
+    format: values.json ? OUTPUT_FORMATS.JSON : values.ndjson ? OUTPUT_FORMATS.NDJSON : undefined,
+    level: values.quiet ? LOG_LEVELS.QUIET : values.verbose ? LOG_LEVELS.VERBOSE : undefined
+  });
+  
+  if (positionals.length < 2 && positionals[0] !== 'serve') {
+    logger.info('Usage: node src/index.js <chain> <contractAddress> [options]');
+    logger.info('       node src/index.js batch <listFile> [options]');
+    logger.info('       node src/index.js diff <old> <new> [--out <dir>]');
+    logger.info('       node src/index.js fingerprints add <package> <version...> [--prefix <path>]');
+    logger.info('       node src/index.js serve [--port <n>] [--host <address>] [--concurrency <n>]');
+    logger.info('       node src/index.js watch <listFile> [options]');
+    logger.info('');
+    logger.info('Options:');
+    logger.info('  --crawl           Also fetch external contracts referenced by the target');
+    logger.info('  --depth <n>       Maximum reference depth when crawling (default: 2)');
+    logger.info('  --no-decompile    Skip decompilation of unverified contracts');
+    logger.info('  --block <n>       Read proxy slots, calls and bytecode at this block');
+    logger.info('  --history         Rebuild the upgrade history and fetch every past implementation');
+    logger.info('  --verify          Recompile verified sources and compare with the deployed bytecode');
+    logger.info('  --solc-dir <dir>  Local solc directory for --verify (default: .solc, or SOLC_DIR)');
+    logger.info('  --profile <name>  Artifacts to save: minimal, standard or full (default: standard, or OUTPUT_PROFILE)');
+    logger.info('  --export <name>   Also write a buildable foundry or hardhat project with the untouched sources');
+    logger.info('  --export-dir <dir> Project directory for --export (default: <output>/projects/<chain>/<address>/<framework>)');
+    logger.info('  --offline         Run entirely from the local cache (no network access)');
+    logger.info('  --refresh         Ignore cached entries and refetch everything');
+    logger.info('  --no-cache        Do not read or write the local cache');
+    logger.info('  --cache-dir <dir> Cache directory (default: .cache, or FETCH_CACHE_DIR)');
+    logger.info('  --rules <file>    Project audit rules, merged over src/config/audit-rules.json (default: audit-rules.local.json, or AUDIT_RULES)');
+    logger.info('  --fingerprints <file> Vendor fingerprint database (default: src/config/vendor-fingerprints.json, or VENDOR_FINGERPRINTS)');
+    logger.info('');
+    logger.info('Output options:');
+    logger.info('  --json            Print only a JSON result document on stdout (progress goes to stderr)');
+    logger.info('  --ndjson          Print one JSON event per line on stdout (batch progress, then the result)');
+    logger.info('  --quiet           Only print warnings and errors');
+    logger.info('  --verbose         Also print details: provider fallbacks, RPC failovers, proxy probing');
+    logger.info('');
+    logger.info('Exit codes: 0 success, 1 error, 2 unverified, 3 unsupported chain, 4 network failure');
+    logger.info('');
+    logger.info('Batch options:');
+    logger.info('  --concurrency <n> Contracts fetched at once (default: 3)');
+    logger.info('  --rate <n>        Explorer requests per second (default: per-explorer limit)');
+    logger.info('  --state <file>    Resume state file (default: <listFile>.state.json)');
+    logger.info('  --report <file>   Summary report file (default: <listFile>.report.json)');
+    logger.info('  --fresh           Ignore the resume state and fetch everything again');
+    logger.info('');
+    logger.info('Diff options (<old> and <new> are <chain>:<address> or a saved output directory):');
+    logger.info('  --out <dir>       Report directory (default: <output>/diffs/<old>__<new>)');
+    logger.info('');
+    logger.info('Fingerprint options:');
+    logger.info('  --prefix <path>   Path prefix the package is found under in fetched sources (repeatable)');
+    logger.info('');
+    logger.info('Server options (fetch options set the defaults of every job):');
+    logger.info('  --port <n>        Port to listen on (default: 3000)');
+    logger.info('  --host <address>  Address to bind (default: 127.0.0.1)');
+    logger.info('  --concurrency <n> Fetch jobs run at once (default: 3)');
+    logger.info('');
+    logger.info('Watch options (<listFile> as for batch):');
+    logger.info('  --mode <mode>     poll: read every proxy each interval; logs: scan new blocks for upgrade events (default: poll)');
+    logger.info('  --interval <s>    Seconds between checks (default: 60)');
+    logger.info('  --once            Check once and exit (e.g. from cron)');
+    logger.info('  --webhook <url>   POST every alert as JSON to this URL');
+    logger.info('  --alerts-dir <dir> Alert file directory (default: <output>/alerts)');
+    logger.info('  --state <file>    Last known proxy state (default: <listFile>.watch-state.json)');
+    logger.info('  --concurrency <n> Proxies checked at once (default: 3)');
+    logger.info('');
+    logger.info('Supported chains:', getSupportedChains().join(', '));
+    logger.info('');
+    logger.info('Examples:');
+    logger.info('  node src/index.js ethereum 0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14');
+    logger.info('  node src/index.js bsc 0x25aB3Efd52e6470681CE037cD546Dc60726948D3');
+    logger.info('  node src/index.js bsc 0x25aB3Efd52e6470681CE037cD546Dc60726948D3 --history');
+    logger.info('  node src/index.js batch deployments.csv --concurrency 4');
+    logger.info('  node src/index.js diff ../evm-chain-contracts/bsc/0x25aB.../history/v1 ../evm-chain-contracts/bsc/0x25aB.../history/v2');
+    logger.info('  node src/index.js fingerprints add @openzeppelin/contracts 4.9.3 5.0.2');
+    logger.info('  node src/index.js serve --port 3000');
+    logger.info('  node src/index.js watch proxies.csv --interval 300 --webhook https://hooks.example.com/...');
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const [chainName, contractAddress] = positionals;
+  const crawlDepth = parseInt(values.depth, 10);
+  if (Number.isNaN(crawlDepth) || crawlDepth < 0) {
+    logger.error(`Error: Invalid --depth value: ${values.depth}`);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  let blockTag = 'latest';
+  if (values.block !== undefined) {
+    if (/^\d+$/.test(values.block) || /^0x[0-9a-f]+$/i.test(values.block)) {
+      blockTag = Number(values.block);
+    } else {
+      logger.error(`Error: Invalid --block value: ${values.block} (expected a block number)`);
+      process.exit(EXIT_CODES.ERROR);
+    }
+  }
   
-  if (args.length < 2) {
-    console.log('Usage: node src/index.js <chain> <contractAddress>');
-    console.log('');
-    console.log('Supported chains:', getSupportedChains().join(', '));
-    console.log('');
-    console.log('Examples:');
-    console.log('  node src/index.js ethereum 0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14');
-    console.log('  node src/index.js bsc 0x25aB3Efd52e6470681CE037cD546Dc60726948D3');
-    process.exit(1);
+  if (values.export !== undefined && !FRAMEWORKS.includes(values.export)) {
+    logger.error(`Error: Invalid --export value: ${values.export} (expected ${FRAMEWORKS.join(' or ')})`);
+    process.exit(EXIT_CODES.ERROR);
   }
   
-  const [chainName, contractAddress] = args;
+  if ([values.offline, values.refresh, values['no-cache']].filter(Boolean).length > 1) {
+    logger.error('Error: --offline, --refresh and --no-cache are mutually exclusive');
+    process.exit(EXIT_CODES.ERROR);
+  }
   
   try {
-    await fetchContract(chainName, contractAddress);
+    configureCache({
+      // Without --no-cache, FETCH_CACHE=off still disables the cache
+      enabled: values['no-cache'] ? false : undefined,
+      dir: values['cache-dir'],
+      mode: values.offline ? CACHE_MODES.OFFLINE : values.refresh ? CACHE_MODES.REFRESH : CACHE_MODES.DEFAULT
+    });
+    configureOutput({ profile: values.profile });
+    if (values.rules !== undefined) {
+      reloadAuditRules({ overridePath: values.rules });
+    }
+    if (values.fingerprints !== undefined) {
+      configureVendorFingerprints({ databasePath: values.fingerprints });
+    }
+    
+    const fetchOptions = {
+      decompile: !values['no-decompile'],
+      crawl: values.crawl,
+      crawlDepth,
+      blockTag,
+      history: values.history,
+      verify: values.verify,
+      solcDir: values['solc-dir'],
+      exportFramework: values.export || null,
+      exportDir: values['export-dir'] || null
+    };
+    
+    if (chainName === 'diff') {
+      if (positionals.length < 3) {
+        throw new Error('diff needs two targets: <old> <new>');
+      }
+      const diff = await runDiffCommand(positionals[1], positionals[2], values);
+      logger.result({
+        command: 'diff',
+        exitCode: EXIT_CODES.SUCCESS,
+        left: diff.left,
+        right: diff.right,
+        stats: diff.stats,
+        files: diff.files.map(({ patch, ...file }) => file),
+        contracts: diff.contracts.filter(contract => contract.status !== 'unchanged'),
+        patchPath: diff.patchPath,
+        summaryPath: diff.summaryPath
+      });
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+    
+    if (chainName === 'fingerprints') {
+      if (positionals[1] !== 'add' || positionals.length < 4) {
+        throw new Error('usage: fingerprints add <package> <version...> [--prefix <path>]');
+      }
+      const fingerprints = await runFingerprintsCommand(positionals[2], positionals.slice(3), values);
+      logger.result({ command: 'fingerprints', exitCode: EXIT_CODES.SUCCESS, package: positionals[2], ...fingerprints });
+      process.exit(EXIT_CODES.SUCCESS);
+    }
+    
+    if (chainName === 'serve') {
+      await runServeCommand(values, fetchOptions);
+      return;
+    }
+    
+    if (chainName === 'watch') {
+      const watch = await runWatchCommand(contractAddress, values);
+      const exitCode = getFailureExitCode(watch.failed, watch.networkFailures) ?? EXIT_CODES.SUCCESS;
+      logger.result({
+        command: 'watch',
+        exitCode,
+        cycles: watch.cycles,
+        failed: watch.failed,
+        networkFailures: watch.networkFailures,
+        statePath: watch.statePath,
+        proxies: Object.values(watch.state.proxies),
+        alertCount: watch.alertCount,
+        alerts: watch.alerts
+      });
+      process.exit(exitCode);
+    }
+    
+    if (chainName === 'batch') {
+      const report = await runBatchCommand(contractAddress, values, fetchOptions);
+      let exitCode = getFailureExitCode(report.failed, report.networkFailures);
+      if (exitCode === null) {
+        exitCode = report.unverified > 0 ? EXIT_CODES.UNVERIFIED : EXIT_CODES.SUCCESS;
+      }
+      logger.result({ command: 'batch', exitCode, ...report });
+      process.exit(exitCode);
+    }
+    
+    if (!isChainSupported(chainName)) {
+      const message = `Unsupported chain: ${chainName}. Supported chains: ${getSupportedChains().join(', ')}`;
+      logger.error('Error:', message);
+      logger.result({ command: 'fetch', status: 'error', exitCode: EXIT_CODES.UNSUPPORTED_CHAIN, chain: chainName, contractAddress, error: message });
+      process.exit(EXIT_CODES.UNSUPPORTED_CHAIN);
+    }
+    
+    const result = await fetchContract(chainName, contractAddress, fetchOptions);
+    const document = buildResultDocument(result);
+    logger.result(document);
+    process.exit(document.exitCode);
   } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
+    // Errors that escape fetchContract: bad input, or every RPC endpoint down
+    const exitCode = isNetworkFailure(error) ? EXIT_CODES.NETWORK_FAILURE : EXIT_CODES.ERROR;
+    logger.error('Error:', error.message);
+    logger.result({ status: 'error', exitCode, error: error.message });
+    process.exit(exitCode);
   }
 }
 
@@ -184,4 +1036,4 @@ if (isMainModule) {
   main();
 }
 
-export default { fetchContract };
+export default { fetchContract, getExitCode, buildResultDocument, EXIT_CODES };
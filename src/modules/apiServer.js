@@ -0,0 +1,532 @@
+/**
+ * API Server Module
+ * Local HTTP service exposing fetch, proxy detection, source fetching and parsing
+ *
+ * Endpoints (JSON unless noted):
+ *   GET  /health                       - { status: 'ok', jobs }
+ *   GET  /chains                       - supported chains
+ *   POST /fetch                        - { chain, address, options } -> fetch job (202, or 200 when
+ *                                        the same fetch finished recently)
+ *   GET  /jobs, /jobs/<id>             - job status; a finished job carries the result document
+ *   GET  /proxy/<chain>/<address>      - detectProxy (?block=<n> for a historical read)
+ *   GET  /source/<chain>/<address>     - fetchContractSource
+ *   POST /parse                        - { sourceCode, language? } -> parseSourceCode
+ *   GET  /files/<path>                 - saved output tree: directory listing, or the file itself
+ *                                        (?download=1 sends it as an attachment)
+ *
+ * Fetches run as jobs in a queue with bounded concurrency. Results are kept in an in-process
+ * cache for cacheTtlMs, so a repeat request is answered at once; identical requests made while
+ * one is running share it. The on-disk cache (cache.js) still applies underneath.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { getChainConfig, getSupportedChains, resolveChainName } from './chainConfig.js';
+import { detectProxy } from './proxyDetector.js';
+import { fetchContractSource } from './sourceFetcher.js';
+import { OUTPUT_DIR, SOURCE_LANGUAGES, parseSourceCode } from './sourceParser.js';
+import { FRAMEWORKS } from './projectExporter.js';
+import { logger } from './logger.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const DEFAULT_SERVER_OPTIONS = {
+  concurrency: 2,          // Fetch jobs run at once
+  cacheTtlMs: 10 * 60000,  // How long results answer repeat requests
+  maxJobs: 500,            // Finished jobs kept for polling (oldest dropped first)
+  maxBodyBytes: 20 * 1024 * 1024
+};
+
+// fetchContract options a client may set
+const FETCH_OPTIONS = {
+  decompile: 'boolean',
+  crawl: 'boolean',
+  crawlDepth: 'number',
+  blockTag: 'number',
+  history: 'boolean',
+  verify: 'boolean',
+  exportFramework: 'string'
+};
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.sol': 'text/plain; charset=utf-8',
+  '.vy': 'text/plain; charset=utf-8',
+  '.vyi': 'text/plain; charset=utf-8',
+  '.diff': 'text/plain; charset=utf-8',
+  '.dot': 'text/plain; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Error answered with an HTTP status
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * In-process result cache: stores promises, so concurrent identical requests share one
+ * call, and drops failures so they are retried
+ * @param {number} ttlMs - Entry lifetime
+ * @returns {Object} { get(key, fn) -> { value, hit }, clear() }
+ */
+function createMemoCache(ttlMs) {
+  const entries = new Map();
+
+  return {
+    async get(key, fn) {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return { value: await entry.promise, hit: true };
+      }
+
+      const promise = Promise.resolve().then(fn);
+      entries.set(key, { promise, expiresAt: Date.now() + ttlMs });
+      try {
+        return { value: await promise, hit: false };
+      } catch (error) {
+        entries.delete(key);
+        throw error;
+      }
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Validate a chain and an address from the request
+ * @param {string} chain - Chain name, alias or chain ID
+ * @param {string} address - Contract address
+ * @returns {Object} { chain: registry name, address }
+ */
+function validateTarget(chain, address) {
+  const chainName = resolveChainName(chain);
+  if (!chainName) {
+    throw new HttpError(400, `Unsupported chain: ${chain}. Supported chains: ${getSupportedChains().join(', ')}`);
+  }
+  if (!/^0x[0-9a-fA-F]{40}$/.test(String(address || ''))) {
+    throw new HttpError(400, `Invalid address: ${address}`);
+  }
+  return { chain: chainName, address };
+}
+
+/**
+ * Whether a parsed JSON value is an object (not null or an array)
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate the fetch options of a job request
+ * Values follow the CLI's rules for --depth, --block and --export
+ * @param {Object} options - Requested options
+ * @returns {Object} fetchContract options
+ */
+function validateFetchOptions(options = {}) {
+  if (!isPlainObject(options)) {
+    throw new HttpError(400, 'options must be an object');
+  }
+  for (const [name, value] of Object.entries(options)) {
+    if (!FETCH_OPTIONS[name]) {
+      throw new HttpError(400, `Unknown fetch option: ${name} (expected ${Object.keys(FETCH_OPTIONS).join(', ')})`);
+    }
+    if (typeof value !== FETCH_OPTIONS[name]) {
+      throw new HttpError(400, `Fetch option ${name} must be a ${FETCH_OPTIONS[name]}`);
+    }
+  }
+  for (const name of ['crawlDepth', 'blockTag']) {
+    if (options[name] !== undefined && !(Number.isInteger(options[name]) && options[name] >= 0)) {
+      throw new HttpError(400, `Fetch option ${name} must be a non-negative integer`);
+    }
+  }
+  if (options.exportFramework !== undefined && !FRAMEWORKS.includes(options.exportFramework)) {
+    throw new HttpError(400, `Invalid exportFramework: ${options.exportFramework} (expected ${FRAMEWORKS.join(' or ')})`);
+  }
+  return options;
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Object>} Parsed body ({} when empty); anything but a JSON object is rejected
+ */
+async function readJsonBody(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new HttpError(413, `Request body larger than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) return {};
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (!isPlainObject(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(payload), ...headers });
+  res.end(payload);
+}
+
+/**
+ * Public view of a job
+ * @param {Object} job - Job record
+ * @returns {Object} Job without internals
+ */
+function describeJob(job) {
+  const { key, ...visible } = job;
+  return visible;
+}
+
+/**
+ * Create the fetch job queue
+ * @param {Function} runFetch - async (chain, address, options) -> JSON-safe result document
+ * @param {Object} options - { concurrency, cacheTtlMs, maxJobs }
+ * @returns {Object} Job queue
+ */
+function createJobQueue(runFetch, { concurrency, cacheTtlMs, maxJobs }) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const prune = () => {
+    const finished = [...jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, jobs.size - maxJobs))) {
+      jobs.delete(job.id);
+    }
+  };
+
+  const pump = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      running++;
+      job.status = JOB_STATUS.RUNNING;
+      job.startedAt = new Date().toISOString();
+      logger.info(`  ▶ Job ${job.id}: fetching ${job.chain} ${job.address}`);
+
+      Promise.resolve()
+        .then(() => runFetch(job.chain, job.address, job.options))
+        .then(result => {
+          job.status = JOB_STATUS.SUCCEEDED;
+          job.result = result;
+        })
+        .catch(error => {
+          job.status = JOB_STATUS.FAILED;
+          job.error = error.message;
+        })
+        .finally(() => {
+          job.finishedAt = new Date().toISOString();
+          running--;
+          logger.info(`  ${job.status === JOB_STATUS.SUCCEEDED ? '✓' : '✗'} Job ${job.id}: ${job.status}`);
+          prune();
+          pump();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queue a fetch, or return the job already answering the same request
+     * @returns {Object} { job, reused }
+     */
+    submit(chain, address, options) {
+      const key = JSON.stringify([chain, address.toLowerCase(), Object.entries(options).sort()]);
+      const existing = [...jobs.values()].reverse().find(job => job.key === key && (
+        !job.finishedAt || (job.status === JOB_STATUS.SUCCEEDED && Date.parse(job.finishedAt) + cacheTtlMs > Date.now())
+      ));
+      if (existing) {
+        return { job: existing, reused: true };
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        key,
+        status: JOB_STATUS.QUEUED,
+        chain,
+        address,
+        options,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      pump();
+      return { job, reused: false };
+    },
+    get: (id) => jobs.get(id) || null,
+    list: () => [...jobs.values()],
+    stats: () => ({ queued: pending.length, running, total: jobs.size })
+  };
+}
+
+/**
+ * List a directory or send a file of the output tree
+ * @param {http.ServerResponse} res - Response
+ * @param {string} relativePath - Path under the output directory
+ * @param {boolean} download - Send files as attachments
+ */
+function serveOutputPath(res, relativePath, download) {
+  const root = path.resolve(OUTPUT_DIR);
+  const target = path.resolve(root, `.${path.sep}${relativePath}`);
+  if (target !== root && !target.startsWith(root + path.sep)) {
+    throw new HttpError(403, 'Path outside the output directory');
+  }
+  if (!fs.existsSync(target)) {
+    throw new HttpError(404, `Not found: /files/${relativePath}`);
+  }
+
+  const stats = fs.statSync(target);
+  if (stats.isDirectory()) {
+    const entries = fs.readdirSync(target, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() || entry.isFile())
+      .map(entry => {
+        const entryPath = path.join(target, entry.name);
+        return entry.isDirectory()
+          ? { name: entry.name, type: 'directory' }
+          : { name: entry.name, type: 'file', size: fs.statSync(entryPath).size };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    sendJson(res, 200, { path: path.relative(root, target).split(path.sep).join('/'), entries });
+    return;
+  }
+
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(target).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': stats.size
+  };
+  if (download) {
+    headers['Content-Disposition'] = `attachment; filename="${path.basename(target).replace(/"/g, '')}"`;
+  }
+  // Headers go out once the file is open, so a file that cannot be read still gets a JSON error
+  const stream = fs.createReadStream(target);
+  stream.once('open', () => {
+    res.writeHead(200, headers);
+    stream.pipe(res);
+  });
+  stream.on('error', (error) => {
+    logger.error(`  ✗ Could not send /files/${relativePath}: ${error.message}`);
+    if (!res.headersSent) {
+      sendJson(res, error.code === 'ENOENT' ? 404 : 500, { error: `Could not read /files/${relativePath}` });
+    } else {
+      res.destroy(error);
+    }
+  });
+}
+
+/**
+ * Decode a percent-encoded URL path segment
+ * @param {string} segment - Encoded segment
+ * @returns {string} Decoded segment
+ * @throws {HttpError} 400 for a malformed escape (e.g. a lone '%')
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Malformed URL escape in ${segment}`);
+  }
+}
+
+/**
+ * Create the API server (not listening yet)
+ * @param {Object} options - Server options
+ * @param {Function} options.fetchContract - async (chain, address, options) -> JSON-safe result
+ *   document (the CLI passes fetchContract followed by buildResultDocument)
+ * @param {Object} options.handlers - Overrides for detectProxy, fetchContractSource and parseSourceCode
+ * @param {number} options.concurrency - Fetch jobs run at once (default: 2)
+ * @param {number} options.cacheTtlMs - In-process cache lifetime (default: 10 minutes)
+ * @param {number} options.maxJobs - Finished jobs kept for polling (default: 500)
+ * @returns {http.Server} Server, with `api` holding the job queue and cache
+ */
+export function createApiServer(options = {}) {
+  const settings = { ...DEFAULT_SERVER_OPTIONS, ...options };
+  if (typeof settings.fetchContract !== 'function') {
+    throw new Error('createApiServer requires a fetchContract function');
+  }
+  if (!(Number.isInteger(settings.concurrency) && settings.concurrency > 0)) {
+    throw new Error(`Invalid concurrency: ${settings.concurrency}`);
+  }
+
+  const handlers = { detectProxy, fetchContractSource, parseSourceCode, ...settings.handlers };
+  const cache = createMemoCache(settings.cacheTtlMs);
+  const jobs = createJobQueue(settings.fetchContract, settings);
+
+  // [method, pattern, handler(match, req, url, res)]; handlers return [status, body, headers?]
+  const routes = [
+    ['GET', /^\/health$/, () => [200, { status: 'ok', jobs: jobs.stats() }]],
+
+    ['GET', /^\/chains$/, () => [200, {
+      chains: getSupportedChains().map(key => {
+        const { name, chainId, aliases } = getChainConfig(key);
+        return { key, name, chainId, aliases };
+      })
+    }]],
+
+    ['POST', /^\/fetch$/, async (match, req) => {
+      const body = await readJsonBody(req, settings.maxBodyBytes);
+      const { chain, address } = validateTarget(body.chain, body.address);
+      const { job, reused } = jobs.submit(chain, address, validateFetchOptions(body.options));
+      const finished = job.status === JOB_STATUS.SUCCEEDED;
+      return [finished ? 200 : 202, { ...describeJob(job), reused, statusUrl: `/jobs/${job.id}` }, { Location: `/jobs/${job.id}` }];
+    }],
+
+    ['GET', /^\/jobs$/, () => [200, {
+      jobs: jobs.list().map(({ result, ...job }) => describeJob(job))
+    }]],
+
+    ['GET', /^\/jobs\/([\w-]+)$/, (match) => {
+      const job = jobs.get(match[1]);
+      if (!job) throw new HttpError(404, `Unknown job: ${match[1]}`);
+      return [200, describeJob(job)];
+    }],
+
+    ['GET', /^\/proxy\/([^/]+)\/([^/]+)$/, async (match, req, url) => {
+      const { chain, address } = validateTarget(decodePathSegment(match[1]), match[2]);
+      const block = url.searchParams.get('block');
+      if (block !== null && !/^\d+$/.test(block)) {
+        throw new HttpError(400, `Invalid block: ${block}`);
+      }
+      const blockTag = block === null ? 'latest' : Number(block);
+      const { value, hit } = await cache.get(`proxy:${chain}:${address.toLowerCase()}:${blockTag}`, async () => {
+        const { value: sourceData } = await cache.get(`source:${chain}:${address.toLowerCase()}`, () => handlers.fetchContractSource(chain, address))
+          .catch(() => ({ value: null }));
+        return handlers.detectProxy(chain, address, sourceData, { blockTag });
+      });
+      return [200, value, { 'X-Cache': hit ? 'hit' : 'miss' }];
+    }],
+
+    ['GET', /^\/source\/([^/]+)\/([^/]+)$/, async (match) => {
+      const { chain, address } = validateTarget(decodePathSegment(match[1]), match[2]);
+      const { value, hit } = await cache.get(`source:${chain}:${address.toLowerCase()}`, () => handlers.fetchContractSource(chain, address));
+      return [200, value, { 'X-Cache': hit ? 'hit' : 'miss' }];
+    }],
+
+    ['POST', /^\/parse$/, async (match, req) => {
+      const body = await readJsonBody(req, settings.maxBodyBytes);
+      if (typeof body.sourceCode !== 'string') {
+        throw new HttpError(400, 'sourceCode must be a string');
+      }
+      if (body.language !== undefined && !Object.values(SOURCE_LANGUAGES).includes(body.language)) {
+        throw new HttpError(400, `language must be one of ${Object.values(SOURCE_LANGUAGES).join(', ')}`);
+      }
+      return [200, handlers.parseSourceCode(body.sourceCode, { language: body.language || null })];
+    }]
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    logger.debug(`  ℹ ${req.method} ${url.pathname}`);
+
+    try {
+      const filesMatch = url.pathname.match(/^\/files(?:\/(.*))?$/);
+      if (filesMatch) {
+        if (req.method !== 'GET') throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+        serveOutputPath(res, decodePathSegment(filesMatch[1] || ''), url.searchParams.has('download'));
+        return;
+      }
+
+      const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+      if (matching.length === 0) {
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+      }
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) {
+        throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+      }
+
+      const [, pattern, handler] = route;
+      const [status, body, headers] = await handler(url.pathname.match(pattern), req, url, res);
+      sendJson(res, status, body, headers);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        logger.error(`  ✗ ${req.method} ${url.pathname}: ${error.message}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, { error: error.message });
+      } else {
+        res.destroy(error);
+      }
+    }
+  });
+
+  server.api = { jobs, cache };
+  return server;
+}
+
+/**
+ * Create the API server and start listening
+ * @param {Object} options - createApiServer options, plus port (default: 3000) and host (default: 127.0.0.1)
+ * @returns {Promise<Object>} { server, url, close }
+ */
+export async function startApiServer(options = {}) {
+  const { port = 3000, host = '127.0.0.1', ...serverOptions } = options;
+  const server = createApiServer(serverOptions);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+  return {
+    server,
+    url,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+export default {
+  JOB_STATUS,
+  HttpError,
+  createApiServer,
+  startApiServer
+};
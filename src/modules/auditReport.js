@@ -0,0 +1,469 @@
+/**
+ * Audit Report Module
+ * Writes a human-readable report.md and a self-contained report.html for a fetched contract
+ *
+ * The report is built from what fetchContract already has: the detectProxy result and
+ * the audit manifest (generateAuditMetadata) of every saved contract. Nothing is fetched
+ * again. It covers the chain and address, proxy detection, verification and compiler
+ * info, the file inventory by audit priority, red flags, excluded files and SLOC totals.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createOutputDirectory } from './sourceParser.js';
+import { PROXY_STATUS } from './proxyDetector.js';
+
+export const REPORT_FILE_NAMES = {
+  markdown: 'report.md',
+  html: 'report.html'
+};
+
+const PRIORITIES = [
+  ['critical', 'Critical'],
+  ['high', 'High'],
+  ['medium', 'Medium'],
+  ['low', 'Low'],
+  ['excluded', 'Excluded']
+];
+
+const BYTECODE_LABELS = {
+  exact: 'Exact match',
+  partial: 'Partial match (metadata hash differs)',
+  mismatch: 'Mismatch',
+  skipped: 'Skipped',
+  error: 'Verification failed'
+};
+
+/**
+ * Describe the proxy detection result
+ * @param {Object|null} proxyInfo - detectProxy result
+ * @returns {Object} { kind, detectionMethod, implementationAddress, facets, errors }
+ */
+function describeProxy(proxyInfo) {
+  if (!proxyInfo) {
+    return { kind: 'Not checked', detectionMethod: null, implementationAddress: null, facets: [], errors: [] };
+  }
+
+  let kind = 'Not a proxy';
+  if (proxyInfo.isDiamond) {
+    kind = 'Diamond (EIP-2535)';
+  } else if (proxyInfo.isProxy) {
+    kind = 'Proxy';
+  } else if (proxyInfo.status === PROXY_STATUS.INCONCLUSIVE) {
+    kind = 'Inconclusive (RPC reads failed)';
+  }
+
+  return {
+    kind,
+    detectionMethod: proxyInfo.detectionMethod || null,
+    implementationAddress: proxyInfo.implementationAddress || null,
+    facets: (proxyInfo.facets || []).map(facet => ({ address: facet.facetAddress, selectors: facet.selectors.length })),
+    errors: proxyInfo.status === PROXY_STATUS.INCONCLUSIVE ? (proxyInfo.rpcErrors || [proxyInfo.error]).filter(Boolean) : []
+  };
+}
+
+/**
+ * Summarize one fetched contract from its source result and audit manifest
+ * @param {Object} sourceResult - Entry of fetchContract's sourceResults
+ * @returns {Object} Contract section of the report
+ */
+function describeContract(sourceResult) {
+  const manifest = sourceResult.auditManifest || null;
+  const sourceData = sourceResult.sourceData || {};
+  const contract = {
+    type: sourceResult.type,
+    address: sourceResult.address,
+    verified: Boolean(sourceResult.verified),
+    decompiled: Boolean(sourceResult.decompiled),
+    decompileTool: sourceResult.decompileTool || null,
+    error: sourceResult.error || null,
+    contractName: manifest?.contractName || sourceData.contractName || null,
+    compiler: null,
+    mainContractPath: manifest?.mainContractPath || null,
+    files: [],
+    redFlags: [],
+    excluded: [],
+    totals: { files: 0, auditFiles: 0, excludedFiles: 0, lines: 0, sloc: 0, auditSloc: 0, reductionPercentage: 0 }
+  };
+
+  if (!manifest) {
+    return contract;
+  }
+
+  contract.compiler = {
+    sourceProvider: manifest.sourceProvider || sourceData.sourceProvider || null,
+    compilerVersion: manifest.compilerVersion || sourceData.compilerVersion || null,
+    optimizer: sourceData.optimizationUsed === undefined ? null : (sourceData.optimizationUsed ? `enabled, ${sourceData.runs} runs` : 'disabled'),
+    evmVersion: sourceData.evmVersion || null,
+    license: sourceData.licenseType || null,
+    bytecode: manifest.bytecodeVerification ? BYTECODE_LABELS[manifest.bytecodeVerification.status] || manifest.bytecodeVerification.status : null
+  };
+
+  const rank = Object.fromEntries(PRIORITIES.map(([priority], index) => [priority, index]));
+  contract.files = Object.entries(manifest.files || {})
+    .map(([file, stats]) => ({ file, ...stats }))
+    .sort((a, b) => rank[a.priority] - rank[b.priority] || a.file.localeCompare(b.file));
+
+  // Modified vendor files carry the closest release once saveVendorDiffs has run
+  const modified = new Map((sourceResult.vendorFiles?.modified || manifest.vendorFiles?.modified || []).map(entry => [entry.file, entry]));
+  contract.redFlags = (manifest.redFlags || []).map(redFlag => {
+    const vendor = modified.get(redFlag.file);
+    const closest = vendor?.closestVersion ? `${vendor.package}@${vendor.closestVersion} (+${vendor.addedLines} -${vendor.removedLines})` : null;
+    return { ...redFlag, vendor: closest };
+  });
+
+  const known = new Map((manifest.vendorFiles?.known || []).map(entry => [entry.file, entry]));
+  contract.excluded = Object.entries(manifest.excludedReasons || {})
+    .map(([file, reason]) => {
+      const vendor = known.get(file);
+      return { file, reason, vendor: vendor ? `${vendor.package}@${vendor.versions.join(', ')}` : null };
+    })
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+  contract.totals = {
+    files: manifest.totalFiles,
+    auditFiles: manifest.auditFiles,
+    excludedFiles: manifest.excludedFiles,
+    lines: manifest.totalLines || 0,
+    sloc: manifest.totalSloc || 0,
+    auditSloc: manifest.auditSloc || 0,
+    reductionPercentage: manifest.reductionPercentage
+  };
+
+  return contract;
+}
+
+/**
+ * Build the report model from a fetchContract result
+ * @param {Object} result - fetchContract result
+ * @returns {Object} { generatedAt, chain, contractAddress, blockTag, explorerUrl, proxy, contracts, totals }
+ */
+export function buildAuditReport(result) {
+  const chainConfig = result.chainConfig || {};
+  const contracts = result.sourceResults.map(describeContract);
+  const mainContract = contracts.find(contract => contract.type === 'implementation') || contracts[0];
+
+  return {
+    generatedAt: new Date().toISOString(),
+    title: mainContract?.contractName || result.contractAddress,
+    chain: {
+      key: result.chainName,
+      name: chainConfig.name || result.chainName,
+      chainId: chainConfig.chainId ?? null
+    },
+    contractAddress: result.contractAddress,
+    blockTag: result.blockTag ?? 'latest',
+    explorerUrl: chainConfig.explorerUrl ? `${chainConfig.explorerUrl}/address/${result.contractAddress}` : null,
+    proxy: describeProxy(result.proxyInfo),
+    contracts,
+    totals: {
+      files: contracts.reduce((sum, contract) => sum + contract.totals.files, 0),
+      auditFiles: contracts.reduce((sum, contract) => sum + contract.totals.auditFiles, 0),
+      sloc: contracts.reduce((sum, contract) => sum + contract.totals.sloc, 0),
+      auditSloc: contracts.reduce((sum, contract) => sum + contract.totals.auditSloc, 0),
+      redFlags: contracts.reduce((sum, contract) => sum + contract.redFlags.length, 0)
+    }
+  };
+}
+
+/**
+ * Verification status of a contract, in a few words
+ * @param {Object} contract - Contract section
+ * @returns {string} Status
+ */
+function verificationLabel(contract) {
+  if (contract.verified) return 'Verified';
+  if (contract.decompiled) return `Not verified, decompiled${contract.decompileTool ? ` with ${contract.decompileTool}` : ''}`;
+  return contract.error ? `Not saved: ${contract.error}` : 'Not verified';
+}
+
+/**
+ * Rows of the compiler table, without the empty ones
+ * @param {Object} contract - Contract section
+ * @returns {string[][]} [label, value] pairs
+ */
+function compilerRows(contract) {
+  const compiler = contract.compiler;
+  return [
+    ['Verification', verificationLabel(contract)],
+    ['Source provider', compiler?.sourceProvider],
+    ['Compiler', compiler?.compilerVersion],
+    ['Optimizer', compiler?.optimizer],
+    ['EVM version', compiler?.evmVersion],
+    ['License', compiler?.license],
+    ['Bytecode check', compiler?.bytecode],
+    ['Main contract', contract.mainContractPath]
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render a Markdown table
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Rows of cell values
+ * @returns {string} Table
+ */
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Render the report as Markdown
+ * @param {Object} report - From buildAuditReport
+ * @returns {string} report.md content
+ */
+export function renderMarkdownReport(report) {
+  const lines = [];
+  const address = report.explorerUrl ? `[\`${report.contractAddress}\`](${report.explorerUrl})` : `\`${report.contractAddress}\``;
+
+  lines.push(`# Audit Report: ${report.title}`, '');
+  lines.push(markdownTable(['', ''], [
+    ['Chain', `${report.chain.name}${report.chain.chainId !== null ? ` (ID ${report.chain.chainId})` : ''}`],
+    ['Address', address],
+    ['Block', report.blockTag],
+    ['Generated', report.generatedAt]
+  ]), '');
+
+  lines.push('## Proxy', '');
+  const proxyRows = [['Type', report.proxy.kind]];
+  if (report.proxy.detectionMethod) proxyRows.push(['Detection method', report.proxy.detectionMethod]);
+  if (report.proxy.implementationAddress) proxyRows.push(['Implementation', `\`${report.proxy.implementationAddress}\``]);
+  if (report.proxy.facets.length > 0) proxyRows.push(['Facets', report.proxy.facets.length]);
+  lines.push(markdownTable(['', ''], proxyRows), '');
+  if (report.proxy.facets.length > 0) {
+    lines.push(markdownTable(['Facet', 'Selectors'], report.proxy.facets.map(facet => [`\`${facet.address}\``, facet.selectors])), '');
+  }
+  for (const error of report.proxy.errors) {
+    lines.push(`- ⚠️ ${error}`);
+  }
+  if (report.proxy.errors.length > 0) lines.push('');
+
+  lines.push('## Summary', '');
+  lines.push(markdownTable(
+    ['Contract', 'Address', 'Status', 'Files', 'Audit files', 'SLOC', 'Audit SLOC', 'Red flags'],
+    [
+      ...report.contracts.map(contract => [
+        `${contract.type}${contract.contractName ? `: ${contract.contractName}` : ''}`,
+        `\`${contract.address}\``,
+        verificationLabel(contract),
+        contract.totals.files,
+        contract.totals.auditFiles,
+        contract.totals.sloc,
+        contract.totals.auditSloc,
+        contract.redFlags.length
+      ]),
+      ['**Total**', '', '', report.totals.files, report.totals.auditFiles, report.totals.sloc, report.totals.auditSloc, report.totals.redFlags]
+    ]
+  ), '');
+
+  for (const contract of report.contracts) {
+    lines.push(`## ${contract.type}${contract.contractName ? `: ${contract.contractName}` : ''}`, '');
+    lines.push(`\`${contract.address}\``, '');
+    lines.push(markdownTable(['', ''], compilerRows(contract)), '');
+
+    if (!contract.compiler) continue;
+
+    lines.push('### Red Flags', '');
+    if (contract.redFlags.length === 0) {
+      lines.push('None.', '');
+    } else {
+      for (const redFlag of contract.redFlags) {
+        lines.push(`- 🚨 \`${redFlag.file}\` (${redFlag.reason}${redFlag.vendor ? `, closest release ${redFlag.vendor}` : ''}): ${redFlag.warning}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('### Files by Audit Priority', '');
+    for (const [priority, label] of PRIORITIES) {
+      const files = contract.files.filter(file => file.priority === priority);
+      if (files.length === 0) continue;
+      const sloc = files.reduce((sum, file) => sum + file.sloc, 0);
+      lines.push(`#### ${label} (${files.length} file(s), ${sloc} SLOC)`, '');
+      lines.push(markdownTable(['File', 'Category', 'Lines', 'SLOC'], files.map(file => [`\`${file.file}\``, file.category, file.lines, file.sloc])), '');
+    }
+
+    lines.push('### Excluded Files', '');
+    if (contract.excluded.length === 0) {
+      lines.push('None.', '');
+    } else {
+      lines.push(markdownTable(['File', 'Reason', 'Vendor release'], contract.excluded.map(entry => [`\`${entry.file}\``, entry.reason, entry.vendor || ''])), '');
+    }
+
+    lines.push(`SLOC: ${contract.totals.sloc} total, ${contract.totals.auditSloc} to audit (${contract.totals.lines} lines, ${contract.totals.reductionPercentage}% of files excluded).`, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an HTML table (cells are escaped unless wrapped with { html })
+ * @param {string[]|null} headers - Column headers, null for a key/value table
+ * @param {Array[]} rows - Rows of cell values
+ * @returns {string} Table
+ */
+function htmlTable(headers, rows) {
+  const render = value => (value && typeof value === 'object' && 'html' in value ? value.html : escapeHtml(value));
+  const head = headers ? `<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` : '';
+  const body = rows.map(row => `<tr>${row.map((value, index) => (!headers && index === 0 ? `<th>${render(value)}</th>` : `<td>${render(value)}</td>`)).join('')}</tr>`).join('\n');
+  return `<table>${head}<tbody>\n${body}\n</tbody></table>`;
+}
+
+const code = value => ({ html: `<code>${escapeHtml(value)}</code>` });
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 1100px; margin: 2em auto; padding: 0 1em; color: #1f2328; line-height: 1.45; }
+h1, h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3em; }
+table { border-collapse: collapse; margin: .5em 0 1.2em; }
+th, td { border: 1px solid #d0d7de; padding: .3em .7em; text-align: left; vertical-align: top; }
+thead th, tbody th { background: #f6f8fa; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .9em; }
+.red-flag { color: #cf222e; }
+.priority-critical { background: #ffebe9; }
+.priority-excluded { color: #656d76; }
+footer { color: #656d76; font-size: .85em; margin-top: 2em; }
+`;
+
+/**
+ * Render the report as a self-contained HTML page (inline styles, no external resources)
+ * @param {Object} report - From buildAuditReport
+ * @returns {string} report.html content
+ */
+export function renderHtmlReport(report) {
+  const parts = [];
+  const address = report.explorerUrl
+    ? { html: `<a href="${escapeHtml(report.explorerUrl)}"><code>${escapeHtml(report.contractAddress)}</code></a>` }
+    : code(report.contractAddress);
+
+  parts.push(`<h1>Audit Report: ${escapeHtml(report.title)}</h1>`);
+  parts.push(htmlTable(null, [
+    ['Chain', `${report.chain.name}${report.chain.chainId !== null ? ` (ID ${report.chain.chainId})` : ''}`],
+    ['Address', address],
+    ['Block', report.blockTag]
+  ]));
+
+  parts.push('<h2>Proxy</h2>');
+  const proxyRows = [['Type', report.proxy.kind]];
+  if (report.proxy.detectionMethod) proxyRows.push(['Detection method', report.proxy.detectionMethod]);
+  if (report.proxy.implementationAddress) proxyRows.push(['Implementation', code(report.proxy.implementationAddress)]);
+  if (report.proxy.facets.length > 0) proxyRows.push(['Facets', report.proxy.facets.length]);
+  parts.push(htmlTable(null, proxyRows));
+  if (report.proxy.facets.length > 0) {
+    parts.push(htmlTable(['Facet', 'Selectors'], report.proxy.facets.map(facet => [code(facet.address), facet.selectors])));
+  }
+  if (report.proxy.errors.length > 0) {
+    parts.push(`<ul>${report.proxy.errors.map(error => `<li>⚠️ ${escapeHtml(error)}</li>`).join('')}</ul>`);
+  }
+
+  parts.push('<h2>Summary</h2>');
+  parts.push(htmlTable(
+    ['Contract', 'Address', 'Status', 'Files', 'Audit files', 'SLOC', 'Audit SLOC', 'Red flags'],
+    [
+      ...report.contracts.map(contract => [
+        `${contract.type}${contract.contractName ? `: ${contract.contractName}` : ''}`,
+        code(contract.address),
+        verificationLabel(contract),
+        contract.totals.files,
+        contract.totals.auditFiles,
+        contract.totals.sloc,
+        contract.totals.auditSloc,
+        contract.redFlags.length
+      ]),
+      [{ html: '<strong>Total</strong>' }, '', '', report.totals.files, report.totals.auditFiles, report.totals.sloc, report.totals.auditSloc, report.totals.redFlags]
+    ]
+  ));
+
+  for (const contract of report.contracts) {
+    parts.push(`<h2>${escapeHtml(contract.type)}${contract.contractName ? `: ${escapeHtml(contract.contractName)}` : ''}</h2>`);
+    parts.push(`<p><code>${escapeHtml(contract.address)}</code></p>`);
+    parts.push(htmlTable(null, compilerRows(contract)));
+
+    if (!contract.compiler) continue;
+
+    parts.push('<h3>Red Flags</h3>');
+    if (contract.redFlags.length === 0) {
+      parts.push('<p>None.</p>');
+    } else {
+      parts.push(`<ul>${contract.redFlags.map(redFlag =>
+        `<li class="red-flag">🚨 <code>${escapeHtml(redFlag.file)}</code> (${escapeHtml(redFlag.reason)}${redFlag.vendor ? `, closest release ${escapeHtml(redFlag.vendor)}` : ''}): ${escapeHtml(redFlag.warning)}</li>`).join('\n')}</ul>`);
+    }
+
+    parts.push('<h3>Files by Audit Priority</h3>');
+    parts.push(`<table><thead><tr><th>File</th><th>Priority</th><th>Category</th><th>Lines</th><th>SLOC</th></tr></thead><tbody>\n${contract.files.map(file =>
+      `<tr class="priority-${escapeHtml(file.priority)}"><td><code>${escapeHtml(file.file)}</code></td><td>${escapeHtml(file.priority)}</td><td>${escapeHtml(file.category)}</td><td>${file.lines}</td><td>${file.sloc}</td></tr>`).join('\n')}\n</tbody></table>`);
+
+    parts.push('<h3>Excluded Files</h3>');
+    if (contract.excluded.length === 0) {
+      parts.push('<p>None.</p>');
+    } else {
+      parts.push(htmlTable(['File', 'Reason', 'Vendor release'], contract.excluded.map(entry => [code(entry.file), entry.reason, entry.vendor || ''])));
+    }
+
+    parts.push(`<p>SLOC: ${contract.totals.sloc} total, ${contract.totals.auditSloc} to audit (${contract.totals.lines} lines, ${contract.totals.reductionPercentage}% of files excluded).</p>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Audit Report: ${escapeHtml(report.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${parts.join('\n')}
+<footer>Generated ${escapeHtml(report.generatedAt)}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write report.md and report.html into the contract's output directory
+ * @param {Object} result - fetchContract result
+ * @returns {Object} { markdownPath, htmlPath, report }
+ */
+export function writeAuditReport(result) {
+  const report = buildAuditReport(result);
+  const outputDir = createOutputDirectory(result.chainName, result.contractAddress);
+
+  const markdownPath = path.join(outputDir, REPORT_FILE_NAMES.markdown);
+  fs.writeFileSync(markdownPath, renderMarkdownReport(report), 'utf8');
+
+  const htmlPath = path.join(outputDir, REPORT_FILE_NAMES.html);
+  fs.writeFileSync(htmlPath, renderHtmlReport(report), 'utf8');
+
+  return { markdownPath, htmlPath, report };
+}
+
+export default {
+  REPORT_FILE_NAMES,
+  buildAuditReport,
+  renderMarkdownReport,
+  renderHtmlReport,
+  writeAuditReport
+};
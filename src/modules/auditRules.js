@@ -0,0 +1,255 @@
+/**
+ * Audit Rules Module
+ * Decides which fetched files are kept for audit, from a declarative rules file
+ *
+ * Sources, later ones taking precedence:
+ *   1. src/config/audit-rules.json                 - built-in rules
+ *   2. Project override file (JSON)                - --rules <file>, AUDIT_RULES, or
+ *                                                    audit-rules.local.json in the project root
+ *
+ * Rules are keyed by id. An override's fields merge into the rule with the same id,
+ * new ids add rules, and null removes a rule. Each rule has:
+ *   action      - 'exclude' (not audited), 'include' (kept) or 'red-flag' (kept with a warning)
+ *   priority    - higher priorities are checked first; the first matching rule decides
+ *   reason      - recorded for the file (default: the rule id)
+ *   patterns    - regular expressions tested against the path (case-insensitive
+ *                 unless caseSensitive is set)
+ *   contains    - substrings of the path
+ *   warning     - message for red flags
+ *   fingerprint - exclude only when the content matches a known vendor release
+ *                 (see vendorFingerprints.js); otherwise the file is kept
+ *
+ * With the content at hand, no rule excludes a file under a fingerprinted package unless
+ * it is a known release: any other copy is a red flag. Vendor files of packages the
+ * database doesn't fingerprint are kept as unverified.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { VENDOR_STATUS, identifyVendorFile } from './vendorFingerprints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const BUILTIN_RULES_PATH = path.join(__dirname, '..', 'config', 'audit-rules.json');
+const OVERRIDE_FILE_NAME = 'audit-rules.local.json';
+
+export const RULE_ACTIONS = {
+  INCLUDE: 'include',
+  EXCLUDE: 'exclude',
+  RED_FLAG: 'red-flag'
+};
+
+const MODIFIED_VENDOR_WARNING = '⚠️ CRITICAL: Vendor library file that matches no known release - modified vendor code. Must audit!';
+
+// Loaded rules, sorted by priority (replaced by reloadAuditRules)
+let activeRules = null;
+let activeSources = [];
+
+/**
+ * Read a rules file
+ * @param {string} filePath - Rules file path
+ * @returns {Object} Rules keyed by id
+ */
+function readRulesFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data || typeof data.rules !== 'object' || Array.isArray(data.rules)) {
+    throw new Error(`Audit rules ${filePath} must contain a "rules" object`);
+  }
+  return data.rules;
+}
+
+/**
+ * Find the project override file
+ * @param {Object} env - Environment variables
+ * @returns {string|null} Override file path, or null if there is none
+ */
+export function findRulesOverrideFile(env = process.env) {
+  if (env.AUDIT_RULES) {
+    if (!fs.existsSync(env.AUDIT_RULES)) {
+      throw new Error(`AUDIT_RULES not found: ${env.AUDIT_RULES}`);
+    }
+    return env.AUDIT_RULES;
+  }
+  const candidate = path.join(PROJECT_ROOT, OVERRIDE_FILE_NAME);
+  return fs.existsSync(candidate) ? candidate : null;
+}
+
+/**
+ * Validate one rule and compile its patterns
+ * @param {string} id - Rule id
+ * @param {Object} rule - Rule definition
+ * @param {number} order - Position in the merged rules, to keep ties stable
+ * @returns {Object} Compiled rule
+ */
+function compileRule(id, rule, order) {
+  if (!Object.values(RULE_ACTIONS).includes(rule.action)) {
+    throw new Error(`Audit rule "${id}": invalid action ${rule.action} (expected ${Object.values(RULE_ACTIONS).join(', ')})`);
+  }
+  const priority = Number(rule.priority ?? 0);
+  if (!Number.isFinite(priority)) {
+    throw new Error(`Audit rule "${id}": invalid priority ${rule.priority}`);
+  }
+  if (!rule.patterns?.length && !rule.contains?.length) {
+    throw new Error(`Audit rule "${id}": needs "patterns" or "contains"`);
+  }
+
+  const flags = rule.caseSensitive ? '' : 'i';
+  const patterns = (rule.patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Audit rule "${id}": invalid pattern ${pattern} (${error.message})`);
+    }
+  });
+
+  return {
+    ...rule,
+    id,
+    priority,
+    reason: rule.reason || id,
+    patterns,
+    contains: rule.contains || [],
+    order
+  };
+}
+
+/**
+ * Load the audit rules from the built-in file and the project override file
+ * @param {Object} options - { rulesPath, overridePath, env }
+ * @returns {Object[]} Compiled rules, highest priority first
+ */
+export function loadAuditRules(options = {}) {
+  const {
+    rulesPath = BUILTIN_RULES_PATH,
+    env = process.env
+  } = options;
+  const overridePath = options.overridePath !== undefined ? options.overridePath : findRulesOverrideFile(env);
+
+  const rules = { ...readRulesFile(rulesPath) };
+
+  if (overridePath) {
+    if (!fs.existsSync(overridePath)) {
+      throw new Error(`Audit rules file not found: ${overridePath}`);
+    }
+    for (const [id, override] of Object.entries(readRulesFile(overridePath))) {
+      if (override === null) {
+        delete rules[id];
+      } else {
+        // Re-inserted, so an override wins ties with the built-in rules
+        const merged = { ...rules[id], ...override };
+        delete rules[id];
+        rules[id] = merged;
+      }
+    }
+  }
+
+  // Ties: the rule listed last (override rules come after the built-in ones) is checked first
+  return Object.entries(rules)
+    .map(([id, rule], order) => compileRule(id, rule, order))
+    .sort((a, b) => b.priority - a.priority || b.order - a.order);
+}
+
+/**
+ * Reload the active rules (e.g. after --rules selects a project file)
+ * @param {Object} options - { rulesPath, overridePath, env } (see loadAuditRules)
+ * @returns {Object[]} Active rules
+ */
+export function reloadAuditRules(options = {}) {
+  activeRules = loadAuditRules(options);
+  activeSources = [options.rulesPath || BUILTIN_RULES_PATH];
+  const overridePath = options.overridePath !== undefined ? options.overridePath : findRulesOverrideFile(options.env);
+  if (overridePath) activeSources.push(overridePath);
+  return activeRules;
+}
+
+/**
+ * Active rules, loaded on first use
+ * @returns {Object[]} Compiled rules, highest priority first
+ */
+export function getAuditRules() {
+  if (!activeRules) {
+    reloadAuditRules();
+  }
+  return activeRules;
+}
+
+/**
+ * Files the active rules were loaded from
+ * @returns {string[]} Built-in rules file, then the override file if any
+ */
+export function getAuditRulesSources() {
+  getAuditRules();
+  return [...activeSources];
+}
+
+/**
+ * First pattern or substring of a rule that matches a path
+ * @param {Object} rule - Compiled rule
+ * @param {string} filePath - Normalized path
+ * @returns {string|null} Matching pattern, null when the rule doesn't apply
+ */
+function matchRule(rule, filePath) {
+  const pattern = rule.patterns.find(regex => regex.test(filePath));
+  if (pattern) return pattern.toString();
+  const substring = rule.contains.find(value => filePath.includes(value));
+  return substring || null;
+}
+
+/**
+ * Evaluate the rules for one file
+ * Without content, fingerprint rules decide by path alone. With it, a file under a
+ * fingerprinted package that is not a known release is a red flag whichever rule matches
+ * its path, or when none does
+ * @param {string} filePath - Source unit name
+ * @param {string|null} content - File content
+ * @returns {Object} { shouldExclude, action, reason, rule, pattern, warning? } - files no
+ *   rule matches are kept as 'custom-contract'
+ */
+export function evaluateAuditRules(filePath, content = null) {
+  const normalizedPath = filePath.replace(/\\/g, '/').replace(/^\/+/, '');
+  const vendor = content !== null ? identifyVendorFile(normalizedPath, content) : null;
+  const modifiedVendor = (result) => ({
+    ...result,
+    shouldExclude: false,
+    action: RULE_ACTIONS.RED_FLAG,
+    reason: 'modified-vendor',
+    warning: MODIFIED_VENDOR_WARNING
+  });
+
+  for (const rule of getAuditRules()) {
+    const pattern = matchRule(rule, normalizedPath);
+    if (!pattern) continue;
+
+    const result = { action: rule.action, reason: rule.reason, rule: rule.id, pattern };
+
+    if (rule.action === RULE_ACTIONS.RED_FLAG) {
+      return { ...result, shouldExclude: false, warning: rule.warning || `⚠️ Red flag (${rule.reason}) - must audit!` };
+    }
+    if (vendor?.status === VENDOR_STATUS.MODIFIED) {
+      return modifiedVendor(result);
+    }
+    if (rule.action === RULE_ACTIONS.EXCLUDE && rule.fingerprint && content !== null && !vendor) {
+      // A package the database doesn't fingerprint: nothing proves the file is an unmodified release
+      return { ...result, shouldExclude: false, action: RULE_ACTIONS.INCLUDE, reason: 'unverified-vendor' };
+    }
+    return { ...result, shouldExclude: rule.action === RULE_ACTIONS.EXCLUDE };
+  }
+
+  if (vendor?.status === VENDOR_STATUS.MODIFIED) {
+    return modifiedVendor({ rule: null, pattern: null });
+  }
+  return { shouldExclude: false, action: RULE_ACTIONS.INCLUDE, reason: 'custom-contract', rule: null, pattern: null };
+}
+
+export default {
+  RULE_ACTIONS,
+  findRulesOverrideFile,
+  loadAuditRules,
+  reloadAuditRules,
+  getAuditRules,
+  getAuditRulesSources,
+  evaluateAuditRules
+};
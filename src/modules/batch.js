@@ -0,0 +1,307 @@
+/**
+ * Batch Module
+ * Fetches many contracts from a list file with bounded concurrency and resume support
+ *
+ * List formats (picked by file extension):
+ *   .csv  - `chain,address` rows; an optional header row may name the columns in any order
+ *   .json - array of { chain, address } objects or "chain:address" strings
+ *   other - one `chain address` (or `chain,address`) pair per line; `#` starts a comment
+ *
+ * Progress is written to a state file after every contract, so a rerun after a crash
+ * skips the contracts that already finished. In ndjson output, batch-start, batch-entry
+ * (one per contract) and batch-complete events are emitted as the batch runs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { resolveChainName } from './chainConfig.js';
+import { logger } from './logger.js';
+
+export const BATCH_STATUS = {
+  SUCCEEDED: 'succeeded',
+  UNVERIFIED: 'unverified',
+  FAILED: 'failed'
+};
+
+/**
+ * Build the state-file key of an entry
+ * @param {Object} entry - { chain, address }
+ * @returns {string} Key
+ */
+export function entryKey(entry) {
+  return `${entry.chain}:${entry.address.toLowerCase()}`;
+}
+
+/**
+ * Validate and normalize one list entry
+ * @param {string} chain - Chain name, alias or chain ID
+ * @param {string} address - Contract address
+ * @param {string} location - Where the entry came from (for error messages)
+ * @returns {Object} { chain, address }
+ */
+function normalizeEntry(chain, address, location) {
+  const normalizedChain = resolveChainName(chain);
+  const normalizedAddress = String(address || '').trim();
+
+  if (!normalizedChain) {
+    throw new Error(`${location}: unsupported chain "${chain}"`);
+  }
+  if (!ethers.isAddress(normalizedAddress)) {
+    throw new Error(`${location}: invalid address "${address}"`);
+  }
+
+  return { chain: normalizedChain, address: ethers.getAddress(normalizedAddress) };
+}
+
+/**
+ * Parse a batch list
+ * @param {string} content - List file content
+ * @param {string} format - 'csv', 'json' or 'lines'
+ * @returns {Object[]} Entries ({ chain, address }), duplicates removed
+ */
+export function parseBatchList(content, format = 'lines') {
+  const entries = [];
+
+  if (format === 'json') {
+    const list = JSON.parse(content);
+    if (!Array.isArray(list)) {
+      throw new Error('JSON batch list must be an array');
+    }
+    list.forEach((item, index) => {
+      const [chain, address] = typeof item === 'string' ? item.split(':') : [item.chain, item.address];
+      entries.push(normalizeEntry(chain, address, `entry ${index + 1}`));
+    });
+  } else {
+    const lines = content.split(/\r?\n/);
+    let columns = { chain: 0, address: 1 };
+    let firstRow = true;
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) return;
+
+      const fields = line.split(format === 'csv' ? ',' : /[\s,]+/).map(f => f.trim());
+
+      // CSV header row: use it to locate the chain and address columns
+      if (format === 'csv' && firstRow && !fields.some(f => ethers.isAddress(f))) {
+        const header = fields.map(f => f.toLowerCase());
+        if (!header.includes('chain') || !header.includes('address')) {
+          throw new Error(`line ${index + 1}: CSV header must name "chain" and "address" columns`);
+        }
+        columns = { chain: header.indexOf('chain'), address: header.indexOf('address') };
+        firstRow = false;
+        return;
+      }
+      firstRow = false;
+
+      entries.push(normalizeEntry(fields[columns.chain], fields[columns.address], `line ${index + 1}`));
+    });
+  }
+
+  const seen = new Set();
+  return entries.filter(entry => {
+    const key = entryKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Read and parse a batch list file
+ * @param {string} filePath - List file path
+ * @returns {Object[]} Entries ({ chain, address })
+ */
+export function readBatchFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = extension === '.json' ? 'json' : extension === '.csv' ? 'csv' : 'lines';
+  return parseBatchList(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+/**
+ * Run an async worker over items with at most `concurrency` in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum concurrent workers
+ * @param {Function} worker - Async function (item, index)
+ * @returns {Promise<void>}
+ */
+export async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Classify a fetchContract result
+ * @param {Object} result - fetchContract result
+ * @returns {Object} { status, proxyStatus, networkFailure, contracts: [{ type, address, verified, sourceProvider, error }] }
+ *   networkFailure is set when a failure came from reads the network could not answer
+ */
+export function classifyResult(result) {
+  const contracts = result.sourceResults.map(r => ({
+    type: r.type,
+    address: r.address,
+    verified: Boolean(r.verified),
+    decompiled: Boolean(r.decompiled),
+    sourceProvider: r.sourceProvider || null,
+    error: r.error || null
+  }));
+
+  // An inconclusive proxy check may have missed an implementation, so it is retried like a failure
+  const proxyStatus = result.proxyInfo ? result.proxyInfo.status : null;
+
+  let status = BATCH_STATUS.SUCCEEDED;
+  if (contracts.length === 0 || contracts.some(c => c.error) || proxyStatus === 'inconclusive') {
+    status = BATCH_STATUS.FAILED;
+  } else if (contracts.some(c => !c.verified)) {
+    status = BATCH_STATUS.UNVERIFIED;
+  }
+
+  // An inconclusive proxy check only comes from failed reads
+  const networkFailure = status === BATCH_STATUS.FAILED &&
+    (proxyStatus === 'inconclusive' || result.sourceResults.some(r => r.networkFailure));
+
+  return { status, proxyStatus, networkFailure, contracts };
+}
+
+/**
+ * Load the resume state file
+ * @param {string} statePath - State file path
+ * @returns {Object} { entries: { key: record } }
+ */
+function loadState(statePath) {
+  if (!statePath || !fs.existsSync(statePath)) {
+    return { entries: {} };
+  }
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} filePath - Target path
+ * @param {Object} data - Data to write
+ */
+export function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Build the batch summary report from per-entry records
+ * @param {Object[]} entries - Batch entries
+ * @param {Object} records - Records keyed by entryKey
+ * @returns {Object} Summary report
+ */
+export function buildBatchReport(entries, records) {
+  const results = entries.map(entry => records[entryKey(entry)] || { ...entry, status: 'pending' });
+  const count = (status) => results.filter(r => r.status === status).length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    total: entries.length,
+    succeeded: count(BATCH_STATUS.SUCCEEDED),
+    unverified: count(BATCH_STATUS.UNVERIFIED),
+    failed: count(BATCH_STATUS.FAILED),
+    networkFailures: results.filter(r => r.status === BATCH_STATUS.FAILED && r.networkFailure).length,
+    pending: count('pending'),
+    results
+  };
+}
+
+/**
+ * Fetch every entry of a batch
+ * @param {Object[]} entries - Entries ({ chain, address })
+ * @param {Object} options - Batch options
+ * @param {Function} options.processEntry - Async function (entry) returning a fetchContract result
+ * @param {number} options.concurrency - Maximum contracts fetched at once (default: 3)
+ * @param {string} options.statePath - Resume state file (optional)
+ * @param {string} options.reportPath - Summary report file (optional)
+ * @param {boolean} options.resume - Skip entries already finished in the state file (default: true)
+ * @param {boolean} options.retryFailed - Retry entries that failed in a previous run (default: true)
+ * @param {Function} options.isNetworkFailure - (error) whether an error processEntry threw means the
+ *   network could not answer (default: never)
+ * @returns {Promise<Object>} Summary report
+ */
+export async function runBatch(entries, options = {}) {
+  const {
+    processEntry,
+    concurrency = 3,
+    statePath = null,
+    reportPath = null,
+    resume = true,
+    retryFailed = true,
+    isNetworkFailure = () => false
+  } = options;
+
+  if (typeof processEntry !== 'function') {
+    throw new Error('runBatch requires a processEntry function');
+  }
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+
+  const state = resume ? loadState(statePath) : { entries: {} };
+  const isDone = (record) => record && (record.status !== BATCH_STATUS.FAILED || !retryFailed);
+  const pending = entries.filter(entry => !isDone(state.entries[entryKey(entry)]));
+
+  const skipped = entries.length - pending.length;
+  logger.info(`📋 Batch: ${entries.length} contract(s), concurrency ${concurrency}`);
+  if (skipped > 0) {
+    logger.info(`   ↻ Resuming: ${skipped} already done, ${pending.length} remaining`);
+  }
+  logger.event('batch-start', { total: entries.length, pending: pending.length, skipped, concurrency });
+
+  let completed = 0;
+  await runPool(pending, concurrency, async (entry) => {
+    const startedAt = Date.now();
+    let record;
+
+    try {
+      const result = await processEntry(entry);
+      record = { ...entry, ...classifyResult(result) };
+    } catch (error) {
+      record = { ...entry, status: BATCH_STATUS.FAILED, networkFailure: isNetworkFailure(error), error: error.message };
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    record.finishedAt = new Date().toISOString();
+    state.entries[entryKey(entry)] = record;
+    completed++;
+
+    if (statePath) {
+      writeJsonAtomic(statePath, state);
+    }
+
+    const icon = record.status === BATCH_STATUS.SUCCEEDED ? '✓' : record.status === BATCH_STATUS.UNVERIFIED ? 'ℹ' : '✗';
+    logger.info(`   ${icon} [${completed}/${pending.length}] ${entry.chain} ${entry.address}: ${record.status}${record.error ? ` (${record.error})` : ''}`);
+    logger.event('batch-entry', { completed, pending: pending.length, ...record });
+  });
+
+  const report = buildBatchReport(entries, state.entries);
+  if (reportPath) {
+    writeJsonAtomic(reportPath, report);
+  }
+  const { results, ...counts } = report;
+  logger.event('batch-complete', { ...counts, reportPath });
+  return report;
+}
+
+export default {
+  BATCH_STATUS,
+  entryKey,
+  parseBatchList,
+  readBatchFile,
+  runPool,
+  classifyResult,
+  writeJsonAtomic,
+  buildBatchReport,
+  runBatch
+};
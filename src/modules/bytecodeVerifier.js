@@ -0,0 +1,424 @@
+/**
+ * Bytecode Verifier Module
+ * Recompiles fetched sources and checks that they reproduce the deployed runtime bytecode
+ *
+ * The standard-JSON input is rebuilt from the fetched source and its compiler settings, and
+ * compiled with a solc found in a local compiler directory (never downloaded):
+ *   - native binaries: solc-v<version>, solc-<version>, solc-linux-amd64-v<version>,
+ *     <version>/solc-<version> (svm / Foundry layout)
+ *   - solc-js builds: soljson-v<version>.js, run in a worker thread (soljsonWorker.js)
+ * Directories searched: --solc-dir or SOLC_DIR (default: .solc in the project), then ~/.svm.
+ *
+ * Immutables, linked library addresses and the library call guard are ignored in both codes.
+ * An exact match also agrees on the metadata hash; a partial match differs only there.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import { getBytecode } from './proxyDetector.js';
+import { parseSourceCode, getSourceLanguage } from './sourceParser.js';
+import { analyzeFiles } from './solidityAst.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SOLC_DIR = path.join(__dirname, '..', '..', '.solc');
+const SVM_DIR = path.join(os.homedir(), '.svm');
+
+export const VERIFICATION_STATUS = {
+  EXACT: 'exact',
+  PARTIAL: 'partial',
+  MISMATCH: 'mismatch',
+  SKIPPED: 'skipped',
+  ERROR: 'error'
+};
+
+// Large projects can take minutes to compile without a cache (native and soljson alike)
+const COMPILE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// CBOR metadata map at the end of solc output: ipfs (0.6+), bzzr0 / bzzr1 (older)
+const METADATA_PATTERN = /a[1-3]6(?:4697066735822|5627a7a72305820|5627a7a72315820)/g;
+
+// Libraries start with PUSH20 <own address> ADDRESS: the address is filled in at deployment
+const LIBRARY_GUARD_PATTERN = /^73(?:00){20}30/;
+
+// Compiles with a soljson build in a worker thread, so a long compile can't block the event loop
+const SOLJSON_WORKER = new URL('./soljsonWorker.js', import.meta.url);
+
+/**
+ * Compiler directories to search, in order
+ * @param {string} solcDir - Directory from --solc-dir, if any
+ * @returns {string[]} Directories
+ */
+export function getCompilerDirectories(solcDir) {
+  return [solcDir || process.env.SOLC_DIR || DEFAULT_SOLC_DIR, SVM_DIR];
+}
+
+/**
+ * Split a compiler version into its full and short forms
+ * @param {string} compilerVersion - e.g. 'v0.8.19+commit.7dd6d404'
+ * @returns {Object|null} { full: '0.8.19+commit.7dd6d404', short: '0.8.19' } or null if not a release
+ */
+export function parseCompilerVersion(compilerVersion) {
+  const match = (compilerVersion || '').trim().match(/^v?((\d+\.\d+\.\d+)(?:\+commit\.[0-9a-f]+)?)$/i);
+  return match ? { full: match[1], short: match[2] } : null;
+}
+
+/**
+ * Find a local compiler for a version
+ * @param {string} compilerVersion - Compiler version from the explorer
+ * @param {string[]} directories - Directories to search
+ * @returns {Object|null} { type: 'native' | 'soljson', path } or null if none is installed
+ */
+export function findCompiler(compilerVersion, directories) {
+  const version = parseCompilerVersion(compilerVersion);
+  if (!version) {
+    return null;
+  }
+
+  const { full, short } = version;
+  const candidates = [
+    ['native', `solc-v${full}`],
+    ['native', `solc-${short}`],
+    ['native', `solc-v${short}`],
+    ['native', `solc-linux-amd64-v${full}`],
+    ['native', `solc-macosx-amd64-v${full}`],
+    ['native', path.join(short, `solc-${short}`)],
+    ['native', path.join(short, 'solc')],
+    ['soljson', `soljson-v${full}.js`],
+    ['soljson', `soljson-v${short}.js`]
+  ];
+
+  for (const directory of directories) {
+    for (const [type, name] of candidates) {
+      const candidate = path.join(directory, name);
+      try {
+        fs.accessSync(candidate, type === 'native' ? fs.constants.X_OK : fs.constants.R_OK);
+        return { type, path: candidate };
+      } catch {
+        continue;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the Library field ('Name:0xaddr;Other:0xaddr') into standard-JSON libraries
+ * Each library is keyed by the file that declares it
+ * @param {string} library - Library field from the explorer
+ * @param {Object} files - Path -> source
+ * @returns {Object} { file: { name: address } }
+ */
+function parseLibraries(library, files) {
+  const libraries = {};
+  const filePaths = Object.keys(files);
+  let analyses = null;
+
+  for (const entry of (library || '').split(/[;,]/)) {
+    const [name, address] = entry.split(':').map(part => part && part.trim());
+    if (!name || !address) continue;
+
+    analyses = analyses || analyzeFiles(files);
+    const declaringFile = filePaths.find(filePath => (analyses[filePath]?.contracts || [])
+      .some(contract => contract.kind === 'library' && contract.name === name)) || filePaths[0];
+    libraries[declaringFile] = libraries[declaringFile] || {};
+    libraries[declaringFile][name] = address.startsWith('0x') ? address : `0x${address}`;
+  }
+
+  return libraries;
+}
+
+/**
+ * Rebuild the standard-JSON compiler input from fetched source data
+ * Standard-JSON sources keep their own settings; single-file sources get theirs from the explorer fields
+ * @param {Object} sourceData - Normalized source data
+ * @returns {Object} Standard-JSON input
+ */
+export function buildCompilerInput(sourceData) {
+  const parsedSource = parseSourceCode(sourceData.sourceCode, { language: getSourceLanguage(sourceData) });
+  const sources = {};
+  for (const [filePath, content] of Object.entries(parsedSource.files)) {
+    sources[filePath] = { content };
+  }
+
+  const settings = parsedSource.settings ? { ...parsedSource.settings } : {
+    optimizer: { enabled: Boolean(sourceData.optimizationUsed), runs: sourceData.runs || 200 }
+  };
+  if (!parsedSource.settings && sourceData.evmVersion && !/^default$/i.test(sourceData.evmVersion)) {
+    settings.evmVersion = sourceData.evmVersion.toLowerCase();
+  }
+  if (!settings.libraries && sourceData.library) {
+    settings.libraries = parseLibraries(sourceData.library, parsedSource.files);
+  }
+  settings.outputSelection = {
+    '*': {
+      '*': ['evm.deployedBytecode.object', 'evm.deployedBytecode.immutableReferences', 'evm.deployedBytecode.linkReferences']
+    }
+  };
+
+  return { language: parsedSource.language || 'Solidity', sources, settings };
+}
+
+/**
+ * Compile with a native solc binary
+ * @param {string} binary - Path to solc
+ * @param {Object} input - Standard-JSON input
+ * @param {number} timeoutMs - Time allowed before solc is killed
+ * @returns {Promise<Object>} Standard-JSON output
+ */
+function compileNative(binary, input, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, ['--standard-json'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`solc timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      try {
+        resolve(JSON.parse(stdout));
+      } catch {
+        reject(new Error(`solc exited with code ${code}: ${(stderr || stdout).trim().slice(0, 200)}`));
+      }
+    });
+    // solc that exits early (e.g. no --standard-json support) closes stdin; 'close' reports it
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(input));
+  });
+}
+
+/**
+ * Compile with a solc-js (soljson) build in a worker thread
+ * @param {string} soljsonPath - Path to soljson-v<version>.js
+ * @param {Object} input - Standard-JSON input
+ * @param {number} timeoutMs - Time allowed before the worker is terminated
+ * @returns {Promise<Object>} Standard-JSON output
+ */
+function compileSoljson(soljsonPath, input, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(SOLJSON_WORKER, { workerData: { soljsonPath, input } });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`soljson timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+
+    worker.once('message', message => {
+      clearTimeout(timer);
+      worker.terminate();
+      try {
+        if (message.error) throw new Error(message.error);
+        resolve(JSON.parse(message.output));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    worker.once('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    // Only reached without a message, e.g. the build called process.exit()
+    worker.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`soljson worker exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Compile standard-JSON input with a local compiler
+ * @param {Object} compiler - From findCompiler
+ * @param {Object} input - Standard-JSON input
+ * @param {Object} options - { timeoutMs = 5 minutes }
+ * @returns {Promise<Object>} Standard-JSON output
+ */
+export async function compileStandardJson(compiler, input, options = {}) {
+  const { timeoutMs = COMPILE_TIMEOUT_MS } = options;
+  return compiler.type === 'native'
+    ? compileNative(compiler.path, input, timeoutMs)
+    : compileSoljson(compiler.path, input, timeoutMs);
+}
+
+/**
+ * Find the compiled contract in standard-JSON output
+ * @param {Object} output - Standard-JSON output
+ * @param {string} contractName - Contract name
+ * @param {string} contractFileName - File declaring it, if known
+ * @returns {Object|null} { file, deployedBytecode }
+ */
+function findCompiledContract(output, contractName, contractFileName) {
+  const matches = [];
+  for (const [file, contracts] of Object.entries(output.contracts || {})) {
+    if (contracts[contractName]) {
+      matches.push({ file, deployedBytecode: contracts[contractName].evm.deployedBytecode });
+    }
+  }
+  return matches.find(match => match.file === contractFileName) || matches[0] || null;
+}
+
+/**
+ * Byte ranges of the CBOR metadata blocks in compiled code
+ * Each block is followed by its length as two bytes; contracts that deploy other
+ * contracts embed their metadata too
+ * @param {string} code - Compiled runtime bytecode (hex, no 0x)
+ * @returns {Object[]} [{ start, length }] in bytes, length including the two length bytes
+ */
+export function findMetadataRanges(code) {
+  const ranges = [];
+  for (const match of code.matchAll(METADATA_PATTERN)) {
+    if (match.index % 2 !== 0) continue;
+    const start = match.index / 2;
+    for (let length = 40; length <= 128; length++) {
+      const lengthHex = code.slice((start + length) * 2, (start + length + 2) * 2);
+      if (lengthHex.length === 4 && parseInt(lengthHex, 16) === length) {
+        ranges.push({ start, length: length + 2 });
+        break;
+      }
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Replace byte ranges with zeros
+ * @param {string} code - Hex code (no 0x)
+ * @param {Object[]} ranges - [{ start, length }] in bytes
+ * @returns {string} Masked code
+ */
+function maskRanges(code, ranges) {
+  let masked = code;
+  for (const { start, length } of ranges) {
+    masked = masked.slice(0, start * 2) + '0'.repeat(length * 2) + masked.slice((start + length) * 2);
+  }
+  return masked;
+}
+
+/**
+ * Compare deployed runtime bytecode with compiler output
+ * @param {string} onchainCode - Deployed runtime bytecode
+ * @param {Object} deployedBytecode - Compiler evm.deployedBytecode ({ object, immutableReferences, linkReferences })
+ * @returns {Object} { status, onchainLength, compiledLength, immutables, libraries, firstDifference }
+ */
+export function compareBytecode(onchainCode, deployedBytecode) {
+  const onchain = onchainCode.replace(/^0x/, '').toLowerCase();
+  // Unlinked library placeholders are 40 non-hex characters; their ranges are masked below
+  const compiled = (deployedBytecode.object || '').replace(/^0x/, '').toLowerCase().replace(/__.{36}__/g, '0'.repeat(40));
+
+  const immutableRanges = Object.values(deployedBytecode.immutableReferences || {}).flat();
+  const linkRanges = Object.values(deployedBytecode.linkReferences || {})
+    .flatMap(libraries => Object.values(libraries))
+    .flat();
+  const ignoredRanges = [...immutableRanges, ...linkRanges];
+  if (LIBRARY_GUARD_PATTERN.test(compiled)) {
+    ignoredRanges.push({ start: 1, length: 20 });
+  }
+
+  const result = {
+    status: VERIFICATION_STATUS.MISMATCH,
+    onchainLength: onchain.length / 2,
+    compiledLength: compiled.length / 2,
+    immutables: immutableRanges.length,
+    libraries: linkRanges.length,
+    firstDifference: null
+  };
+
+  if (!compiled) {
+    result.reason = 'Compiled contract has no runtime bytecode (abstract contract or interface)';
+    return result;
+  }
+
+  const onchainMasked = maskRanges(onchain, ignoredRanges);
+  const compiledMasked = maskRanges(compiled, ignoredRanges);
+  if (onchainMasked === compiledMasked) {
+    return { ...result, status: VERIFICATION_STATUS.EXACT };
+  }
+
+  const metadataRanges = findMetadataRanges(compiled);
+  const onchainWithoutMetadata = maskRanges(onchainMasked, metadataRanges);
+  const compiledWithoutMetadata = maskRanges(compiledMasked, metadataRanges);
+  if (onchain.length === compiled.length && onchainWithoutMetadata === compiledWithoutMetadata) {
+    return { ...result, status: VERIFICATION_STATUS.PARTIAL };
+  }
+
+  let index = 0;
+  while (index < onchainWithoutMetadata.length && onchainWithoutMetadata[index] === compiledWithoutMetadata[index]) {
+    index++;
+  }
+  return { ...result, firstDifference: Math.floor(index / 2) };
+}
+
+/**
+ * Recompile verified source and compare it with the bytecode deployed at an address
+ * @param {string} chainName - Name of the chain
+ * @param {string} contractAddress - Address of the contract
+ * @param {Object} sourceData - Normalized source data for the address
+ * @param {Object} options - { blockTag = 'latest', solcDir }
+ * @returns {Promise<Object>} { status, compilerVersion, compiler, contractName, reason?, ...comparison }
+ */
+export async function verifyBytecode(chainName, contractAddress, sourceData, options = {}) {
+  const { blockTag = 'latest', solcDir } = options;
+  const result = {
+    status: VERIFICATION_STATUS.SKIPPED,
+    contractName: sourceData.contractName,
+    compilerVersion: sourceData.compilerVersion || null,
+    compiler: null
+  };
+
+  if (!sourceData.isVerified) {
+    return { ...result, reason: 'Contract is not verified' };
+  }
+  const input = buildCompilerInput(sourceData);
+  if (input.language !== 'Solidity' || /vyper/i.test(sourceData.compilerType || '')) {
+    return { ...result, reason: `${input.language === 'Solidity' ? 'Vyper' : input.language} sources are not supported` };
+  }
+
+  const directories = getCompilerDirectories(solcDir);
+  const compiler = findCompiler(sourceData.compilerVersion, directories);
+  if (!compiler) {
+    return { ...result, reason: `solc ${sourceData.compilerVersion || '(unknown version)'} not found in ${directories.join(', ')}` };
+  }
+  result.compiler = compiler;
+
+  try {
+    const output = await compileStandardJson(compiler, input);
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+      return { ...result, status: VERIFICATION_STATUS.ERROR, reason: `Compilation failed: ${errors[0].formattedMessage || errors[0].message}` };
+    }
+
+    const compiled = findCompiledContract(output, sourceData.contractName, sourceData.contractFileName);
+    if (!compiled) {
+      return { ...result, status: VERIFICATION_STATUS.ERROR, reason: `Contract ${sourceData.contractName} not found in the compiler output` };
+    }
+
+    const onchainCode = await getBytecode(chainName, contractAddress, blockTag);
+    return { ...result, ...compareBytecode(onchainCode, compiled.deployedBytecode) };
+  } catch (error) {
+    return { ...result, status: VERIFICATION_STATUS.ERROR, reason: error.message };
+  }
+}
+
+export default {
+  VERIFICATION_STATUS,
+  getCompilerDirectories,
+  parseCompilerVersion,
+  findCompiler,
+  buildCompilerInput,
+  compileStandardJson,
+  findMetadataRanges,
+  compareBytecode,
+  verifyBytecode
+};
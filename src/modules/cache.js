@@ -0,0 +1,264 @@
+/**
+ * Cache Module
+ * Content-addressed on-disk cache for explorer responses and RPC reads
+ *
+ * Entries live at <cacheDir>/<kind>/<hh>/<sha256>.json, where the hash is taken over
+ * the kind and the canonical request. Each kind has its own TTL.
+ *
+ * Modes:
+ *   default - serve fresh entries, fetch and store on miss or expiry
+ *   offline - serve any stored entry regardless of age, never touch the network
+ *             (needs the cache: offline mode with the cache disabled is refused)
+ *   refresh - ignore stored entries, always fetch and overwrite
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default cache directory (inside the project, git-ignored)
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '.cache');
+
+export const CACHE_MODES = {
+  DEFAULT: 'default',
+  OFFLINE: 'offline',
+  REFRESH: 'refresh'
+};
+
+// Default TTLs in seconds per kind (null = never expires)
+export const DEFAULT_TTLS = {
+  explorer: 24 * 60 * 60,   // Verification status can change
+  bytecode: 60 * 60,        // Latest code can be self-destructed or redeployed (CREATE2); empty code is not cached
+  historical: null,         // Reads pinned to a block number never change
+  storage: 60 * 60,         // Latest storage can be upgraded
+  call: 60 * 60,            // Latest eth_call results
+  logs: 60 * 60,            // Log queries ending at the latest block
+  vendor: null              // Published package releases never change
+};
+
+/**
+ * Error thrown in offline mode when a request is not in the cache
+ */
+export class CacheMissError extends Error {
+  constructor(kind, description) {
+    super(`Offline mode: no cached ${kind} entry for ${description}`);
+    this.name = 'CacheMissError';
+    this.kind = kind;
+  }
+}
+
+/**
+ * Read TTL overrides from CACHE_TTL_<KIND> environment variables (seconds, or "never")
+ * Values that are not a non-negative number are ignored with a warning
+ * @param {Object} env - Environment variables
+ * @returns {Object} TTL overrides
+ */
+export function ttlsFromEnvironment(env = process.env) {
+  const ttls = {};
+  for (const kind of Object.keys(DEFAULT_TTLS)) {
+    const name = `CACHE_TTL_${kind.toUpperCase()}`;
+    const value = env[name];
+    if (value === undefined || value.trim() === '') continue;
+    if (value.trim() === 'never') {
+      ttls[kind] = null;
+      continue;
+    }
+    const ttl = Number(value);
+    if (Number.isFinite(ttl) && ttl >= 0) {
+      ttls[kind] = ttl;
+    } else {
+      logger.warn(`⚠️  Ignoring ${name}=${value}: expected seconds or "never", using the default TTL`);
+    }
+  }
+  return ttls;
+}
+
+const config = {
+  enabled: process.env.FETCH_CACHE !== 'off',
+  dir: process.env.FETCH_CACHE_DIR || DEFAULT_CACHE_DIR,
+  mode: CACHE_MODES.DEFAULT,
+  ttls: { ...DEFAULT_TTLS, ...ttlsFromEnvironment() }
+};
+
+const stats = { hits: 0, misses: 0, writes: 0 };
+
+/**
+ * Update cache configuration
+ * @param {Object} options - { enabled, dir, mode, ttls: { kind: seconds|null } }
+ * @returns {Object} Resulting configuration
+ */
+export function configureCache(options = {}) {
+  if (options.mode && !Object.values(CACHE_MODES).includes(options.mode)) {
+    throw new Error(`Unknown cache mode: ${options.mode}`);
+  }
+  for (const [kind, ttl] of Object.entries(options.ttls || {})) {
+    if (ttl !== null && !(Number.isFinite(ttl) && ttl >= 0)) {
+      throw new Error(`Invalid TTL for cache kind ${kind}: ${ttl}`);
+    }
+  }
+  const enabled = options.enabled !== undefined ? options.enabled : config.enabled;
+  if (!enabled && (options.mode || config.mode) === CACHE_MODES.OFFLINE) {
+    throw new Error('Offline mode needs the cache, but it is disabled (FETCH_CACHE=off or --no-cache)');
+  }
+
+  if (options.enabled !== undefined) config.enabled = options.enabled;
+  if (options.dir) config.dir = path.resolve(options.dir);
+  if (options.mode) config.mode = options.mode;
+  if (options.ttls) config.ttls = { ...config.ttls, ...options.ttls };
+
+  return getCacheConfig();
+}
+
+/**
+ * Get the current cache configuration
+ * @returns {Object} Copy of the configuration
+ */
+export function getCacheConfig() {
+  return { ...config, ttls: { ...config.ttls } };
+}
+
+/**
+ * Get hit/miss counters for this process
+ * @returns {Object} { hits, misses, writes }
+ */
+export function getCacheStats() {
+  return { ...stats };
+}
+
+/**
+ * Compute the content address of a request
+ * @param {string} kind - Cache kind
+ * @param {Array} parts - Request identity (JSON-serializable)
+ * @returns {string} sha256 hex digest
+ */
+export function cacheKey(kind, parts) {
+  return crypto.createHash('sha256').update(JSON.stringify([kind, ...parts])).digest('hex');
+}
+
+/**
+ * Get the file path of a cache entry
+ * @param {string} kind - Cache kind
+ * @param {string} key - Content address
+ * @returns {string} Entry file path
+ */
+function entryPath(kind, key) {
+  return path.join(config.dir, kind, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Read an entry from the cache
+ * @param {string} kind - Cache kind
+ * @param {Array} parts - Request identity
+ * @param {Object} options - { ignoreTtl: serve expired entries }
+ * @returns {Object} { hit: boolean, value?, storedAt? }
+ */
+export function readCache(kind, parts, options = {}) {
+  const filePath = entryPath(kind, cacheKey(kind, parts));
+
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return { hit: false };
+  }
+
+  const ttl = config.ttls[kind] === undefined ? null : config.ttls[kind];
+  const ageSeconds = (Date.now() - entry.storedAt) / 1000;
+  if (!options.ignoreTtl && ttl !== null && ageSeconds > ttl) {
+    return { hit: false, expired: true };
+  }
+
+  return { hit: true, value: entry.value, storedAt: entry.storedAt };
+}
+
+/**
+ * Write an entry to the cache (atomically, so concurrent readers never see partial files)
+ * @param {string} kind - Cache kind
+ * @param {Array} parts - Request identity
+ * @param {*} value - JSON-serializable value
+ */
+export function writeCache(kind, parts, value) {
+  const filePath = entryPath(kind, cacheKey(kind, parts));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ kind, request: parts, storedAt: Date.now(), value }), 'utf8');
+  fs.renameSync(tempPath, filePath);
+  stats.writes++;
+}
+
+/**
+ * Serve a request from the cache, or run the fetcher and store its result
+ * @param {string} kind - Cache kind
+ * @param {Array} parts - Request identity
+ * @param {Function} fetcher - Async function producing the value
+ * @param {Object} options - { shouldCache: value => boolean, description: for error messages }
+ * @returns {Promise<*>} Cached or fetched value
+ */
+export async function cached(kind, parts, fetcher, options = {}) {
+  const { shouldCache = () => true, description = JSON.stringify(parts) } = options;
+
+  if (!config.enabled) {
+    return fetcher();
+  }
+
+  if (config.mode !== CACHE_MODES.REFRESH) {
+    const entry = readCache(kind, parts, { ignoreTtl: config.mode === CACHE_MODES.OFFLINE });
+    if (entry.hit) {
+      stats.hits++;
+      return entry.value;
+    }
+  }
+
+  stats.misses++;
+  if (config.mode === CACHE_MODES.OFFLINE) {
+    throw new CacheMissError(kind, description);
+  }
+
+  const value = await fetcher();
+  if (shouldCache(value)) {
+    writeCache(kind, parts, value);
+  }
+  return value;
+}
+
+/**
+ * Guard for requests that are never cached: fails in offline mode
+ * @param {string} kind - Request kind (for the error message)
+ * @param {string} description - Request description
+ */
+export function assertOnline(kind, description) {
+  if (config.enabled && config.mode === CACHE_MODES.OFFLINE) {
+    throw new CacheMissError(kind, description);
+  }
+}
+
+/**
+ * Remove cached entries
+ * @param {string} kind - Optional kind to clear (default: everything)
+ */
+export function clearCache(kind = null) {
+  const target = kind ? path.join(config.dir, kind) : config.dir;
+  fs.rmSync(target, { recursive: true, force: true });
+}
+
+export default {
+  CACHE_MODES,
+  DEFAULT_TTLS,
+  CacheMissError,
+  ttlsFromEnvironment,
+  configureCache,
+  getCacheConfig,
+  getCacheStats,
+  cacheKey,
+  readCache,
+  writeCache,
+  cached,
+  assertOnline,
+  clearCache
+};
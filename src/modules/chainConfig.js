@@ -1,47 +1,249 @@
 /**
  * Chain Configuration Module
- * Contains RPC URLs, chain IDs, and Etherscan API configurations for supported EVM chains
- */
-
-// Etherscan API key
-export const ETHERSCAN_API_KEY = 'RQKMV5PAI8SZZSITH89RYZ8CPFZMRE6PHR';
-
-// Chain configurations
-export const CHAIN_CONFIG = {
-  ethereum: {
-    name: 'Ethereum',
-    chainId: 1,
-    rpcUrl: 'https://ethereum.publicnode.com',
-    symbol: 'ETH',
-  },
-  bsc: {
-    name: 'BNB Smart Chain',
-    chainId: 56,
-    rpcUrl: 'https://bsc.blockrazor.xyz',
-    symbol: 'BNB',
-  },
-  base: {
-    name: 'Base',
-    chainId: 8453,
-    rpcUrl: 'https://base-rpc.publicnode.com',
-    symbol: 'ETH',
-  },
-  arbitrum: {
-    name: 'Arbitrum One',
-    chainId: 42161,
-    rpcUrl: 'https://arb1.arbitrum.io/rpc',
-    symbol: 'ETH',
+ * Loads chain definitions (RPC URLs, chain IDs, block explorers) from the chain registry
+ *
+ * Sources, later ones taking precedence:
+ *   1. src/config/chains.json                      - built-in registry
+ *   2. User override file (JSON or YAML)           - CHAINS_FILE, or chains.local.{yaml,yml,json}
+ *                                                    in the project root
+ *   3. RPC_URL_<CHAIN> / EXPLORER_URL_<CHAIN>      - environment variables
+ *
+ * Chains can be looked up by registry name, alias or numeric chain ID.
+ * `sourceProviders` sets the order in which source providers are tried for each chain.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const BUILTIN_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'chains.json');
+const OVERRIDE_FILE_NAMES = ['chains.local.yaml', 'chains.local.yml', 'chains.local.json'];
+
+// Etherscan API key (ETHERSCAN_API_KEY environment variable takes precedence)
+export const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || 'RQKMV5PAI8SZZSITH89RYZ8CPFZMRE6PHR';
+
+// Etherscan v2 API endpoint (ETHERSCAN_API_URL points it at a mirror or a local mock)
+export const DEFAULT_ETHERSCAN_API_URL = 'https://api.etherscan.io/v2/api';
+
+// Loaded chain definitions keyed by registry name (updated in place by reloadChainRegistry)
+export const CHAIN_CONFIG = {};
+
+// Lookup index: lower-cased name, alias or chain ID -> registry name
+const chainIndex = new Map();
+
+/**
+ * Read a registry file (JSON, or YAML by extension)
+ * @param {string} filePath - Registry file path
+ * @returns {Object} Chain definitions keyed by name
+ */
+function readRegistryFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const data = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+  if (!data || typeof data.chains !== 'object') {
+    throw new Error(`Chain registry ${filePath} must contain a "chains" object`);
   }
-};
+  return data.chains;
+}
+
+/**
+ * Find the user override file
+ * @param {Object} env - Environment variables
+ * @returns {string|null} Override file path, or null if there is none
+ */
+export function findOverrideFile(env = process.env) {
+  if (env.CHAINS_FILE) {
+    if (!fs.existsSync(env.CHAINS_FILE)) {
+      throw new Error(`CHAINS_FILE not found: ${env.CHAINS_FILE}`);
+    }
+    return env.CHAINS_FILE;
+  }
+  const candidate = OVERRIDE_FILE_NAMES
+    .map(name => path.join(PROJECT_ROOT, name))
+    .find(filePath => fs.existsSync(filePath));
+  return candidate || null;
+}
+
+/**
+ * Convert a chain name to its environment variable suffix (e.g. 'arbitrum-nova' -> 'ARBITRUM_NOVA')
+ * @param {string} key - Registry name
+ * @returns {string} Environment variable suffix
+ */
+function envSuffix(key) {
+  return key.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Split a comma-separated URL list
+ * @param {string|string[]} value - URL or URL list
+ * @returns {string[]} URLs
+ */
+function toUrlList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Fold a definition's rpcUrl into rpcUrls, so an override setting either one replaces
+ * the RPC URLs of the chain it merges into
+ * @param {Object} chain - Chain definition from a registry file
+ * @returns {Object} Definition without rpcUrl
+ */
+function normalizeRpcFields(chain) {
+  const { rpcUrl, ...rest } = chain;
+  if (rest.rpcUrls === undefined && rpcUrl !== undefined) {
+    rest.rpcUrls = rpcUrl;
+  }
+  return rest;
+}
+
+/**
+ * Validate and complete one chain definition
+ * @param {string} key - Registry name
+ * @param {Object} chain - Chain definition
+ * @returns {Object} Normalized chain definition
+ */
+function normalizeChain(key, chain) {
+  const chainId = Number(chain.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Chain "${key}": invalid chainId ${chain.chainId}`);
+  }
+
+  const rpcUrls = toUrlList(chain.rpcUrls || chain.rpcUrl || []);
+  if (rpcUrls.length === 0) {
+    throw new Error(`Chain "${key}": at least one RPC URL is required`);
+  }
+
+  const { rpcUrl, ...rest } = chain;
+  return {
+    ...rest,
+    name: chain.name || key,
+    chainId,
+    aliases: (chain.aliases || []).map(alias => String(alias).toLowerCase()),
+    symbol: chain.symbol || 'ETH',
+    rpcUrls: [...new Set(rpcUrls)],
+    explorerUrl: chain.explorerUrl ? chain.explorerUrl.replace(/\/+$/, '') : null
+  };
+}
+
+/**
+ * Load the chain registry from the built-in file, the user override file and the environment
+ * @param {Object} options - { registryPath, overridePath, env }
+ * @returns {Object} Chain definitions keyed by registry name
+ */
+export function loadChainRegistry(options = {}) {
+  const {
+    registryPath = BUILTIN_REGISTRY_PATH,
+    env = process.env
+  } = options;
+  const overridePath = options.overridePath !== undefined ? options.overridePath : findOverrideFile(env);
+
+  const chains = { ...readRegistryFile(registryPath) };
+
+  // Override file: fields merge into existing chains, new keys add chains, null removes a chain;
+  // rpcUrl or rpcUrls in an override replaces the chain's RPC URLs
+  if (overridePath) {
+    for (const [rawKey, override] of Object.entries(readRegistryFile(overridePath))) {
+      const key = rawKey.toLowerCase();
+      if (override === null) {
+        delete chains[key];
+      } else {
+        chains[key] = { ...chains[key], ...normalizeRpcFields(override) };
+      }
+    }
+  }
+
+  const registry = {};
+  for (const [rawKey, chain] of Object.entries(chains)) {
+    const key = rawKey.toLowerCase();
+    const suffix = envSuffix(key);
+
+    // Environment RPC URLs are tried before the registry's
+    const envRpcUrls = env[`RPC_URL_${suffix}`] ? toUrlList(env[`RPC_URL_${suffix}`]) : [];
+    const rpcUrls = [...envRpcUrls, ...toUrlList(chain.rpcUrls || chain.rpcUrl || [])];
+    const explorerUrl = env[`EXPLORER_URL_${suffix}`] || chain.explorerUrl;
+
+    registry[key] = normalizeChain(key, { ...chain, rpcUrls, explorerUrl });
+  }
+
+  return registry;
+}
+
+/**
+ * Build the name/alias/chain ID lookup index, rejecting ambiguous entries
+ * @param {Object} registry - Chain definitions keyed by registry name
+ * @returns {Map} Lookup index
+ */
+function buildChainIndex(registry) {
+  const index = new Map();
+  const add = (lookup, key) => {
+    const existing = index.get(lookup);
+    if (existing && existing !== key) {
+      throw new Error(`Chain registry: "${lookup}" refers to both ${existing} and ${key}`);
+    }
+    index.set(lookup, key);
+  };
+
+  for (const [key, chain] of Object.entries(registry)) {
+    add(key, key);
+    add(String(chain.chainId), key);
+  }
+  for (const [key, chain] of Object.entries(registry)) {
+    for (const alias of chain.aliases) {
+      add(alias, key);
+    }
+  }
+  return index;
+}
+
+/**
+ * Reload the chain registry (e.g. after changing CHAINS_FILE or RPC_URL_* variables)
+ * @param {Object} options - Passed to loadChainRegistry
+ * @returns {string[]} Loaded chain names
+ */
+export function reloadChainRegistry(options = {}) {
+  const registry = loadChainRegistry(options);
+  const index = buildChainIndex(registry);
+
+  for (const key of Object.keys(CHAIN_CONFIG)) {
+    delete CHAIN_CONFIG[key];
+  }
+  Object.assign(CHAIN_CONFIG, registry);
+
+  chainIndex.clear();
+  for (const [lookup, key] of index) {
+    chainIndex.set(lookup, key);
+  }
+
+  return Object.keys(CHAIN_CONFIG);
+}
+
+/**
+ * Resolve a chain name, alias or chain ID to its registry name
+ * @param {string|number} chain - Chain name, alias or numeric chain ID
+ * @returns {string|null} Registry name or null if not found
+ */
+export function resolveChainName(chain) {
+  if (chain === undefined || chain === null) return null;
+  return chainIndex.get(String(chain).toLowerCase().trim()) || null;
+}
 
 /**
- * Get chain configuration by chain name
- * @param {string} chainName - Name of the chain (e.g., 'ethereum', 'bsc', 'base', 'arbitrum')
+ * Get chain configuration by chain name, alias or chain ID
+ * @param {string|number} chainName - Chain name (e.g., 'ethereum', 'bsc'), alias (e.g., 'eth') or chain ID (e.g., 1)
  * @returns {Object|null} Chain configuration object or null if not found
+ *   `key` is the registry name and `rpcUrl` the first of `rpcUrls`
  */
 export function getChainConfig(chainName) {
-  const normalizedName = chainName.toLowerCase().trim();
-  return CHAIN_CONFIG[normalizedName] || null;
+  const key = resolveChainName(chainName);
+  if (!key) return null;
+
+  const chain = CHAIN_CONFIG[key];
+  return { key, ...chain, rpcUrl: chain.rpcUrls[0] };
 }
 
 /**
@@ -54,12 +256,19 @@ export function getSupportedChains() {
 
 /**
  * Check if a chain is supported
- * @param {string} chainName - Name of the chain
+ * @param {string|number} chainName - Chain name, alias or chain ID
  * @returns {boolean} True if the chain is supported
  */
 export function isChainSupported(chainName) {
-  const normalizedName = chainName.toLowerCase().trim();
-  return normalizedName in CHAIN_CONFIG;
+  return resolveChainName(chainName) !== null;
+}
+
+/**
+ * Get the Etherscan API endpoint, read on every call so tests can redirect it
+ * @returns {string} Etherscan API URL
+ */
+export function getEtherscanApiUrl() {
+  return process.env.ETHERSCAN_API_URL || DEFAULT_ETHERSCAN_API_URL;
 }
 
 /**
@@ -69,14 +278,47 @@ export function isChainSupported(chainName) {
  * @returns {string} Etherscan API URL
  */
 export function buildEtherscanSourceUrl(chainId, contractAddress) {
-  return `https://api.etherscan.io/v2/api?apikey=${ETHERSCAN_API_KEY}&chainid=${chainId}&module=contract&action=getsourcecode&address=${contractAddress}`;
+  return `${getEtherscanApiUrl()}?apikey=${ETHERSCAN_API_KEY}&chainid=${chainId}&module=contract&action=getsourcecode&address=${contractAddress}`;
 }
 
+/**
+ * Build Etherscan API URL for event logs of one contract
+ * @param {number} chainId - Chain ID
+ * @param {string} contractAddress - Contract emitting the logs
+ * @param {string} topic0 - Event topic
+ * @param {Object} range - { fromBlock, toBlock, page, offset }
+ * @returns {string} Etherscan API URL
+ */
+export function buildEtherscanLogsUrl(chainId, contractAddress, topic0, range = {}) {
+  const { fromBlock = 0, toBlock = 'latest', page = 1, offset = 1000 } = range;
+  return `${getEtherscanApiUrl()}?apikey=${ETHERSCAN_API_KEY}&chainid=${chainId}&module=logs&action=getLogs&address=${contractAddress}&topic0=${topic0}&fromBlock=${fromBlock}&toBlock=${toBlock}&page=${page}&offset=${offset}`;
+}
+
+/**
+ * Build Etherscan API URL for the creation transaction of a contract
+ * @param {number} chainId - Chain ID
+ * @param {string} contractAddress - Contract address
+ * @returns {string} Etherscan API URL
+ */
+export function buildEtherscanCreationUrl(chainId, contractAddress) {
+  return `${getEtherscanApiUrl()}?apikey=${ETHERSCAN_API_KEY}&chainid=${chainId}&module=contract&action=getcontractcreation&contractaddresses=${contractAddress}`;
+}
+
+reloadChainRegistry();
+
 export default {
   ETHERSCAN_API_KEY,
+  DEFAULT_ETHERSCAN_API_URL,
   CHAIN_CONFIG,
+  findOverrideFile,
+  loadChainRegistry,
+  reloadChainRegistry,
+  resolveChainName,
   getChainConfig,
   getSupportedChains,
   isChainSupported,
-  buildEtherscanSourceUrl
+  getEtherscanApiUrl,
+  buildEtherscanSourceUrl,
+  buildEtherscanLogsUrl,
+  buildEtherscanCreationUrl
 };
@@ -0,0 +1,970 @@
+/**
+ * Decompiler Module
+ * Turns runtime bytecode of unverified contracts into pseudo-Solidity
+ * Uses Panoramix or heimdall when installed, otherwise falls back to a built-in JS pass
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { getBytecode } from './proxyDetector.js';
+import { createOutputDirectory, getContractSubDirectory } from './sourceParser.js';
+
+const execFileAsync = promisify(execFile);
+
+// External decompilers can take minutes on large contracts
+const EXTERNAL_TOOL_TIMEOUT_MS = 5 * 60 * 1000;
+const EXTERNAL_TOOL_MAX_BUFFER = 64 * 1024 * 1024;
+
+// Upper bound on blocks lifted per function to keep output readable
+const MAX_BLOCKS_PER_FUNCTION = 256;
+
+// Expressions longer than this are assigned to a temporary variable
+const MAX_INLINE_EXPRESSION_LENGTH = 80;
+
+// EVM opcode table: opcode -> [name, stack inputs, stack outputs]
+const OPCODES = {
+  0x00: ['STOP', 0, 0],
+  0x01: ['ADD', 2, 1],
+  0x02: ['MUL', 2, 1],
+  0x03: ['SUB', 2, 1],
+  0x04: ['DIV', 2, 1],
+  0x05: ['SDIV', 2, 1],
+  0x06: ['MOD', 2, 1],
+  0x07: ['SMOD', 2, 1],
+  0x08: ['ADDMOD', 3, 1],
+  0x09: ['MULMOD', 3, 1],
+  0x0a: ['EXP', 2, 1],
+  0x0b: ['SIGNEXTEND', 2, 1],
+  0x10: ['LT', 2, 1],
+  0x11: ['GT', 2, 1],
+  0x12: ['SLT', 2, 1],
+  0x13: ['SGT', 2, 1],
+  0x14: ['EQ', 2, 1],
+  0x15: ['ISZERO', 1, 1],
+  0x16: ['AND', 2, 1],
+  0x17: ['OR', 2, 1],
+  0x18: ['XOR', 2, 1],
+  0x19: ['NOT', 1, 1],
+  0x1a: ['BYTE', 2, 1],
+  0x1b: ['SHL', 2, 1],
+  0x1c: ['SHR', 2, 1],
+  0x1d: ['SAR', 2, 1],
+  0x20: ['KECCAK256', 2, 1],
+  0x30: ['ADDRESS', 0, 1],
+  0x31: ['BALANCE', 1, 1],
+  0x32: ['ORIGIN', 0, 1],
+  0x33: ['CALLER', 0, 1],
+  0x34: ['CALLVALUE', 0, 1],
+  0x35: ['CALLDATALOAD', 1, 1],
+  0x36: ['CALLDATASIZE', 0, 1],
+  0x37: ['CALLDATACOPY', 3, 0],
+  0x38: ['CODESIZE', 0, 1],
+  0x39: ['CODECOPY', 3, 0],
+  0x3a: ['GASPRICE', 0, 1],
+  0x3b: ['EXTCODESIZE', 1, 1],
+  0x3c: ['EXTCODECOPY', 4, 0],
+  0x3d: ['RETURNDATASIZE', 0, 1],
+  0x3e: ['RETURNDATACOPY', 3, 0],
+  0x3f: ['EXTCODEHASH', 1, 1],
+  0x40: ['BLOCKHASH', 1, 1],
+  0x41: ['COINBASE', 0, 1],
+  0x42: ['TIMESTAMP', 0, 1],
+  0x43: ['NUMBER', 0, 1],
+  0x44: ['PREVRANDAO', 0, 1],
+  0x45: ['GASLIMIT', 0, 1],
+  0x46: ['CHAINID', 0, 1],
+  0x47: ['SELFBALANCE', 0, 1],
+  0x48: ['BASEFEE', 0, 1],
+  0x49: ['BLOBHASH', 1, 1],
+  0x4a: ['BLOBBASEFEE', 0, 1],
+  0x50: ['POP', 1, 0],
+  0x51: ['MLOAD', 1, 1],
+  0x52: ['MSTORE', 2, 0],
+  0x53: ['MSTORE8', 2, 0],
+  0x54: ['SLOAD', 1, 1],
+  0x55: ['SSTORE', 2, 0],
+  0x56: ['JUMP', 1, 0],
+  0x57: ['JUMPI', 2, 0],
+  0x58: ['PC', 0, 1],
+  0x59: ['MSIZE', 0, 1],
+  0x5a: ['GAS', 0, 1],
+  0x5b: ['JUMPDEST', 0, 0],
+  0x5c: ['TLOAD', 1, 1],
+  0x5d: ['TSTORE', 2, 0],
+  0x5e: ['MCOPY', 3, 0],
+  0x5f: ['PUSH0', 0, 1],
+  0xf0: ['CREATE', 3, 1],
+  0xf1: ['CALL', 7, 1],
+  0xf2: ['CALLCODE', 7, 1],
+  0xf3: ['RETURN', 2, 0],
+  0xf4: ['DELEGATECALL', 6, 1],
+  0xf5: ['CREATE2', 4, 1],
+  0xfa: ['STATICCALL', 6, 1],
+  0xfd: ['REVERT', 2, 0],
+  0xfe: ['INVALID', 0, 0],
+  0xff: ['SELFDESTRUCT', 1, 0]
+};
+
+for (let n = 1; n <= 32; n++) OPCODES[0x5f + n] = [`PUSH${n}`, 0, 1];
+for (let n = 1; n <= 16; n++) OPCODES[0x7f + n] = [`DUP${n}`, n, n + 1];
+for (let n = 1; n <= 16; n++) OPCODES[0x8f + n] = [`SWAP${n}`, n + 1, n + 1];
+for (let n = 0; n <= 4; n++) OPCODES[0xa0 + n] = [`LOG${n}`, n + 2, 0];
+
+// Instructions that end a basic block
+const TERMINATING_OPS = new Set(['STOP', 'JUMP', 'RETURN', 'REVERT', 'INVALID', 'SELFDESTRUCT']);
+
+// Infix operators used when lifting arithmetic
+const BINARY_OPERATORS = {
+  ADD: '+', MUL: '*', SUB: '-', DIV: '/', MOD: '%', EXP: '**',
+  LT: '<', GT: '>', EQ: '==', AND: '&', OR: '|', XOR: '^'
+};
+
+// Environment opcodes that map to Solidity globals
+const ENVIRONMENT_VALUES = {
+  ADDRESS: 'address(this)', ORIGIN: 'tx.origin', CALLER: 'msg.sender', CALLVALUE: 'msg.value',
+  CALLDATASIZE: 'msg.data.length', CODESIZE: 'codesize()', GASPRICE: 'tx.gasprice',
+  RETURNDATASIZE: 'returndatasize()', COINBASE: 'block.coinbase', TIMESTAMP: 'block.timestamp',
+  NUMBER: 'block.number', PREVRANDAO: 'block.prevrandao', GASLIMIT: 'block.gaslimit',
+  CHAINID: 'block.chainid', SELFBALANCE: 'address(this).balance', BASEFEE: 'block.basefee',
+  BLOBBASEFEE: 'block.blobbasefee', MSIZE: 'msize()', GAS: 'gasleft()'
+};
+
+// Results of these opcodes are always bound to a temporary (state reads and external calls)
+const TEMP_BOUND_OPS = new Set([
+  'SLOAD', 'TLOAD', 'KECCAK256', 'BALANCE', 'EXTCODESIZE', 'EXTCODEHASH',
+  'CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL', 'CREATE', 'CREATE2'
+]);
+
+// Well-known function signatures used to name recovered selectors
+const KNOWN_SIGNATURES = [
+  'name()', 'symbol()', 'decimals()', 'totalSupply()', 'balanceOf(address)',
+  'transfer(address,uint256)', 'transferFrom(address,address,uint256)', 'approve(address,uint256)',
+  'allowance(address,address)', 'increaseAllowance(address,uint256)', 'decreaseAllowance(address,uint256)',
+  'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)', 'nonces(address)', 'DOMAIN_SEPARATOR()',
+  'mint(address,uint256)', 'burn(uint256)', 'burnFrom(address,uint256)',
+  'owner()', 'transferOwnership(address)', 'renounceOwnership()', 'pendingOwner()', 'acceptOwnership()',
+  'paused()', 'pause()', 'unpause()',
+  'hasRole(bytes32,address)', 'grantRole(bytes32,address)', 'revokeRole(bytes32,address)',
+  'renounceRole(bytes32,address)', 'getRoleAdmin(bytes32)', 'DEFAULT_ADMIN_ROLE()',
+  'implementation()', 'admin()', 'upgradeTo(address)', 'upgradeToAndCall(address,bytes)',
+  'changeAdmin(address)', 'proxiableUUID()', 'initialize()',
+  'supportsInterface(bytes4)', 'ownerOf(uint256)', 'safeTransferFrom(address,address,uint256)',
+  'safeTransferFrom(address,address,uint256,bytes)', 'setApprovalForAll(address,bool)',
+  'isApprovedForAll(address,address)', 'getApproved(uint256)', 'tokenURI(uint256)',
+  'deposit()', 'withdraw(uint256)', 'multicall(bytes[])', 'execute(address,uint256,bytes)',
+  'swap(uint256,uint256,address,bytes)', 'getReserves()', 'token0()', 'token1()', 'factory()',
+  'skim(address)', 'sync()'
+];
+
+let knownSelectorMap = null;
+
+/**
+ * Lazily build the selector -> signature map for known signatures
+ * @returns {Map<string, string>} Selector to signature map
+ */
+function getKnownSelectors() {
+  if (!knownSelectorMap) {
+    knownSelectorMap = new Map(KNOWN_SIGNATURES.map(sig => [ethers.id(sig).slice(0, 10), sig]));
+  }
+  return knownSelectorMap;
+}
+
+/**
+ * Format a program counter as a block label
+ * @param {number} pc - Program counter
+ * @returns {string} Block label
+ */
+function blockLabel(pc) {
+  return `block_0x${pc.toString(16)}`;
+}
+
+/**
+ * Strip the trailing CBOR metadata section appended by solc/vyper
+ * @param {string} bytecode - Runtime bytecode (hex, with or without 0x)
+ * @returns {string} Bytecode hex without 0x prefix and without metadata
+ */
+export function stripMetadata(bytecode) {
+  const hex = bytecode.replace(/^0x/, '').toLowerCase();
+  if (hex.length < 4) {
+    return hex;
+  }
+
+  const metadataLength = parseInt(hex.slice(-4), 16);
+  const metadataStart = hex.length - 4 - metadataLength * 2;
+  if (metadataStart <= 0) {
+    return hex;
+  }
+
+  // CBOR map with one or more entries (0xa1 - 0xa5)
+  const firstByte = parseInt(hex.slice(metadataStart, metadataStart + 2), 16);
+  if (firstByte >= 0xa1 && firstByte <= 0xa5) {
+    return hex.slice(0, metadataStart);
+  }
+
+  return hex;
+}
+
+/**
+ * Disassemble runtime bytecode into instructions
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @returns {Object[]} Instructions { pc, opcode, name, inputs, outputs, pushData? }
+ */
+export function disassemble(bytecode) {
+  const hex = bytecode.replace(/^0x/, '');
+  const bytes = Buffer.from(hex, 'hex');
+  const instructions = [];
+
+  let pc = 0;
+  while (pc < bytes.length) {
+    const opcode = bytes[pc];
+    const [name, inputs, outputs] = OPCODES[opcode] || [`UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`, 0, 0];
+    const instruction = { pc, opcode, name, inputs, outputs };
+
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      // Truncated push data at the end of code is zero-padded by the EVM
+      const data = bytes.subarray(pc + 1, pc + 1 + size).toString('hex').padEnd(size * 2, '0');
+      instruction.pushData = '0x' + data;
+      pc += size;
+    }
+
+    instructions.push(instruction);
+    pc++;
+  }
+
+  return instructions;
+}
+
+/**
+ * Split instructions into basic blocks
+ * A block starts at pc 0, at every JUMPDEST and after every JUMPI or terminating instruction
+ * @param {Object[]} instructions - Instructions from disassemble
+ * @returns {Map<number, Object>} Blocks keyed by start pc
+ */
+export function splitBasicBlocks(instructions) {
+  const blocks = new Map();
+  let current = null;
+
+  for (let i = 0; i < instructions.length; i++) {
+    const instruction = instructions[i];
+    if (!current || instruction.name === 'JUMPDEST') {
+      if (current) {
+        current.fallthrough = instruction.pc;
+      }
+      current = { start: instruction.pc, instructions: [], fallthrough: null };
+      blocks.set(current.start, current);
+    }
+
+    current.instructions.push(instruction);
+
+    if (TERMINATING_OPS.has(instruction.name) || instruction.name === 'JUMPI' || instruction.name.startsWith('UNKNOWN')) {
+      // JUMPI falls through to the next instruction when the condition is false
+      if (instruction.name === 'JUMPI' && instructions[i + 1]) {
+        current.fallthrough = instructions[i + 1].pc;
+      }
+      current = null;
+    }
+  }
+
+  for (const block of blocks.values()) {
+    block.end = block.instructions[block.instructions.length - 1].pc;
+  }
+
+  return blocks;
+}
+
+/**
+ * Recover function selectors from the dispatcher
+ * Matches the solc pattern: PUSH4 <selector> [DUPn] EQ PUSHn <target> JUMPI
+ * @param {Object[]} instructions - Instructions from disassemble
+ * @returns {Object[]} Selectors { selector, entry, signature }
+ */
+export function extractFunctionSelectors(instructions) {
+  const knownSelectors = getKnownSelectors();
+  const selectors = new Map();
+
+  for (let i = 0; i < instructions.length; i++) {
+    if (instructions[i].name !== 'PUSH4') continue;
+
+    let j = i + 1;
+    if (instructions[j] && instructions[j].name.startsWith('DUP')) j++;
+    if (!instructions[j] || instructions[j].name !== 'EQ') continue;
+
+    const target = instructions[j + 1];
+    const jump = instructions[j + 2];
+    if (!target || !target.name.startsWith('PUSH') || !jump || jump.name !== 'JUMPI') continue;
+
+    const selector = instructions[i].pushData;
+    if (!selectors.has(selector)) {
+      selectors.set(selector, {
+        selector,
+        entry: parseInt(target.pushData, 16),
+        signature: knownSelectors.get(selector) || null
+      });
+    }
+  }
+
+  return [...selectors.values()];
+}
+
+/**
+ * Create a stack value
+ * @param {string} expr - Expression text
+ * @param {bigint|null} value - Constant value if known
+ * @returns {Object} Stack value
+ */
+function stackValue(expr, value = null) {
+  return { expr, value };
+}
+
+/**
+ * Wrap an expression in parentheses unless it is atomic
+ * @param {string} expr - Expression text
+ * @returns {string} Possibly parenthesized expression
+ */
+function wrap(expr) {
+  return /^[\w.$\[\]()]+$/.test(expr) && !/^\(.*\)$/.test(expr) && !expr.includes(' ') ? expr : `(${expr})`;
+}
+
+/**
+ * Fold a binary operation on two constants
+ * @param {string} name - Opcode name
+ * @param {bigint} a - First operand (top of stack)
+ * @param {bigint} b - Second operand
+ * @returns {bigint|null} Folded value or null
+ */
+function foldConstants(name, a, b) {
+  const MAX = (1n << 256n) - 1n;
+  switch (name) {
+    case 'ADD': return (a + b) & MAX;
+    case 'SUB': return (a - b) & MAX;
+    case 'MUL': return (a * b) & MAX;
+    case 'AND': return a & b;
+    case 'OR': return a | b;
+    case 'SHL': return a < 256n ? (b << a) & MAX : 0n;
+    case 'SHR': return a < 256n ? b >> a : 0n;
+    default: return null;
+  }
+}
+
+/**
+ * Symbolically execute one basic block
+ * @param {Object} block - Basic block
+ * @param {Object[]} entryStack - Stack at block entry (top of stack last)
+ * @param {Object} state - Shared lifting state { tempCounter }
+ * @returns {Object} { statements, exitStack, jumpTargets, terminates }
+ */
+function liftBlock(block, entryStack, state) {
+  const stack = [...entryStack];
+  const statements = [];
+  const jumpTargets = [];
+  let underflowCounter = 0;
+  let terminates = false;
+
+  const pop = () => stack.length > 0 ? stack.pop() : stackValue(`_s${underflowCounter++}`);
+  const push = (expr, value = null) => stack.push(stackValue(expr, value));
+  const bindTemp = (expr) => {
+    const name = `v${state.tempCounter++}`;
+    statements.push(`uint256 ${name} = ${expr};`);
+    push(name);
+  };
+  const memorySlice = (offset, length) => `memory[${offset.expr}:${offset.expr} + ${length.expr}]`;
+
+  for (const instruction of block.instructions) {
+    const { name } = instruction;
+
+    if (name === 'JUMPDEST') continue;
+
+    if (name.startsWith('PUSH')) {
+      const data = instruction.pushData || '0x0';
+      push(data === '0x' ? '0x0' : data, BigInt(data === '0x' ? 0 : data));
+      continue;
+    }
+
+    if (name.startsWith('DUP')) {
+      const depth = parseInt(name.slice(3));
+      while (stack.length < depth) stack.unshift(stackValue(`_s${underflowCounter++}`));
+      stack.push(stack[stack.length - depth]);
+      continue;
+    }
+
+    if (name.startsWith('SWAP')) {
+      const depth = parseInt(name.slice(4));
+      while (stack.length < depth + 1) stack.unshift(stackValue(`_s${underflowCounter++}`));
+      const top = stack.length - 1;
+      [stack[top], stack[top - depth]] = [stack[top - depth], stack[top]];
+      continue;
+    }
+
+    if (name.startsWith('LOG')) {
+      const topicCount = parseInt(name.slice(3));
+      const offset = pop();
+      const length = pop();
+      const topics = Array.from({ length: topicCount }, () => pop().expr);
+      statements.push(`emit Log${topicCount}(${[...topics, memorySlice(offset, length)].join(', ')});`);
+      continue;
+    }
+
+    if (BINARY_OPERATORS[name]) {
+      const a = pop();
+      const b = pop();
+      const folded = a.value !== null && b.value !== null ? foldConstants(name, a.value, b.value) : null;
+      if (folded !== null) {
+        push('0x' + folded.toString(16), folded);
+      } else {
+        push(`${wrap(a.expr)} ${BINARY_OPERATORS[name]} ${wrap(b.expr)}`);
+      }
+      continue;
+    }
+
+    if (ENVIRONMENT_VALUES[name]) {
+      push(ENVIRONMENT_VALUES[name]);
+      continue;
+    }
+
+    switch (name) {
+      case 'STOP':
+        statements.push('return;');
+        terminates = true;
+        break;
+      case 'SHL':
+      case 'SHR':
+      case 'SAR': {
+        const shift = pop();
+        const value = pop();
+        const folded = shift.value !== null && value.value !== null ? foldConstants(name, shift.value, value.value) : null;
+        if (folded !== null) {
+          push('0x' + folded.toString(16), folded);
+        } else {
+          push(`${wrap(value.expr)} ${name === 'SHL' ? '<<' : '>>'} ${wrap(shift.expr)}`);
+        }
+        break;
+      }
+      case 'SLT':
+      case 'SGT': {
+        const a = pop();
+        const b = pop();
+        push(`int256(${a.expr}) ${name === 'SLT' ? '<' : '>'} int256(${b.expr})`);
+        break;
+      }
+      case 'SDIV':
+      case 'SMOD': {
+        const a = pop();
+        const b = pop();
+        push(`int256(${a.expr}) ${name === 'SDIV' ? '/' : '%'} int256(${b.expr})`);
+        break;
+      }
+      case 'ADDMOD':
+      case 'MULMOD': {
+        const a = pop();
+        const b = pop();
+        const n = pop();
+        push(`${name.toLowerCase()}(${a.expr}, ${b.expr}, ${n.expr})`);
+        break;
+      }
+      case 'SIGNEXTEND':
+      case 'BYTE': {
+        const a = pop();
+        const b = pop();
+        push(`${name.toLowerCase()}(${a.expr}, ${b.expr})`);
+        break;
+      }
+      case 'ISZERO': {
+        const a = pop();
+        push(a.value !== null ? (a.value === 0n ? '0x1' : '0x0') : `!${wrap(a.expr)}`, a.value !== null ? BigInt(a.value === 0n) : null);
+        break;
+      }
+      case 'NOT':
+        push(`~${wrap(pop().expr)}`);
+        break;
+      case 'KECCAK256': {
+        const offset = pop();
+        const length = pop();
+        bindTemp(`keccak256(${memorySlice(offset, length)})`);
+        break;
+      }
+      case 'BALANCE':
+        bindTemp(`${wrap(pop().expr)}.balance`);
+        break;
+      case 'EXTCODESIZE':
+        bindTemp(`${wrap(pop().expr)}.code.length`);
+        break;
+      case 'EXTCODEHASH':
+        bindTemp(`${wrap(pop().expr)}.codehash`);
+        break;
+      case 'BLOCKHASH':
+        push(`blockhash(${pop().expr})`);
+        break;
+      case 'BLOBHASH':
+        push(`blobhash(${pop().expr})`);
+        break;
+      case 'CALLDATALOAD':
+        push(`msg.data[${pop().expr}]`);
+        break;
+      case 'MLOAD':
+        push(`memory[${pop().expr}]`);
+        break;
+      case 'SLOAD':
+        bindTemp(`storage[${pop().expr}]`);
+        break;
+      case 'TLOAD':
+        bindTemp(`transient[${pop().expr}]`);
+        break;
+      case 'PC':
+        push('0x' + instruction.pc.toString(16), BigInt(instruction.pc));
+        break;
+      case 'POP':
+        pop();
+        break;
+      case 'MSTORE': {
+        const offset = pop();
+        const value = pop();
+        statements.push(`memory[${offset.expr}] = ${value.expr};`);
+        break;
+      }
+      case 'MSTORE8': {
+        const offset = pop();
+        const value = pop();
+        statements.push(`memory8[${offset.expr}] = ${value.expr};`);
+        break;
+      }
+      case 'SSTORE': {
+        const key = pop();
+        const value = pop();
+        statements.push(`storage[${key.expr}] = ${value.expr};`);
+        break;
+      }
+      case 'TSTORE': {
+        const key = pop();
+        const value = pop();
+        statements.push(`transient[${key.expr}] = ${value.expr};`);
+        break;
+      }
+      case 'CALLDATACOPY':
+      case 'CODECOPY':
+      case 'RETURNDATACOPY':
+      case 'MCOPY': {
+        const args = [pop(), pop(), pop()];
+        statements.push(`${name.toLowerCase()}(${args.map(a => a.expr).join(', ')});`);
+        break;
+      }
+      case 'EXTCODECOPY': {
+        const args = [pop(), pop(), pop(), pop()];
+        statements.push(`extcodecopy(${args.map(a => a.expr).join(', ')});`);
+        break;
+      }
+      case 'JUMP': {
+        const target = pop();
+        if (target.value !== null) {
+          jumpTargets.push(Number(target.value));
+          statements.push(`goto ${blockLabel(Number(target.value))};`);
+        } else {
+          statements.push(`goto ${target.expr};`);
+        }
+        terminates = true;
+        break;
+      }
+      case 'JUMPI': {
+        const target = pop();
+        const condition = pop();
+        if (target.value !== null) {
+          jumpTargets.push(Number(target.value));
+          statements.push(`if (${condition.expr}) goto ${blockLabel(Number(target.value))};`);
+        } else {
+          statements.push(`if (${condition.expr}) goto ${target.expr};`);
+        }
+        break;
+      }
+      case 'RETURN': {
+        const offset = pop();
+        const length = pop();
+        statements.push(`return ${memorySlice(offset, length)};`);
+        terminates = true;
+        break;
+      }
+      case 'REVERT': {
+        const offset = pop();
+        const length = pop();
+        statements.push(`revert(${memorySlice(offset, length)});`);
+        terminates = true;
+        break;
+      }
+      case 'INVALID':
+        statements.push('invalid();');
+        terminates = true;
+        break;
+      case 'SELFDESTRUCT':
+        statements.push(`selfdestruct(${pop().expr});`);
+        terminates = true;
+        break;
+      case 'CALL':
+      case 'CALLCODE': {
+        const [gas, to, value, inOffset, inLength, outOffset, outLength] = Array.from({ length: 7 }, pop);
+        bindTemp(`${name.toLowerCase()}{gas: ${gas.expr}, value: ${value.expr}}(${to.expr}, ${memorySlice(inOffset, inLength)}) -> ${memorySlice(outOffset, outLength)}`);
+        break;
+      }
+      case 'DELEGATECALL':
+      case 'STATICCALL': {
+        const [gas, to, inOffset, inLength, outOffset, outLength] = Array.from({ length: 6 }, pop);
+        bindTemp(`${name.toLowerCase()}{gas: ${gas.expr}}(${to.expr}, ${memorySlice(inOffset, inLength)}) -> ${memorySlice(outOffset, outLength)}`);
+        break;
+      }
+      case 'CREATE': {
+        const [value, offset, length] = Array.from({ length: 3 }, pop);
+        bindTemp(`create{value: ${value.expr}}(${memorySlice(offset, length)})`);
+        break;
+      }
+      case 'CREATE2': {
+        const [value, offset, length, salt] = Array.from({ length: 4 }, pop);
+        bindTemp(`create2{value: ${value.expr}, salt: ${salt.expr}}(${memorySlice(offset, length)})`);
+        break;
+      }
+      default:
+        // Unknown opcode: executing it reverts
+        statements.push(`invalid(); // ${name}`);
+        terminates = true;
+    }
+
+    // Keep expressions readable by binding long ones to temporaries
+    const top = stack[stack.length - 1];
+    if (top && top.value === null && top.expr.length > MAX_INLINE_EXPRESSION_LENGTH && !TEMP_BOUND_OPS.has(name)) {
+      stack.pop();
+      bindTemp(top.expr);
+    }
+
+    if (terminates) break;
+  }
+
+  return { statements, exitStack: stack, jumpTargets, terminates };
+}
+
+/**
+ * Lift all blocks reachable from an entry point
+ * Stacks are propagated along resolved edges so that internal return addresses resolve
+ * @param {number} entry - Entry pc
+ * @param {Map<number, Object>} blocks - Basic blocks
+ * @param {Set<number>} stopAt - Entries that should be referenced but not inlined
+ * @returns {Object[]} Lifted blocks { start, statements }
+ */
+function liftFromEntry(entry, blocks, stopAt = new Set()) {
+  const state = { tempCounter: 0 };
+  const lifted = [];
+  const visited = new Set();
+  const worklist = [{ pc: entry, stack: [] }];
+
+  while (worklist.length > 0 && lifted.length < MAX_BLOCKS_PER_FUNCTION) {
+    const { pc, stack } = worklist.shift();
+    if (visited.has(pc) || !blocks.has(pc)) continue;
+    visited.add(pc);
+
+    const block = blocks.get(pc);
+    const result = liftBlock(block, stack, state);
+    const statements = [...result.statements];
+
+    if (!result.terminates && block.fallthrough !== null) {
+      const last = block.instructions[block.instructions.length - 1];
+      if (last.name !== 'JUMPI') {
+        statements.push(`goto ${blockLabel(block.fallthrough)};`);
+      }
+    }
+
+    lifted.push({ start: pc, statements });
+
+    const successors = [...result.jumpTargets];
+    if (!result.terminates && block.fallthrough !== null) {
+      successors.push(block.fallthrough);
+    }
+
+    for (const successor of successors) {
+      if (stopAt.has(successor) && successor !== entry) continue;
+      if (!visited.has(successor)) {
+        worklist.push({ pc: successor, stack: result.exitStack });
+      }
+    }
+  }
+
+  return lifted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Render lifted blocks as an indented pseudo-Solidity body
+ * @param {Object[]} liftedBlocks - Lifted blocks
+ * @param {Map<number, string>} entryNames - Function names keyed by entry pc
+ * @returns {string} Rendered body
+ */
+function renderBlocks(liftedBlocks, entryNames) {
+  const lines = [];
+  for (const block of liftedBlocks) {
+    lines.push(`        ${blockLabel(block.start)}:`);
+    for (const statement of block.statements) {
+      const rendered = statement.replace(/goto block_0x([0-9a-f]+);/, (match, hex) => {
+        const target = parseInt(hex, 16);
+        return entryNames.has(target) && target !== block.start ? `goto ${entryNames.get(target)};` : match;
+      });
+      lines.push(`            ${rendered}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Built-in decompilation pass: basic blocks, selector recovery and a stack-based lift
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @param {Object} options - { contractName }
+ * @returns {Object} { source, selectors, blockCount, instructionCount }
+ */
+export function decompileBytecodeBuiltin(bytecode, options = {}) {
+  const code = stripMetadata(bytecode);
+  const instructions = disassemble(code);
+  const blocks = splitBasicBlocks(instructions);
+  const selectors = extractFunctionSelectors(instructions);
+
+  const entryNames = new Map();
+  for (const { selector, entry, signature } of selectors) {
+    entryNames.set(entry, signature ? signature.split('(')[0] : `unknown_${selector.slice(2)}`);
+  }
+  const functionEntries = new Set(entryNames.keys());
+
+  const contractName = options.contractName || 'Decompiled';
+  const lines = [
+    '// Decompiled by the built-in fetch-solidity-contract decompiler',
+    '// Pseudo-Solidity: not compilable, control flow is shown as labelled blocks with gotos',
+    `// Bytecode size: ${code.length / 2} bytes, instructions: ${instructions.length}, basic blocks: ${blocks.size}`,
+    `// Recovered functions: ${selectors.length}`,
+    '',
+    `contract ${contractName} {`
+  ];
+
+  for (const { selector, entry, signature } of selectors) {
+    const header = signature
+      ? `function ${signature}`
+      : `function unknown_${selector.slice(2)}()`;
+    lines.push('');
+    lines.push(`    // selector ${selector}, entry ${blockLabel(entry)}`);
+    lines.push(`    ${header} {`);
+    lines.push(blocks.has(entry)
+      ? renderBlocks(liftFromEntry(entry, blocks, functionEntries), entryNames)
+      : '        // entry is not a basic block start, body could not be lifted');
+    lines.push('    }');
+  }
+
+  // Everything reachable from pc 0 that is not a recovered function: dispatcher and fallback
+  lines.push('');
+  lines.push('    // dispatcher / fallback, entry block_0x0');
+  lines.push('    fallback() {');
+  lines.push(renderBlocks(liftFromEntry(0, blocks, functionEntries), entryNames));
+  lines.push('    }');
+  lines.push('}');
+
+  return {
+    source: lines.join('\n') + '\n',
+    selectors,
+    blockCount: blocks.size,
+    instructionCount: instructions.length
+  };
+}
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Executable name
+ * @returns {string|null} Full path or null if not installed
+ */
+function findExecutable(name) {
+  const directories = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const directory of directories) {
+    const candidate = path.join(directory, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decompile bytecode with an installed Panoramix binary
+ * PANORAMIX_PATH overrides the lookup on PATH
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @param {string} outputDir - Directory to write decompiled.sol into
+ * @returns {Promise<Object>} { success, tool, outputPath, error? }
+ */
+export async function decompileWithPanoramix(bytecode, outputDir) {
+  const outputPath = path.join(outputDir, 'decompiled.sol');
+  const binary = process.env.PANORAMIX_PATH || findExecutable('panoramix');
+  if (!binary) {
+    return { success: false, tool: 'panoramix', outputPath, error: 'Panoramix is not installed' };
+  }
+
+  try {
+    const { stdout } = await execFileAsync(binary, [bytecode], {
+      timeout: EXTERNAL_TOOL_TIMEOUT_MS,
+      maxBuffer: EXTERNAL_TOOL_MAX_BUFFER,
+      env: { ...process.env, NO_COLOR: '1' }
+    });
+
+    // Panoramix colours its output for terminals
+    const source = stdout.replace(/\x1b\[[0-9;]*m/g, '');
+    if (!source.trim()) {
+      return { success: false, tool: 'panoramix', outputPath, error: 'Panoramix produced no output' };
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(outputPath, source, 'utf8');
+    return { success: true, tool: 'panoramix', outputPath };
+  } catch (error) {
+    return { success: false, tool: 'panoramix', outputPath, error: error.message };
+  }
+}
+
+/**
+ * Decompile bytecode with an installed heimdall binary
+ * HEIMDALL_PATH overrides the lookup on PATH
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @param {string} outputDir - Directory to write decompiled.sol into
+ * @returns {Promise<Object>} { success, tool, outputPath, error? }
+ */
+export async function decompileWithHeimdall(bytecode, outputDir) {
+  const outputPath = path.join(outputDir, 'decompiled.sol');
+  const binary = process.env.HEIMDALL_PATH || findExecutable('heimdall');
+  if (!binary) {
+    return { success: false, tool: 'heimdall', outputPath, error: 'heimdall is not installed' };
+  }
+
+  const workDir = path.join(outputDir, '.heimdall');
+  try {
+    fs.mkdirSync(workDir, { recursive: true });
+    await execFileAsync(binary, ['decompile', bytecode, '--include-sol', '--output', workDir], {
+      timeout: EXTERNAL_TOOL_TIMEOUT_MS,
+      maxBuffer: EXTERNAL_TOOL_MAX_BUFFER
+    });
+
+    // heimdall nests its output by target; pick the first decompiled.sol it wrote
+    const written = fs.readdirSync(workDir, { recursive: true })
+      .map(f => path.join(workDir, f))
+      .find(f => path.basename(f) === 'decompiled.sol');
+    if (!written) {
+      return { success: false, tool: 'heimdall', outputPath, error: 'heimdall produced no decompiled.sol' };
+    }
+
+    fs.copyFileSync(written, outputPath);
+    return { success: true, tool: 'heimdall', outputPath };
+  } catch (error) {
+    return { success: false, tool: 'heimdall', outputPath, error: error.message };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Reject empty code ('0x'), which would decompile to an empty contract
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @param {string} contractAddress - Address the code was read from, for the message
+ */
+function assertBytecode(bytecode, contractAddress) {
+  if (!bytecode || bytecode === '0x' || bytecode === '0x0') {
+    const at = contractAddress ? ` at address ${contractAddress}` : '';
+    throw new Error(`No bytecode found${at}, nothing to decompile. This might be an EOA or non-existent contract.`);
+  }
+}
+
+/**
+ * Decompile bytecode into outputDir
+ * Tries Panoramix, then heimdall, then the built-in pass
+ * @param {string} bytecode - Runtime bytecode (hex)
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - { contractName, useExternal = true }
+ * @returns {Promise<Object>} { success, tool, pseudoDecompiled, outputPath, attempts, selectors? }
+ */
+export async function decompileBytecode(bytecode, outputDir, options = {}) {
+  const { useExternal = true } = options;
+  const attempts = [];
+  assertBytecode(bytecode);
+
+  if (useExternal) {
+    for (const decompile of [decompileWithPanoramix, decompileWithHeimdall]) {
+      const result = await decompile(bytecode, outputDir);
+      if (result.success) {
+        return { ...result, pseudoDecompiled: false, attempts };
+      }
+      attempts.push({ tool: result.tool, error: result.error });
+    }
+  }
+
+  const builtin = decompileBytecodeBuiltin(bytecode, options);
+  const outputPath = path.join(outputDir, 'decompiled.sol');
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(outputPath, builtin.source, 'utf8');
+
+  return {
+    success: true,
+    tool: 'builtin',
+    pseudoDecompiled: true,
+    outputPath,
+    attempts,
+    selectors: builtin.selectors,
+    blockCount: builtin.blockCount,
+    instructionCount: builtin.instructionCount
+  };
+}
+
+/**
+ * Fetch bytecode for a contract and decompile it into the contract output tree
+ * Output goes to <chain>/<baseAddress>/[<contract type dir>/]decompiled/
+ * @param {string} chainName - Name of the chain
+ * @param {string} contractAddress - Address of the contract
+ * @param {Object} options - { contractType = 'main', baseAddress, useExternal, blockTag = 'latest' }
+ * @returns {Promise<Object>} Decompilation result with metadata
+ */
+export async function decompileContract(chainName, contractAddress, options = {}) {
+  const { contractType = 'main', baseAddress = contractAddress, blockTag = 'latest' } = options;
+  const bytecode = await getBytecode(chainName, contractAddress, blockTag);
+  assertBytecode(bytecode, contractAddress);
+
+  const baseDir = createOutputDirectory(chainName, baseAddress);
+  const outputDir = path.join(baseDir, getContractSubDirectory(contractType), 'decompiled');
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const result = await decompileBytecode(bytecode, outputDir, {
+    ...options,
+    contractName: `Decompiled_${contractAddress.slice(2, 10)}`
+  });
+
+  const metadata = {
+    chainName,
+    contractAddress,
+    contractType,
+    blockTag,
+    tool: result.tool,
+    pseudoDecompiled: result.pseudoDecompiled,
+    bytecodeSize: (bytecode.length - 2) / 2,
+    bytecodeHash: ethers.keccak256(bytecode),
+    selectors: (result.selectors || []).map(({ selector, signature }) => ({ selector, signature })),
+    failedTools: result.attempts
+  };
+
+  fs.writeFileSync(path.join(outputDir, 'bytecode.hex'), bytecode + '\n', 'utf8');
+  fs.writeFileSync(path.join(outputDir, 'decompile-info.json'), JSON.stringify(metadata, null, 2), 'utf8');
+
+  return {
+    ...result,
+    outputDir,
+    metadata
+  };
+}
+
+export default {
+  stripMetadata,
+  disassemble,
+  splitBasicBlocks,
+  extractFunctionSelectors,
+  decompileBytecodeBuiltin,
+  decompileWithPanoramix,
+  decompileWithHeimdall,
+  decompileBytecode,
+  decompileContract
+};
@@ -0,0 +1,367 @@
+/**
+ * Dependency Crawler Module
+ * Finds external contracts referenced by a target and fetches their verified source
+ * Sources of references: address literals in source, constructor arguments,
+ * immutables/constants embedded in bytecode, and public address getters
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createProvider } from './proxyDetector.js';
+import { isTransportError } from './rpcProvider.js';
+import { fetchContractSource } from './sourceFetcher.js';
+import { parseContractSource, stripSourceComments, processAndSaveSource, createOutputDirectory } from './sourceParser.js';
+import { disassemble, stripMetadata } from './decompiler.js';
+import { logger } from './logger.js';
+
+// Default crawl limits
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_CONTRACTS = 50;
+
+// Graph file written at the root of the output directory
+const GRAPH_FILE_NAME = 'dependency-graph.json';
+
+// Largest value taken for a small integer or precompile rather than an address
+const MAX_SMALL_VALUE = 0xffffn;
+
+// Reference kinds recorded on graph edges
+export const REFERENCE_KINDS = {
+  SOURCE_LITERAL: 'source-literal',
+  CONSTRUCTOR_ARGUMENT: 'constructor-argument',
+  IMMUTABLE: 'immutable',
+  STORAGE_GETTER: 'storage-getter'
+};
+
+/**
+ * Normalize a 20-byte hex value into a checksummed address
+ * Rejects the zero address, precompiles and small integers (values up to 0xffff); vanity addresses
+ * with leading zero bytes (Permit2, Seaport) are kept, and isContract weeds out non-contracts
+ * @param {string} hex - 40 hex characters (no 0x prefix)
+ * @returns {string|null} Checksummed address or null
+ */
+function toCandidateAddress(hex) {
+  if (!/^[a-fA-F0-9]{40}$/.test(hex) || BigInt('0x' + hex) <= MAX_SMALL_VALUE) {
+    return null;
+  }
+  try {
+    return ethers.getAddress('0x' + hex);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find address literals in source files (comments are ignored)
+ * @param {Object} files - Map of file paths to content
+ * @returns {string[]} Unique checksummed addresses
+ */
+export function extractAddressesFromSource(files) {
+  const addresses = new Set();
+
+  for (const [filePath, content] of Object.entries(files)) {
+    const code = stripSourceComments(filePath, content);
+    for (const match of code.matchAll(/\b0x([a-fA-F0-9]{40})\b/g)) {
+      const address = toCandidateAddress(match[1]);
+      if (address) addresses.add(address);
+    }
+  }
+
+  return [...addresses];
+}
+
+/**
+ * Find address-shaped words in ABI-encoded constructor arguments
+ * @param {string} constructorArguments - Hex-encoded constructor arguments
+ * @returns {string[]} Unique checksummed addresses
+ */
+export function extractAddressesFromConstructorArgs(constructorArguments) {
+  const addresses = new Set();
+  const hex = (constructorArguments || '').replace(/^0x/, '');
+
+  for (let offset = 0; offset + 64 <= hex.length; offset += 64) {
+    const word = hex.slice(offset, offset + 64);
+    // Addresses are left-padded with 12 zero bytes
+    if (!word.startsWith('0'.repeat(24))) continue;
+    const address = toCandidateAddress(word.slice(24));
+    if (address) addresses.add(address);
+  }
+
+  return [...addresses];
+}
+
+/**
+ * Find addresses embedded in runtime bytecode
+ * Immutables are PUSH32 values filled in at deploy time, constants are usually PUSH20
+ * @param {string} bytecode - Runtime bytecode
+ * @returns {string[]} Unique checksummed addresses
+ */
+export function extractAddressesFromBytecode(bytecode) {
+  const addresses = new Set();
+
+  for (const instruction of disassemble(stripMetadata(bytecode))) {
+    let hex = null;
+    if (instruction.name === 'PUSH20') {
+      hex = instruction.pushData.slice(2);
+    } else if (instruction.name === 'PUSH32' && instruction.pushData.slice(2, 26) === '0'.repeat(24)) {
+      hex = instruction.pushData.slice(26);
+    }
+
+    if (hex) {
+      const address = toCandidateAddress(hex);
+      // PUSH20 0xffff...ff is a common mask, not an address
+      if (address && hex !== 'f'.repeat(40)) addresses.add(address);
+    }
+  }
+
+  return [...addresses];
+}
+
+/**
+ * Call every parameterless view function returning a single address
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} contractAddress - Contract address
+ * @param {string|Object[]} abi - Contract ABI (JSON string or array)
+ * @param {string|number} blockTag - Block to call at (default: latest)
+ * @returns {Promise<Object[]>} Getter results { getter, address }
+ * @throws {RpcTransportError} If the RPC could not be reached
+ */
+export async function readAddressGetters(provider, contractAddress, abi, blockTag = 'latest') {
+  let iface;
+  try {
+    iface = new ethers.Interface(typeof abi === 'string' ? JSON.parse(abi) : abi);
+  } catch {
+    return [];
+  }
+
+  const results = [];
+  for (const fragment of iface.fragments) {
+    if (fragment.type !== 'function') continue;
+    if (!['view', 'pure'].includes(fragment.stateMutability)) continue;
+    if (fragment.inputs.length !== 0 || fragment.outputs.length !== 1 || fragment.outputs[0].type !== 'address') continue;
+
+    try {
+      const data = iface.encodeFunctionData(fragment, []);
+      const returned = await provider.call({ to: contractAddress, data, blockTag });
+      const [value] = iface.decodeFunctionResult(fragment, returned);
+      if (value && value !== ethers.ZeroAddress) {
+        results.push({ getter: fragment.name, address: ethers.getAddress(value) });
+      }
+    } catch (error) {
+      // Getter reverted or returned malformed data; an unreachable RPC is not "no reference"
+      if (isTransportError(error)) throw error;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Collect all references from one contract, grouped by referenced address
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} contractAddress - Contract address
+ * @param {Object} sourceData - Source data from sourceFetcher
+ * @param {string|number} blockTag - Block to read at (default: latest)
+ * @returns {Promise<Map<string, string[]>>} Referenced address -> reference kinds
+ * @throws {RpcTransportError} If the getters or the bytecode could not be read
+ */
+async function collectReferences(provider, contractAddress, sourceData, blockTag = 'latest') {
+  const references = new Map();
+  const add = (address, kind) => {
+    if (address.toLowerCase() === contractAddress.toLowerCase()) return;
+    const kinds = references.get(address) || [];
+    if (!kinds.includes(kind)) kinds.push(kind);
+    references.set(address, kinds);
+  };
+
+  if (sourceData && sourceData.isVerified) {
+    const parsedSource = parseContractSource(sourceData);
+    for (const address of extractAddressesFromSource(parsedSource.files)) {
+      add(address, REFERENCE_KINDS.SOURCE_LITERAL);
+    }
+    for (const address of extractAddressesFromConstructorArgs(sourceData.constructorArguments)) {
+      add(address, REFERENCE_KINDS.CONSTRUCTOR_ARGUMENT);
+    }
+    for (const { getter, address } of await readAddressGetters(provider, contractAddress, sourceData.abi, blockTag)) {
+      add(address, `${REFERENCE_KINDS.STORAGE_GETTER}:${getter}`);
+    }
+  }
+
+  try {
+    const bytecode = await provider.getCode(contractAddress, blockTag);
+    for (const address of extractAddressesFromBytecode(bytecode)) {
+      add(address, REFERENCE_KINDS.IMMUTABLE);
+    }
+  } catch (error) {
+    if (isTransportError(error)) throw error;
+    // Bytecode unavailable, rely on source-level references only
+  }
+
+  return references;
+}
+
+/**
+ * Check whether an address has deployed code
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} address - Address to check
+ * @param {string|number} blockTag - Block to check at (default: latest)
+ * @returns {Promise<boolean>} True if the address is a contract
+ * @throws {RpcTransportError} If the RPC could not be reached
+ */
+async function isContract(provider, address, blockTag = 'latest') {
+  try {
+    const code = await provider.getCode(address, blockTag);
+    return code !== '0x' && code !== '0x0';
+  } catch (error) {
+    if (isTransportError(error)) throw error;
+    return false;
+  }
+}
+
+/**
+ * Crawl contracts referenced by the target, breadth-first up to maxDepth
+ * Each verified dependency is saved under <root>/dependencies/<address>/
+ * and a dependency-graph.json is written to the root output directory.
+ * RPC reads that fail are recorded on the node (referencesError) or edge (error), and the
+ * graph is marked incomplete, so an outage never passes for a contract without dependencies.
+ * References left unfetched once maxContracts is reached are recorded as truncated edges,
+ * which also mark the graph incomplete
+ *
+ * @param {string} chainName - Name of the chain
+ * @param {string} rootAddress - Target contract address (base output directory)
+ * @param {Object} options - Crawl options
+ * @param {Object[]} options.seeds - Starting contracts { address, role, sourceData } (default: root only)
+ * @param {number} options.maxDepth - Maximum reference depth from the seeds (default: 2)
+ * @param {number} options.maxContracts - Maximum number of dependencies to fetch (default: 50)
+ * @param {string|number} options.blockTag - Block to read references at (default: latest)
+ * @returns {Promise<Object>} Graph { root, nodes, edges, complete } and graphPath
+ */
+export async function crawlDependencies(chainName, rootAddress, options = {}) {
+  const {
+    seeds = [{ address: rootAddress, role: 'root', sourceData: null }],
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxContracts = DEFAULT_MAX_CONTRACTS,
+    blockTag = 'latest'
+  } = options;
+
+  const provider = createProvider(chainName);
+  const visited = new Set();
+  const nodes = [];
+  const edges = [];
+  const queue = [];
+
+  for (const seed of seeds) {
+    const address = ethers.getAddress(seed.address);
+    if (visited.has(address.toLowerCase())) continue;
+    visited.add(address.toLowerCase());
+    queue.push({ address, depth: 0, role: seed.role, sourceData: seed.sourceData || null });
+  }
+
+  let fetchedDependencies = 0;
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const node = {
+      address: current.address,
+      depth: current.depth,
+      role: current.role,
+      verified: false,
+      contractName: null,
+      outputDir: null
+    };
+    nodes.push(node);
+
+    let sourceData = current.sourceData;
+    if (!sourceData) {
+      try {
+        sourceData = await fetchContractSource(chainName, current.address);
+      } catch (error) {
+        node.error = error.message;
+      }
+    }
+
+    if (sourceData && sourceData.isVerified) {
+      node.verified = true;
+      node.contractName = sourceData.contractName;
+
+      // Seeds are saved by the main flow; only dependencies are saved here
+      if (current.role === 'dependency') {
+        const contractType = `dependencies/${current.address}`;
+        const saveResult = processAndSaveSource(sourceData, contractType, rootAddress);
+        if (saveResult.success) {
+          node.outputDir = path.join(saveResult.outputDir, contractType);
+          logger.info(`    ✓ Dependency saved: ${sourceData.contractName} (${current.address})`);
+        }
+      }
+    } else if (current.role === 'dependency') {
+      logger.info(`    ℹ Dependency not verified: ${current.address}`);
+    }
+
+    if (current.depth >= maxDepth) continue;
+
+    let references = new Map();
+    try {
+      references = await collectReferences(provider, current.address, sourceData, blockTag);
+    } catch (error) {
+      if (!isTransportError(error)) throw error;
+      node.referencesError = error.message;
+      logger.warn(`    ⚠ Could not read references of ${current.address}: ${error.message}`);
+    }
+
+    for (const [address, kinds] of references) {
+      const key = address.toLowerCase();
+      const alreadyVisited = visited.has(key);
+
+      if (!alreadyVisited) {
+        if (fetchedDependencies >= maxContracts) {
+          edges.push({ from: current.address, to: address, kinds, truncated: true });
+          continue;
+        }
+        let contract;
+        try {
+          contract = await isContract(provider, address, blockTag);
+        } catch (error) {
+          if (!isTransportError(error)) throw error;
+          edges.push({ from: current.address, to: address, kinds, error: error.message });
+          continue;
+        }
+        if (!contract) continue;
+        visited.add(key);
+        fetchedDependencies++;
+        queue.push({ address, depth: current.depth + 1, role: 'dependency', sourceData: null });
+      }
+
+      edges.push({ from: current.address, to: address, kinds });
+    }
+  }
+
+  const graph = {
+    chainName,
+    root: ethers.getAddress(rootAddress),
+    maxDepth,
+    blockTag,
+    generatedAt: new Date().toISOString(),
+    complete: !nodes.some(node => node.referencesError) && !edges.some(edge => edge.error || edge.truncated),
+    nodes,
+    edges
+  };
+
+  const truncated = edges.filter(edge => edge.truncated).length;
+  if (truncated > 0) {
+    logger.warn(`    ⚠ Dependency limit of ${maxContracts} reached: ${truncated} reference(s) not followed`);
+  }
+
+  const graphPath = path.join(createOutputDirectory(chainName, rootAddress), GRAPH_FILE_NAME);
+  fs.writeFileSync(graphPath, JSON.stringify(graph, null, 2), 'utf8');
+
+  return { ...graph, graphPath };
+}
+
+export default {
+  REFERENCE_KINDS,
+  extractAddressesFromSource,
+  extractAddressesFromConstructorArgs,
+  extractAddressesFromBytecode,
+  readAddressGetters,
+  crawlDependencies
+};
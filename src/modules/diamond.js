@@ -0,0 +1,259 @@
+/**
+ * Diamond Module
+ * EIP-2535 Diamond support: facet discovery and the selector -> facet map
+ *
+ * Facets are read with the loupe function facets(). A diamond without a loupe is
+ * rebuilt by replaying its DiamondCut events in chain order (Add / Replace / Remove).
+ * Each facet is saved to <chain>/<diamond>/facets/<facetAddress>/, and the selector map
+ * to proxy/selector-map.json, next to the diamond's own audit manifest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createOutputDirectory, getContractSubDirectory } from './sourceParser.js';
+import { parseQuantity, fetchContractLogs, sortLogs } from './eventLogs.js';
+
+// IDiamondLoupe.facets()
+export const DIAMOND_LOUPE_ABI = [
+  'function facets() view returns (tuple(address facetAddress, bytes4[] functionSelectors)[])'
+];
+
+const diamondCutInterface = new ethers.Interface([
+  'event DiamondCut(tuple(address facetAddress, uint8 action, bytes4[] functionSelectors)[] _diamondCut, address _init, bytes _calldata)'
+]);
+
+export const DIAMOND_CUT_TOPIC = diamondCutInterface.getEvent('DiamondCut').topicHash;
+
+// IDiamondCut.FacetCutAction
+export const FACET_CUT_ACTIONS = {
+  ADD: 0,
+  REPLACE: 1,
+  REMOVE: 2
+};
+
+// Diamond contract type in the output directory (the diamond is saved like a proxy)
+const DIAMOND_CONTRACT_TYPE = 'proxy';
+const SELECTOR_MAP_FILE_NAME = 'selector-map.json';
+
+// Source markers of a diamond that may lack a loupe
+const DIAMOND_SOURCE_PATTERN = /\b(?:IDiamondCut|LibDiamond|diamondCut)\b/;
+
+/**
+ * Output subdirectory of one facet
+ * @param {string} facetAddress - Facet address
+ * @returns {string} Contract type, e.g. 'facets/0x...'
+ */
+export function getFacetContractType(facetAddress) {
+  return `facets/${facetAddress}`;
+}
+
+/**
+ * Normalize loupe output: checksummed facet addresses, lower-case selectors, no empty facets
+ * @param {Array} rawFacets - [{ facetAddress, functionSelectors }] as returned by facets()
+ * @returns {Object[]} [{ facetAddress, selectors }]
+ */
+export function normalizeLoupeFacets(rawFacets) {
+  return Array.from(rawFacets)
+    .map(facet => ({
+      facetAddress: ethers.getAddress(facet.facetAddress),
+      selectors: Array.from(facet.functionSelectors).map(selector => selector.toLowerCase())
+    }))
+    .filter(facet => facet.facetAddress !== ethers.ZeroAddress && facet.selectors.length > 0);
+}
+
+/**
+ * Read the facets of a diamond through its loupe
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} diamondAddress - Diamond address
+ * @param {string|number} blockTag - Block to call at (default: latest)
+ * @returns {Promise<Object[]>} [{ facetAddress, selectors }]
+ * @throws If facets() reverts, returns malformed data or the call fails
+ */
+export async function readLoupeFacets(provider, diamondAddress, blockTag = 'latest') {
+  const loupe = new ethers.Contract(diamondAddress, DIAMOND_LOUPE_ABI, provider);
+  return normalizeLoupeFacets(await loupe.facets({ blockTag }));
+}
+
+/**
+ * Whether a contract that has no loupe may still be a diamond
+ * True if the runtime bytecode emits DiamondCut or the verified source uses the diamond libraries
+ * @param {string} bytecode - Runtime bytecode
+ * @param {Object} sourceData - Optional source data
+ * @returns {boolean} True if DiamondCut events are worth replaying
+ */
+export function looksLikeDiamond(bytecode, sourceData = null) {
+  if (bytecode && bytecode.toLowerCase().includes(DIAMOND_CUT_TOPIC.slice(2))) {
+    return true;
+  }
+  return Boolean(sourceData && sourceData.isVerified && DIAMOND_SOURCE_PATTERN.test(sourceData.sourceCode || ''));
+}
+
+/**
+ * Decode a DiamondCut log from the explorer API or eth_getLogs
+ * @param {Object} log - Raw log
+ * @returns {Object} { blockNumber, logIndex, transactionHash, init, cuts: [{ facetAddress, action, selectors }] }
+ */
+export function decodeDiamondCutLog(log) {
+  const parsed = diamondCutInterface.parseLog({ topics: log.topics, data: log.data });
+
+  return {
+    blockNumber: parseQuantity(log.blockNumber),
+    logIndex: parseQuantity(log.logIndex ?? log.index),
+    transactionHash: log.transactionHash,
+    init: parsed.args._init,
+    cuts: parsed.args._diamondCut.map(cut => ({
+      facetAddress: ethers.getAddress(cut.facetAddress),
+      action: Number(cut.action),
+      selectors: Array.from(cut.functionSelectors).map(selector => selector.toLowerCase())
+    }))
+  };
+}
+
+/**
+ * Replay DiamondCut events to rebuild the current selector -> facet routing
+ * @param {Object[]} cutLogs - Decoded DiamondCut logs
+ * @returns {Object[]} [{ facetAddress, selectors }] in order of first appearance
+ */
+export function replayDiamondCuts(cutLogs) {
+  const routing = new Map();
+
+  for (const log of sortLogs(cutLogs)) {
+    for (const cut of log.cuts) {
+      for (const selector of cut.selectors) {
+        if (cut.action === FACET_CUT_ACTIONS.REMOVE) {
+          routing.delete(selector);
+        } else {
+          // Replace moves a selector to a new facet; removing and re-adding moves it to the end
+          routing.delete(selector);
+          routing.set(selector, cut.facetAddress);
+        }
+      }
+    }
+  }
+
+  const facets = new Map();
+  for (const [selector, facetAddress] of routing) {
+    if (!facets.has(facetAddress)) {
+      facets.set(facetAddress, { facetAddress, selectors: [] });
+    }
+    facets.get(facetAddress).selectors.push(selector);
+  }
+  return [...facets.values()];
+}
+
+/**
+ * Rebuild a diamond's facets from its DiamondCut events
+ * @param {Object} context - From createLogContext (toBlock limits the replay)
+ * @param {string} diamondAddress - Diamond address
+ * @returns {Promise<Object|null>} { facets, cutCount, logSource }, or null if no DiamondCut was emitted
+ */
+export async function readDiamondCutFacets(context, diamondAddress) {
+  const { logs, source } = await fetchContractLogs(context, diamondAddress, [DIAMOND_CUT_TOPIC]);
+  if (logs.length === 0) {
+    return null;
+  }
+
+  const cutLogs = logs.map(decodeDiamondCutLog);
+  return {
+    facets: replayDiamondCuts(cutLogs),
+    cutCount: cutLogs.length,
+    logSource: source
+  };
+}
+
+/**
+ * Selectors of every function in an ABI
+ * @param {string|Array} abi - ABI as JSON string or array
+ * @returns {Map} selector -> function signature
+ */
+function abiSelectors(abi) {
+  const selectors = new Map();
+  try {
+    const fragments = typeof abi === 'string' ? JSON.parse(abi) : abi;
+    new ethers.Interface(fragments || []).forEachFunction(fragment => {
+      selectors.set(fragment.selector.toLowerCase(), fragment.format('sighash'));
+    });
+  } catch {
+    // Missing or unparseable ABI: selectors stay unnamed
+  }
+  return selectors;
+}
+
+/**
+ * Build the selector -> facet map, naming selectors from the verified facet ABIs
+ * @param {Object[]} facets - [{ facetAddress, selectors }]
+ * @param {Map} facetSources - Lower-case facet address -> source data (verified facets only)
+ * @returns {Object} { selectors: { selector: { facet, contractName, signature } }, facets: [...] }
+ */
+export function buildSelectorMap(facets, facetSources = new Map()) {
+  const selectors = {};
+  const facetSummaries = [];
+
+  for (const facet of facets) {
+    const sourceData = facetSources.get(facet.facetAddress.toLowerCase()) || null;
+    const contractName = sourceData ? sourceData.contractName : null;
+    const signatures = sourceData ? abiSelectors(sourceData.abi) : new Map();
+
+    for (const selector of facet.selectors) {
+      selectors[selector] = {
+        facet: facet.facetAddress,
+        contractName,
+        signature: signatures.get(selector) || null
+      };
+    }
+    facetSummaries.push({
+      facetAddress: facet.facetAddress,
+      contractName,
+      verified: Boolean(sourceData),
+      selectorCount: facet.selectors.length,
+      outputDir: getFacetContractType(facet.facetAddress)
+    });
+  }
+
+  const sortedSelectors = Object.fromEntries(Object.entries(selectors).sort(([a], [b]) => a.localeCompare(b)));
+  return { facets: facetSummaries, selectors: sortedSelectors };
+}
+
+/**
+ * Save the selector -> facet map next to the diamond's audit manifest
+ * @param {string} chainName - Chain name
+ * @param {string} baseAddress - Output base directory address
+ * @param {Object} proxyInfo - Diamond detection result (facets, detectionMethod)
+ * @param {Map} facetSources - Lower-case facet address -> source data
+ * @returns {string} Path of selector-map.json
+ */
+export function saveSelectorMap(chainName, baseAddress, proxyInfo, facetSources = new Map()) {
+  const selectorMap = buildSelectorMap(proxyInfo.facets, facetSources);
+  const record = {
+    diamond: ethers.getAddress(proxyInfo.proxyAddress),
+    chainName,
+    detectionMethod: proxyInfo.detectionMethod,
+    generatedAt: new Date().toISOString(),
+    facetCount: selectorMap.facets.length,
+    selectorCount: Object.keys(selectorMap.selectors).length,
+    ...selectorMap
+  };
+
+  const diamondDir = path.join(createOutputDirectory(chainName, baseAddress), getContractSubDirectory(DIAMOND_CONTRACT_TYPE));
+  fs.mkdirSync(diamondDir, { recursive: true });
+  const selectorMapPath = path.join(diamondDir, SELECTOR_MAP_FILE_NAME);
+  fs.writeFileSync(selectorMapPath, JSON.stringify(record, null, 2), 'utf8');
+
+  return selectorMapPath;
+}
+
+export default {
+  DIAMOND_LOUPE_ABI,
+  DIAMOND_CUT_TOPIC,
+  FACET_CUT_ACTIONS,
+  getFacetContractType,
+  normalizeLoupeFacets,
+  readLoupeFacets,
+  looksLikeDiamond,
+  decodeDiamondCutLog,
+  replayDiamondCuts,
+  readDiamondCutFacets,
+  buildSelectorMap,
+  saveSelectorMap
+};
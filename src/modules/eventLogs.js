@@ -0,0 +1,251 @@
+/**
+ * Event Logs Module
+ * Fetches the logs one contract emitted for a set of event topics
+ *
+ * Logs come from the Etherscan logs API when the chain uses Etherscan, otherwise from
+ * eth_getLogs in block-range chunks that shrink when the node rejects a range as too large.
+ * Used by upgrade history (Upgraded / BeaconUpgraded) and diamond detection (DiamondCut).
+ */
+
+import { buildEtherscanLogsUrl, buildEtherscanCreationUrl } from './chainConfig.js';
+import { isLogRangeError, isTransportError } from './rpcProvider.js';
+import { fetchJson } from './sourceProviders.js';
+import { logger } from './logger.js';
+
+const EXPLORER_PAGE_SIZE = 1000;
+const EXPLORER_MAX_RESULTS = 10000;
+const DEFAULT_CHUNK_SIZE = 50000;
+const MIN_CHUNK_SIZE = 100;
+
+/**
+ * Parse a hex or decimal quantity (Etherscan returns "0x" for zero log indexes)
+ * @param {string|number} value - Quantity
+ * @returns {number} Parsed number
+ */
+export function parseQuantity(value) {
+  if (typeof value === 'number') return value;
+  if (value === '0x' || value === '' || value === undefined || value === null) return 0;
+  return Number(value);
+}
+
+/**
+ * Fetch one contract's logs for one event topic from the Etherscan logs API
+ * @param {Object} chainConfig - Chain configuration
+ * @param {string} address - Emitting contract
+ * @param {string} topic - Event topic
+ * @param {string|number} toBlock - Last block to include
+ * @returns {Promise<Object[]>} Raw logs
+ */
+async function fetchLogsFromExplorer(chainConfig, address, topic, toBlock) {
+  const logs = [];
+
+  for (let page = 1; page * EXPLORER_PAGE_SIZE <= EXPLORER_MAX_RESULTS; page++) {
+    const url = buildEtherscanLogsUrl(chainConfig.chainId, address, topic, { toBlock, page, offset: EXPLORER_PAGE_SIZE });
+    const isValid = (body) => body.status === '1' || /no records found/i.test(body.message || '');
+    const body = await fetchJson(url, isValid, 'logs');
+
+    if (!body || !isValid(body)) {
+      throw new Error(`Etherscan logs API: ${body ? body.result || body.message : 'not found'}`);
+    }
+    const results = Array.isArray(body.result) ? body.result : [];
+    logs.push(...results);
+    if (results.length < EXPLORER_PAGE_SIZE) {
+      return logs;
+    }
+  }
+
+  throw new Error(`Etherscan logs API: more than ${EXPLORER_MAX_RESULTS} logs`);
+}
+
+/**
+ * Whether a chain's explorer is Etherscan (the logs and contract-creation APIs are Etherscan's)
+ * @param {Object} chainConfig - Chain configuration
+ * @returns {boolean} True if Etherscan is among the chain's source providers
+ */
+function usesEtherscan(chainConfig) {
+  return !chainConfig.sourceProviders || chainConfig.sourceProviders.includes('etherscan');
+}
+
+/**
+ * Find the block a contract was deployed in (binary search over eth_getCode)
+ * Needs an archive node. Never falls back to block 0: scanning from genesis would take
+ * millions of eth_getLogs calls on a busy chain
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} address - Contract address
+ * @param {number} latestBlock - Upper bound
+ * @returns {Promise<number>} Deployment block
+ * @throws {RpcTransportError} If the RPC could not be reached
+ * @throws {Error} If the node cannot read historical state
+ */
+export async function findDeploymentBlock(provider, address, latestBlock) {
+  let low = 0;
+  let high = latestBlock;
+
+  try {
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const code = await provider.getCode(address, middle);
+      if (code && code !== '0x') {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  } catch (error) {
+    if (isTransportError(error)) throw error;
+    throw new Error(`Could not search the deployment block of ${address} (historical eth_getCode needs an archive node): ${error.shortMessage || error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Find the block a contract was deployed in with the Etherscan contract-creation API
+ * Responses without a block number give the creation transaction, whose receipt has it
+ * @param {Object} chainConfig - Chain configuration
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} address - Contract address
+ * @returns {Promise<number>} Deployment block
+ */
+async function fetchCreationBlockFromExplorer(chainConfig, provider, address) {
+  const url = buildEtherscanCreationUrl(chainConfig.chainId, address);
+  const isValid = (body) => body.status === '1' && Array.isArray(body.result) && body.result.length > 0;
+  const body = await fetchJson(url, isValid);
+
+  if (!body || !isValid(body)) {
+    throw new Error(`Etherscan contract creation API: ${body ? body.result || body.message : 'not found'}`);
+  }
+  const creation = body.result[0];
+  if (creation.blockNumber !== undefined && creation.blockNumber !== null) {
+    return parseQuantity(creation.blockNumber);
+  }
+  const receipt = await provider.getTransactionReceipt(creation.txHash);
+  if (!receipt) {
+    throw new Error(`creation transaction ${creation.txHash} not found`);
+  }
+  return receipt.blockNumber;
+}
+
+/**
+ * First block of an eth_getLogs scan: the deployment block, from the node or else the explorer
+ * @param {Object} context - From createLogContext
+ * @param {string} address - Contract address
+ * @param {number} lastBlock - Last block of the scan
+ * @returns {Promise<number>} Deployment block
+ * @throws {Error} The node's error if neither could tell
+ */
+async function findScanStartBlock(context, address, lastBlock) {
+  const { chainConfig, provider } = context;
+  try {
+    return await findDeploymentBlock(provider, address, lastBlock);
+  } catch (error) {
+    if (!usesEtherscan(chainConfig)) throw error;
+    logger.info(`    ℹ ${error.message}, asking the explorer for the creation block`);
+    try {
+      return await fetchCreationBlockFromExplorer(chainConfig, provider, address);
+    } catch (explorerError) {
+      logger.warn(`    ⚠ Explorer creation block unavailable: ${explorerError.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Fetch logs with eth_getLogs in block-range chunks
+ * A range the node rejects as too large is halved until it fits; any other error is thrown at once
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} address - Emitting contract
+ * @param {string[]} topics - Event topics (any of)
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {Object} options - { chunkSize }
+ * @returns {Promise<Object[]>} Raw logs
+ */
+export async function fetchLogsFromRpc(provider, address, topics, fromBlock, toBlock, options = {}) {
+  const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  const logs = [];
+  let start = fromBlock;
+  let size = chunkSize;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    try {
+      const chunk = await provider.getLogs({ address, topics: [topics], fromBlock: start, toBlock: end });
+      logs.push(...chunk);
+      start = end + 1;
+      size = Math.min(size * 2, chunkSize);
+    } catch (error) {
+      // ethers keeps the JSON-RPC error object on error.error
+      if (isTransportError(error) || !isLogRangeError('eth_getLogs', error.error || error) || size <= MIN_CHUNK_SIZE) throw error;
+      size = Math.max(Math.floor(size / 2), MIN_CHUNK_SIZE);
+    }
+  }
+
+  return logs;
+}
+
+/**
+ * Create the context shared by the log fetches of one run
+ * The latest block number is read at most once
+ * @param {Object} chainConfig - Chain configuration
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string|number} toBlock - Last block to include (default: latest)
+ * @returns {Object} { chainConfig, provider, toBlock, getLatestBlock }
+ */
+export function createLogContext(chainConfig, provider, toBlock = 'latest') {
+  let latestBlock = null;
+  return {
+    chainConfig,
+    provider,
+    toBlock,
+    getLatestBlock: async () => {
+      latestBlock = latestBlock ?? await provider.getBlockNumber();
+      return latestBlock;
+    }
+  };
+}
+
+/**
+ * Fetch the logs one contract emitted for any of the given topics
+ * @param {Object} context - From createLogContext
+ * @param {string} address - Emitting contract
+ * @param {string[]} topics - Event topics
+ * @returns {Promise<Object>} { logs: raw logs, source: 'explorer' | 'rpc' }
+ */
+export async function fetchContractLogs(context, address, topics) {
+  const { chainConfig, provider, toBlock } = context;
+
+  if (usesEtherscan(chainConfig)) {
+    try {
+      const logs = [];
+      for (const topic of topics) {
+        logs.push(...await fetchLogsFromExplorer(chainConfig, address, topic, toBlock));
+      }
+      return { logs, source: 'explorer' };
+    } catch (error) {
+      logger.info(`    ℹ Explorer logs unavailable (${error.message}), scanning with eth_getLogs`);
+    }
+  }
+
+  const lastBlock = toBlock === 'latest' ? await context.getLatestBlock() : toBlock;
+  const fromBlock = await findScanStartBlock(context, address, lastBlock);
+  const logs = await fetchLogsFromRpc(provider, address, topics, fromBlock, lastBlock);
+  return { logs, source: 'rpc' };
+}
+
+/**
+ * Sort normalized logs in chain order
+ * @param {Object[]} logs - Logs with numeric blockNumber and logIndex
+ * @returns {Object[]} Sorted copy
+ */
+export function sortLogs(logs) {
+  return [...logs].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+export default {
+  parseQuantity,
+  findDeploymentBlock,
+  fetchLogsFromRpc,
+  createLogContext,
+  fetchContractLogs,
+  sortLogs
+};
@@ -0,0 +1,127 @@
+/**
+ * Fixture Recorder Module
+ * Captures explorer responses and JSON-RPC traffic into a fixture file that tests replay offline
+ *
+ * Recording is off unless RECORD_FIXTURES names a fixture file (or configureFixtureRecorder
+ * sets one). Responses are merged into the file as they arrive, so several runs can add to
+ * the same fixtures. File layout:
+ *   explorer - { "<explorer>/<path and query>": body }      API keys removed, null for HTTP 404
+ *   rpc      - { "<chainId>": { "<method> <params>": { result } | { error } } }
+ *
+ * Explorer keys are relative to the explorer's base URL (see explorerFixtureKey in
+ * sourceProviders.js), so the mock explorer in src/tests/mockNetwork.js can serve them
+ * from any host.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+let fixturePath = process.env.RECORD_FIXTURES ? path.resolve(process.env.RECORD_FIXTURES) : null;
+
+// Fixtures of the current file, loaded on the first recorded response
+let fixtures = null;
+
+/**
+ * Start or stop recording
+ * @param {Object} options - { path }: fixture file, or null to stop recording
+ * @returns {Object} { path } current fixture file
+ */
+export function configureFixtureRecorder(options = {}) {
+  if (options.path !== undefined) {
+    fixturePath = options.path ? path.resolve(options.path) : null;
+    fixtures = null;
+  }
+  return { path: fixturePath };
+}
+
+/**
+ * Whether responses are being recorded
+ * @returns {boolean} True when a fixture file is set
+ */
+export function isRecording() {
+  return fixturePath !== null;
+}
+
+/**
+ * Read a fixture file
+ * @param {string} filePath - Fixture file
+ * @returns {Object} { explorer, rpc } (empty when the file does not exist)
+ */
+export function readFixtures(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { explorer: {}, rpc: {} };
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { explorer: data.explorer || {}, rpc: data.rpc || {} };
+}
+
+/**
+ * Key of a JSON-RPC request within its chain's fixtures
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {string} Key
+ */
+export function rpcFixtureKey(method, params = []) {
+  return `${method} ${JSON.stringify(params)}`;
+}
+
+/**
+ * Copy an object with its keys sorted, so re-recording produces small diffs
+ * @param {Object} object - Object to sort
+ * @returns {Object} Sorted copy
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+}
+
+/**
+ * Apply a change to the fixtures and write the file
+ * @param {Function} update - (fixtures) => void
+ */
+function record(update) {
+  if (!fixturePath) return;
+  if (!fixtures) {
+    fixtures = readFixtures(fixturePath);
+  }
+  update(fixtures);
+
+  const rpc = Object.fromEntries(Object.entries(fixtures.rpc).map(([chainId, responses]) => [chainId, sortKeys(responses)]));
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify({ explorer: sortKeys(fixtures.explorer), rpc: sortKeys(rpc) }, null, 2) + '\n');
+}
+
+/**
+ * Record an explorer response
+ * @param {string} key - Explorer fixture key
+ * @param {Object|null} body - Parsed body (null for HTTP 404)
+ */
+export function recordExplorerResponse(key, body) {
+  record((data) => {
+    data.explorer[key] = body;
+  });
+}
+
+/**
+ * Record a JSON-RPC response
+ * @param {number} chainId - Chain ID
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @param {Object} response - { result } or { error }
+ */
+export function recordRpcResponse(chainId, method, params, response) {
+  record((data) => {
+    data.rpc[chainId] = data.rpc[chainId] || {};
+    data.rpc[chainId][rpcFixtureKey(method, params)] = 'error' in response
+      ? { error: response.error }
+      : { result: response.result };
+  });
+}
+
+export default {
+  configureFixtureRecorder,
+  isRecording,
+  readFixtures,
+  rpcFixtureKey,
+  recordExplorerResponse,
+  recordRpcResponse
+};
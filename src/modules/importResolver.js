@@ -0,0 +1,284 @@
+/**
+ * Import Resolver Module
+ * Resolves Solidity import statements inside a fetched file set and builds the import graph
+ *
+ * Imports are resolved the way solc does it: relative paths ('./', '../') against the
+ * importing source unit's directory, then standard-JSON remappings (optional context,
+ * longest prefix wins). The graph marks files the main contract can't reach and
+ * imports that point outside the fetched sources, and exports as JSON or Graphviz DOT.
+ */
+
+// import "x"; | import "x" as y; | import * as y from "x"; | import {a as b} from "x";
+const IMPORT = /\bimport\s+(?:["']([^"']+)["'](?:\s+as\s+[\w$]+)?|(?:\*\s+as\s+[\w$]+|[\w$]+|\{[^}]*\})\s+from\s+["']([^"']+)["'])\s*;/;
+
+// Imports, string literals and comments in one left-to-right scan, so an import
+// written inside a comment or a string is consumed by that token and never matched
+const IMPORT_SCAN = new RegExp(
+  IMPORT.source + /|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\/\/[^\n]*|\/\*[\s\S]*?\*\//.source,
+  'g'
+);
+
+/**
+ * Parse the import statements of a Solidity file
+ * @param {string} source - Solidity source code
+ * @returns {Object[]} [{ path, line }] in source order
+ */
+export function parseImports(source) {
+  const imports = [];
+
+  for (const match of source.matchAll(IMPORT_SCAN)) {
+    const importPath = match[1] || match[2];
+    if (importPath) {
+      imports.push({
+        path: importPath,
+        line: source.slice(0, match.index).split('\n').length
+      });
+    }
+  }
+
+  return imports;
+}
+
+/**
+ * Normalize a source unit name: collapse '.', '..' and duplicate slashes
+ * Leading '..' segments that can't be collapsed are kept, like solc does
+ * @param {string} unitName - Source unit name
+ * @returns {string} Normalized name
+ */
+function normalizeUnitName(unitName) {
+  const absolute = unitName.startsWith('/');
+  const segments = [];
+
+  for (const segment of unitName.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+
+  return (absolute ? '/' : '') + segments.join('/');
+}
+
+/**
+ * Parse 'context:prefix=target' remappings
+ * @param {string[]} remappings - Remappings from the standard-JSON settings
+ * @returns {Object[]} [{ context, prefix, target }]
+ */
+function parseRemappings(remappings = []) {
+  const parsed = [];
+
+  for (const remapping of remappings) {
+    const equals = remapping.indexOf('=');
+    if (equals === -1) continue;
+
+    const left = remapping.slice(0, equals);
+    const colon = left.indexOf(':');
+    parsed.push({
+      context: colon === -1 ? '' : left.slice(0, colon),
+      prefix: colon === -1 ? left : left.slice(colon + 1),
+      target: remapping.slice(equals + 1)
+    });
+  }
+
+  return parsed;
+}
+
+/**
+ * Source unit name an import refers to, before looking it up in the file set
+ * @param {string} importPath - Path as written in the import statement
+ * @param {string} fromFile - Source unit name of the importing file
+ * @param {string[]} remappings - Remappings from the standard-JSON settings
+ * @returns {string} Source unit name
+ */
+export function resolveUnitName(importPath, fromFile, remappings = []) {
+  let unitName = importPath;
+
+  if (importPath.startsWith('./') || importPath.startsWith('../')) {
+    const slash = fromFile.lastIndexOf('/');
+    unitName = normalizeUnitName((slash === -1 ? '' : fromFile.slice(0, slash + 1)) + importPath);
+  }
+
+  // Longest matching context wins, then longest prefix, then the last one listed
+  let best = null;
+  for (const remapping of parseRemappings(remappings)) {
+    if (!fromFile.startsWith(remapping.context) || !unitName.startsWith(remapping.prefix)) continue;
+    if (!best ||
+        remapping.context.length > best.context.length ||
+        (remapping.context.length === best.context.length && remapping.prefix.length >= best.prefix.length)) {
+      best = remapping;
+    }
+  }
+
+  return best ? best.target + unitName.slice(best.prefix.length) : unitName;
+}
+
+/**
+ * Find the fetched file an import refers to
+ * @param {string} importPath - Path as written in the import statement
+ * @param {string} fromFile - Source unit name of the importing file
+ * @param {Object} files - Map of source unit names to content
+ * @param {string[]} remappings - Remappings from the standard-JSON settings
+ * @returns {string|null} Source unit name in `files`, null when it isn't part of the set
+ */
+export function resolveImport(importPath, fromFile, files, remappings = []) {
+  const unitName = resolveUnitName(importPath, fromFile, remappings);
+  const candidates = [unitName, unitName.replace(/^\/+/, ''), '/' + unitName];
+  return candidates.find(candidate => Object.prototype.hasOwnProperty.call(files, candidate)) || null;
+}
+
+/**
+ * Build the directed import graph of a file set
+ * @param {Object} files - Map of source unit names to content (from parseSourceCode)
+ * @param {string[]} remappings - Remappings from the standard-JSON settings
+ * @returns {Object} { nodes, edges: [{ from, to, import }], missing: [{ file, import, line }] }
+ */
+export function buildImportGraph(files, remappings = []) {
+  const nodes = Object.keys(files);
+  const edges = [];
+  const missing = [];
+
+  for (const file of nodes) {
+    if (file.endsWith('.json')) continue;
+
+    for (const { path: importPath, line } of parseImports(files[file])) {
+      const target = resolveImport(importPath, file, files, remappings);
+      if (target) {
+        if (!edges.some(edge => edge.from === file && edge.to === target)) {
+          edges.push({ from: file, to: target, import: importPath });
+        }
+      } else {
+        missing.push({ file, import: importPath, line });
+      }
+    }
+  }
+
+  return { nodes, edges, missing };
+}
+
+/**
+ * Files no other file imports (the candidates for the main contract)
+ * @param {Object} graph - Import graph
+ * @returns {string[]} Root source unit names
+ */
+export function getImportRoots(graph) {
+  const imported = new Set(graph.edges.map(edge => edge.to));
+  return graph.nodes.filter(node => !imported.has(node));
+}
+
+/**
+ * Every file reachable from a start file, the start file included
+ * @param {Object} graph - Import graph
+ * @param {string} start - Source unit name
+ * @returns {string[]} Reachable source unit names, in graph node order
+ */
+export function getReachableFiles(graph, start) {
+  const reachable = new Set();
+  const queue = graph.nodes.includes(start) ? [start] : [];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (reachable.has(file)) continue;
+    reachable.add(file);
+    for (const edge of graph.edges) {
+      if (edge.from === file && !reachable.has(edge.to)) {
+        queue.push(edge.to);
+      }
+    }
+  }
+
+  return graph.nodes.filter(node => reachable.has(node));
+}
+
+/**
+ * Reachability of a graph from the main contract
+ * Without a main contract nothing is marked unreachable
+ * @param {Object} graph - Import graph
+ * @param {string|null} mainFile - Main contract source unit name
+ * @returns {Object} { mainFile, reachableFiles, unreachableFiles, missingImports }
+ */
+export function analyzeImportGraph(graph, mainFile) {
+  const reachableFiles = mainFile ? getReachableFiles(graph, mainFile) : [...graph.nodes];
+  return {
+    mainFile: mainFile || null,
+    reachableFiles,
+    unreachableFiles: graph.nodes.filter(node => !reachableFiles.includes(node)),
+    missingImports: graph.missing
+  };
+}
+
+/**
+ * JSON form of the graph, as written to import-graph.json
+ * @param {Object} graph - Import graph
+ * @param {Object} analysis - analyzeImportGraph result
+ * @returns {Object} Serializable graph
+ */
+export function importGraphToJson(graph, analysis) {
+  return {
+    mainFile: analysis.mainFile,
+    nodes: graph.nodes.map(id => ({
+      id,
+      reachable: analysis.reachableFiles.includes(id),
+      imports: graph.edges.filter(edge => edge.from === id).length,
+      importedBy: graph.edges.filter(edge => edge.to === id).length
+    })),
+    edges: graph.edges,
+    unreachableFiles: analysis.unreachableFiles,
+    missingImports: analysis.missingImports
+  };
+}
+
+/**
+ * Graphviz DOT form of the graph, as written to import-graph.dot
+ * The main contract is filled, unreachable files are dashed and grey,
+ * missing imports are red notes
+ * @param {Object} graph - Import graph
+ * @param {Object} analysis - analyzeImportGraph result
+ * @returns {string} DOT source
+ */
+export function importGraphToDot(graph, analysis) {
+  const quote = value => JSON.stringify(value);
+  const lines = [
+    'digraph imports {',
+    '  rankdir=LR;',
+    '  node [shape=box, fontname="Helvetica"];'
+  ];
+
+  for (const node of graph.nodes) {
+    if (node === analysis.mainFile) {
+      lines.push(`  ${quote(node)} [style="filled,bold", fillcolor="#cde4ff"];`);
+    } else if (analysis.unreachableFiles.includes(node)) {
+      lines.push(`  ${quote(node)} [style=dashed, color=gray50, fontcolor=gray50];`);
+    } else {
+      lines.push(`  ${quote(node)};`);
+    }
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`);
+  }
+
+  const missingNodes = [...new Set(graph.missing.map(entry => entry.import))];
+  for (const importPath of missingNodes) {
+    lines.push(`  ${quote('missing:' + importPath)} [label=${quote(importPath)}, shape=note, color=red, fontcolor=red];`);
+  }
+  for (const entry of graph.missing) {
+    lines.push(`  ${quote(entry.file)} -> ${quote('missing:' + entry.import)} [style=dashed, color=red];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+export default {
+  parseImports,
+  resolveUnitName,
+  resolveImport,
+  buildImportGraph,
+  getImportRoots,
+  getReachableFiles,
+  analyzeImportGraph,
+  importGraphToJson,
+  importGraphToDot
+};
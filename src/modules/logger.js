@@ -0,0 +1,139 @@
+/**
+ * Logger Module
+ * Progress and result output for the CLI and every module
+ *
+ * Levels (set with --quiet / --verbose, or LOG_LEVEL):
+ *   quiet   - warnings and errors only
+ *   normal  - + progress
+ *   verbose - + details (provider fallbacks, proxy probing, ...)
+ *
+ * Formats:
+ *   text   - progress on stdout, warnings and errors on stderr
+ *   json   - stdout carries a single result document (logger.result); all text goes to stderr
+ *   ndjson - stdout carries one JSON event per line (logger.event, logger.result); all text
+ *            goes to stderr
+ */
+
+import util from 'util';
+
+export const LOG_LEVELS = {
+  QUIET: 'quiet',
+  NORMAL: 'normal',
+  VERBOSE: 'verbose'
+};
+
+export const OUTPUT_FORMATS = {
+  TEXT: 'text',
+  JSON: 'json',
+  NDJSON: 'ndjson'
+};
+
+// Lowest level each kind of message is shown at
+const LEVEL_RANKS = { quiet: 0, normal: 1, verbose: 2 };
+const MESSAGE_RANKS = { error: 0, warn: 0, info: 1, debug: 2 };
+
+const loggerConfig = {
+  level: LEVEL_RANKS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : LOG_LEVELS.NORMAL,
+  format: OUTPUT_FORMATS.TEXT,
+  stdout: process.stdout,
+  stderr: process.stderr
+};
+
+/**
+ * Update logger configuration
+ * @param {Object} options - { level, format, stdout, stderr } (streams only need write())
+ * @returns {Object} Resulting configuration
+ */
+export function configureLogger(options = {}) {
+  if (options.level !== undefined && LEVEL_RANKS[options.level] === undefined) {
+    throw new Error(`Unknown log level: ${options.level} (expected ${Object.values(LOG_LEVELS).join(', ')})`);
+  }
+  if (options.format !== undefined && !Object.values(OUTPUT_FORMATS).includes(options.format)) {
+    throw new Error(`Unknown output format: ${options.format} (expected ${Object.values(OUTPUT_FORMATS).join(', ')})`);
+  }
+
+  for (const name of ['level', 'format', 'stdout', 'stderr']) {
+    if (options[name] !== undefined) loggerConfig[name] = options[name];
+  }
+
+  return getLoggerConfig();
+}
+
+/**
+ * Get the current logger configuration
+ * @returns {Object} { level, format }
+ */
+export function getLoggerConfig() {
+  return { level: loggerConfig.level, format: loggerConfig.format };
+}
+
+/**
+ * Whether messages of a kind are shown at the current level
+ * @param {string} kind - 'error', 'warn', 'info' or 'debug'
+ * @returns {boolean} True if shown
+ */
+export function isLogEnabled(kind) {
+  return MESSAGE_RANKS[kind] <= LEVEL_RANKS[loggerConfig.level];
+}
+
+/**
+ * Write one text message
+ * @param {string} kind - 'error', 'warn', 'info' or 'debug'
+ * @param {Array} args - console.log-style arguments
+ */
+function writeMessage(kind, args) {
+  if (!isLogEnabled(kind)) return;
+
+  const toStdout = loggerConfig.format === OUTPUT_FORMATS.TEXT && (kind === 'info' || kind === 'debug');
+  const stream = toStdout ? loggerConfig.stdout : loggerConfig.stderr;
+  stream.write(`${util.format(...args)}\n`);
+}
+
+/**
+ * Write one line of JSON to stdout
+ * @param {Object} data - Document
+ * @param {boolean} pretty - Indent the document
+ */
+function writeJson(data, pretty = false) {
+  loggerConfig.stdout.write(`${JSON.stringify(data, null, pretty ? 2 : undefined)}\n`);
+}
+
+export const logger = {
+  error: (...args) => writeMessage('error', args),
+  warn: (...args) => writeMessage('warn', args),
+  info: (...args) => writeMessage('info', args),
+  debug: (...args) => writeMessage('debug', args),
+
+  /**
+   * Emit a structured event (ndjson format only)
+   * @param {string} event - Event name, e.g. 'batch-entry'
+   * @param {Object} data - Event fields
+   */
+  event(event, data = {}) {
+    if (loggerConfig.format === OUTPUT_FORMATS.NDJSON) {
+      writeJson({ event, time: new Date().toISOString(), ...data });
+    }
+  },
+
+  /**
+   * Emit the final result document: printed as is in json format, as a 'result'
+   * event in ndjson format, and not at all in text format
+   * @param {Object} document - Result document
+   */
+  result(document) {
+    if (loggerConfig.format === OUTPUT_FORMATS.JSON) {
+      writeJson(document, true);
+    } else {
+      this.event('result', document);
+    }
+  }
+};
+
+export default {
+  LOG_LEVELS,
+  OUTPUT_FORMATS,
+  configureLogger,
+  getLoggerConfig,
+  isLogEnabled,
+  logger
+};
@@ -0,0 +1,385 @@
+/**
+ * Project Exporter Module
+ * Writes fetched sources as a Foundry or Hardhat project that builds offline
+ *
+ * Unlike the audit output, the export is an untouched copy: comments are kept and no
+ * vendor file is deleted. Source unit names are kept wherever the layout allows, so the
+ * metadata hash can match too:
+ *   - Foundry: project files stay in their top folder (src/, contracts/, ...) or go under src/;
+ *     vendor files stay under lib/ or node_modules/, or go under lib/ with a remapping
+ *   - Hardhat: project files stay in their top folder or go under contracts/; npm packages
+ *     (@scope/pkg/...) and files under a remapping target go under node_modules/ by the name
+ *     they are imported with, with a stub package.json
+ * Compiler version, optimizer, EVM version, viaIR, metadata settings, libraries and remappings
+ * come from the fetched settings. The local solc found for --verify is wired into the config.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OUTPUT_DIR, getContractSubDirectory } from './sourceParser.js';
+import { buildCompilerInput, findCompiler, getCompilerDirectories, parseCompilerVersion } from './bytecodeVerifier.js';
+
+export const FRAMEWORKS = ['foundry', 'hardhat'];
+
+// Top folders that hold vendor code rather than the project's own sources
+const VENDOR_FOLDERS = new Set(['lib', 'node_modules', 'dependencies']);
+
+// solc's default EVM version, by the first release that used it (newest first)
+const DEFAULT_EVM_VERSIONS = [
+  ['0.8.30', 'prague'],
+  ['0.8.25', 'cancun'],
+  ['0.8.20', 'shanghai'],
+  ['0.8.18', 'paris'],
+  ['0.8.7', 'london'],
+  ['0.8.5', 'berlin'],
+  ['0.5.14', 'istanbul'],
+  ['0.5.5', 'petersburg'],
+  ['0.4.21', 'byzantium']
+];
+
+/**
+ * Compare two x.y.z versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const [pa, pb] = [a, b].map(version => version.split('.').map(Number));
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  }
+  return 0;
+}
+
+/**
+ * EVM version solc targets when none is set
+ * Frameworks pick their own default, so the export always sets one
+ * @param {string} version - Short compiler version, e.g. '0.8.19'
+ * @returns {string|null} EVM version, or null before evmVersion existed
+ */
+export function getDefaultEvmVersion(version) {
+  const entry = DEFAULT_EVM_VERSIONS.find(([since]) => compareVersions(version, since) >= 0);
+  return entry ? entry[1] : null;
+}
+
+/**
+ * First path segment of a source unit name ('' for a bare file name)
+ * An npm scope keeps its package: '@openzeppelin/contracts/...' -> '@openzeppelin/contracts'
+ * @param {string} sourceUnit - Source unit name
+ * @returns {string} Top folder
+ */
+function topFolder(sourceUnit) {
+  const segments = sourceUnit.split('/');
+  if (segments.length === 1) return '';
+  return segments[0].startsWith('@') && segments.length > 2 ? `${segments[0]}/${segments[1]}` : segments[0];
+}
+
+/**
+ * Find the remapping that imports a source unit under another name
+ * Only context-free 'prefix/=target/' remappings qualify: Hardhat can serve those from node_modules
+ * @param {string} sourceUnit - Source unit name
+ * @param {string[]} remappings - Original remappings
+ * @returns {Object|null} { remapping, prefix, target } with the longest matching target
+ */
+function findPackageRemapping(sourceUnit, remappings) {
+  let best = null;
+  for (const remapping of remappings) {
+    const separator = remapping.lastIndexOf('=');
+    const prefix = remapping.slice(0, separator);
+    const target = remapping.slice(separator + 1);
+    if (prefix.includes(':') || /^[./]/.test(prefix) || !prefix.endsWith('/') || !target.endsWith('/')) continue;
+    if (sourceUnit.startsWith(target) && (!best || target.length > best.target.length)) {
+      best = { remapping, prefix, target };
+    }
+  }
+  return best;
+}
+
+/**
+ * Decide where each source unit is written
+ * @param {string[]} sourceUnits - Source unit names
+ * @param {string[]} remappings - Original remappings ('prefix=target')
+ * @param {string} framework - 'foundry' or 'hardhat'
+ * @returns {Object} { paths: Map(sourceUnit -> project path), moves: [[from, to]], sourceFolder, libraryFolders,
+ *   packages, packageRemappings: remappings Hardhat resolves through node_modules/ }
+ */
+export function planLayout(sourceUnits, remappings, framework) {
+  // Remapping targets point at vendor code
+  const remappedFolders = new Set(remappings.map(remapping => topFolder(remapping.split('=').pop())));
+  const isVendor = (folder) => folder.startsWith('@') || VENDOR_FOLDERS.has(folder) || remappedFolders.has(folder);
+
+  const projectFolders = new Set(sourceUnits.map(topFolder).filter(folder => !isVendor(folder)));
+  // Project files keep their names when they already share one top folder
+  const keepProjectFolder = projectFolders.size === 1 && !projectFolders.has('');
+  const sourceFolder = keepProjectFolder ? [...projectFolders][0] : (framework === 'foundry' ? 'src' : 'contracts');
+
+  const paths = new Map();
+  const moves = new Map();
+  const libraryFolders = new Set();
+  const packages = new Set();
+  const packageRemappings = new Set();
+
+  for (const sourceUnit of sourceUnits) {
+    const folder = topFolder(sourceUnit);
+    let target = sourceUnit;
+
+    if (!isVendor(folder)) {
+      if (!keepProjectFolder) {
+        target = `${sourceFolder}/${sourceUnit}`;
+        if (folder) moves.set(`${folder}/`, `${sourceFolder}/${folder}/`);
+      }
+    } else if (framework === 'hardhat') {
+      // Hardhat resolves npm-style names from node_modules, so remapped files go there under
+      // the name they are imported with; everything else stays at its path
+      const remapped = findPackageRemapping(sourceUnit, remappings);
+      if (remapped) {
+        const importName = remapped.prefix + sourceUnit.slice(remapped.target.length);
+        target = `node_modules/${importName}`;
+        packages.add(topFolder(importName));
+        packageRemappings.add(remapped.remapping);
+      } else if (folder.startsWith('@')) {
+        target = `node_modules/${sourceUnit}`;
+        packages.add(folder);
+      } else if (folder === 'node_modules') {
+        packages.add(topFolder(sourceUnit.slice('node_modules/'.length)));
+      }
+    } else if (VENDOR_FOLDERS.has(folder)) {
+      libraryFolders.add(folder);
+    } else {
+      target = `lib/${sourceUnit}`;
+      moves.set(`${folder}/`, `lib/${folder}/`);
+      libraryFolders.add('lib');
+    }
+
+    paths.set(sourceUnit, target);
+  }
+
+  return {
+    paths,
+    moves: [...moves],
+    sourceFolder,
+    libraryFolders: [...libraryFolders],
+    packages: [...packages],
+    packageRemappings: [...packageRemappings]
+  };
+}
+
+/**
+ * Rewrite the original remappings for the new layout, and add one per moved folder
+ * @param {string[]} remappings - Original remappings
+ * @param {Array} moves - [[fromPrefix, toPrefix]] from planLayout
+ * @returns {string[]} Remappings
+ */
+export function buildRemappings(remappings, moves) {
+  const relocate = (target) => {
+    const move = moves.find(([from]) => target.startsWith(from));
+    return move ? move[1] + target.slice(move[0].length) : target;
+  };
+
+  const result = remappings.map(remapping => {
+    const separator = remapping.lastIndexOf('=');
+    return `${remapping.slice(0, separator)}=${relocate(remapping.slice(separator + 1))}`;
+  });
+  // Imports of a moved folder's original names still resolve
+  for (const [from, to] of moves) {
+    if (!result.some(remapping => remapping.startsWith(`${from}=`))) {
+      result.push(`${from}=${to}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Format a TOML value
+ * @param {*} value - String, number, boolean or array of those
+ * @returns {string} TOML literal
+ */
+function toml(value) {
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]' : `[\n${value.map(item => `  ${toml(item)},`).join('\n')}\n]`;
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Build foundry.toml
+ * @param {Object} config - Export configuration from exportProject
+ * @returns {string} File content
+ */
+function buildFoundryConfig(config) {
+  const { settings, version, compiler, layout, remappings, libraries } = config;
+  const entries = [
+    ['src', layout.sourceFolder],
+    ['out', 'out'],
+    ['libs', layout.libraryFolders.length > 0 ? layout.libraryFolders : ['lib']],
+    // A local native binary builds without network access; otherwise svm's cached release is used
+    ['solc', compiler && compiler.type === 'native' ? compiler.path : version],
+    ['auto_detect_solc', false],
+    ['offline', true],
+    ['optimizer', Boolean(settings.optimizer && settings.optimizer.enabled)],
+    ['optimizer_runs', (settings.optimizer && settings.optimizer.runs) || 200]
+  ];
+  if (settings.evmVersion) entries.push(['evm_version', settings.evmVersion]);
+  if (settings.viaIR) entries.push(['via_ir', true]);
+  if (settings.metadata && settings.metadata.bytecodeHash) entries.push(['bytecode_hash', settings.metadata.bytecodeHash]);
+  if (settings.metadata && settings.metadata.appendCBOR === false) entries.push(['cbor_metadata', false]);
+  if (settings.metadata && settings.metadata.useLiteralContent) entries.push(['use_literal_content', true]);
+  if (remappings.length > 0) entries.push(['remappings', remappings]);
+  if (libraries.length > 0) entries.push(['libraries', libraries]);
+
+  return ['[profile.default]', ...entries.map(([key, value]) => `${key} = ${toml(value)}`), ''].join('\n');
+}
+
+/**
+ * Build hardhat.config.js
+ * @param {Object} config - Export configuration from exportProject
+ * @returns {string} File content
+ */
+function buildHardhatConfig(config) {
+  const { settings, version, longVersion, compiler, layout } = config;
+  const solcSettings = {
+    optimizer: settings.optimizer || { enabled: false, runs: 200 }
+  };
+  for (const key of ['evmVersion', 'viaIR', 'metadata', 'libraries']) {
+    if (settings[key] !== undefined) solcSettings[key] = settings[key];
+  }
+
+  const lines = [];
+  if (compiler) {
+    lines.push(
+      "const { subtask } = require('hardhat/config');",
+      "const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require('hardhat/builtin-tasks/task-names');",
+      '',
+      '// Use the local compiler instead of downloading one',
+      'subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async (args, hre, runSuper) => {',
+      `  if (args.solcVersion === ${JSON.stringify(version)}) {`,
+      `    return ${JSON.stringify({ compilerPath: compiler.path, isSolcJs: compiler.type === 'soljson', version, longVersion })};`,
+      '  }',
+      '  return runSuper();',
+      '});',
+      ''
+    );
+  }
+  lines.push(
+    'module.exports = {',
+    `  solidity: ${JSON.stringify({ version, settings: solcSettings }, null, 2).replace(/\n/g, '\n  ')},`,
+    `  paths: { sources: ${JSON.stringify(`./${layout.sourceFolder}`)} }`,
+    '};',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Default export directory for a contract
+ * @param {string} chainName - Chain name
+ * @param {string} baseAddress - Output base directory address
+ * @param {string} contractType - Type of contract
+ * @param {string} framework - 'foundry' or 'hardhat'
+ * @returns {string} Directory
+ */
+export function getDefaultProjectDirectory(chainName, baseAddress, contractType, framework) {
+  return path.join(OUTPUT_DIR, 'projects', chainName, baseAddress, framework, getContractSubDirectory(contractType));
+}
+
+/**
+ * Write a verified contract's sources as a buildable project
+ * @param {Object} sourceData - Normalized source data
+ * @param {string} outputDir - Project directory
+ * @param {Object} options - { framework = 'foundry', solcDir }
+ * @returns {Object} { success, framework, outputDir, configPath, files, compiler, warnings, error? }
+ */
+export function exportProject(sourceData, outputDir, options = {}) {
+  const { framework = 'foundry', solcDir } = options;
+  const result = { success: false, framework, outputDir, configPath: null, files: [], compiler: null, warnings: [] };
+
+  if (!FRAMEWORKS.includes(framework)) {
+    throw new Error(`Unknown framework: ${framework} (expected ${FRAMEWORKS.join(' or ')})`);
+  }
+  if (!sourceData.isVerified) {
+    return { ...result, error: 'Contract is not verified' };
+  }
+
+  const input = buildCompilerInput(sourceData);
+  if (input.language !== 'Solidity') {
+    return { ...result, error: `${input.language} sources cannot be exported` };
+  }
+  const compilerVersion = parseCompilerVersion(sourceData.compilerVersion);
+  if (!compilerVersion) {
+    return { ...result, error: `Unsupported compiler version: ${sourceData.compilerVersion || '(none)'}` };
+  }
+
+  // Single-file sources are named after the contract, as in the audit output
+  const sources = { ...input.sources };
+  if (Object.keys(sources).length === 1 && sources['contract.sol'] && sourceData.contractName) {
+    sources[`${sourceData.contractName}.sol`] = sources['contract.sol'];
+    delete sources['contract.sol'];
+  }
+
+  const settings = { ...input.settings };
+  settings.evmVersion = settings.evmVersion || getDefaultEvmVersion(compilerVersion.short) || undefined;
+  const originalRemappings = settings.remappings || [];
+  const layout = planLayout(Object.keys(sources), originalRemappings, framework);
+  const remappings = buildRemappings(originalRemappings, layout.moves);
+
+  // Libraries are keyed by the file declaring them, which may have moved
+  const libraries = [];
+  const movedLibraries = {};
+  for (const [file, entries] of Object.entries(settings.libraries || {})) {
+    const sourceUnit = layout.paths.has(file) ? file : `${sourceData.contractName}.sol`;
+    const target = layout.paths.get(sourceUnit) || file;
+    movedLibraries[target] = entries;
+    for (const [name, address] of Object.entries(entries)) {
+      libraries.push(`${target}:${name}:${address}`);
+    }
+  }
+  if (Object.keys(movedLibraries).length > 0) {
+    settings.libraries = movedLibraries;
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const [sourceUnit, { content }] of Object.entries(sources)) {
+    const filePath = path.join(outputDir, layout.paths.get(sourceUnit));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, 'utf8');
+    result.files.push(filePath);
+  }
+
+  const compiler = findCompiler(sourceData.compilerVersion, getCompilerDirectories(solcDir));
+  result.compiler = compiler;
+  if (!compiler) {
+    result.warnings.push(`solc ${compilerVersion.short} not found locally; the build needs it installed (e.g. in ~/.svm) to work offline`);
+  } else if (framework === 'foundry' && compiler.type !== 'native') {
+    result.warnings.push('Foundry cannot use a soljson build; it will look for a native solc in ~/.svm');
+  }
+
+  const config = { settings, version: compilerVersion.short, longVersion: compilerVersion.full, compiler, layout, remappings, libraries };
+  if (framework === 'foundry') {
+    result.configPath = path.join(outputDir, 'foundry.toml');
+    fs.writeFileSync(result.configPath, buildFoundryConfig(config), 'utf8');
+  } else {
+    result.configPath = path.join(outputDir, 'hardhat.config.js');
+    fs.writeFileSync(result.configPath, buildHardhatConfig(config), 'utf8');
+    for (const packageName of layout.packages) {
+      const packagePath = path.join(outputDir, 'node_modules', packageName, 'package.json');
+      fs.writeFileSync(packagePath, JSON.stringify({ name: packageName, version: '0.0.0' }, null, 2), 'utf8');
+    }
+    // Hardhat resolves imports itself and ignores solc remappings without the hardhat-foundry plugin
+    const unresolved = remappings.filter(remapping => !layout.packageRemappings.includes(remapping));
+    if (unresolved.length > 0) {
+      fs.writeFileSync(path.join(outputDir, 'remappings.txt'), unresolved.join('\n') + '\n', 'utf8');
+      result.warnings.push(`${unresolved.length} remapping(s) written to remappings.txt; Hardhat needs @nomicfoundation/hardhat-foundry to apply them`);
+    }
+  }
+
+  return { ...result, success: true };
+}
+
+export default {
+  FRAMEWORKS,
+  getDefaultEvmVersion,
+  planLayout,
+  buildRemappings,
+  getDefaultProjectDirectory,
+  exportProject
+};
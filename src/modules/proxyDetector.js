@@ -6,6 +6,21 @@
 
 import { ethers } from 'ethers';
 import { getChainConfig } from './chainConfig.js';
+import { createRpcProvider, isTransportError } from './rpcProvider.js';
+import { CacheMissError } from './cache.js';
+import { createLogContext } from './eventLogs.js';
+import { readLoupeFacets, looksLikeDiamond, readDiamondCutFacets } from './diamond.js';
+import { parseSourceCode, getSourceLanguage } from './sourceParser.js';
+import { analyzeFiles } from './solidityAst.js';
+import { isVyperFile, findDelegateForwarder } from './vyperSource.js';
+import { logger } from './logger.js';
+
+// Detection outcomes
+export const PROXY_STATUS = {
+  PROXY: 'proxy',
+  NOT_PROXY: 'not-proxy',
+  INCONCLUSIVE: 'inconclusive'
+};
 
 // EIP-1967 Implementation Slot: bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
 const EIP_1967_LOGIC_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
@@ -13,6 +28,16 @@ const EIP_1967_LOGIC_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a92
 // EIP-1967 Beacon Slot: bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
 const EIP_1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
 
+// EIP-1967 Admin Slot: bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+const EIP_1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// EIP-1967 slots, for callers that read them directly (e.g. the upgrade watcher)
+export const EIP_1967_SLOTS = {
+  IMPLEMENTATION: EIP_1967_LOGIC_SLOT,
+  BEACON: EIP_1967_BEACON_SLOT,
+  ADMIN: EIP_1967_ADMIN_SLOT
+};
+
 // OpenZeppelin Implementation Slot: keccak256("org.zeppelinos.proxy.implementation")
 const OPEN_ZEPPELIN_IMPLEMENTATION_SLOT = '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
 
@@ -83,17 +108,50 @@ function parseEIP1167Bytecode(bytecode) {
   return null;
 }
 
+/**
+ * Parse the forwarder bytecode of early Vyper create_forwarder_to (e.g. Uniswap V1 exchanges)
+ * Later Vyper releases deploy EIP-1167 minimal proxies, handled by parseEIP1167Bytecode
+ * @param {string} bytecode - Contract bytecode
+ * @returns {string|null} Implementation address if a Vyper forwarder, null otherwise
+ */
+export function parseVyperForwarderBytecode(bytecode) {
+  // calldatacopy, delegatecall <address> with 4096 bytes of output, return them (a failed call jumps to an invalid destination):
+  // 366000600037611000600036600073<address>5af41558576110006000f3
+  const match = bytecode.match(/^0x366000600037611000600036600073([a-fA-F0-9]{40})5af41558576110006000f3$/i);
+  if (!match) {
+    return null;
+  }
+  
+  try {
+    return ethers.getAddress('0x' + match[1].toLowerCase());
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Create an ethers provider for a specific chain
+ * Reads go through the on-disk cache (see cache.js) unless options.useCache is false
  * @param {string} chainName - Name of the chain
+ * @param {Object} options - Provider options (see createRpcProvider)
  * @returns {ethers.JsonRpcProvider} Ethers provider instance
  */
-export function createProvider(chainName) {
+export function createProvider(chainName, options = {}) {
   const chainConfig = getChainConfig(chainName);
   if (!chainConfig) {
     throw new Error(`Unsupported chain: ${chainName}`);
   }
-  return new ethers.JsonRpcProvider(chainConfig.rpcUrl);
+  return createRpcProvider(chainConfig, options);
+}
+
+/**
+ * Whether an error means the chain could not be read (RPC outage, or missing from the offline cache)
+ * Such errors make detection inconclusive instead of meaning "no implementation here"
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the read failed rather than returning an answer
+ */
+function isReadFailure(error) {
+  return isTransportError(error) || error instanceof CacheMissError;
 }
 
 /**
@@ -101,13 +159,16 @@ export function createProvider(chainName) {
  * @param {ethers.Provider} provider - Ethers provider
  * @param {string} proxyAddress - Proxy contract address
  * @param {string} slot - Storage slot
+ * @param {string|number} blockTag - Block to read at (default: latest)
  * @returns {Promise<string|null>} Implementation address or null
+ * @throws {RpcTransportError} If the slot could not be read
  */
-async function tryStorageSlot(provider, proxyAddress, slot) {
+async function tryStorageSlot(provider, proxyAddress, slot, blockTag = 'latest') {
   try {
-    const value = await provider.getStorage(proxyAddress, slot);
+    const value = await provider.getStorage(proxyAddress, slot, blockTag);
     return readAddressFromSlot(value);
-  } catch {
+  } catch (error) {
+    if (isReadFailure(error)) throw error;
     return null;
   }
 }
@@ -118,75 +179,179 @@ async function tryStorageSlot(provider, proxyAddress, slot) {
  * @param {string} proxyAddress - Proxy contract address
  * @param {string[]} abi - Contract ABI
  * @param {string} methodName - Method to call
+ * @param {string|number} blockTag - Block to call at (default: latest)
  * @returns {Promise<string|null>} Implementation address or null
+ * @throws {RpcTransportError} If the call could not be made (a revert returns null)
  */
-async function tryContractCall(provider, proxyAddress, abi, methodName) {
+async function tryContractCall(provider, proxyAddress, abi, methodName, blockTag = 'latest') {
   try {
     const contract = new ethers.Contract(proxyAddress, abi, provider);
-    const address = await contract[methodName]();
+    const address = await contract[methodName]({ blockTag });
     if (address && address !== '0x0000000000000000000000000000000000000000') {
       return ethers.getAddress(address);
     }
-  } catch {
-    // Method doesn't exist or call failed
+  } catch (error) {
+    // Method doesn't exist or reverted; RPC failures are not an answer
+    if (isReadFailure(error)) throw error;
   }
   return null;
 }
 
+/**
+ * Detect an EIP-2535 Diamond and list its facets
+ * The loupe function facets() is tried first; without a loupe, DiamondCut events are
+ * replayed, but only if the bytecode or source suggests a diamond
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} chainName - Name of the chain
+ * @param {string} contractAddress - Contract address
+ * @param {string} code - Runtime bytecode
+ * @param {Object} sourceData - Optional source data
+ * @param {string|number} blockTag - Block to read at (default: latest)
+ * @returns {Promise<Object|null>} { facets, detectionMethod } or null if not a diamond
+ * @throws {RpcTransportError} If the loupe or the event logs could not be read
+ */
+async function detectDiamond(provider, chainName, contractAddress, code, sourceData, blockTag = 'latest') {
+  try {
+    const facets = await readLoupeFacets(provider, contractAddress, blockTag);
+    if (facets.length > 0) {
+      return { facets, detectionMethod: 'diamond-loupe' };
+    }
+  } catch (error) {
+    // No loupe (revert or undecodable return data); RPC failures are not an answer
+    if (isReadFailure(error)) throw error;
+  }
+  
+  if (!looksLikeDiamond(code, sourceData)) {
+    return null;
+  }
+  
+  try {
+    logger.info('  ℹ Diamond markers found without a loupe, replaying DiamondCut events');
+    const context = createLogContext(getChainConfig(chainName), provider, blockTag);
+    const replayed = await readDiamondCutFacets(context, contractAddress);
+    if (replayed && replayed.facets.length > 0) {
+      logger.info(`  ✓ Replayed ${replayed.cutCount} DiamondCut event(s) (logs from ${replayed.logSource})`);
+      return { facets: replayed.facets, detectionMethod: 'diamond-cut-events' };
+    }
+  } catch (error) {
+    if (isReadFailure(error)) throw error;
+    logger.warn(`  ⚠ Could not replay DiamondCut events: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Find proxy patterns in verified source code
+ * - a contract inheriting from a *Proxy base (OpenZeppelin or similar)
+ * - an `_implementation() internal view override returns (address)` function
+ * - a bytes32 constant named like *STORAGE_SLOT* holding a 32-byte slot
+ * - a Vyper __default__ forwarding calls with raw_call(..., is_delegate_call=True)
+ * @param {string} sourceCode - Source code as returned by the explorer (single file or JSON)
+ * @param {string|null} language - Language reported by the explorer (detected from the source when null)
+ * @returns {Object} { proxyInheritance, implementationOverride, storageSlot, delegateForwarder } - storageSlot is
+ *   the slot hex or null; delegateForwarder is the Vyper forwarding target (see findDelegateForwarder) or null
+ */
+export function findProxySourcePatterns(sourceCode, language = null) {
+  const { files } = parseSourceCode(sourceCode, { language });
+  const analyses = Object.values(analyzeFiles(files));
+  const contracts = analyses.flatMap(analysis => analysis.contracts)
+    .filter(contract => contract.kind !== 'interface');
+  const constants = [
+    ...analyses.flatMap(analysis => analysis.constants),
+    ...contracts.flatMap(contract => contract.stateVariables.filter(variable => variable.constant))
+  ];
+  
+  // Pattern 1: Contract inherits from Proxy (OpenZeppelin or similar)
+  const proxyInheritance = contracts.some(contract =>
+    contract.bases.some(base => /proxy/i.test(base)));
+  
+  // Pattern 2: _implementation() function override
+  const implementationOverride = contracts.some(contract => contract.functions.some(fn =>
+    fn.name === '_implementation' && fn.parameters.length === 0 &&
+    fn.visibility === 'internal' && fn.stateMutability === 'view' && fn.override &&
+    fn.returns.length === 1 && fn.returns[0].type === 'address'));
+  
+  // Pattern 3: Custom storage slot for the implementation
+  const slotConstant = constants.find(constant =>
+    constant.type === 'bytes32' && /STORAGE_?SLOT/i.test(constant.name) &&
+    /^0x[a-fA-F0-9]{64}$/.test(constant.initialValue || ''));
+  
+  // Pattern 4: Vyper fallback delegating every call
+  const delegateForwarder = Object.entries(files)
+    .filter(([filePath]) => isVyperFile(filePath))
+    .map(([, content]) => findDelegateForwarder(content))
+    .find(Boolean) || null;
+  
+  return {
+    proxyInheritance,
+    implementationOverride,
+    storageSlot: slotConstant ? slotConstant.initialValue.toLowerCase() : null,
+    delegateForwarder
+  };
+}
+
 /**
  * Detect proxy pattern from source code analysis
  * Handles non-standard proxy patterns like MOSTProxy
  * @param {ethers.Provider} provider - Ethers provider
  * @param {string} proxyAddress - Proxy contract address
  * @param {Object} sourceData - Source data from Etherscan
+ * @param {string|number} blockTag - Block to read at (default: latest)
  * @returns {Promise<string|null>} Implementation address or null
  */
-async function detectProxyFromSource(provider, proxyAddress, sourceData) {
+async function detectProxyFromSource(provider, proxyAddress, sourceData, blockTag = 'latest') {
   try {
-    const sourceCode = sourceData.sourceCode || '';
-    
-    // Pattern 1: Detect if contract inherits from Proxy (OpenZeppelin or similar)
-    const proxyInheritance = /contract\s+\w+\s+is\s+[^{]*Proxy/i.test(sourceCode);
+    const { proxyInheritance, implementationOverride, storageSlot, delegateForwarder } =
+      findProxySourcePatterns(sourceData.sourceCode || '', getSourceLanguage(sourceData));
     
-    // Pattern 2: Detect _implementation() function override
-    const hasImplementationFunction = /function\s+_implementation\s*\(\s*\)\s+internal\s+view\s+(?:virtual\s+)?override\s+returns\s*\(\s*address\s*\)/i.test(sourceCode);
-    
-    // Pattern 3: Detect custom storage slots for implementation
-    const storageSlotMatch = sourceCode.match(/bytes32\s+(?:public\s+|private\s+)?constant\s+\w*STORAGE[_]?SLOT\w*\s*=\s*0x([a-fA-F0-9]{64})/i);
-    
-    if (!proxyInheritance && !hasImplementationFunction && !storageSlotMatch) {
+    if (!proxyInheritance && !implementationOverride && !storageSlot && !delegateForwarder) {
       return null; // Not a proxy based on source code
     }
     
-    console.log('  ℹ Non-standard proxy pattern detected in source code');
+    logger.info('  ℹ Non-standard proxy pattern detected in source code');
     
     // Try to call _implementation() if it exists (even if internal, sometimes exposed)
-    let implementation = await tryContractCall(provider, proxyAddress, EIP_897_ABI, 'implementation');
+    let implementation = await tryContractCall(provider, proxyAddress, EIP_897_ABI, 'implementation', blockTag);
     if (implementation) {
-      console.log(`  ✓ Found implementation via implementation() call: ${implementation}`);
+      logger.info(`  ✓ Found implementation via implementation() call: ${implementation}`);
       return implementation;
     }
     
+    // Vyper forwarder: a constant target is the implementation; a public variable has a getter
+    if (delegateForwarder && delegateForwarder.address) {
+      implementation = ethers.getAddress(delegateForwarder.address.toLowerCase());
+      logger.info(`  ✓ Found implementation in Vyper constant ${delegateForwarder.variable}: ${implementation}`);
+      return implementation;
+    }
+    if (delegateForwarder && delegateForwarder.variable) {
+      const getter = delegateForwarder.variable;
+      implementation = await tryContractCall(provider, proxyAddress, [`function ${getter}() view returns (address)`], getter, blockTag);
+      if (implementation) {
+        logger.info(`  ✓ Found implementation via ${getter}() call: ${implementation}`);
+        return implementation;
+      }
+    }
+    
     // If custom storage slot detected, try reading from it
-    if (storageSlotMatch) {
-      const customSlot = '0x' + storageSlotMatch[1];
-      console.log(`  ℹ Trying custom storage slot: ${customSlot}`);
+    if (storageSlot) {
+      const customSlot = storageSlot;
+      logger.debug(`  ℹ Trying custom storage slot: ${customSlot}`);
       
       // First, try reading the slot directly (might contain implementation address)
-      let slotValue = await tryStorageSlot(provider, proxyAddress, customSlot);
+      let slotValue = await tryStorageSlot(provider, proxyAddress, customSlot, blockTag);
       if (slotValue) {
         // Check if this is the implementation address
-        const code = await provider.getCode(slotValue);
+        const code = await provider.getCode(slotValue, blockTag);
         if (code && code !== '0x' && code !== '0x0') {
-          console.log(`  ✓ Found implementation at custom slot: ${slotValue}`);
+          logger.info(`  ✓ Found implementation at custom slot: ${slotValue}`);
           return slotValue;
         }
         
         // If not, it might be a storage contract that has implementation()
-        console.log(`  ℹ Slot contains address ${slotValue}, trying as storage contract...`);
-        implementation = await tryContractCall(provider, slotValue, EIP_897_ABI, 'implementation');
+        logger.debug(`  ℹ Slot contains address ${slotValue}, trying as storage contract...`);
+        implementation = await tryContractCall(provider, slotValue, EIP_897_ABI, 'implementation', blockTag);
         if (implementation) {
-          console.log(`  ✓ Found implementation via storage contract: ${implementation}`);
+          logger.info(`  ✓ Found implementation via storage contract: ${implementation}`);
           return implementation;
         }
       }
@@ -202,17 +367,18 @@ async function detectProxyFromSource(provider, proxyAddress, sourceData) {
         for (const addrHex of addressMatches) {
           try {
             const potentialAddr = ethers.getAddress('0x' + addrHex);
-            const code = await provider.getCode(potentialAddr);
+            const code = await provider.getCode(potentialAddr, blockTag);
             if (code && code !== '0x' && code !== '0x0') {
               // This could be the implementation or storage contract
               // Try calling implementation() on it
-              const impl = await tryContractCall(provider, potentialAddr, EIP_897_ABI, 'implementation');
+              const impl = await tryContractCall(provider, potentialAddr, EIP_897_ABI, 'implementation', blockTag);
               if (impl) {
-                console.log(`  ✓ Found implementation via constructor argument storage contract: ${impl}`);
+                logger.info(`  ✓ Found implementation via constructor argument storage contract: ${impl}`);
                 return impl;
               }
             }
-          } catch {
+          } catch (error) {
+            if (isReadFailure(error)) throw error;
             continue;
           }
         }
@@ -221,7 +387,8 @@ async function detectProxyFromSource(provider, proxyAddress, sourceData) {
     
     return null;
   } catch (error) {
-    console.error(`  Error in source-based proxy detection: ${error.message}`);
+    if (isReadFailure(error)) throw error;
+    logger.warn(`  ⚠ Error in source-based proxy detection: ${error.message}`);
     return null;
   }
 }
@@ -229,28 +396,40 @@ async function detectProxyFromSource(provider, proxyAddress, sourceData) {
 /**
  * Detect if a contract is a proxy and get its implementation address
  * Uses multiple detection methods:
+ * - EIP-2535 Diamond (loupe facets(), or DiamondCut event replay)
  * - Etherscan API (if source data provided)
  * - EIP-1967 (direct and beacon)
  * - OpenZeppelin proxy pattern
  * - EIP-1822 UUPS
- * - EIP-1167 minimal proxy
+ * - EIP-1167 minimal proxy (also deployed by Vyper create_minimal_proxy_to / create_forwarder_to)
+ * - Vyper forwarder (create_forwarder_to of early Vyper releases)
  * - EIP-897 DelegateProxy
  * - Gnosis Safe Proxy
  * - Source code analysis for custom proxy patterns
  * 
+ * If RPC reads fail and no method finds an implementation, the status is 'inconclusive'
+ * rather than 'not-proxy', and the failed reads are listed in `rpcErrors`.
+ *
  * @param {string} chainName - Name of the chain
  * @param {string} contractAddress - Address of the contract to check
  * @param {Object} sourceData - Optional source data from Etherscan (for enhanced detection)
- * @returns {Promise<Object>} Object containing isProxy and implementationAddress
+ * @param {Object} options - Detection options
+ * @param {string|number} options.blockTag - Run every read at this block (default: latest)
+ * @param {boolean} options.useCache - Serve reads from the on-disk cache (default: true)
+ * @returns {Promise<Object>} Object containing status ('proxy' | 'not-proxy' | 'inconclusive'), isProxy and implementationAddress
+ *   Diamonds have isDiamond: true, implementationAddress: null and facets: [{ facetAddress, selectors }]
  */
-export async function detectProxy(chainName, contractAddress, sourceData = null) {
-  const provider = createProvider(chainName);
+export async function detectProxy(chainName, contractAddress, sourceData = null, options = {}) {
+  const { blockTag = 'latest', useCache = true } = options;
+  const provider = createProvider(chainName, { useCache });
+  const rpcErrors = [];
   
   try {
     // Check contract exists
-    const code = await provider.getCode(contractAddress);
+    const code = await provider.getCode(contractAddress, blockTag);
     if (code === '0x' || code === '0x0') {
       return {
+        status: PROXY_STATUS.NOT_PROXY,
         isProxy: false,
         proxyAddress: contractAddress,
         implementationAddress: null,
@@ -258,74 +437,116 @@ export async function detectProxy(chainName, contractAddress, sourceData = null)
       };
     }
     
-    // Priority 1: Use Etherscan's implementation address if available (most reliable)
-    if (sourceData && sourceData.isProxy && sourceData.implementation) {
+    // Priority 1: EIP-2535 Diamond
+    // Checked before Etherscan: diamonds often expose implementation() for explorers, which names a single facet
+    let diamond = null;
+    try {
+      diamond = await detectDiamond(provider, chainName, contractAddress, code, sourceData, blockTag);
+    } catch (error) {
+      if (!isReadFailure(error)) throw error;
+      rpcErrors.push(error.message);
+    }
+    if (diamond) {
+      return {
+        status: PROXY_STATUS.PROXY,
+        isProxy: true,
+        isDiamond: true,
+        proxyAddress: contractAddress,
+        implementationAddress: null,
+        facets: diamond.facets,
+        detectionMethod: diamond.detectionMethod
+      };
+    }
+    
+    // Priority 2: Use Etherscan's implementation address if available (most reliable)
+    // It reflects the current implementation only, so it is skipped for historical reads
+    if (blockTag === 'latest' && sourceData && sourceData.isProxy && sourceData.implementation) {
       try {
         const etherscanImpl = ethers.getAddress(sourceData.implementation);
-        console.log(`  ✓ Etherscan reports proxy with implementation: ${etherscanImpl}`);
+        logger.info(`  ✓ Etherscan reports proxy with implementation: ${etherscanImpl}`);
         return {
+          status: PROXY_STATUS.PROXY,
           isProxy: true,
           proxyAddress: contractAddress,
           implementationAddress: etherscanImpl,
           detectionMethod: 'etherscan-api'
         };
       } catch (error) {
-        console.log(`  ⚠ Invalid implementation address from Etherscan: ${sourceData.implementation}`);
+        logger.warn(`  ⚠ Invalid implementation address from Etherscan: ${sourceData.implementation}`);
       }
     }
     
-    // Priority 2: Try standard detection methods
+    // Priority 3: Try standard detection methods (named for detectionMethod)
     const detectionMethods = [
       // EIP-1967 direct proxy
-      () => tryStorageSlot(provider, contractAddress, EIP_1967_LOGIC_SLOT),
+      ['eip-1967', () => tryStorageSlot(provider, contractAddress, EIP_1967_LOGIC_SLOT, blockTag)],
       
       // OpenZeppelin proxy pattern
-      () => tryStorageSlot(provider, contractAddress, OPEN_ZEPPELIN_IMPLEMENTATION_SLOT),
+      ['openzeppelin-slot', () => tryStorageSlot(provider, contractAddress, OPEN_ZEPPELIN_IMPLEMENTATION_SLOT, blockTag)],
       
       // EIP-1822 UUPS
-      () => tryStorageSlot(provider, contractAddress, EIP_1822_LOGIC_SLOT),
+      ['eip-1822', () => tryStorageSlot(provider, contractAddress, EIP_1822_LOGIC_SLOT, blockTag)],
       
       // EIP-1167 minimal proxy (parse bytecode)
-      async () => parseEIP1167Bytecode(code),
+      ['eip-1167', async () => parseEIP1167Bytecode(code)],
+      
+      // Early Vyper forwarder (parse bytecode)
+      ['vyper-forwarder', async () => parseVyperForwarderBytecode(code)],
       
       // EIP-897 DelegateProxy
-      () => tryContractCall(provider, contractAddress, EIP_897_ABI, 'implementation'),
+      ['eip-897', () => tryContractCall(provider, contractAddress, EIP_897_ABI, 'implementation', blockTag)],
       
       // Gnosis Safe Proxy
-      () => tryContractCall(provider, contractAddress, GNOSIS_SAFE_PROXY_ABI, 'masterCopy'),
+      ['gnosis-safe', () => tryContractCall(provider, contractAddress, GNOSIS_SAFE_PROXY_ABI, 'masterCopy', blockTag)],
       
       // EIP-1967 beacon proxy
-      async () => {
-        const beaconAddress = await tryStorageSlot(provider, contractAddress, EIP_1967_BEACON_SLOT);
+      ['eip-1967-beacon', async () => {
+        const beaconAddress = await tryStorageSlot(provider, contractAddress, EIP_1967_BEACON_SLOT, blockTag);
         if (beaconAddress) {
           // Try to get implementation from beacon
-          let impl = await tryContractCall(provider, beaconAddress, EIP_1167_BEACON_ABI, 'implementation');
+          let impl = await tryContractCall(provider, beaconAddress, EIP_1167_BEACON_ABI, 'implementation', blockTag);
           if (!impl) {
-            impl = await tryContractCall(provider, beaconAddress, EIP_1167_BEACON_ABI, 'childImplementation');
+            impl = await tryContractCall(provider, beaconAddress, EIP_1167_BEACON_ABI, 'childImplementation', blockTag);
           }
           return impl;
         }
         return null;
-      }
+      }]
     ];
     
     // Try each method until we find an implementation
-    for (const method of detectionMethods) {
-      const implementation = await method();
+    // A failed RPC read only rules out that method; the others still get a chance
+    for (const [detectionMethod, method] of detectionMethods) {
+      let implementation = null;
+      try {
+        implementation = await method();
+      } catch (error) {
+        if (!isReadFailure(error)) throw error;
+        rpcErrors.push(error.message);
+      }
       if (implementation) {
         return {
+          status: PROXY_STATUS.PROXY,
           isProxy: true,
           proxyAddress: contractAddress,
-          implementationAddress: implementation
+          implementationAddress: implementation,
+          detectionMethod
         };
       }
     }
     
-    // Priority 3: If source data is provided, try source code analysis for non-standard proxies
+    // Priority 4: If source data is provided, try source code analysis for non-standard proxies
     if (sourceData && sourceData.isVerified) {
-      const sourceBasedImpl = await detectProxyFromSource(provider, contractAddress, sourceData);
+      let sourceBasedImpl = null;
+      try {
+        sourceBasedImpl = await detectProxyFromSource(provider, contractAddress, sourceData, blockTag);
+      } catch (error) {
+        if (!isReadFailure(error)) throw error;
+        rpcErrors.push(error.message);
+      }
       if (sourceBasedImpl) {
         return {
+          status: PROXY_STATUS.PROXY,
           isProxy: true,
           proxyAddress: contractAddress,
           implementationAddress: sourceBasedImpl,
@@ -334,35 +555,56 @@ export async function detectProxy(chainName, contractAddress, sourceData = null)
       }
     }
     
-    // No proxy detected
+    // No proxy detected - only conclusive if every read succeeded
+    if (rpcErrors.length > 0) {
+      return inconclusiveResult(contractAddress, rpcErrors);
+    }
     return {
+      status: PROXY_STATUS.NOT_PROXY,
       isProxy: false,
       proxyAddress: contractAddress,
       implementationAddress: null
     };
-    
+  
   } catch (error) {
-    console.error(`Error detecting proxy for ${contractAddress}:`, error.message);
-    return {
-      isProxy: false,
-      proxyAddress: contractAddress,
-      implementationAddress: null,
-      error: error.message
-    };
+    // Only failed reads are inconclusive (worth a retry); anything else is a bug or bad input
+    if (isReadFailure(error)) {
+      return inconclusiveResult(contractAddress, [...rpcErrors, error.message]);
+    }
+    throw error;
   }
 }
 
+/**
+ * Build the result of a detection that could not complete because RPC reads failed
+ * @param {string} contractAddress - Address of the contract
+ * @param {string[]} rpcErrors - Messages of the failed reads
+ * @returns {Object} Inconclusive detection result
+ */
+function inconclusiveResult(contractAddress, rpcErrors) {
+  return {
+    status: PROXY_STATUS.INCONCLUSIVE,
+    isProxy: false,
+    proxyAddress: contractAddress,
+    implementationAddress: null,
+    error: `Proxy detection inconclusive: ${rpcErrors.length} RPC read(s) failed`,
+    rpcErrors
+  };
+}
+
 /**
  * Get bytecode for a contract address
  * @param {string} chainName - Name of the chain
  * @param {string} contractAddress - Address of the contract
+ * @param {string|number} blockTag - Block to read at (default: latest)
  * @returns {Promise<string>} Contract bytecode
+ * @throws {RpcTransportError} If no RPC endpoint could answer
  */
-export async function getBytecode(chainName, contractAddress) {
+export async function getBytecode(chainName, contractAddress, blockTag = 'latest') {
   const provider = createProvider(chainName);
   
   try {
-    const bytecode = await provider.getCode(contractAddress);
+    const bytecode = await provider.getCode(contractAddress, blockTag);
     
     if (bytecode === '0x' || bytecode === '0x0') {
       throw new Error(`No bytecode found at address ${contractAddress}. This might be an EOA or non-existent contract.`);
@@ -370,12 +612,18 @@ export async function getBytecode(chainName, contractAddress) {
     
     return bytecode;
   } catch (error) {
-    throw new Error(`Failed to get bytecode for ${contractAddress}: ${error.message}`);
+    // Kept as-is so callers can tell an unreachable RPC from a missing contract
+    if (isTransportError(error)) throw error;
+    throw new Error(`Failed to get bytecode for ${contractAddress}: ${error.message}`, { cause: error });
   }
 }
 
 export default {
+  PROXY_STATUS,
+  EIP_1967_SLOTS,
   createProvider,
+  findProxySourcePatterns,
+  parseVyperForwarderBytecode,
   detectProxy,
   getBytecode
 };
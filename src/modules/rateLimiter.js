@@ -0,0 +1,112 @@
+/**
+ * Rate Limiter Module
+ * Token-bucket rate limiting for block-explorer requests
+ *
+ * Each explorer host gets its own bucket, so concurrent fetches never exceed
+ * that explorer's per-second request limit.
+ */
+
+// Requests per second allowed per explorer host (free-tier limits)
+export const DEFAULT_RATE_LIMITS = {
+  'api.etherscan.io': 5,
+  'sourcify.dev': 10,
+  'api.routescan.io': 2
+};
+
+// Rate for hosts not listed above (e.g. Blockscout instances)
+const FALLBACK_RATE = 5;
+
+/**
+ * Token bucket: holds up to `capacity` tokens and refills at `ratePerSecond`
+ */
+export class TokenBucket {
+  /**
+   * @param {number} ratePerSecond - Refill rate in tokens per second
+   * @param {number} capacity - Maximum burst size (default: one second's worth)
+   */
+  constructor(ratePerSecond, capacity = Math.max(1, Math.floor(ratePerSecond))) {
+    if (!(ratePerSecond > 0)) {
+      throw new Error(`Invalid rate limit: ${ratePerSecond} requests per second`);
+    }
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available and take it
+   * Callers are served in FIFO order
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+const buckets = new Map();
+let rateOverride = process.env.EXPLORER_RATE_LIMIT ? Number(process.env.EXPLORER_RATE_LIMIT) : null;
+
+/**
+ * Override the per-second limit for every explorer host
+ * @param {number|null} ratePerSecond - Requests per second, or null to restore the defaults
+ */
+export function setExplorerRateLimit(ratePerSecond) {
+  if (ratePerSecond !== null && !(ratePerSecond > 0)) {
+    throw new Error(`Invalid rate limit: ${ratePerSecond} requests per second`);
+  }
+  rateOverride = ratePerSecond;
+  buckets.clear();
+}
+
+/**
+ * Get the bucket for a URL's host, creating it on first use
+ * @param {string} url - Request URL
+ * @returns {TokenBucket} Bucket for the host
+ */
+export function getRateLimiter(url) {
+  const host = new URL(url).host;
+  if (!buckets.has(host)) {
+    const rate = rateOverride || DEFAULT_RATE_LIMITS[host] || FALLBACK_RATE;
+    buckets.set(host, new TokenBucket(rate));
+  }
+  return buckets.get(host);
+}
+
+/**
+ * Wait for permission to send a request to a URL's host
+ * @param {string} url - Request URL
+ * @returns {Promise<void>}
+ */
+export function acquireRateLimit(url) {
+  return getRateLimiter(url).acquire();
+}
+
+export default {
+  DEFAULT_RATE_LIMITS,
+  TokenBucket,
+  setExplorerRateLimit,
+  getRateLimiter,
+  acquireRateLimit
+};
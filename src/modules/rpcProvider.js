@@ -0,0 +1,384 @@
+/**
+ * RPC Provider Module
+ * JSON-RPC provider that serves reads from the on-disk cache and fails over between endpoints
+ *
+ * Each request is sent to the chain's RPC endpoints in priority order, skipping endpoints
+ * that recently failed. An endpoint is retried with exponential backoff before moving on.
+ * Reverts are returned to the caller as-is; only when every endpoint fails with a
+ * transport error (network failure, timeout, HTTP error, rate limit, node error) is an
+ * RpcTransportError thrown.
+ */
+
+import { ethers } from 'ethers';
+import { cached, assertOnline } from './cache.js';
+import { logger } from './logger.js';
+import { recordRpcResponse } from './fixtureRecorder.js';
+
+// Block tags whose result can change between calls
+const MOVING_BLOCK_TAGS = new Set(['latest', 'pending', 'safe', 'finalized']);
+
+export const DEFAULT_RPC_OPTIONS = {
+  maxRetries: 2,          // Retries per endpoint after the first attempt
+  baseDelayMs: 250,       // Backoff before the first retry (doubles each retry)
+  timeoutMs: 15000,       // Per-request timeout
+  cooldownMs: 60000       // How long a failing endpoint is tried last
+};
+
+// Options used by providers created without explicit ones (RPC_MAX_RETRIES / RPC_TIMEOUT_MS override)
+const rpcOptions = {
+  ...DEFAULT_RPC_OPTIONS,
+  ...(process.env.RPC_MAX_RETRIES ? { maxRetries: Number(process.env.RPC_MAX_RETRIES) } : {}),
+  ...(process.env.RPC_TIMEOUT_MS ? { timeoutMs: Number(process.env.RPC_TIMEOUT_MS) } : {})
+};
+
+// JSON-RPC error codes caused by the request itself; another endpoint would answer the same
+const CLIENT_ERROR_CODES = new Set([-32600, -32601, -32602]);
+
+// Endpoint health shared by every provider in the process, keyed by URL
+const endpointHealth = new Map();
+
+/**
+ * Error thrown when no RPC endpoint could answer a request
+ */
+export class RpcTransportError extends Error {
+  /**
+   * @param {string} method - JSON-RPC method
+   * @param {Object[]} failures - [{ url, error }] for every endpoint tried
+   */
+  constructor(method, failures) {
+    const details = failures.map(f => `${f.url}: ${f.error}`).join('; ');
+    super(`RPC request ${method} failed on all endpoints (${details})`);
+    this.name = 'RpcTransportError';
+    this.method = method;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Whether an error means the RPC layer could not answer (as opposed to a revert or bad input)
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for transport failures
+ */
+export function isTransportError(error) {
+  return error instanceof RpcTransportError;
+}
+
+/**
+ * Update the retry/timeout options used by new providers
+ * @param {Object} options - { maxRetries, baseDelayMs, timeoutMs, cooldownMs }
+ * @returns {Object} Resulting options
+ */
+export function configureRpc(options = {}) {
+  for (const [name, value] of Object.entries(options)) {
+    if (!(name in DEFAULT_RPC_OPTIONS)) {
+      throw new Error(`Unknown RPC option: ${name}`);
+    }
+    if (!(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`Invalid value for RPC option ${name}: ${value}`);
+    }
+  }
+  Object.assign(rpcOptions, options);
+  return { ...rpcOptions };
+}
+
+/**
+ * Get (or create) the health record of an endpoint
+ * @param {string} url - RPC URL
+ * @returns {Object} { failures, successes, unhealthyUntil, lastError, latencyMs }
+ */
+function getHealth(url) {
+  if (!endpointHealth.has(url)) {
+    endpointHealth.set(url, { failures: 0, successes: 0, unhealthyUntil: 0, lastError: null, latencyMs: null });
+  }
+  return endpointHealth.get(url);
+}
+
+/**
+ * Get a snapshot of endpoint health
+ * @returns {Object} Health records keyed by URL
+ */
+export function getEndpointHealth() {
+  return Object.fromEntries([...endpointHealth].map(([url, health]) => [url, { ...health }]));
+}
+
+/**
+ * Forget all endpoint health records
+ */
+export function resetEndpointHealth() {
+  endpointHealth.clear();
+}
+
+/**
+ * Order endpoints for a request: healthy ones first (in priority order), then cooling-down ones
+ * @param {string[]} urls - Endpoints in priority order
+ * @returns {string[]} Endpoints in the order to try them
+ */
+function orderEndpoints(urls) {
+  const now = Date.now();
+  const healthy = urls.filter(url => getHealth(url).unhealthyUntil <= now);
+  const coolingDown = urls
+    .filter(url => getHealth(url).unhealthyUntil > now)
+    .sort((a, b) => getHealth(a).unhealthyUntil - getHealth(b).unhealthyUntil);
+  return [...healthy, ...coolingDown];
+}
+
+/**
+ * Decide which cache kind a JSON-RPC request belongs to
+ * Reads pinned to a block number are immutable and use the 'historical' kind
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {string|null} Cache kind, or null if the request is not cacheable
+ */
+export function getRpcCacheKind(method, params = []) {
+  const isPinned = (blockTag) => typeof blockTag === 'string' && !MOVING_BLOCK_TAGS.has(blockTag);
+
+  switch (method) {
+    case 'eth_getCode':
+      return isPinned(params[1]) ? 'historical' : 'bytecode';
+    case 'eth_getStorageAt':
+      return isPinned(params[2]) ? 'historical' : 'storage';
+    case 'eth_call':
+      return isPinned(params[1]) ? 'historical' : 'call';
+    case 'eth_getLogs': {
+      const filter = params[0] || {};
+      if (filter.blockHash) return 'historical';
+      return isPinned(filter.toBlock) ? 'historical' : 'logs';
+    }
+    case 'eth_getBlockByNumber':
+      return isPinned(params[0]) ? 'historical' : null;
+    case 'eth_chainId':
+      return 'historical';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a JSON-RPC error response is deterministic (a revert), and therefore cacheable
+ * @param {string} method - JSON-RPC method
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean} True if the error is a revert
+ */
+function isDeterministicError(method, error) {
+  return method === 'eth_call' && (error.code === 3 || /revert/i.test(error.message || ''));
+}
+
+/**
+ * Whether an eth_getLogs error says the query was too large (the caller should split the range)
+ * @param {string} method - JSON-RPC method
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean} True for block-range and result-size limits
+ */
+export function isLogRangeError(method, error) {
+  return method === 'eth_getLogs' &&
+    /block range|range (is )?too (large|wide)|too many|more than \d+ (results|logs)|response size|query timeout/i.test(error.message || '');
+}
+
+/**
+ * Whether a JSON-RPC error response should be returned to the caller rather than retried
+ * @param {string} method - JSON-RPC method
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean} True for reverts, invalid requests and oversized log queries
+ */
+function isFinalError(method, error) {
+  return isDeterministicError(method, error) || CLIENT_ERROR_CODES.has(error.code) || isLogRangeError(method, error);
+}
+
+/**
+ * Whether a JSON-RPC response may be stored in the cache
+ * Empty code at a moving block tag is not: the contract may simply not be deployed yet
+ * @param {string} kind - Cache kind (getRpcCacheKind)
+ * @param {string} method - JSON-RPC method
+ * @param {Object} value - { result } or { error }
+ * @returns {boolean} True if the response can be cached
+ */
+function isCacheableResponse(kind, method, value) {
+  if (value.error) {
+    return isDeterministicError(method, value.error);
+  }
+  return !(kind === 'bytecode' && value.result === '0x');
+}
+
+/**
+ * JsonRpcProvider that caches raw JSON-RPC responses per request and fails over between endpoints
+ * Transport failures and empty code at the latest block are never cached; reverts of eth_call are
+ * Every answered request is captured when fixture recording is on
+ * A provider created with useCache: false sends every request (for polling, whose reads are
+ * pinned to ever-new blocks and would otherwise fill the historical cache)
+ */
+export class CachedJsonRpcProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {string|string[]} urls - RPC URL, or several in priority order
+   * @param {number} chainId - Chain ID (used as a static network, so no eth_chainId probing)
+   * @param {Object} options - Overrides for the configured RPC options, and useCache (default true)
+   */
+  constructor(urls, chainId, options = {}) {
+    const { useCache = true, ...overrides } = options;
+    const rpcUrls = Array.isArray(urls) ? urls : [urls];
+    if (rpcUrls.length === 0) {
+      throw new Error(`No RPC URL configured for chain ${chainId}`);
+    }
+    const network = ethers.Network.from(chainId);
+    super(rpcUrls[0], network, { staticNetwork: network, batchMaxCount: 1 });
+    this.cacheChainId = chainId;
+    this.rpcUrls = rpcUrls;
+    this.rpcOptions = { ...rpcOptions, ...overrides };
+    this.useCache = useCache;
+  }
+
+  /**
+   * Send one JSON-RPC request to one endpoint
+   * @param {string} url - RPC URL
+   * @param {Object} request - JSON-RPC request
+   * @returns {Promise<Object>} Raw JSON-RPC response
+   */
+  async sendToEndpoint(url, request) {
+    const connection = new ethers.FetchRequest(url);
+    connection.timeout = this.rpcOptions.timeoutMs;
+    connection.setThrottleParams({ maxAttempts: 1 });
+    connection.body = JSON.stringify(request);
+    connection.setHeader('content-type', 'application/json');
+
+    const response = await connection.send();
+    response.assertOk();
+    const body = response.bodyJson;
+    return Array.isArray(body) ? body[0] : body;
+  }
+
+  /**
+   * Send a request with retries and endpoint failover
+   * @param {Object} request - JSON-RPC request
+   * @returns {Promise<Object>} Raw JSON-RPC response (a result, or a revert / invalid-request error)
+   */
+  async sendWithFailover(request) {
+    const { maxRetries, baseDelayMs, cooldownMs } = this.rpcOptions;
+    const failures = [];
+
+    for (const url of orderEndpoints(this.rpcUrls)) {
+      const health = getHealth(url);
+
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) {
+          const delay = baseDelayMs * 2 ** (attempt - 1);
+          await new Promise(resolve => setTimeout(resolve, delay + Math.floor(Math.random() * delay / 2)));
+        }
+
+        const startedAt = Date.now();
+        let errorMessage;
+        try {
+          const raw = await this.sendToEndpoint(url, request);
+          if (!raw.error || isFinalError(request.method, raw.error)) {
+            health.successes++;
+            health.failures = 0;
+            health.unhealthyUntil = 0;
+            health.latencyMs = Date.now() - startedAt;
+            return raw;
+          }
+          errorMessage = `JSON-RPC error ${raw.error.code}: ${raw.error.message}`;
+        } catch (error) {
+          errorMessage = error.shortMessage || error.message;
+        }
+
+        health.failures++;
+        health.lastError = errorMessage;
+        if (attempt === maxRetries) {
+          failures.push({ url, error: errorMessage });
+        }
+      }
+
+      // Endpoint exhausted its retries: try it last for a while
+      health.unhealthyUntil = Date.now() + cooldownMs;
+      logger.debug(`  ℹ RPC ${url} failed ${request.method} (${health.lastError}), trying the next endpoint`);
+    }
+
+    throw new RpcTransportError(request.method, failures);
+  }
+
+  /**
+   * Probe every endpoint with eth_chainId (bypassing the cache) and record its health
+   * @returns {Promise<Object[]>} [{ url, healthy, latencyMs, error }]
+   */
+  async checkEndpoints() {
+    const results = [];
+    for (const url of this.rpcUrls) {
+      const health = getHealth(url);
+      const startedAt = Date.now();
+      try {
+        const raw = await this.sendToEndpoint(url, { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+        if (raw.error) {
+          throw new Error(`JSON-RPC error ${raw.error.code}: ${raw.error.message}`);
+        }
+        if (Number(raw.result) !== this.cacheChainId) {
+          throw new Error(`wrong chain ID ${Number(raw.result)} (expected ${this.cacheChainId})`);
+        }
+        health.latencyMs = Date.now() - startedAt;
+        health.unhealthyUntil = 0;
+        results.push({ url, healthy: true, latencyMs: health.latencyMs, error: null });
+      } catch (error) {
+        health.lastError = error.shortMessage || error.message;
+        health.unhealthyUntil = Date.now() + this.rpcOptions.cooldownMs;
+        results.push({ url, healthy: false, latencyMs: null, error: health.lastError });
+      }
+    }
+    return results;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const responses = [];
+
+    for (const request of payloads) {
+      const { id, method, params } = request;
+      const kind = this.useCache ? getRpcCacheKind(method, params) : null;
+
+      if (!kind) {
+        assertOnline('rpc', method);
+        const raw = await this.sendWithFailover(request);
+        recordRpcResponse(this.cacheChainId, method, params, raw);
+        responses.push({ ...raw, id });
+        continue;
+      }
+
+      const response = await cached(
+        kind,
+        [this.cacheChainId, method, params],
+        async () => {
+          const raw = await this.sendWithFailover(request);
+          return 'error' in raw ? { error: raw.error } : { result: raw.result };
+        },
+        {
+          shouldCache: (value) => isCacheableResponse(kind, method, value),
+          description: `${method} on chain ${this.cacheChainId}`
+        }
+      );
+
+      recordRpcResponse(this.cacheChainId, method, params, response);
+      responses.push({ jsonrpc: '2.0', id, ...response });
+    }
+
+    return responses;
+  }
+}
+
+/**
+ * Create a cached, failover provider for a chain configuration
+ * @param {Object} chainConfig - Chain configuration
+ * @param {Object} options - Overrides for the configured RPC options, and useCache
+ * @returns {CachedJsonRpcProvider} Provider instance
+ */
+export function createRpcProvider(chainConfig, options = {}) {
+  return new CachedJsonRpcProvider(chainConfig.rpcUrls || [chainConfig.rpcUrl], chainConfig.chainId, options);
+}
+
+export default {
+  DEFAULT_RPC_OPTIONS,
+  RpcTransportError,
+  isTransportError,
+  configureRpc,
+  getEndpointHealth,
+  resetEndpointHealth,
+  getRpcCacheKind,
+  isLogRangeError,
+  CachedJsonRpcProvider,
+  createRpcProvider
+};
@@ -0,0 +1,241 @@
+/**
+ * Solidity AST Module
+ * Parses Solidity with @solidity-parser/parser and summarizes each source unit
+ *
+ * The summary lists contracts with their kind, inheritance, functions, modifiers, state
+ * variables and events, plus file-level constants. Type names and initial values are
+ * taken verbatim from the source (whitespace collapsed), so they read as written.
+ * Parsing is tolerant: a file with syntax errors still yields what could be parsed,
+ * and the errors are listed.
+ *
+ * Parses are memoized per source text, since proxy detection, saving, storage layout,
+ * diffs and verification all read the same files. The ASTs are shared: don't modify them.
+ */
+
+import { parse } from '@solidity-parser/parser';
+
+// Most recently used parses kept, keyed by source text
+const PARSE_CACHE_SIZE = 200;
+const parseCache = new Map();
+
+/**
+ * Parse Solidity source into an AST
+ * @param {string} source - Solidity source code
+ * @returns {Object} { ast, errors } - ast is null when the source can't be parsed at all
+ */
+export function parseSolidity(source) {
+  const cached = parseCache.get(source);
+  if (cached) {
+    // Move to the most recently used end
+    parseCache.delete(source);
+    parseCache.set(source, cached);
+    return cached;
+  }
+
+  let result;
+  try {
+    const ast = parse(source, { tolerant: true, range: true, loc: true });
+    result = { ast, errors: (ast.errors || []).map(error => error.message) };
+  } catch (error) {
+    result = { ast: null, errors: [error.message] };
+  }
+
+  parseCache.set(source, result);
+  if (parseCache.size > PARSE_CACHE_SIZE) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  return result;
+}
+
+/**
+ * Top-level contracts, libraries and interfaces of a source unit
+ * @param {string} source - Solidity source code
+ * @returns {Object[]} ContractDefinition nodes in declaration order
+ */
+export function findContractDefinitions(source) {
+  const { ast } = parseSolidity(source);
+  return ast ? ast.children.filter(node => node.type === 'ContractDefinition') : [];
+}
+
+/**
+ * Source text of a node, with whitespace collapsed
+ * @param {string} source - Source the node was parsed from
+ * @param {Object|null} node - AST node (parsed with ranges)
+ * @returns {string|null} Text, null for a missing node
+ */
+function nodeText(source, node) {
+  if (!node || !node.range) return null;
+  return source.slice(node.range[0], node.range[1] + 1)
+    .replace(/\s+/g, ' ')
+    .replace(/([([]) /g, '$1')
+    .replace(/ ([)\],])/g, '$1')
+    .trim();
+}
+
+/**
+ * Type name written the same way whatever the source formatting,
+ * e.g. 'mapping(address => uint256[])' or 'address payable'
+ * @param {string} source - Source the node was parsed from
+ * @param {Object|null} node - TypeName node
+ * @returns {string|null} Type, null for a missing node
+ */
+export function formatTypeName(source, node) {
+  if (!node) return null;
+  switch (node.type) {
+    case 'ElementaryTypeName':
+      return node.stateMutability ? `${node.name} ${node.stateMutability}` : node.name;
+    case 'UserDefinedTypeName':
+      return node.namePath;
+    case 'Mapping':
+      return `mapping(${formatTypeName(source, node.keyType)} => ${formatTypeName(source, node.valueType)})`;
+    case 'ArrayTypeName':
+      return `${formatTypeName(source, node.baseTypeName)}[${node.length ? nodeText(source, node.length) : ''}]`;
+    default:
+      return nodeText(source, node);
+  }
+}
+
+/**
+ * Parameters of a function, modifier or event
+ * @param {string} source - Source code
+ * @param {Object[]|null} parameters - VariableDeclaration nodes
+ * @returns {Object[]} [{ name, type, indexed }]
+ */
+function summarizeParameters(source, parameters) {
+  return (parameters || []).map(parameter => ({
+    name: parameter.name || null,
+    type: nodeText(source, parameter.typeName),
+    indexed: Boolean(parameter.isIndexed)
+  }));
+}
+
+/**
+ * Kind of a function definition
+ * @param {Object} node - FunctionDefinition node
+ * @returns {string} 'constructor' | 'fallback' | 'receive' | 'function'
+ */
+function functionKind(node) {
+  if (node.isConstructor) return 'constructor';
+  if (node.isReceiveEther) return 'receive';
+  if (node.isFallback) return 'fallback';
+  return 'function';
+}
+
+/**
+ * Summarize one contract, library or interface
+ * @param {string} source - Source code
+ * @param {Object} node - ContractDefinition node
+ * @returns {Object} Contract summary
+ */
+function summarizeContract(source, node) {
+  const contract = {
+    name: node.name,
+    kind: node.kind,
+    bases: node.baseContracts.map(base => base.baseName.namePath),
+    functions: [],
+    modifiers: [],
+    stateVariables: [],
+    events: [],
+    line: node.loc.start.line
+  };
+
+  for (const member of node.subNodes) {
+    if (member.type === 'FunctionDefinition') {
+      contract.functions.push({
+        name: member.name || null,
+        kind: functionKind(member),
+        visibility: member.visibility === 'default' ? 'public' : member.visibility,
+        stateMutability: member.stateMutability || 'nonpayable',
+        modifiers: member.modifiers.map(modifier => modifier.name),
+        virtual: Boolean(member.isVirtual),
+        override: member.override !== null,
+        parameters: summarizeParameters(source, member.parameters),
+        returns: summarizeParameters(source, member.returnParameters),
+        hasBody: member.body !== null,
+        line: member.loc.start.line
+      });
+    } else if (member.type === 'ModifierDefinition') {
+      contract.modifiers.push({
+        name: member.name,
+        virtual: Boolean(member.isVirtual),
+        override: member.override !== null,
+        parameters: summarizeParameters(source, member.parameters),
+        line: member.loc.start.line
+      });
+    } else if (member.type === 'StateVariableDeclaration') {
+      for (const variable of member.variables) {
+        contract.stateVariables.push({
+          name: variable.name,
+          type: nodeText(source, variable.typeName),
+          visibility: variable.visibility === 'default' ? 'internal' : variable.visibility,
+          constant: Boolean(variable.isDeclaredConst),
+          immutable: Boolean(variable.isImmutable),
+          transient: Boolean(variable.isTransient),
+          initialValue: nodeText(source, variable.expression),
+          line: member.loc.start.line
+        });
+      }
+    } else if (member.type === 'EventDefinition') {
+      contract.events.push({
+        name: member.name,
+        anonymous: Boolean(member.isAnonymous),
+        parameters: summarizeParameters(source, member.parameters),
+        line: member.loc.start.line
+      });
+    }
+  }
+
+  return contract;
+}
+
+/**
+ * Summarize a Solidity source unit
+ * @param {string} source - Solidity source code
+ * @returns {Object} { contracts, constants, errors }
+ *   contracts: [{ name, kind ('contract' | 'abstract' | 'interface' | 'library'), bases,
+ *                 functions, modifiers, stateVariables, events, line }]
+ *   constants: file-level constants [{ name, type, initialValue, line }]
+ */
+export function analyzeSolidity(source) {
+  const { ast, errors } = parseSolidity(source);
+  const analysis = { contracts: [], constants: [], errors };
+  if (!ast) return analysis;
+
+  for (const node of ast.children) {
+    if (node.type === 'ContractDefinition') {
+      analysis.contracts.push(summarizeContract(source, node));
+    } else if (node.type === 'FileLevelConstant') {
+      analysis.constants.push({
+        name: node.name,
+        type: nodeText(source, node.typeName),
+        initialValue: nodeText(source, node.initialValue),
+        line: node.loc.start.line
+      });
+    }
+  }
+
+  return analysis;
+}
+
+/**
+ * Summarize every Solidity file of a file set
+ * @param {Object} files - Map of file paths to content
+ * @returns {Object} Map of file paths to analyzeSolidity results (.sol files only)
+ */
+export function analyzeFiles(files) {
+  const analyses = {};
+  for (const [filePath, content] of Object.entries(files)) {
+    if (filePath.endsWith('.sol')) {
+      analyses[filePath] = analyzeSolidity(content);
+    }
+  }
+  return analyses;
+}
+
+export default {
+  parseSolidity,
+  findContractDefinitions,
+  formatTypeName,
+  analyzeSolidity,
+  analyzeFiles
+};
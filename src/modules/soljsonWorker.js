@@ -0,0 +1,29 @@
+/**
+ * soljson Worker
+ * Compiles one standard-JSON input with a solc-js build, off the main thread
+ *
+ * Started by compileStandardJson in bytecodeVerifier.js with workerData
+ * { soljsonPath, input }. Posts { output } (the compiler's JSON text) or { error }.
+ */
+
+import { createRequire } from 'module';
+import { parentPort, workerData } from 'worker_threads';
+
+const require = createRequire(import.meta.url);
+const { soljsonPath, input } = workerData;
+
+try {
+  const soljson = require(soljsonPath);
+
+  let compile;
+  if ('_solidity_compile' in soljson) {
+    compile = soljson.cwrap('solidity_compile', 'string', ['string', 'number', 'number']);
+  } else if ('_compileStandard' in soljson) {
+    compile = soljson.cwrap('compileStandard', 'string', ['string', 'number']);
+  } else {
+    throw new Error('This soljson build has no standard-JSON interface');
+  }
+  parentPort.postMessage({ output: compile(JSON.stringify(input), 0, 0) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,442 @@
+/**
+ * Source Diff Module
+ * Compares the verified source of two contracts, or two previously saved output directories
+ *
+ * Each side is either <chain>:<address> (source fetched from the explorer) or a folder
+ * written by an earlier run (e.g. implementation/ or history/v2/). Comments and blank
+ * lines are stripped from both sides first, so comment-only churn never shows up.
+ *
+ * Files are paired by path, then by the contracts they declare (a file that moved still
+ * lines up with its old path), then by file name. The result holds a unified diff per
+ * file pair and, per contract, the functions, modifiers and storage variables that were
+ * added, removed or changed.
+ *
+ * A saved folder no longer holds the known vendor releases deleted when it was saved, so a
+ * fetched file that is a known release and has no counterpart on the other side is skipped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+import { fetchContractSource } from './sourceFetcher.js';
+import { parseContractSource, stripSourceComments, OUTPUT_DIR } from './sourceParser.js';
+import { findContractDefinitions, formatTypeName } from './solidityAst.js';
+import { VENDOR_STATUS, identifyVendorFile } from './vendorFingerprints.js';
+
+// Diff outputs written by writeDiffReport
+const PATCH_FILE_NAME = 'source.diff';
+const SUMMARY_FILE_NAME = 'diff-summary.json';
+
+// Lines of context around each change in the unified diff
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Parse a diff target argument
+ * @param {string} target - '<chain>:<address>' or a saved output directory
+ * @returns {Object} { type: 'contract', chain, address, label } or { type: 'directory', dir, label }
+ */
+export function parseDiffTarget(target) {
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    return { type: 'directory', dir: path.resolve(target), label: target };
+  }
+
+  const match = target.match(/^([^:]+):(0x[0-9a-fA-F]{40})$/);
+  if (match) {
+    return { type: 'contract', chain: match[1], address: match[2], label: target };
+  }
+
+  throw new Error(`Invalid diff target "${target}": expected <chain>:<address> or a saved output directory`);
+}
+
+/**
+ * Read the Solidity and Vyper files of a saved output directory
+ * Subfolders holding another contract (their own audit-manifest.json) and decompiled/ are skipped
+ * @param {string} dir - Contract output directory
+ * @returns {Object} Relative path -> source
+ */
+function readSavedSources(dir) {
+  const files = {};
+
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name === 'decompiled' || fs.existsSync(path.join(fullPath, 'audit-manifest.json'))) {
+          continue;
+        }
+        walk(fullPath);
+      } else if (/\.(sol|vyi?)$/.test(entry.name)) {
+        const relativePath = path.relative(dir, fullPath).split(path.sep).join('/');
+        files[relativePath] = fs.readFileSync(fullPath, 'utf8');
+      }
+    }
+  };
+  walk(dir);
+
+  return files;
+}
+
+/**
+ * Strip comments and the blank lines they leave behind
+ * @param {string} filePath - Path to the file (.sol or .vy)
+ * @param {string} content - Source
+ * @returns {string} Comment-free source without blank lines
+ */
+function stripForDiff(filePath, content) {
+  return stripSourceComments(filePath, content)
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .join('\n') + '\n';
+}
+
+/**
+ * Load one side of a diff
+ * @param {Object|string} target - From parseDiffTarget, or the raw argument
+ * @returns {Promise<Object>} { label, files: { path: comment-free source }, knownVendorFiles: paths of
+ *   fetched files that are a known vendor release }
+ */
+export async function loadDiffSide(target) {
+  const side = typeof target === 'string' ? parseDiffTarget(target) : target;
+  let files;
+  const knownVendorFiles = [];
+
+  if (side.type === 'directory') {
+    files = readSavedSources(side.dir);
+    if (Object.keys(files).length === 0) {
+      throw new Error(`No Solidity or Vyper sources in ${side.label} (for a proxy, pick its proxy/ or implementation/ folder)`);
+    }
+  } else {
+    const sourceData = await fetchContractSource(side.chain, side.address);
+    if (!sourceData.isVerified) {
+      throw new Error(`${side.label} is not verified; only verified sources can be diffed`);
+    }
+    // Single-file sources are named after the contract, as when saving
+    files = parseContractSource(sourceData).files;
+  }
+
+  const strippedFiles = {};
+  for (const [filePath, content] of Object.entries(files)) {
+    const normalizedPath = filePath.replace(/^\/+/, '');
+    strippedFiles[normalizedPath] = /\.(sol|vyi?)$/.test(normalizedPath) ? stripForDiff(normalizedPath, content) : content;
+    // Fingerprints are taken on the original content, so only fetched files can be recognized
+    if (side.type !== 'directory' && identifyVendorFile(normalizedPath, content)?.status === VENDOR_STATUS.KNOWN) {
+      knownVendorFiles.push(normalizedPath);
+    }
+  }
+
+  return { label: side.label, files: strippedFiles, knownVendorFiles };
+}
+
+/**
+ * Collapse whitespace so formatting-only changes compare equal
+ * @param {string} text - Source text
+ * @returns {string} Normalized text
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').replace(/\s*([(){}\[\],;])\s*/g, '$1').trim();
+}
+
+/**
+ * Source text of a node
+ * @param {string} source - Source the node was parsed from
+ * @param {Object} node - AST node (parsed with ranges)
+ * @returns {string} Text
+ */
+function nodeSource(source, node) {
+  return source.slice(node.range[0], node.range[1] + 1);
+}
+
+/**
+ * Classify one contract member
+ * @param {string} source - Source the member was parsed from
+ * @param {Object} member - AST node of the member
+ * @returns {Object|null} { category: 'functions' | 'modifiers' | 'storageVariables', key } or null
+ */
+function classifyMember(source, member) {
+  if (member.type === 'FunctionDefinition' || member.type === 'ModifierDefinition') {
+    // Unnamed functions: constructor, receive, and fallback (also pre-0.6 function())
+    let name = member.name;
+    if (!name) {
+      if (member.isConstructor) name = 'constructor';
+      else if (member.isReceiveEther) name = 'receive';
+      else name = 'fallback';
+    }
+    const params = (member.parameters || []).map(parameter => formatTypeName(source, parameter.typeName)).join(',');
+    return {
+      category: member.type === 'ModifierDefinition' ? 'modifiers' : 'functions',
+      key: `${name}(${params})`
+    };
+  }
+
+  // Constants, immutables and transient variables do not occupy storage
+  if (member.type !== 'StateVariableDeclaration') {
+    return null;
+  }
+  const [variable] = member.variables;
+  if (variable.isDeclaredConst || variable.isImmutable || variable.isTransient) {
+    return null;
+  }
+  return { category: 'storageVariables', key: variable.name };
+}
+
+/**
+ * Find the contracts, libraries and interfaces declared in a file
+ * @param {string} source - Comment-free Solidity source
+ * @returns {Object[]} [{ kind, name, body, members: { functions, modifiers, storageVariables } }]
+ */
+export function extractContracts(source) {
+  return findContractDefinitions(source).map(node => {
+    const members = { functions: new Map(), modifiers: new Map(), storageVariables: new Map() };
+    for (const member of node.subNodes) {
+      const classified = classifyMember(source, member);
+      if (classified) {
+        members[classified.category].set(classified.key, normalizeWhitespace(nodeSource(source, member)));
+      }
+    }
+
+    return {
+      kind: node.kind === 'abstract' ? 'abstract contract' : node.kind,
+      name: node.name,
+      body: normalizeWhitespace(nodeSource(source, node)),
+      members
+    };
+  });
+}
+
+/**
+ * Compare two member maps
+ * @param {Map} before - Key -> normalized text
+ * @param {Map} after - Key -> normalized text
+ * @returns {Object} { added, removed, changed } key lists
+ */
+function diffMembers(before, after) {
+  return {
+    added: [...after.keys()].filter(key => !before.has(key)),
+    removed: [...before.keys()].filter(key => !after.has(key)),
+    changed: [...after.keys()].filter(key => before.has(key) && before.get(key) !== after.get(key))
+  };
+}
+
+/**
+ * Index the contracts of one side by name (first declaration wins)
+ * @param {Object} files - Path -> source
+ * @returns {Map} Name -> contract with its file path
+ */
+function indexContracts(files) {
+  const index = new Map();
+  for (const [filePath, content] of Object.entries(files)) {
+    if (!filePath.endsWith('.sol')) continue;
+    for (const contract of extractContracts(content)) {
+      if (!index.has(contract.name)) {
+        index.set(contract.name, { ...contract, file: filePath });
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Line up the files of both sides: same path, then a shared contract name, then the same file name
+ * @param {Object} leftFiles - Path -> source
+ * @param {Object} rightFiles - Path -> source
+ * @returns {Object[]} [{ oldPath, newPath }] (null for a side without the file)
+ */
+export function pairFiles(leftFiles, rightFiles) {
+  const pairs = [];
+  const leftRest = Object.keys(leftFiles).filter(filePath => !(filePath in rightFiles));
+  const rightRest = new Set(Object.keys(rightFiles).filter(filePath => !(filePath in leftFiles)));
+
+  for (const filePath of Object.keys(leftFiles).filter(filePath => filePath in rightFiles)) {
+    pairs.push({ oldPath: filePath, newPath: filePath });
+  }
+
+  const contractNames = (filePath, content) => new Set(filePath.endsWith('.sol') ? extractContracts(content).map(contract => contract.name) : []);
+  const rightNames = new Map([...rightRest].map(filePath => [filePath, contractNames(filePath, rightFiles[filePath])]));
+
+  for (const oldPath of leftRest) {
+    const names = contractNames(oldPath, leftFiles[oldPath]);
+    let newPath = [...rightRest].find(candidate => [...names].some(name => rightNames.get(candidate).has(name)));
+    if (!newPath) {
+      const sameName = [...rightRest].filter(candidate => path.posix.basename(candidate) === path.posix.basename(oldPath));
+      newPath = sameName.length === 1 ? sameName[0] : null;
+    }
+    if (newPath) {
+      rightRest.delete(newPath);
+    }
+    pairs.push({ oldPath, newPath: newPath || null });
+  }
+
+  for (const newPath of rightRest) {
+    pairs.push({ oldPath: null, newPath });
+  }
+
+  return pairs;
+}
+
+/**
+ * Drop the known vendor releases of one side that the other side doesn't have
+ * @param {Object} side - Loaded side
+ * @param {Object} other - The other side
+ * @returns {Object} { files, skipped: dropped paths }
+ */
+function dropOneSidedVendorFiles(side, other) {
+  const skipped = (side.knownVendorFiles || []).filter(filePath => !(filePath in other.files));
+  const files = Object.fromEntries(Object.entries(side.files).filter(([filePath]) => !skipped.includes(filePath)));
+  return { files, skipped };
+}
+
+/**
+ * Diff two loaded sides
+ * Known vendor releases present on one side only are skipped (see the module comment)
+ * @param {Object} leftSide - { label, files, knownVendorFiles? } (the old version)
+ * @param {Object} rightSide - { label, files, knownVendorFiles? } (the new version)
+ * @returns {Object} { left, right, stats, files: [{ oldPath, newPath, status, patch }], contracts: [...],
+ *   skippedVendorFiles: [{ side: 'left' | 'right', path }] }
+ */
+export function diffSources(leftSide, rightSide) {
+  const leftKept = dropOneSidedVendorFiles(leftSide, rightSide);
+  const rightKept = dropOneSidedVendorFiles(rightSide, leftSide);
+  const left = { label: leftSide.label, files: leftKept.files };
+  const right = { label: rightSide.label, files: rightKept.files };
+
+  const files = pairFiles(left.files, right.files).map(({ oldPath, newPath }) => {
+    const before = oldPath ? left.files[oldPath] : '';
+    const after = newPath ? right.files[newPath] : '';
+
+    let status = 'modified';
+    if (!oldPath) status = 'added';
+    else if (!newPath) status = 'removed';
+    else if (before === after) status = oldPath === newPath ? 'unchanged' : 'moved';
+    else if (oldPath !== newPath) status = 'moved-modified';
+
+    const patch = before === after
+      ? null
+      : createTwoFilesPatch(
+        oldPath ? `a/${oldPath}` : '/dev/null',
+        newPath ? `b/${newPath}` : '/dev/null',
+        before,
+        after,
+        left.label,
+        right.label,
+        { context: DIFF_CONTEXT_LINES }
+      );
+
+    return { oldPath, newPath, status, patch };
+  });
+
+  const leftContracts = indexContracts(left.files);
+  const rightContracts = indexContracts(right.files);
+  const contracts = [];
+
+  for (const name of new Set([...leftContracts.keys(), ...rightContracts.keys()])) {
+    const before = leftContracts.get(name);
+    const after = rightContracts.get(name);
+    const empty = { functions: new Map(), modifiers: new Map(), storageVariables: new Map() };
+    const beforeMembers = before ? before.members : empty;
+    const afterMembers = after ? after.members : empty;
+
+    const changes = {
+      functions: diffMembers(beforeMembers.functions, afterMembers.functions),
+      modifiers: diffMembers(beforeMembers.modifiers, afterMembers.modifiers),
+      storageVariables: diffMembers(beforeMembers.storageVariables, afterMembers.storageVariables)
+    };
+
+    let status = 'changed';
+    if (!before) status = 'added';
+    else if (!after) status = 'removed';
+    else if (before.body === after.body) status = 'unchanged';
+
+    contracts.push({
+      name,
+      kind: (after || before).kind,
+      oldFile: before ? before.file : null,
+      newFile: after ? after.file : null,
+      status,
+      ...changes
+    });
+  }
+
+  const count = (status) => files.filter(file => file.status === status).length;
+  return {
+    left: left.label,
+    right: right.label,
+    stats: {
+      modified: count('modified') + count('moved-modified'),
+      added: count('added'),
+      removed: count('removed'),
+      moved: count('moved') + count('moved-modified'),
+      unchanged: count('unchanged'),
+      contractsChanged: contracts.filter(contract => contract.status !== 'unchanged').length
+    },
+    files,
+    contracts,
+    skippedVendorFiles: [
+      ...leftKept.skipped.map(filePath => ({ side: 'left', path: filePath })),
+      ...rightKept.skipped.map(filePath => ({ side: 'right', path: filePath }))
+    ]
+  };
+}
+
+/**
+ * Diff two targets
+ * @param {string} leftTarget - Old version: '<chain>:<address>' or a saved output directory
+ * @param {string} rightTarget - New version: '<chain>:<address>' or a saved output directory
+ * @returns {Promise<Object>} Diff result (see diffSources)
+ */
+export async function diffContracts(leftTarget, rightTarget) {
+  const left = await loadDiffSide(leftTarget);
+  const right = await loadDiffSide(rightTarget);
+  return diffSources(left, right);
+}
+
+/**
+ * Default report directory for a diff: <output>/diffs/<left>__<right>
+ * @param {Object} result - Diff result
+ * @returns {string} Directory path
+ */
+export function getDefaultDiffDirectory(result) {
+  const slug = (label) => {
+    const resolved = path.resolve(label);
+    const relative = resolved.startsWith(OUTPUT_DIR) ? path.relative(OUTPUT_DIR, resolved) : label;
+    return relative.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+  };
+  return path.join(OUTPUT_DIR, 'diffs', `${slug(result.left)}__${slug(result.right)}`);
+}
+
+/**
+ * Write the unified diff and the summary
+ * @param {Object} result - Diff result
+ * @param {string} outputDir - Report directory (default: getDefaultDiffDirectory)
+ * @returns {Object} { patchPath, summaryPath }
+ */
+export function writeDiffReport(result, outputDir = getDefaultDiffDirectory(result)) {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const patchPath = path.join(outputDir, PATCH_FILE_NAME);
+  fs.writeFileSync(patchPath, result.files.filter(file => file.patch).map(file => file.patch).join(''), 'utf8');
+
+  const summaryPath = path.join(outputDir, SUMMARY_FILE_NAME);
+  const summary = {
+    left: result.left,
+    right: result.right,
+    generatedAt: new Date().toISOString(),
+    stats: result.stats,
+    files: result.files.map(({ patch, ...file }) => file),
+    contracts: result.contracts.filter(contract => contract.status !== 'unchanged'),
+    skippedVendorFiles: result.skippedVendorFiles
+  };
+  fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
+
+  return { patchPath, summaryPath };
+}
+
+export default {
+  parseDiffTarget,
+  loadDiffSide,
+  extractContracts,
+  pairFiles,
+  diffSources,
+  diffContracts,
+  getDefaultDiffDirectory,
+  writeDiffReport
+};
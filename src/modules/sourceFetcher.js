@@ -1,60 +1,70 @@
 /**
  * Source Fetcher Module
- * Fetches contract source code from Etherscan API
+ * Fetches contract source code from block explorers (Etherscan, Sourcify, Blockscout, Routescan)
  */
 
-import { getChainConfig, buildEtherscanSourceUrl } from './chainConfig.js';
+import { getChainConfig } from './chainConfig.js';
+import { resolveSourceProviders } from './sourceProviders.js';
+import { logger } from './logger.js';
 
 /**
- * Fetch contract source code from Etherscan
- * @param {string} chainName - Name of the chain
+ * Error thrown when no source provider could answer (explorers down, rate limited or unreachable)
+ */
+export class SourceUnavailableError extends Error {
+  /**
+   * @param {string} contractAddress - Address of the contract
+   * @param {Object[]} providerErrors - [{ provider, error }] for every provider tried
+   */
+  constructor(contractAddress, providerErrors) {
+    const details = providerErrors.map(e => `${e.provider}: ${e.error}`).join('; ');
+    super(`Failed to fetch source for ${contractAddress}: ${details}`);
+    this.name = 'SourceUnavailableError';
+    this.providerErrors = providerErrors;
+  }
+}
+
+/**
+ * Fetch contract source code, trying each source provider in the chain's fallback order
+ * The first provider with verified source wins; if none has it, the first unverified
+ * answer is returned. `sourceProvider` on the result names the provider that answered.
+ * @param {string} chainName - Name, alias or chain ID of the chain
  * @param {string} contractAddress - Address of the contract
+ * @param {Object} options - Fetch options
+ * @param {string[]} options.providers - Provider fallback order (default: chain config)
  * @returns {Promise<Object>} Contract source data
+ * @throws {SourceUnavailableError} If every source provider failed
  */
-export async function fetchContractSource(chainName, contractAddress) {
+export async function fetchContractSource(chainName, contractAddress, options = {}) {
   const chainConfig = getChainConfig(chainName);
   if (!chainConfig) {
     throw new Error(`Unsupported chain: ${chainName}`);
   }
 
-  const url = buildEtherscanSourceUrl(chainConfig.chainId, contractAddress);
+  const providers = resolveSourceProviders(chainConfig, options.providers);
+  const providerErrors = [];
+  let unverifiedResult = null;
   
-  try {
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (data.status !== '1') {
-      throw new Error(`Etherscan API error: ${data.message || 'Unknown error'}`);
+  for (const provider of providers) {
+    try {
+      const result = await provider.fetchSource(chainConfig, contractAddress, chainConfig.key);
+      if (result.isVerified) {
+        return providerErrors.length > 0 ? { ...result, providerErrors } : result;
+      }
+      unverifiedResult = unverifiedResult || result;
+    } catch (error) {
+      providerErrors.push({ provider: provider.name, error: error.message });
+      logger.debug(`  ℹ ${provider.name}: ${error.message}, trying the next source provider`);
     }
-    
-    const result = data.result[0];
-    
-    // Check if contract is verified
-    const isVerified = result.SourceCode && result.SourceCode !== '';
-    
-    return {
-      isVerified,
-      contractAddress,
-      chainName,
-      rawData: result,
-      sourceCode: result.SourceCode,
-      abi: result.ABI,
-      contractName: result.ContractName,
-      contractFileName: result.ContractFileName, // Main contract file name from Etherscan
-      compilerVersion: result.CompilerVersion,
-      compilerType: result.CompilerType,
-      optimizationUsed: result.OptimizationUsed === '1',
-      runs: parseInt(result.Runs) || 200,
-      evmVersion: result.EVMVersion,
-      constructorArguments: result.ConstructorArguments,
-      library: result.Library,
-      licenseType: result.LicenseType,
-      isProxy: result.Proxy === '1',
-      implementation: result.Implementation
-    };
-  } catch (error) {
-    throw new Error(`Failed to fetch source for ${contractAddress}: ${error.message}`);
   }
+  
+  if (unverifiedResult) {
+    return providerErrors.length > 0 ? { ...unverifiedResult, providerErrors } : unverifiedResult;
+  }
+  
+  if (providerErrors.length === 0) {
+    throw new Error(`Failed to fetch source for ${contractAddress}: no source provider supports this chain`);
+  }
+  throw new SourceUnavailableError(contractAddress, providerErrors);
 }
 
 /**
@@ -68,7 +78,7 @@ export async function isContractVerified(chainName, contractAddress) {
     const result = await fetchContractSource(chainName, contractAddress);
     return result.isVerified;
   } catch (error) {
-    console.error(`Error checking verification status: ${error.message}`);
+    logger.error(`Error checking verification status: ${error.message}`);
     return false;
   }
 }
@@ -100,6 +110,7 @@ export async function fetchMultipleContractSources(chainName, addresses) {
 }
 
 export default {
+  SourceUnavailableError,
   fetchContractSource,
   isContractVerified,
   fetchMultipleContractSources
@@ -3,147 +3,87 @@
  * Parses contract source code from Etherscan and saves to file structure
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { buildImportGraph, getImportRoots, analyzeImportGraph, importGraphToJson, importGraphToDot } from './importResolver.js';
+import { analyzeSolidity } from './solidityAst.js';
+import { VENDOR_STATUS, identifyVendorFile, diffAgainstClosestRelease } from './vendorFingerprints.js';
+import { evaluateAuditRules } from './auditRules.js';
+import { isVyperFile, looksLikeVyper, stripVyperComments, isVyperInterface, countExternalFunctions } from './vyperSource.js';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 // Output directory is outside the project for use by other projects
-const OUTPUT_DIR = path.join(__dirname, '..', '..', '..', 'evm-chain-contracts');
+export const OUTPUT_DIR = path.join(__dirname, '..', '..', '..', 'evm-chain-contracts');
 // Path to blacklist configuration file
 const BLACKLIST_CONFIG_PATH = path.join(__dirname, '..', 'config', 'contract-blacklist.json');
 
-// ============================================================================
-// AUDIT EXCLUSION PATTERNS - Production-Grade Security Audit Configuration
-// ============================================================================
-
-// 1️⃣ Core Ethereum / DeFi Libraries (Widely Audited - Safe to Exclude)
-// const VENDOR_LIBRARIES = [
-//   // OpenZeppelin (all variants)
-//   '@openzeppelin-contracts/',
-//   'openzeppelin-contracts/',
-//   'openzeppelin-upgradeable/',
-//   '@openzeppelin/contracts/',
-//   '@openzeppelin/contracts-upgradeable/',
-//   '@openzeppelin-4/',
-//   '@openzeppelin/',
-  
-//   // Math & Utility Libraries
-//   '@prb/math/',
-//   'prb-math/',
-//   '@rari-capital/solmate/',
-//   'solady/',
-//   '@transmissions11/solmate/',
-//   'solmate/',
-  
-//   // AMMs / DEXs / Liquidity
-//   '@uniswap/v3-core/',
-//   '@uniswap/v3-periphery/',
-//   '@uniswap/v2-core/',
-//   '@uniswap/v2-periphery/',
-//   '@uniswap/',
-//   'sushiswap/',
-//   'pancakeswap/',
-//   '@curvefi/',
-//   'curve/',
-//   '@balancer/',
-  
-//   // Lending / Yield Protocols
-//   'aave-v2/',
-//   'aave-v3/',
-//   '@aave/core-v3/',
-//   '@aave/',
-//   '@yearn/',
-//   'compound-protocol/',
-//   '@compound/',
-//   '@venusprotocol/',
-  
-//   // Oracles
-//   'chainlink/',
-//   '@chainlink/contracts/',
-//   '@chainlink/',
-//   'api3/',
-//   '@api3/',
-//   '@uma/',
-  
-//   // Other Protocols
-//   '@gnosis/',
-//   '@ensdomains/',
-//   '@eth-optimism/',
-//   'arbitrum/',
-//   '@matterlabs/',
-// ];
-
-// 2️⃣ Testing, Scripting, Dev Tooling (Always Exclude)
-const DEV_TOOLING_PATTERNS = [
-  /\btest\//i,
-  /\btests\//i,
-  /\bscripts\//i,
-  /\bdeploy\//i,
-  /\bdeployment\//i,
-  /\bmocks\//i,
-  /\bmock\//i,
-  /\bexample\//i,
-  /\bexamples\//i,
-  /\bdemo\//i,
-  /\bbenchmarks\//i,
-  /\bforge-std\//i,
-  /\bdapp-tools\//i,
-  /\bds-test\//i,
-  /\bhardhat\//i,
-  /\bfoundry\//i,
-];
-
-// 3️⃣ Build Artifacts (Never Audit)
-const BUILD_ARTIFACTS_PATTERNS = [
-  /\bout\//i,
-  /\bartifacts\//i,
-  /\bcache\//i,
-  /\btypechain\//i,
-  /\babi\//i,
-  /\babis\//i,
-  /\bbuild\//i,
-  /\bcoverage\//i,
-  /\bnode_modules\//i,
-];
-
-// 4️⃣ Interfaces & Pure Type Definitions (Mostly Excludable)
-// const INTERFACE_PATTERNS = [
-//   /^I[A-Z].*\.sol$/,  // Files starting with I and capital letter (IERC20.sol)
-//   /\binterface\/.*\.sol$/,
-//   /\binterfaces\/.*\.sol$/,
-//   /\btypes\/.*\.sol$/,
-// ];
-
-// 5️⃣ Common Safe Patterns by Filename
-const SAFE_FILENAME_PATTERNS = [
-  /Test\.sol$/,
-  /\.t\.sol$/,        // Foundry test files
-  /Mock\.sol$/,
-  /Harness\.sol$/,
-  /Script\.sol$/,
-  /Deploy\.sol$/,
-  /Helper\.sol$/,
-  /Utils\.sol$/,
-];
-
-// 🚨 RED FLAGS - Paths that indicate COPIED/MODIFIED vendor code
-// Files in these locations should NEVER be auto-excluded, even if they match vendor patterns
-// Note: These patterns specifically target PROJECT directories, not vendor packages
-const RED_FLAG_PATHS = [
-  /^contracts\/lib\//i,
-  /^contracts\/vendor\//i,
-  /^contracts\/external\//i,
-  /^contracts\/utils\//i,       // Project's utils (not @openzeppelin/contracts/utils)
-  /^contracts\/libraries\//i,   // Custom libs, not vendor
-  /^src\/lib\//i,
-  /^src\/vendor\//i,
-  /^src\/external\//i,
-  /^lib\//i,                    // Root-level lib folder
-  /^vendor\//i,                 // Root-level vendor folder
-  /^external\//i,               // Root-level external folder
-];
+// audit-manifest.json layout version, described by src/config/audit-manifest.schema.json
+// (bump on changes that break readers)
+export const AUDIT_MANIFEST_SCHEMA_VERSION = 2;
+
+// Output profiles: which artifacts are written next to the source and audit-manifest.json
+//   minimal  - source and audit manifest only
+//   standard - + abi.json, compiler-settings.json (with constructor arguments)
+//              and import-graph.json / import-graph.dot
+//   full     - + metadata.json with every field the explorer returned
+export const OUTPUT_PROFILES = {
+  minimal: { abi: false, compilerSettings: false, importGraph: false, metadata: false },
+  standard: { abi: true, compilerSettings: true, importGraph: true, metadata: false },
+  full: { abi: true, compilerSettings: true, importGraph: true, metadata: true }
+};
+
+const ARTIFACT_FILE_NAMES = {
+  abi: 'abi.json',
+  compilerSettings: 'compiler-settings.json',
+  importGraph: 'import-graph.json',
+  importGraphDot: 'import-graph.dot',
+  metadata: 'metadata.json'
+};
+
+const DEFAULT_OUTPUT_PROFILE = 'standard';
+
+// Source languages, as named in standard-JSON input
+export const SOURCE_LANGUAGES = {
+  SOLIDITY: 'Solidity',
+  VYPER: 'Vyper'
+};
+
+// File extension of single-file sources, by language
+const SOURCE_EXTENSIONS = {
+  [SOURCE_LANGUAGES.SOLIDITY]: '.sol',
+  [SOURCE_LANGUAGES.VYPER]: '.vy'
+};
+
+const outputConfig = {
+  profile: OUTPUT_PROFILES[process.env.OUTPUT_PROFILE] ? process.env.OUTPUT_PROFILE : DEFAULT_OUTPUT_PROFILE
+};
+
+/**
+ * Update output configuration
+ * @param {Object} options - { profile: 'minimal' | 'standard' | 'full' }
+ * @returns {Object} Resulting configuration
+ */
+export function configureOutput(options = {}) {
+  if (options.profile && !OUTPUT_PROFILES[options.profile]) {
+    throw new Error(`Unknown output profile: ${options.profile} (expected ${Object.keys(OUTPUT_PROFILES).join(', ')})`);
+  }
+  
+  if (options.profile) outputConfig.profile = options.profile;
+  
+  return getOutputConfig();
+}
+
+/**
+ * Get the current output configuration
+ * @returns {Object} Copy of the configuration
+ */
+export function getOutputConfig() {
+  return { ...outputConfig };
+}
 
 /**
  * Load contract file blacklist from JSON configuration file
@@ -156,7 +96,7 @@ function loadBlacklist() {
       return blacklistData.contractFileNames || [];
     }
   } catch (error) {
-    console.warn(`Warning: Could not load blacklist from ${BLACKLIST_CONFIG_PATH}: ${error.message}`);
+    logger.warn(`Warning: Could not load blacklist from ${BLACKLIST_CONFIG_PATH}: ${error.message}`);
   }
   return [];
 }
@@ -189,13 +129,32 @@ export function isBlacklisted(filePath) {
   return false;
 }
 
+/**
+ * Source language reported by the explorer for fetched source data
+ * Vyper shows in the compiler type ('vyper', 'Vyper (Single file)') or version ('vyper:0.3.10' on Etherscan)
+ * @param {Object} sourceData - Source data from sourceFetcher
+ * @returns {string|null} 'Solidity' or 'Vyper', null when the explorer does not say
+ */
+export function getSourceLanguage(sourceData) {
+  if (/vyper/i.test(`${sourceData.compilerType || ''} ${sourceData.compilerVersion || ''}`)) {
+    return SOURCE_LANGUAGES.VYPER;
+  }
+  if (/solc|solidity/i.test(sourceData.compilerType || '')) {
+    return SOURCE_LANGUAGES.SOLIDITY;
+  }
+  return null;
+}
+
 /**
  * Parse Etherscan source code response
- * Handles both simple source code and JSON-formatted multi-file sources
+ * Handles both simple source code and JSON-formatted multi-file sources (Solidity or Vyper standard JSON)
+ * Without a known language, single files are taken for Vyper when they read as Vyper
  * @param {string} sourceCode - Raw source code from Etherscan
- * @returns {Object} Parsed source files
+ * @param {Object} options - Parsing options
+ * @param {string|null} options.language - Language reported by the explorer (getSourceLanguage)
+ * @returns {Object} Parsed source files, with the source language
  */
-export function parseSourceCode(sourceCode) {
+export function parseSourceCode(sourceCode, options = {}) {
   if (!sourceCode || sourceCode === '') {
     return {
       type: 'empty',
@@ -217,17 +176,21 @@ export function parseSourceCode(sourceCode) {
     try {
       const jsonSource = JSON.parse(trimmedSource);
       
-      // Handle standard Solidity JSON input format
+      // Handle standard JSON input format (Solidity, or Vyper with its interface files)
       if (jsonSource.sources) {
         const files = {};
         for (const [filePath, fileData] of Object.entries(jsonSource.sources)) {
           files[filePath] = fileData.content || '';
         }
+        // Vyper interfaces are sources, or JSON ABIs
+        for (const [filePath, fileData] of Object.entries(jsonSource.interfaces || {})) {
+          files[filePath] = fileData.abi ? JSON.stringify(fileData.abi, null, 2) : fileData.content || '';
+        }
         return {
           type: 'multi-file',
           files,
           settings: jsonSource.settings || {},
-          language: jsonSource.language || 'Solidity'
+          language: jsonSource.language || options.language || SOURCE_LANGUAGES.SOLIDITY
         };
       }
       
@@ -243,7 +206,9 @@ export function parseSourceCode(sourceCode) {
       
       return {
         type: 'multi-file',
-        files
+        files,
+        language: options.language ||
+          (Object.keys(files).some(isVyperFile) ? SOURCE_LANGUAGES.VYPER : SOURCE_LANGUAGES.SOLIDITY)
       };
     } catch (e) {
       // Not valid JSON, treat as single file
@@ -251,80 +216,47 @@ export function parseSourceCode(sourceCode) {
   }
 
   // Single file source code
+  const language = options.language ||
+    (looksLikeVyper(sourceCode) ? SOURCE_LANGUAGES.VYPER : SOURCE_LANGUAGES.SOLIDITY);
   return {
     type: 'single-file',
     files: {
-      'contract.sol': sourceCode
-    }
+      [`contract${SOURCE_EXTENSIONS[language] || '.sol'}`]: sourceCode
+    },
+    language
   };
 }
 
 /**
- * Check if a file should be excluded from audit
+ * Parse the source of fetched source data, with files named as in the output directory
+ * The language comes from the explorer's compiler fields, and a single-file source is
+ * named after the contract (<ContractName>.sol, or .vy for Vyper)
+ * @param {Object} sourceData - Source data from sourceFetcher
+ * @returns {Object} Parsed source files (see parseSourceCode)
+ */
+export function parseContractSource(sourceData) {
+  const parsedSource = parseSourceCode(sourceData.sourceCode, { language: getSourceLanguage(sourceData) });
+  
+  // Use contract name for single file
+  if (parsedSource.type === 'single-file' && sourceData.contractName) {
+    const [oldKey] = Object.keys(parsedSource.files);
+    const newKey = `${sourceData.contractName}${path.extname(oldKey)}`;
+    parsedSource.files = { [newKey]: parsedSource.files[oldKey] };
+  }
+  
+  return parsedSource;
+}
+
+/**
+ * Check if a file should be excluded from audit, by the active audit rules
+ * (src/config/audit-rules.json plus the project override file, see auditRules.js)
  * @param {string} filePath - Path to the file
- * @returns {Object} { shouldExclude: boolean, reason: string, warning?: string }
+ * @param {string|null} content - File content, needed for rules that check vendor fingerprints
+ * @returns {Object} { shouldExclude: boolean, reason: string, action, rule, pattern, warning?: string }
  */
-export function shouldExcludeFromAudit(filePath) {
-  return { shouldExclude: false, reason: 'custom-contract' };
+export function shouldExcludeFromAudit(filePath, content = null) {
+  return evaluateAuditRules(filePath, content);
 }
-// export function shouldExcludeFromAudit(filePath) {
-//   // 🚨 CRITICAL: Check for RED FLAGS first
-//   // If file is in a red flag directory, NEVER exclude it (likely modified vendor code)
-//   for (const pattern of RED_FLAG_PATHS) {
-//     if (pattern.test(filePath)) {
-//       return { 
-//         shouldExclude: false, 
-//         reason: 'red-flag-path',
-//         warning: '⚠️ CRITICAL: File in contracts/lib, contracts/vendor, or contracts/utils - likely modified vendor code. Must audit!'
-//       };
-//     }
-//   }
-  
-//   // 1️⃣ Check build artifacts (highest priority after red flags)
-//   for (const pattern of BUILD_ARTIFACTS_PATTERNS) {
-//     if (pattern.test(filePath)) {
-//       return { shouldExclude: true, reason: 'build-artifact', pattern: pattern.toString() };
-//     }
-//   }
-  
-//   // 2️⃣ Check dev tooling / test files
-//   for (const pattern of DEV_TOOLING_PATTERNS) {
-//     if (pattern.test(filePath)) {
-//       return { shouldExclude: true, reason: 'dev-tooling', pattern: pattern.toString() };
-//     }
-//   }
-  
-//   // 3️⃣ Check safe filename patterns
-//   for (const pattern of SAFE_FILENAME_PATTERNS) {
-//     if (pattern.test(filePath)) {
-//       return { shouldExclude: true, reason: 'test-file', pattern: pattern.toString() };
-//     }
-//   }
-  
-//   // 4️⃣ Check vendor library patterns
-//   for (const pattern of VENDOR_LIBRARIES) {
-//     if (filePath.includes(pattern)) {
-//       return { shouldExclude: true, reason: 'vendor-library', pattern };
-//     }
-//   }
-  
-//   // 5️⃣ Check interface patterns (lowest priority - can contain logic)
-//   // for (const pattern of INTERFACE_PATTERNS) {
-//   //   if (pattern.test(filePath)) {
-//   //     // Additional check: if interface is in a custom path, keep it
-//   //     if (filePath.includes('contracts/') || filePath.includes('src/')) {
-//   //       return { 
-//   //         shouldExclude: true, 
-//   //         reason: 'interface', 
-//   //         pattern: pattern.toString(),
-//   //         note: 'Pure interface - review if it defines custom callbacks or hooks'
-//   //       };
-//   //     }
-//   //   }
-//   // }
-  
-//   return { shouldExclude: false, reason: 'custom-contract' };
-// }
 
 /**
  * Strip all comments from Solidity source code
@@ -333,7 +265,7 @@ export function shouldExcludeFromAudit(filePath) {
  * @param {string} source - Solidity source code
  * @returns {string} Source code without comments
  */
-function stripSolidityComments(source) {
+export function stripSolidityComments(source) {
   let result = '';
   let i = 0;
   const len = source.length;
@@ -417,35 +349,75 @@ function stripSolidityComments(source) {
   return result.trim() + '\n';
 }
 
+/**
+ * Strip comments from a source file, by its language
+ * Solidity (.sol) and Vyper (.vy, .vyi) files are stripped; other files are returned unchanged
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @returns {string} Content without comments
+ */
+export function stripSourceComments(filePath, content) {
+  if (filePath.endsWith('.sol')) {
+    return stripSolidityComments(content);
+  }
+  if (isVyperFile(filePath)) {
+    return stripVyperComments(content);
+  }
+  return content;
+}
+
 /**
  * Analyze file to determine if it's a pure interface
+ * @param {string} filePath - Path to the file
  * @param {string} content - File content
  * @returns {boolean} True if it's a pure interface
  */
-function isPureInterface(content) {
-  // Remove comments
-  const withoutComments = stripSolidityComments(content);
+function isPureInterface(filePath, content) {
+  // Vyper interface files, and the JSON ABIs Vyper standard JSON uses as interfaces
+  if (isVyperFile(filePath)) {
+    return isVyperInterface(filePath, content);
+  }
+  if (filePath.endsWith('.json')) {
+    return true;
+  }
   
-  // Check if it contains "interface" keyword
-  if (!/\binterface\s+\w+/.test(withoutComments)) {
+  const { contracts } = analyzeSolidity(content);
+  
+  // Check if it declares an interface
+  if (!contracts.some(contract => contract.kind === 'interface')) {
     return false;
   }
   
   // Check if it contains implementation (function bodies with code)
   // Pure interfaces only have function signatures, no implementations
-  const hasFunctionBodies = /function\s+\w+[^;]*\{[^}]+\}/.test(withoutComments);
+  const hasFunctionBodies = contracts.some(contract =>
+    contract.functions.some(fn => fn.hasBody));
   
   return !hasFunctionBodies;
 }
 
+/**
+ * Count the external and public functions a Solidity file implements
+ * @param {string} content - File content
+ * @returns {number} Functions of its contracts, abstract contracts and libraries (interfaces excluded)
+ */
+function countPublicFunctions(content) {
+  return analyzeSolidity(content).contracts
+    .filter(contract => contract.kind !== 'interface')
+    .flatMap(contract => contract.functions)
+    .filter(fn => fn.kind === 'function' && (fn.visibility === 'external' || fn.visibility === 'public'))
+    .length;
+}
+
 /**
  * Detect the main contract file from a list of files
  * @param {Object} files - Map of file paths to content
  * @param {string} contractName - Name of the main contract
  * @param {string} contractFileName - Main contract file name from Etherscan (preferred)
+ * @param {Object} importGraph - Import graph of the files (built without remappings when omitted)
  * @returns {string|null} Path to the main contract file
  */
-export function detectMainContract(files, contractName, contractFileName = null) {
+export function detectMainContract(files, contractName, contractFileName = null, importGraph = buildImportGraph(files)) {
   const fileEntries = Object.entries(files);
   
   // Strategy 1: Use ContractFileName from Etherscan (most reliable)
@@ -468,26 +440,30 @@ export function detectMainContract(files, contractName, contractFileName = null)
   if (contractName) {
     for (const [filePath, content] of fileEntries) {
       // Check if filename matches contract name
-      const fileName = path.basename(filePath, '.sol');
+      const fileName = path.basename(filePath).replace(/\.(sol|vy)$/, '');
       if (fileName === contractName) {
         return filePath;
       }
       
+      // Vyper contracts have no declaration: a file is one contract, named after the file
+      if (isVyperFile(filePath)) continue;
+      
       // Check if file contains contract definition with this name
-      const contractPattern = new RegExp(`\\b(?:contract|library)\\s+${contractName}\\b`);
-      if (contractPattern.test(content)) {
+      const { contracts } = analyzeSolidity(content);
+      if (contracts.some(contract => contract.name === contractName && contract.kind !== 'interface')) {
         return filePath;
       }
     }
   }
   
-  // Strategy 3: Find largest non-excluded file (likely the main contract)
+  // Strategy 3: Find largest non-excluded file that no other file imports (likely the main contract)
+  const roots = new Set(getImportRoots(importGraph));
   let largestFile = null;
   let largestSize = 0;
   
   for (const [filePath, content] of fileEntries) {
-    const exclusion = shouldExcludeFromAudit(filePath);
-    if (exclusion.shouldExclude) continue;
+    const exclusion = shouldExcludeFromAudit(filePath, content);
+    if (exclusion.shouldExclude || !roots.has(filePath)) continue;
     
     if (content.length > largestSize) {
       largestSize = content.length;
@@ -500,10 +476,10 @@ export function detectMainContract(files, contractName, contractFileName = null)
     let mostFunctions = 0;
     
     for (const [filePath, content] of fileEntries) {
-      const exclusion = shouldExcludeFromAudit(filePath);
+      const exclusion = shouldExcludeFromAudit(filePath, content);
       if (exclusion.shouldExclude) continue;
       
-      const publicFunctions = (content.match(/function\s+\w+[^{]*(?:external|public)/g) || []).length;
+      const publicFunctions = isVyperFile(filePath) ? countExternalFunctions(content) : countPublicFunctions(content);
       if (publicFunctions > mostFunctions) {
         mostFunctions = publicFunctions;
         largestFile = filePath;
@@ -518,9 +494,10 @@ export function detectMainContract(files, contractName, contractFileName = null)
  * Categorize files for audit purposes
  * @param {Object} files - Map of file paths to content
  * @param {string} mainContract - Path to main contract
+ * @param {Object} exclusions - Exclusion decisions already taken, by path (evaluated by the rules otherwise)
  * @returns {Object} Categorized files
  */
-export function categorizeFilesForAudit(files, mainContract) {
+export function categorizeFilesForAudit(files, mainContract, exclusions = {}) {
   const categories = {
     mainContract: mainContract,
     criticalFiles: [],
@@ -533,7 +510,10 @@ export function categorizeFilesForAudit(files, mainContract) {
   };
   
   for (const [filePath, content] of Object.entries(files)) {
-    const exclusion = shouldExcludeFromAudit(filePath);
+    // The main contract is always audited, whatever the rules say
+    if (filePath === mainContract) continue;
+    
+    const exclusion = exclusions[filePath] || shouldExcludeFromAudit(filePath, content);
     
     // Check for red flag warnings
     if (exclusion.warning) {
@@ -547,9 +527,7 @@ export function categorizeFilesForAudit(files, mainContract) {
     } else if (exclusion.shouldExclude) {
       categories.excluded.push(filePath);
       categories.excludedReasons[filePath] = exclusion.reason;
-    } else if (filePath === mainContract) {
-      // Already marked as main
-    } else if (isPureInterface(content)) {
+    } else if (isPureInterface(filePath, content)) {
       categories.interfaces.push(filePath);
       if (exclusion.note) {
         categories.warnings.push({
@@ -566,16 +544,35 @@ export function categorizeFilesForAudit(files, mainContract) {
   return categories;
 }
 
+/**
+ * Line count, source lines of code and content hash of a file
+ * SLOC counts lines with code once comments are removed (non-blank lines for other files)
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content as fetched
+ * @returns {Object} { lines, sloc, sha256 }
+ */
+export function getFileStats(filePath, content) {
+  const code = stripSourceComments(filePath, content);
+  return {
+    lines: content === '' ? 0 : content.replace(/\r?\n$/, '').split(/\r?\n/).length,
+    sloc: code.split(/\r?\n/).filter(line => line.trim() !== '').length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+}
+
 /**
  * Generate audit metadata
  * @param {Object} files - Map of file paths to content
  * @param {string} contractName - Name of the contract
  * @param {string} contractFileName - Main contract file name from Etherscan
+ * @param {Object} options - { mainContract: path already detected, exclusions: decisions by path }
  * @returns {Object} Audit metadata
  */
-export function generateAuditMetadata(files, contractName, contractFileName = null) {
-  const mainContract = detectMainContract(files, contractName, contractFileName);
-  const categories = categorizeFilesForAudit(files, mainContract);
+export function generateAuditMetadata(files, contractName, contractFileName = null, options = {}) {
+  const mainContract = options.mainContract !== undefined
+    ? options.mainContract
+    : detectMainContract(files, contractName, contractFileName);
+  const categories = categorizeFilesForAudit(files, mainContract, options.exclusions);
   
   const totalFiles = Object.keys(files).length;
   const auditFiles = 1 + categories.criticalFiles.length; // main + critical
@@ -583,6 +580,37 @@ export function generateAuditMetadata(files, contractName, contractFileName = nu
   const hasWarnings = categories.warnings.length > 0;
   const hasRedFlags = categories.redFlagFiles.length > 0;
   
+  const auditPriority = {
+    critical: categories.redFlagFiles.length > 0 ? categories.redFlagFiles : [],  // Red flags get highest priority
+    high: mainContract ? [mainContract] : [],
+    medium: categories.criticalFiles.filter(f => !categories.redFlagFiles.includes(f)), // Exclude red flags already in critical
+    low: categories.interfaces,
+    excluded: categories.excluded
+  };
+  
+  // Per-file category, priority and size, so readers need not re-scan the sources
+  const fileEntries = {};
+  const totals = { lines: 0, sloc: 0, auditSloc: 0 };
+  for (const [filePath, content] of Object.entries(files)) {
+    const priority = Object.keys(auditPriority).find(level => auditPriority[level].includes(filePath)) || 'medium';
+    let category = 'critical';
+    if (filePath === mainContract) category = 'main';
+    else if (categories.redFlagFiles.includes(filePath)) category = 'red-flag';
+    else if (categories.interfaces.includes(filePath)) category = 'interface';
+    else if (categories.excluded.includes(filePath)) category = 'excluded';
+    
+    const stats = getFileStats(filePath, content);
+    fileEntries[filePath] = {
+      category,
+      priority,
+      ...(categories.excludedReasons[filePath] ? { reason: categories.excludedReasons[filePath] } : {}),
+      ...stats
+    };
+    totals.lines += stats.lines;
+    totals.sloc += stats.sloc;
+    if (category !== 'excluded') totals.auditSloc += stats.sloc;
+  }
+  
   return {
     mainContract: mainContract ? path.basename(mainContract) : 'Unknown',
     mainContractPath: mainContract || null,
@@ -591,6 +619,9 @@ export function generateAuditMetadata(files, contractName, contractFileName = nu
     auditFiles,
     excludedFiles,
     reductionPercentage: totalFiles > 0 ? Math.round((excludedFiles / totalFiles) * 100) : 0,
+    totalLines: totals.lines,
+    totalSloc: totals.sloc,
+    auditSloc: totals.auditSloc,
     
     // 🚨 Critical warnings
     warnings: categories.warnings,
@@ -605,16 +636,25 @@ export function generateAuditMetadata(files, contractName, contractFileName = nu
       excluded: categories.excluded
     },
     excludedReasons: categories.excludedReasons,
-    auditPriority: {
-      critical: categories.redFlagFiles.length > 0 ? categories.redFlagFiles : [],  // Red flags get highest priority
-      high: mainContract ? [mainContract] : [],
-      medium: categories.criticalFiles.filter(f => !categories.redFlagFiles.includes(f)), // Exclude red flags already in critical
-      low: categories.interfaces,
-      excluded: categories.excluded
-    }
+    auditPriority,
+    files: fileEntries
   };
 }
 
+/**
+ * Resolve the subdirectory a contract type is saved in, relative to the base contract directory
+ * 'main' is saved at the root, 'proxy' and 'implementation' in their own folders,
+ * and any other type is used as a relative path (e.g. 'dependencies/0x...')
+ * @param {string} contractType - Type of contract
+ * @returns {string} Relative subdirectory ('' for the base directory)
+ */
+export function getContractSubDirectory(contractType) {
+  if (!contractType || contractType === 'main') {
+    return '';
+  }
+  return contractType;
+}
+
 /**
  * Create output directory structure for a contract
  * @param {string} chainName - Chain name
@@ -690,9 +730,11 @@ function cleanupEmptyDirectories(directory) {
  * @param {string} contractName - Name of the contract
  * @param {string} contractType - Type of contract (e.g., 'proxy', 'implementation', 'main')
  * @param {string} contractFileName - Main contract file name from Etherscan
+ * @param {Object} contractInfo - { address, compilerVersion, sourceProvider } of the contract itself
+ *   (the output directory may be named after another address, e.g. the proxy)
  * @returns {Object} Information about saved files
  */
-export function saveSourceFiles(chainName, contractAddress, parsedSource, contractName, contractType = '', contractFileName = null) {
+export function saveSourceFiles(chainName, contractAddress, parsedSource, contractName, contractType = '', contractFileName = null, contractInfo = {}) {
   const baseDir = createOutputDirectory(chainName, contractAddress);
   
   if (!fs.existsSync(baseDir)) {
@@ -704,18 +746,21 @@ export function saveSourceFiles(chainName, contractAddress, parsedSource, contra
   // Determine the subdirectory based on contract type
   // For proxy contracts: save in proxy/ or implementation/ subdirectories
   // For regular contracts: save directly in base directory
-  let subDir = '';
-  if (contractType === 'proxy') {
-    subDir = 'proxy';
-  } else if (contractType === 'implementation') {
-    subDir = 'implementation';
-  }
-  // For 'main' type, subDir remains empty (save directly)
+  const subDir = getContractSubDirectory(contractType);
   
   const excludedFiles = [];
   const excludedReasons = {};
   const keptFiles = [];
   const blacklistedFiles = [];
+  const vendorFiles = { known: [], modified: [], unverified: [] };
+  const redFlags = [];
+  const exclusions = {};
+  const normalizedFiles = {};
+  
+  // Resolve imports (with the standard-JSON remappings) and detect main contract first:
+  // the main contract is never skipped or excluded, whatever the rules say
+  const importGraph = buildImportGraph(parsedSource.files, parsedSource.settings?.remappings || []);
+  const mainContractPath = detectMainContract(parsedSource.files, contractName, contractFileName, importGraph);
   
   for (const [filePath, content] of Object.entries(parsedSource.files)) {
     // Normalize file path - remove leading slashes
@@ -723,17 +768,42 @@ export function saveSourceFiles(chainName, contractAddress, parsedSource, contra
     if (normalizedPath.startsWith('/')) {
       normalizedPath = normalizedPath.slice(1);
     }
+    const isMainContract = filePath === mainContractPath;
+    normalizedFiles[normalizedPath] = content;
     
-    // Check if file is blacklisted - if so, skip saving entirely
-    if (isBlacklisted(normalizedPath)) {
+    // Vendor files are skipped only when their content matches a known release; a vendor
+    // file that doesn't match a fingerprinted release of it is modified vendor code and must be audited
+    const vendor = identifyVendorFile(normalizedPath, content);
+    if (vendor && vendor.status === VENDOR_STATUS.KNOWN && !isMainContract) {
+      vendorFiles.known.push({ file: normalizedPath, package: vendor.package, path: vendor.path, versions: vendor.versions });
       blacklistedFiles.push(normalizedPath);
       excludedFiles.push(normalizedPath);
-      excludedReasons[normalizedPath] = 'blacklisted-vendor-library';
+      excludedReasons[normalizedPath] = 'known-vendor-release';
+      exclusions[normalizedPath] = { shouldExclude: true, reason: 'known-vendor-release' };
       continue; // Skip this file - don't save it
     }
+    if (vendor && vendor.status === VENDOR_STATUS.MODIFIED) {
+      vendorFiles.modified.push({
+        file: normalizedPath,
+        package: vendor.package,
+        path: vendor.relativePath,
+        claimedVersion: vendor.claimedVersion,
+        candidatePaths: vendor.candidatePaths,
+        candidateVersions: vendor.candidateVersions
+      });
+    } else if (!vendor && isBlacklisted(normalizedPath)) {
+      // Vendor path without fingerprints: nothing proves it is unmodified, so keep it
+      vendorFiles.unverified.push({ file: normalizedPath });
+    }
     
     // Check if file should be excluded from audit
-    const exclusion = shouldExcludeFromAudit(normalizedPath);
+    const exclusion = isMainContract
+      ? { shouldExclude: false, reason: 'main-contract' }
+      : shouldExcludeFromAudit(normalizedPath, content);
+    exclusions[normalizedPath] = exclusion;
+    if (exclusion.warning) {
+      redFlags.push({ file: normalizedPath, reason: exclusion.reason, rule: exclusion.rule, warning: exclusion.warning });
+    }
     
     // Build the full path
     // If subDir is set (proxy/implementation), prepend it
@@ -749,11 +819,8 @@ export function saveSourceFiles(chainName, contractAddress, parsedSource, contra
       fs.mkdirSync(fileDir, { recursive: true });
     }
     
-    // Strip all comments from Solidity files before saving
-    let processedContent = content;
-    if (normalizedPath.endsWith('.sol')) {
-      processedContent = stripSolidityComments(content);
-    }
+    // Strip all comments from Solidity and Vyper files before saving
+    const processedContent = stripSourceComments(normalizedPath, content);
     
     // Write file
     fs.writeFileSync(fullPath, processedContent, 'utf8');
@@ -794,7 +861,7 @@ export function saveSourceFiles(chainName, contractAddress, parsedSource, contra
         }
       }
     } catch (err) {
-      console.warn(`   ⚠️  Could not delete ${excludedFile}: ${err.message}`);
+      logger.warn(`   ⚠️  Could not delete ${excludedFile}: ${err.message}`);
     }
   }
   
@@ -806,25 +873,57 @@ export function saveSourceFiles(chainName, contractAddress, parsedSource, contra
   }
   
   if (blacklistedFiles.length > 0) {
-    console.log(`   🚫 Skipped ${blacklistedFiles.length} blacklisted vendor library file(s)`);
+    logger.info(`   🚫 Skipped ${blacklistedFiles.length} known vendor release file(s)`);
+  }
+  
+  if (vendorFiles.modified.length > 0) {
+    logger.warn(`   🚨 ${vendorFiles.modified.length} modified vendor file(s) - kept for audit`);
+  }
+  
+  if (vendorFiles.unverified.length > 0) {
+    logger.warn(`   ⚠️  ${vendorFiles.unverified.length} vendor file(s) without fingerprints - kept for audit`);
   }
   
   if (deletedFiles.length > 0) {
-    console.log(`   🗑️  Deleted ${deletedFiles.length} excluded file(s)`);
+    logger.info(`   🗑️  Deleted ${deletedFiles.length} excluded file(s)`);
+  }
+  
+  if (redFlags.length > 0) {
+    logger.warn(`   🚨 ${redFlags.length} red flag file(s) - kept for audit`);
   }
   
-  // Detect main contract
-  const mainContractPath = detectMainContract(parsedSource.files, contractName, contractFileName);
   const mainContractFileName = mainContractPath ? path.basename(mainContractPath) : contractName;
+  const importAnalysis = analyzeImportGraph(importGraph, mainContractPath);
+  
+  if (importAnalysis.missingImports.length > 0) {
+    logger.warn(`   ⚠️  ${importAnalysis.missingImports.length} import(s) not found in the fetched sources`);
+  }
   
-  // Create minimal audit manifest (only main contract info)
+  // Full audit manifest: priorities, categories and per-file stats, import reachability and vendor checks
+  const normalizedMainPath = mainContractPath ? mainContractPath.replace(/^\/+/, '') : null;
+  const auditMetadata = generateAuditMetadata(normalizedFiles, contractName, contractFileName, {
+    mainContract: normalizedMainPath,
+    exclusions
+  });
   const auditManifest = {
+    schemaVersion: AUDIT_MANIFEST_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    chain: chainName,
+    contractType: contractType,
+    contractName: contractName || null,
+    contractAddress: contractInfo.address || contractAddress,
+    compilerVersion: contractInfo.compilerVersion || null,
+    sourceProvider: contractInfo.sourceProvider || null,
+    ...auditMetadata,
     mainContract: mainContractFileName,
-    mainContractPath: mainContractPath,
-    contractType: contractType
+    unreachableFiles: importAnalysis.unreachableFiles,
+    missingImports: importAnalysis.missingImports,
+    vendorFiles,
+    redFlags,
+    links: {}
   };
   
-  // Save minimal audit-manifest.json only
+  // Save audit-manifest.json
   const auditManifestPath = subDir 
     ? path.join(baseDir, subDir, 'audit-manifest.json')
     : path.join(baseDir, 'audit-manifest.json');
@@ -837,10 +936,122 @@ export function saveSourceFiles(chainName, contractAddress, parsedSource, contra
     blacklistedFiles,
     keptFiles,
     excludedReasons,
-    auditManifest
+    vendorFiles,
+    redFlags,
+    auditManifest,
+    importGraph: importGraphToJson(importGraph, importAnalysis),
+    importGraphDot: importGraphToDot(importGraph, importAnalysis)
   };
 }
 
+/**
+ * Merge fields into a saved audit-manifest.json
+ * @param {string} chainName - Chain name
+ * @param {string} contractAddress - Base contract address (output directory)
+ * @param {string} contractType - Type of contract (e.g., 'proxy', 'implementation', 'main')
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Updated manifest
+ */
+export function updateAuditManifest(chainName, contractAddress, contractType, fields) {
+  const typeDir = path.join(createOutputDirectory(chainName, contractAddress), getContractSubDirectory(contractType));
+  const manifestPath = path.join(typeDir, 'audit-manifest.json');
+  
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : { contractType };
+  Object.assign(manifest, fields);
+  
+  fs.mkdirSync(typeDir, { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+  return manifest;
+}
+
+/**
+ * Link the audit manifests of a proxy and the contracts behind it
+ * The proxy's manifest gets links.implementation (links.facets for a diamond) and each of
+ * those gets links.proxy, as { type, address, manifest } with the manifest path relative
+ * to the linking manifest (null when that contract has no manifest, e.g. decompiled)
+ * @param {string} chainName - Chain name
+ * @param {string} contractAddress - Base contract address (output directory)
+ * @param {Object} proxy - { type, address } of the proxy or diamond
+ * @param {Object[]} targets - [{ type, address }] of the implementation or facets
+ * @returns {Object} Links written to the proxy's manifest
+ */
+export function linkAuditManifests(chainName, contractAddress, proxy, targets) {
+  const baseDir = createOutputDirectory(chainName, contractAddress);
+  const manifestPath = contractType => path.join(baseDir, getContractSubDirectory(contractType), 'audit-manifest.json');
+  const link = (from, to) => ({
+    type: to.type,
+    address: to.address,
+    manifest: fs.existsSync(manifestPath(to.type))
+      ? path.relative(path.dirname(manifestPath(from.type)), manifestPath(to.type)).split(path.sep).join('/')
+      : null
+  });
+  
+  const proxyLinks = {};
+  for (const target of targets) {
+    if (target.type === 'implementation') {
+      proxyLinks.implementation = link(proxy, target);
+    } else {
+      proxyLinks.facets = [...(proxyLinks.facets || []), link(proxy, target)];
+    }
+    if (fs.existsSync(manifestPath(target.type))) {
+      updateAuditManifest(chainName, contractAddress, target.type, { links: { proxy: link(target, proxy) } });
+    }
+  }
+  
+  if (fs.existsSync(manifestPath(proxy.type))) {
+    updateAuditManifest(chainName, contractAddress, proxy.type, { links: proxyLinks });
+  }
+  return proxyLinks;
+}
+
+/**
+ * Diff every modified vendor file against the closest known release, save the patches
+ * under vendor-diffs/ and record the result in the audit manifest
+ * @param {string} chainName - Chain name
+ * @param {string} contractAddress - Base contract address (output directory)
+ * @param {Object} files - Map of source unit names to original content (from parseSourceCode)
+ * @param {Object} vendorFiles - saveSourceFiles vendorFiles
+ * @param {string} contractType - Type of contract (e.g., 'proxy', 'implementation', 'main')
+ * @returns {Promise<Object[]>} Modified vendor entries with closestVersion, addedLines,
+ *   removedLines and diff (path relative to the contract directory), or error
+ */
+export async function saveVendorDiffs(chainName, contractAddress, files, vendorFiles, contractType = 'main') {
+  const typeDir = path.join(createOutputDirectory(chainName, contractAddress), getContractSubDirectory(contractType));
+  const modified = [];
+  fs.rmSync(path.join(typeDir, 'vendor-diffs'), { recursive: true, force: true });
+  
+  for (const entry of vendorFiles.modified) {
+    const content = files[entry.file] ?? files['/' + entry.file];
+    try {
+      const result = await diffAgainstClosestRelease(entry.file, content, {
+        package: entry.package,
+        relativePath: entry.path,
+        candidatePaths: entry.candidatePaths
+      });
+      const diffPath = result.patch ? path.join('vendor-diffs', `${entry.file}.diff`) : null;
+      if (diffPath) {
+        fs.mkdirSync(path.dirname(path.join(typeDir, diffPath)), { recursive: true });
+        fs.writeFileSync(path.join(typeDir, diffPath), result.patch, 'utf8');
+      }
+      modified.push({
+        ...entry,
+        closestVersion: result.closestVersion,
+        closestPath: result.closestPath,
+        addedLines: result.addedLines,
+        removedLines: result.removedLines,
+        diff: diffPath
+      });
+    } catch (error) {
+      modified.push({ ...entry, error: error.message });
+    }
+  }
+  
+  updateAuditManifest(chainName, contractAddress, contractType, { vendorFiles: { ...vendorFiles, modified } });
+  return modified;
+}
+
 /**
  * Save contract ABI to disk
  * @param {string} chainName - Chain name
@@ -857,22 +1068,11 @@ export function saveABI(chainName, contractAddress, abi, contractType = 'main')
   
   // For proxy/implementation, save inside their respective folders
   // For main, save in base directory
-  let abiPath;
-  if (contractType === 'proxy') {
-    const proxyDir = path.join(baseDir, 'proxy');
-    if (!fs.existsSync(proxyDir)) {
-      fs.mkdirSync(proxyDir, { recursive: true });
-    }
-    abiPath = path.join(proxyDir, 'abi.json');
-  } else if (contractType === 'implementation') {
-    const implDir = path.join(baseDir, 'implementation');
-    if (!fs.existsSync(implDir)) {
-      fs.mkdirSync(implDir, { recursive: true });
-    }
-    abiPath = path.join(implDir, 'abi.json');
-  } else {
-    abiPath = path.join(baseDir, 'abi.json');
+  const typeDir = path.join(baseDir, getContractSubDirectory(contractType));
+  if (!fs.existsSync(typeDir)) {
+    fs.mkdirSync(typeDir, { recursive: true });
   }
+  const abiPath = path.join(typeDir, 'abi.json');
   
   // Try to parse and format ABI if it's a string
   let abiContent = abi;
@@ -907,27 +1107,124 @@ export function saveCompilerSettings(chainName, contractAddress, settings, contr
   
   // For proxy/implementation, save inside their respective folders
   // For main, save in base directory
-  let settingsPath;
-  if (contractType === 'proxy') {
-    const proxyDir = path.join(baseDir, 'proxy');
-    if (!fs.existsSync(proxyDir)) {
-      fs.mkdirSync(proxyDir, { recursive: true });
-    }
-    settingsPath = path.join(proxyDir, 'compiler-settings.json');
-  } else if (contractType === 'implementation') {
-    const implDir = path.join(baseDir, 'implementation');
-    if (!fs.existsSync(implDir)) {
-      fs.mkdirSync(implDir, { recursive: true });
-    }
-    settingsPath = path.join(implDir, 'compiler-settings.json');
-  } else {
-    settingsPath = path.join(baseDir, 'compiler-settings.json');
+  const typeDir = path.join(baseDir, getContractSubDirectory(contractType));
+  if (!fs.existsSync(typeDir)) {
+    fs.mkdirSync(typeDir, { recursive: true });
   }
+  const settingsPath = path.join(typeDir, 'compiler-settings.json');
   
   fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
   return settingsPath;
 }
 
+/**
+ * Save the explorer's raw response for a contract
+ * @param {string} chainName - Chain name
+ * @param {string} contractAddress - Contract address
+ * @param {Object} metadata - Metadata to save
+ * @param {string} contractType - Type of contract (e.g., 'proxy', 'implementation', 'main')
+ * @returns {string} Path to metadata.json
+ */
+export function saveMetadata(chainName, contractAddress, metadata, contractType = 'main') {
+  const typeDir = path.join(createOutputDirectory(chainName, contractAddress), getContractSubDirectory(contractType));
+  if (!fs.existsSync(typeDir)) {
+    fs.mkdirSync(typeDir, { recursive: true });
+  }
+  const metadataPath = path.join(typeDir, ARTIFACT_FILE_NAMES.metadata);
+  
+  fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
+  return metadataPath;
+}
+
+/**
+ * Save a contract's import graph as JSON and Graphviz DOT
+ * @param {string} chainName - Chain name
+ * @param {string} contractAddress - Contract address
+ * @param {Object} graph - Serializable import graph (importGraphToJson)
+ * @param {string} dot - DOT source (importGraphToDot)
+ * @param {string} contractType - Type of contract (e.g., 'proxy', 'implementation', 'main')
+ * @returns {Object} { json, dot } paths
+ */
+export function saveImportGraph(chainName, contractAddress, graph, dot, contractType = 'main') {
+  const typeDir = path.join(createOutputDirectory(chainName, contractAddress), getContractSubDirectory(contractType));
+  if (!fs.existsSync(typeDir)) {
+    fs.mkdirSync(typeDir, { recursive: true });
+  }
+  const jsonPath = path.join(typeDir, ARTIFACT_FILE_NAMES.importGraph);
+  const dotPath = path.join(typeDir, ARTIFACT_FILE_NAMES.importGraphDot);
+  
+  fs.writeFileSync(jsonPath, JSON.stringify(graph, null, 2), 'utf8');
+  fs.writeFileSync(dotPath, dot, 'utf8');
+  return { json: jsonPath, dot: dotPath };
+}
+
+/**
+ * Compiler configuration of a verified contract
+ * @param {Object} sourceData - Source data from sourceFetcher
+ * @param {Object} parsedSource - Parsed source from parseSourceCode
+ * @returns {Object} Compiler settings, constructor arguments and libraries
+ */
+export function getCompilerSettings(sourceData, parsedSource) {
+  return {
+    compilerVersion: sourceData.compilerVersion,
+    compilerType: sourceData.compilerType,
+    language: parsedSource.language || 'Solidity',
+    optimizationUsed: sourceData.optimizationUsed,
+    runs: sourceData.runs,
+    evmVersion: sourceData.evmVersion,
+    library: sourceData.library,
+    licenseType: sourceData.licenseType,
+    constructorArguments: sourceData.constructorArguments,
+    // Standard-JSON settings (remappings, viaIR, metadata, ...) when the source had them
+    settings: parsedSource.settings || null
+  };
+}
+
+/**
+ * Write the artifacts enabled by the output profile, and remove the ones it disables
+ * so a re-run with a smaller profile leaves no stale files behind
+ * @param {Object} sourceData - Source data from sourceFetcher
+ * @param {Object} parsedSource - Parsed source from parseSourceCode
+ * @param {Object} saveResult - saveSourceFiles result (with the import graph)
+ * @param {string} saveAddress - Base contract address (output directory)
+ * @param {string} contractType - Type of contract
+ * @returns {Object} { abi, compilerSettings, importGraph, importGraphDot, metadata } paths, null when not written
+ */
+function saveArtifacts(sourceData, parsedSource, saveResult, saveAddress, contractType) {
+  const profile = OUTPUT_PROFILES[outputConfig.profile];
+  const { chainName } = sourceData;
+  const artifacts = { abi: null, compilerSettings: null, importGraph: null, importGraphDot: null, metadata: null };
+  
+  if (profile.abi && sourceData.abi) {
+    artifacts.abi = saveABI(chainName, saveAddress, sourceData.abi, contractType);
+  }
+  if (profile.compilerSettings) {
+    artifacts.compilerSettings = saveCompilerSettings(chainName, saveAddress, getCompilerSettings(sourceData, parsedSource), contractType);
+  }
+  if (profile.importGraph) {
+    const graphPaths = saveImportGraph(chainName, saveAddress, saveResult.importGraph, saveResult.importGraphDot, contractType);
+    artifacts.importGraph = graphPaths.json;
+    artifacts.importGraphDot = graphPaths.dot;
+  }
+  if (profile.metadata) {
+    artifacts.metadata = saveMetadata(chainName, saveAddress, {
+      chainName,
+      contractAddress: sourceData.contractAddress,
+      sourceProvider: sourceData.sourceProvider,
+      ...sourceData.rawData
+    }, contractType);
+  }
+  
+  const typeDir = path.join(createOutputDirectory(chainName, saveAddress), getContractSubDirectory(contractType));
+  for (const [artifact, fileName] of Object.entries(ARTIFACT_FILE_NAMES)) {
+    if (!artifacts[artifact]) {
+      fs.rmSync(path.join(typeDir, fileName), { force: true });
+    }
+  }
+  
+  return artifacts;
+}
+
 /**
  * Process and save complete contract source
  * @param {Object} sourceData - Source data from sourceFetcher
@@ -948,16 +1245,8 @@ export function processAndSaveSource(sourceData, contractType = 'main', baseCont
   // Use base contract address if provided (for implementation contracts saved with proxy address)
   const saveAddress = baseContractAddress || sourceData.contractAddress;
   
-  // Parse source code
-  const parsedSource = parseSourceCode(sourceData.sourceCode);
-  
-  // Use contract name for single file
-  if (parsedSource.type === 'single-file' && sourceData.contractName) {
-    const oldKey = Object.keys(parsedSource.files)[0];
-    const newKey = `${sourceData.contractName}.sol`;
-    parsedSource.files[newKey] = parsedSource.files[oldKey];
-    delete parsedSource.files[oldKey];
-  }
+  // Parse source code (a single file is named after the contract)
+  const parsedSource = parseContractSource(sourceData);
   
   // Save source files - all flattened to root level
   const saveResult = saveSourceFiles(
@@ -966,24 +1255,55 @@ export function processAndSaveSource(sourceData, contractType = 'main', baseCont
     parsedSource,
     sourceData.contractName,
     contractType,
-    sourceData.contractFileName // Pass main contract file name from Etherscan
+    sourceData.contractFileName, // Pass main contract file name from Etherscan
+    {
+      address: sourceData.contractAddress,
+      compilerVersion: sourceData.compilerVersion,
+      sourceProvider: sourceData.sourceProvider
+    }
   );
   
-  // Only save minimal audit-manifest.json (no ABI, no compiler settings, no metadata)
+  // ABI, compiler settings, import graph and explorer metadata, as the output profile allows
+  const artifacts = saveArtifacts(sourceData, parsedSource, saveResult, saveAddress, contractType);
   
   return {
     success: true,
     ...saveResult,
+    artifacts,
+    metadata: {
+      contractName: sourceData.contractName,
+      compilerVersion: sourceData.compilerVersion,
+      sourceProvider: sourceData.sourceProvider
+    },
     contractType,
     originalContractAddress: sourceData.contractAddress
   };
 }
 
 export default {
+  OUTPUT_DIR,
+  OUTPUT_PROFILES,
+  AUDIT_MANIFEST_SCHEMA_VERSION,
+  configureOutput,
+  getOutputConfig,
+  SOURCE_LANGUAGES,
+  getSourceLanguage,
   parseSourceCode,
+  parseContractSource,
+  stripSolidityComments,
+  stripSourceComments,
+  getContractSubDirectory,
   createOutputDirectory,
   saveSourceFiles,
+  updateAuditManifest,
+  linkAuditManifests,
+  getFileStats,
+  generateAuditMetadata,
   saveABI,
   saveCompilerSettings,
+  saveMetadata,
+  saveImportGraph,
+  saveVendorDiffs,
+  getCompilerSettings,
   processAndSaveSource
 };
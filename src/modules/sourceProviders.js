@@ -0,0 +1,392 @@
+/**
+ * Source Providers Module
+ * Block-explorer backends that supply verified contract source code
+ *
+ * Every provider maps its response into the normalized source object returned by
+ * fetchContractSource, and records its own name in `sourceProvider`.
+ *
+ * Provider interface:
+ *   name                                   - Unique provider name
+ *   supportsChain(chainConfig)             - Whether the provider can serve this chain
+ *   fetchSource(chainConfig, address, chainName) - Promise resolving to a normalized source object
+ */
+
+import { CHAIN_CONFIG, buildEtherscanSourceUrl, getEtherscanApiUrl } from './chainConfig.js';
+import { cached } from './cache.js';
+import { acquireRateLimit } from './rateLimiter.js';
+import { recordExplorerResponse } from './fixtureRecorder.js';
+
+// Default fallback order when neither the chain nor the caller specifies one
+export const DEFAULT_PROVIDER_ORDER = ['etherscan', 'sourcify', 'blockscout', 'routescan'];
+
+// Explorer API endpoints (SOURCIFY_API_URL / ROUTESCAN_API_URL point them at a mirror or a local mock)
+export const DEFAULT_SOURCIFY_API_URL = 'https://sourcify.dev/server';
+export const DEFAULT_ROUTESCAN_API_URL = 'https://api.routescan.io/v2/network/mainnet/evm';
+
+/**
+ * Get the explorer API base URLs, read on every call so tests can redirect them
+ * @returns {Object} { etherscan, sourcify, routescan }
+ */
+export function getExplorerApiUrls() {
+  return {
+    etherscan: getEtherscanApiUrl(),
+    sourcify: process.env.SOURCIFY_API_URL || DEFAULT_SOURCIFY_API_URL,
+    routescan: process.env.ROUTESCAN_API_URL || DEFAULT_ROUTESCAN_API_URL
+  };
+}
+
+/**
+ * Fixture key of an explorer URL: the explorer's name followed by the part of the URL below its base
+ * Keys do not depend on the host, so a mock explorer can replay them (see fixtureRecorder.js)
+ * @param {string} url - Request URL without API key
+ * @returns {string} Key (e.g. 'sourcify/files/any/1/0x…', 'blockscout/1/api/v2/…'), or the URL for unknown hosts
+ */
+export function explorerFixtureKey(url) {
+  const bases = Object.entries(getExplorerApiUrls());
+  for (const chain of Object.values(CHAIN_CONFIG)) {
+    if (chain.blockscoutUrl) {
+      bases.push([`blockscout/${chain.chainId}`, chain.blockscoutUrl.replace(/\/+$/, '')]);
+    }
+  }
+  const match = bases.find(([, base]) => url.startsWith(base) && /^([/?]|$)/.test(url.slice(base.length)));
+  return match ? match[0] + url.slice(match[1].length) : url;
+}
+
+/**
+ * Fetch a URL and parse the JSON body, through the explorer cache
+ * API keys are left out of the cache key so entries survive key rotation
+ * Network requests wait for the explorer host's rate limiter; cache hits do not
+ * Responses are captured when fixture recording is on
+ * @param {string} url - URL to fetch
+ * @param {Function} isValid - Only bodies passing this check are cached (e.g. not rate-limit errors)
+ * @param {string} kind - Cache kind (default: 'explorer')
+ * @returns {Promise<Object|null>} Parsed body, or null on HTTP 404
+ */
+export async function fetchJson(url, isValid = () => true, kind = 'explorer') {
+  const cacheUrl = url.replace(/([?&])apikey=[^&]*&?/i, '$1');
+  
+  const body = await cached(kind, [cacheUrl], async () => {
+    await acquireRateLimit(url);
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }, { shouldCache: (body) => body === null || isValid(body), description: cacheUrl });
+  recordExplorerResponse(explorerFixtureKey(cacheUrl), body);
+  return body;
+}
+
+/**
+ * Build a normalized source object with every field present
+ * @param {Object} fields - Provider-specific values
+ * @returns {Object} Normalized source data
+ */
+function normalizeSource(fields) {
+  return {
+    isVerified: false,
+    contractAddress: null,
+    chainName: null,
+    rawData: null,
+    sourceCode: '',
+    abi: '',
+    contractName: '',
+    contractFileName: null,
+    compilerVersion: '',
+    compilerType: '',
+    optimizationUsed: false,
+    runs: 200,
+    evmVersion: '',
+    constructorArguments: '',
+    library: '',
+    licenseType: '',
+    isProxy: false,
+    implementation: '',
+    sourceProvider: null,
+    ...fields
+  };
+}
+
+/**
+ * Build a standard-JSON source string so multi-file sources parse like Etherscan's
+ * @param {string} language - Source language
+ * @param {Object} files - Map of source unit names to content
+ * @param {Object} settings - Compiler settings
+ * @returns {string} Standard-JSON input
+ */
+function buildStandardJsonSource(language, files, settings) {
+  const sources = {};
+  for (const [filePath, content] of Object.entries(files)) {
+    sources[filePath] = { content };
+  }
+  return JSON.stringify({ language, sources, settings: settings || {} });
+}
+
+/**
+ * Map an Etherscan-style getsourcecode result into the normalized source object
+ * @param {Object} result - result[0] of the getsourcecode response
+ * @param {string} chainName - Name of the chain
+ * @param {string} contractAddress - Address of the contract
+ * @param {string} providerName - Name of the Etherscan-compatible provider
+ * @returns {Object} Normalized source data
+ */
+function normalizeEtherscanResult(result, chainName, contractAddress, providerName) {
+  return normalizeSource({
+    isVerified: Boolean(result.SourceCode && result.SourceCode !== ''),
+    contractAddress,
+    chainName,
+    rawData: result,
+    sourceCode: result.SourceCode,
+    abi: result.ABI,
+    contractName: result.ContractName,
+    contractFileName: result.ContractFileName, // Main contract file name from Etherscan
+    compilerVersion: result.CompilerVersion,
+    compilerType: result.CompilerType,
+    optimizationUsed: result.OptimizationUsed === '1',
+    runs: parseInt(result.Runs) || 200,
+    evmVersion: result.EVMVersion,
+    constructorArguments: result.ConstructorArguments,
+    library: result.Library,
+    licenseType: result.LicenseType,
+    isProxy: result.Proxy === '1',
+    implementation: result.Implementation,
+    sourceProvider: providerName
+  });
+}
+
+/**
+ * Create a provider for an Etherscan-compatible getsourcecode API
+ * @param {string} name - Provider name
+ * @param {string} label - Display name used in error messages
+ * @param {Function} buildUrl - (chainConfig, contractAddress) => URL
+ * @returns {Object} Source provider
+ */
+function createEtherscanCompatibleProvider(name, label, buildUrl) {
+  return {
+    name,
+    supportsChain: () => true,
+    async fetchSource(chainConfig, contractAddress, chainName) {
+      const isValid = (body) => body.status === '1' && Array.isArray(body.result);
+      const data = await fetchJson(buildUrl(chainConfig, contractAddress), isValid);
+      if (!data || !isValid(data)) {
+        throw new Error(`${label} API error: ${(data && data.message) || 'Unknown error'}`);
+      }
+      return normalizeEtherscanResult(data.result[0], chainName, contractAddress, name);
+    }
+  };
+}
+
+// Etherscan v2 multichain API
+export const etherscanProvider = createEtherscanCompatibleProvider(
+  'etherscan',
+  'Etherscan',
+  (chainConfig, contractAddress) => buildEtherscanSourceUrl(chainConfig.chainId, contractAddress)
+);
+
+// Routescan exposes an Etherscan-compatible API per chain ID
+export const routescanProvider = createEtherscanCompatibleProvider(
+  'routescan',
+  'Routescan',
+  (chainConfig, contractAddress) =>
+    `${getExplorerApiUrls().routescan}/${chainConfig.chainId}/etherscan/api?module=contract&action=getsourcecode&address=${contractAddress}`
+);
+
+/**
+ * Convert Sourcify metadata libraries ("path:Name" -> address) to standard-JSON form
+ * @param {Object} libraries - Metadata libraries
+ * @returns {Object} Standard-JSON libraries { path: { Name: address } }
+ */
+function metadataLibrariesToStandardJson(libraries = {}) {
+  const converted = {};
+  for (const [key, address] of Object.entries(libraries)) {
+    const separator = key.lastIndexOf(':');
+    const file = separator >= 0 ? key.slice(0, separator) : '';
+    const name = separator >= 0 ? key.slice(separator + 1) : key;
+    converted[file] = { ...(converted[file] || {}), [name]: address };
+  }
+  return converted;
+}
+
+// Sourcify: full (metadata hash matches) and partial matches
+export const sourcifyProvider = {
+  name: 'sourcify',
+  supportsChain: () => true,
+  async fetchSource(chainConfig, contractAddress, chainName) {
+    const data = await fetchJson(`${getExplorerApiUrls().sourcify}/files/any/${chainConfig.chainId}/${contractAddress}`);
+    if (!data || !Array.isArray(data.files)) {
+      return normalizeSource({ contractAddress, chainName, rawData: data, sourceProvider: 'sourcify' });
+    }
+
+    const files = {};
+    let metadata = null;
+    let constructorArguments = '';
+    for (const file of data.files) {
+      const sourcesIndex = file.path.indexOf('/sources/');
+      if (sourcesIndex >= 0) {
+        files[file.path.slice(sourcesIndex + '/sources/'.length)] = file.content;
+      } else if (file.name === 'metadata.json') {
+        metadata = JSON.parse(file.content);
+      } else if (file.name === 'constructor-args.txt') {
+        constructorArguments = file.content.trim().replace(/^0x/, '');
+      }
+    }
+
+    if (!metadata) {
+      throw new Error('Sourcify response has no metadata.json');
+    }
+
+    const { compilationTarget = {}, libraries, optimizer = {}, ...settings } = metadata.settings || {};
+    const [contractFileName, contractName] = Object.entries(compilationTarget)[0] || [null, ''];
+    const language = metadata.language || 'Solidity';
+
+    return normalizeSource({
+      isVerified: Object.keys(files).length > 0,
+      contractAddress,
+      chainName,
+      rawData: { status: data.status, metadata },
+      sourceCode: buildStandardJsonSource(language, files, {
+        ...settings,
+        optimizer,
+        libraries: metadataLibrariesToStandardJson(libraries),
+        outputSelection: { '*': { '*': ['abi', 'evm.bytecode', 'evm.deployedBytecode', 'metadata'] } }
+      }),
+      abi: JSON.stringify((metadata.output && metadata.output.abi) || []),
+      contractName,
+      contractFileName,
+      compilerVersion: `v${metadata.compiler.version}`,
+      compilerType: language === 'Vyper' ? 'vyper' : 'solc-j',
+      optimizationUsed: Boolean(optimizer.enabled),
+      runs: optimizer.runs || 200,
+      evmVersion: settings.evmVersion || 'default',
+      constructorArguments,
+      library: Object.entries(libraries || {}).map(([key, address]) => `${key.split(':').pop()}:${address}`).join(';'),
+      sourceProvider: 'sourcify',
+      sourceMatch: data.status === 'full' ? 'full' : 'partial'
+    });
+  }
+};
+
+// Blockscout v2 REST API, for chains with a known Blockscout instance
+export const blockscoutProvider = {
+  name: 'blockscout',
+  supportsChain: (chainConfig) => Boolean(chainConfig.blockscoutUrl),
+  async fetchSource(chainConfig, contractAddress, chainName) {
+    const data = await fetchJson(`${chainConfig.blockscoutUrl}/api/v2/smart-contracts/${contractAddress}`);
+    const isVerified = Boolean(data && data.source_code && data.is_verified !== false);
+    if (!isVerified) {
+      return normalizeSource({ contractAddress, chainName, rawData: data, sourceProvider: 'blockscout' });
+    }
+
+    const language = data.language === 'vyper' ? 'Vyper' : 'Solidity';
+    const additionalSources = data.additional_sources || [];
+    const sourceCode = additionalSources.length > 0
+      ? buildStandardJsonSource(language, {
+          [data.file_path || `${data.name}${language === 'Vyper' ? '.vy' : '.sol'}`]: data.source_code,
+          ...Object.fromEntries(additionalSources.map(s => [s.file_path, s.source_code]))
+        }, data.compiler_settings)
+      : data.source_code;
+
+    const implementations = data.implementations || [];
+    const implementation = implementations.length > 0
+      ? implementations[0].address || implementations[0].address_hash
+      : data.minimal_proxy_address_hash || '';
+
+    return normalizeSource({
+      isVerified: true,
+      contractAddress,
+      chainName,
+      rawData: data,
+      sourceCode,
+      abi: JSON.stringify(data.abi || []),
+      contractName: data.name,
+      contractFileName: data.file_path || null,
+      compilerVersion: data.compiler_version,
+      compilerType: language === 'Vyper' ? 'vyper' : (additionalSources.length > 0 ? 'solc-j' : 'solc'),
+      optimizationUsed: Boolean(data.optimization_enabled),
+      runs: data.optimization_runs || 200,
+      evmVersion: data.evm_version || 'default',
+      constructorArguments: (data.constructor_args || '').replace(/^0x/, ''),
+      library: (data.external_libraries || []).map(lib => `${lib.name}:${lib.address_hash}`).join(';'),
+      licenseType: data.license_type || '',
+      isProxy: Boolean(implementation),
+      implementation,
+      sourceProvider: 'blockscout',
+      sourceMatch: data.is_fully_verified === false || data.is_partially_verified ? 'partial' : 'full'
+    });
+  }
+};
+
+// Registered providers by name
+const SOURCE_PROVIDERS = {
+  etherscan: etherscanProvider,
+  sourcify: sourcifyProvider,
+  blockscout: blockscoutProvider,
+  routescan: routescanProvider
+};
+
+/**
+ * Register an additional source provider (or replace a built-in one)
+ * @param {Object} provider - Object implementing the provider interface
+ */
+export function registerSourceProvider(provider) {
+  if (!provider || !provider.name || typeof provider.fetchSource !== 'function') {
+    throw new Error('Source provider must have a name and a fetchSource function');
+  }
+  SOURCE_PROVIDERS[provider.name] = {
+    supportsChain: () => true,
+    ...provider
+  };
+}
+
+/**
+ * Get the names of all registered providers
+ * @returns {string[]} Provider names
+ */
+export function getSourceProviderNames() {
+  return Object.keys(SOURCE_PROVIDERS);
+}
+
+/**
+ * Resolve the providers to try for a chain, in fallback order
+ * Order precedence: explicit order > SOURCE_PROVIDERS env var > chain config > default
+ * @param {Object} chainConfig - Chain configuration
+ * @param {string[]} order - Optional explicit provider order
+ * @returns {Object[]} Providers that support the chain
+ */
+export function resolveSourceProviders(chainConfig, order = null) {
+  const envOrder = process.env.SOURCE_PROVIDERS
+    ? process.env.SOURCE_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+  const names = order || envOrder || chainConfig.sourceProviders || DEFAULT_PROVIDER_ORDER;
+
+  const providers = [];
+  for (const name of names) {
+    const provider = SOURCE_PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown source provider: ${name}. Available: ${getSourceProviderNames().join(', ')}`);
+    }
+    if (provider.supportsChain(chainConfig)) {
+      providers.push(provider);
+    }
+  }
+  return providers;
+}
+
+export default {
+  DEFAULT_PROVIDER_ORDER,
+  DEFAULT_SOURCIFY_API_URL,
+  DEFAULT_ROUTESCAN_API_URL,
+  getExplorerApiUrls,
+  explorerFixtureKey,
+  fetchJson,
+  etherscanProvider,
+  sourcifyProvider,
+  blockscoutProvider,
+  routescanProvider,
+  registerSourceProvider,
+  getSourceProviderNames,
+  resolveSourceProviders
+};
@@ -0,0 +1,433 @@
+/**
+ * Storage Layout Module
+ * Computes the storage layout of verified contracts and checks it for upgrade hazards
+ *
+ * The layout comes from the parsed state variable declarations, no compiler needed:
+ * base contracts are linearized (C3, as solc does), then variables are packed into 32-byte
+ * slots following Solidity's rules. Constants, immutables and transient variables take no slot.
+ *
+ * Checks:
+ *   - proxy vs implementation: proxy variables that share bytes with implementation variables
+ *   - implementation versions: variables removed, moved, replaced or retyped (appending is safe,
+ *     and __gap arrays may shrink to make room)
+ *
+ * Results are written into each contract's audit-manifest.json (storageLayout, storageCollisions,
+ * upgradeCheck).
+ */
+
+import { SOURCE_LANGUAGES, getSourceLanguage, parseSourceCode, updateAuditManifest } from './sourceParser.js';
+import { parseSolidity, formatTypeName } from './solidityAst.js';
+
+export const LAYOUT_METHOD = 'source-analysis';
+
+// Storage gaps reserved for future variables (OpenZeppelin upgradeable contracts)
+const GAP_PATTERN = /^_{0,2}gap$/i;
+
+/**
+ * Collect the declarations needed to size types: contracts, structs, enums and user-defined value types
+ * Structs, enums and value types are found at file level and inside contracts
+ * @param {Object} files - Path -> source
+ * @returns {Object} { declarations, structs, enums, valueTypes } maps keyed by name
+ *   declarations: name -> { name, bases, variables: [{ name, type, constant, immutable, transient }] }
+ *   structs: name -> [{ name, type }] members
+ */
+function collectDefinitions(files) {
+  const definitions = {
+    declarations: new Map(),
+    structs: new Map(),
+    enums: new Map(),
+    valueTypes: new Map()
+  };
+
+  const collectType = (source, node) => {
+    if (node.type === 'StructDefinition') {
+      definitions.structs.set(node.name, node.members.map(member => ({ name: member.name, type: formatTypeName(source, member.typeName) })));
+    } else if (node.type === 'EnumDefinition') {
+      definitions.enums.set(node.name, node.members.length);
+    } else if (node.type === 'TypeDefinition') {
+      definitions.valueTypes.set(node.name, formatTypeName(source, node.definition));
+    }
+  };
+
+  for (const content of Object.values(files)) {
+    const { ast } = parseSolidity(content);
+    if (!ast) continue;
+
+    for (const node of ast.children) {
+      collectType(content, node);
+      if (node.type !== 'ContractDefinition') continue;
+
+      node.subNodes.forEach(member => collectType(content, member));
+      if (!definitions.declarations.has(node.name)) {
+        definitions.declarations.set(node.name, {
+          name: node.name,
+          // 'is A, B(arg), Lib.C' -> ['A', 'B', 'C']
+          bases: node.baseContracts.map(base => base.baseName.namePath.split('.').pop()),
+          variables: node.subNodes
+            .filter(member => member.type === 'StateVariableDeclaration')
+            .flatMap(member => member.variables.map(variable => ({
+              name: variable.name,
+              type: formatTypeName(content, variable.typeName),
+              constant: Boolean(variable.isDeclaredConst),
+              immutable: Boolean(variable.isImmutable),
+              transient: Boolean(variable.isTransient)
+            })))
+        });
+      }
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * C3-linearize a contract's inheritance, most derived first (as solc does)
+ * @param {string} name - Contract name
+ * @param {Map} declarations - Name -> declaration
+ * @param {Set} missing - Collects base contracts that are not in the source
+ * @param {string[]} stack - Contracts being linearized (cycle guard)
+ * @returns {string[]} Linearized contract names
+ */
+function linearize(name, declarations, missing, stack = []) {
+  if (stack.includes(name)) {
+    return [name];
+  }
+
+  const bases = declarations.get(name).bases.filter(base => {
+    if (declarations.has(base)) return true;
+    missing.add(base);
+    return false;
+  });
+
+  // 'is A, B': B is the most derived base, so it comes first
+  const reversedBases = [...bases].reverse();
+  const sequences = [
+    ...reversedBases.map(base => linearize(base, declarations, missing, [...stack, name])),
+    reversedBases
+  ];
+  const result = [name];
+
+  for (;;) {
+    const pending = sequences.filter(sequence => sequence.length > 0);
+    if (pending.length === 0) {
+      return result;
+    }
+    const head = pending
+      .map(sequence => sequence[0])
+      .find(candidate => pending.every(sequence => !sequence.slice(1).includes(candidate)));
+    if (!head) {
+      // Inconsistent hierarchy (would not compile); keep the remaining order as written
+      for (const contract of pending.flat()) {
+        if (!result.includes(contract)) result.push(contract);
+      }
+      return result;
+    }
+    result.push(head);
+    for (const sequence of pending) {
+      if (sequence[0] === head) sequence.shift();
+    }
+  }
+}
+
+/**
+ * Storage taken by a type
+ * Value types are packed by byte size; mappings, arrays, strings and structs take whole slots
+ * @param {string} type - Normalized type name
+ * @param {Object} definitions - From collectDefinitions
+ * @param {Set} structStack - Structs being sized (cycle guard)
+ * @returns {Object} { bytes, wholeSlots, slots, known }
+ */
+function typeStorage(type, definitions, structStack = new Set()) {
+  const value = (bytes) => ({ bytes, wholeSlots: false, slots: 1, known: true });
+  const whole = (slots, known = true) => ({ bytes: slots * 32, wholeSlots: true, slots, known });
+
+  if (/^mapping\b/.test(type)) return whole(1);
+
+  const array = type.match(/^(.*)\[([^\[\]]*)\]$/);
+  if (array) {
+    const [, elementType, length] = array;
+    if (length.trim() === '') return whole(1);
+    const count = Number(length);
+    if (!Number.isInteger(count)) return whole(1, false);
+    const element = typeStorage(elementType.trim(), definitions, structStack);
+    if (element.wholeSlots) return whole(element.slots * count, element.known);
+    return whole(Math.ceil(count / Math.floor(32 / element.bytes)), element.known);
+  }
+
+  if (type === 'string' || type === 'bytes') return whole(1);
+  if (type === 'bool') return value(1);
+  if (/^address(?: payable)?$/.test(type)) return value(20);
+
+  const integer = type.match(/^u?int(\d*)$/);
+  if (integer) return value(integer[1] ? Number(integer[1]) / 8 : 32);
+  const fixedBytes = type.match(/^bytes(\d+)$/);
+  if (fixedBytes) return value(Number(fixedBytes[1]));
+  if (type === 'byte') return value(1);
+  const fixedPoint = type.match(/^u?fixed(\d*)/);
+  if (fixedPoint) return value(fixedPoint[1] ? Number(fixedPoint[1]) / 8 : 16);
+  if (type.startsWith('function')) return value(/\bexternal\b/.test(type) ? 24 : 8);
+
+  const name = type.split('.').pop();
+  if (definitions.valueTypes.has(name)) {
+    return typeStorage(definitions.valueTypes.get(name), definitions, structStack);
+  }
+  if (definitions.enums.has(name)) {
+    return value(Math.max(1, Math.ceil(Math.log2(definitions.enums.get(name)) / 8)));
+  }
+  if (definitions.structs.has(name) && !structStack.has(name)) {
+    const layout = assignSlots(definitions.structs.get(name), definitions, new Set([...structStack, name]));
+    return whole(Math.max(1, layout.slotCount), layout.warnings.length === 0);
+  }
+  // Contract and interface types are addresses
+  if (definitions.declarations.has(name)) return value(20);
+
+  return whole(1, false);
+}
+
+/**
+ * Pack variables into slots
+ * A value type shares the current slot if it fits; whole-slot types start and end a slot
+ * @param {Object[]} variables - [{ name, type, ... }] in storage order
+ * @param {Object} definitions - From collectDefinitions
+ * @param {Set} structStack - Structs being sized
+ * @returns {Object} { variables: [{ ...variable, slot, offset, bytes }], slotCount, warnings }
+ */
+function assignSlots(variables, definitions, structStack = new Set()) {
+  const placed = [];
+  const warnings = [];
+  let slot = 0;
+  let offset = 0;
+
+  for (const variable of variables) {
+    const storage = typeStorage(variable.type, definitions, structStack);
+    if (!storage.known) {
+      const owner = variable.contract ? `${variable.contract}.` : '';
+      warnings.push(`Unknown size for ${owner}${variable.name} (${variable.type}), assumed one slot`);
+    }
+
+    if (storage.wholeSlots) {
+      if (offset > 0) {
+        slot++;
+        offset = 0;
+      }
+      placed.push({ ...variable, slot, offset: 0, bytes: storage.bytes });
+      slot += storage.slots;
+    } else {
+      if (offset + storage.bytes > 32) {
+        slot++;
+        offset = 0;
+      }
+      placed.push({ ...variable, slot, offset, bytes: storage.bytes });
+      offset += storage.bytes;
+    }
+  }
+
+  return { variables: placed, slotCount: offset > 0 ? slot + 1 : slot, warnings };
+}
+
+/**
+ * Compute a contract's storage layout from its source files
+ * @param {Object} files - Path -> source
+ * @param {string} contractName - Contract to lay out
+ * @returns {Object} { contract, method, complete, slotCount, variables: [{ name, type, contract, slot, offset, bytes }], warnings }
+ */
+export function computeStorageLayout(files, contractName) {
+  const definitions = collectDefinitions(files);
+
+  if (!definitions.declarations.has(contractName)) {
+    return {
+      contract: contractName,
+      method: LAYOUT_METHOD,
+      complete: false,
+      slotCount: 0,
+      variables: [],
+      warnings: [`Contract ${contractName} not found in the source`]
+    };
+  }
+
+  const missing = new Set();
+  const order = linearize(contractName, definitions.declarations, missing).reverse();
+
+  // Most base contract first, each contract's variables in declaration order
+  const variables = [];
+  for (const name of order) {
+    for (const variable of definitions.declarations.get(name).variables) {
+      if (!variable.constant && !variable.immutable && !variable.transient) {
+        variables.push({ name: variable.name, type: variable.type, contract: name });
+      }
+    }
+  }
+
+  const layout = assignSlots(variables, definitions);
+  const warnings = [
+    ...[...missing].map(base => `Base contract ${base} not found in the source; its variables are not counted`),
+    ...layout.warnings
+  ];
+
+  return {
+    contract: contractName,
+    method: LAYOUT_METHOD,
+    complete: warnings.length === 0,
+    slotCount: layout.slotCount,
+    variables: layout.variables,
+    warnings
+  };
+}
+
+/**
+ * Compute the storage layout of a verified contract
+ * @param {Object} sourceData - Normalized source data
+ * @returns {Object|null} Storage layout, or null if the contract is not verified or not Solidity
+ */
+export function getStorageLayout(sourceData) {
+  if (!sourceData || !sourceData.isVerified) {
+    return null;
+  }
+  const parsedSource = parseSourceCode(sourceData.sourceCode, { language: getSourceLanguage(sourceData) });
+  if (parsedSource.language !== SOURCE_LANGUAGES.SOLIDITY) {
+    return null;
+  }
+  return computeStorageLayout(parsedSource.files, sourceData.contractName);
+}
+
+/**
+ * Byte range of a variable in storage
+ * @param {Object} variable - Placed variable
+ * @returns {number[]} [start, end)
+ */
+function byteRange(variable) {
+  const start = variable.slot * 32 + variable.offset;
+  return [start, start + variable.bytes];
+}
+
+/**
+ * Whether two placed variables are the same declaration, inherited by both contracts
+ * from a shared storage base (e.g. Compound's UnitrollerAdminStorage)
+ * @param {Object} a - Placed variable
+ * @param {Object} b - Placed variable
+ * @returns {boolean} True for the same declaring contract, name and type at the same position
+ */
+function isSharedVariable(a, b) {
+  return a.contract === b.contract && a.name === b.name && a.type === b.type &&
+    a.slot === b.slot && a.offset === b.offset;
+}
+
+/**
+ * Find proxy variables that share storage with implementation variables
+ * Variables both contracts inherit from the same storage base are not collisions
+ * @param {Object} proxyLayout - Proxy storage layout
+ * @param {Object} implementationLayout - Implementation storage layout
+ * @returns {Object[]} [{ slot, proxyVariable, proxyType, implementationVariable, implementationType }]
+ */
+export function findStorageCollisions(proxyLayout, implementationLayout) {
+  const collisions = [];
+
+  for (const proxyVariable of proxyLayout.variables) {
+    const [proxyStart, proxyEnd] = byteRange(proxyVariable);
+    for (const implementationVariable of implementationLayout.variables) {
+      const [implementationStart, implementationEnd] = byteRange(implementationVariable);
+      if (proxyStart < implementationEnd && implementationStart < proxyEnd &&
+          !isSharedVariable(proxyVariable, implementationVariable)) {
+        collisions.push({
+          slot: Math.max(proxyVariable.slot, implementationVariable.slot),
+          proxyVariable: `${proxyVariable.contract}.${proxyVariable.name}`,
+          proxyType: proxyVariable.type,
+          implementationVariable: `${implementationVariable.contract}.${implementationVariable.name}`,
+          implementationType: implementationVariable.type
+        });
+      }
+    }
+  }
+
+  return collisions;
+}
+
+/**
+ * Check that a new implementation's layout is compatible with the old one
+ * @param {Object} oldLayout - Layout of the previous implementation
+ * @param {Object} newLayout - Layout of the new implementation
+ * @returns {Object} { compatible, complete, issues: [{ kind, severity, variable, old, new }], appended }
+ */
+export function compareStorageLayouts(oldLayout, newLayout) {
+  const issues = [];
+  const position = (variable) => variable && { name: variable.name, slot: variable.slot, offset: variable.offset, type: variable.type };
+  const newByName = new Map(newLayout.variables.map(variable => [variable.name, variable]));
+  const oldNames = new Set(oldLayout.variables.map(variable => variable.name));
+
+  for (const oldVariable of oldLayout.variables) {
+    // Gaps shrink by design when variables are added in front of them
+    if (GAP_PATTERN.test(oldVariable.name)) continue;
+
+    const renamed = newLayout.variables.find(variable =>
+      variable.slot === oldVariable.slot && variable.offset === oldVariable.offset);
+    const current = newByName.get(oldVariable.name);
+    const issue = (kind, severity, newVariable) => issues.push({
+      kind,
+      severity,
+      variable: `${oldVariable.contract}.${oldVariable.name}`,
+      old: position(oldVariable),
+      new: position(newVariable) || null
+    });
+
+    if (!current) {
+      if (!renamed) {
+        issue('removed', 'error', null);
+      } else if (renamed.type === oldVariable.type) {
+        issue('renamed', 'warning', renamed);
+      } else {
+        issue('replaced', 'error', renamed);
+      }
+    } else if (current.slot !== oldVariable.slot || current.offset !== oldVariable.offset) {
+      issue('moved', 'error', current);
+    } else if (current.type !== oldVariable.type) {
+      issue('type-changed', 'error', current);
+    }
+  }
+
+  return {
+    compatible: !issues.some(issue => issue.severity === 'error'),
+    complete: oldLayout.complete && newLayout.complete,
+    issues,
+    appended: newLayout.variables
+      .filter(variable => !oldNames.has(variable.name) && !GAP_PATTERN.test(variable.name))
+      .map(variable => `${variable.contract}.${variable.name}`)
+  };
+}
+
+/**
+ * Compute the layout of every verified saved Solidity contract, check proxy / implementation
+ * collisions, and write both into the audit manifests
+ * @param {string} chainName - Chain name
+ * @param {string} baseAddress - Output base directory address
+ * @param {Object[]} sourceResults - fetchContract source results ({ type, verified, sourceData })
+ * @returns {Object} { layouts: { type: layout }, collisions: [...] | null }
+ */
+export function recordStorageLayouts(chainName, baseAddress, sourceResults) {
+  const layouts = {};
+
+  for (const sourceResult of sourceResults.filter(r => r.verified && r.sourceData)) {
+    const storageLayout = getStorageLayout(sourceResult.sourceData);
+    if (!storageLayout) continue;
+    layouts[sourceResult.type] = storageLayout;
+    sourceResult.auditManifest = updateAuditManifest(chainName, baseAddress, sourceResult.type, { storageLayout });
+  }
+
+  let collisions = null;
+  if (layouts.proxy && layouts.implementation) {
+    collisions = findStorageCollisions(layouts.proxy, layouts.implementation);
+    for (const sourceResult of sourceResults.filter(r => r.type === 'proxy' || r.type === 'implementation')) {
+      sourceResult.auditManifest = updateAuditManifest(chainName, baseAddress, sourceResult.type, { storageCollisions: collisions });
+    }
+  }
+
+  return { layouts, collisions };
+}
+
+export default {
+  LAYOUT_METHOD,
+  computeStorageLayout,
+  getStorageLayout,
+  findStorageCollisions,
+  compareStorageLayouts,
+  recordStorageLayouts
+};
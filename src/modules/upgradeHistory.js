@@ -0,0 +1,295 @@
+/**
+ * Upgrade History Module
+ * Rebuilds a proxy's implementation timeline from its upgrade events
+ *
+ * Events:
+ *   Upgraded(address indexed implementation)  - EIP-1967 proxies, and UpgradeableBeacon
+ *   BeaconUpgraded(address indexed beacon)    - EIP-1967 beacon proxies
+ *
+ * For beacon proxies the beacons' own Upgraded events are followed as well, so a beacon
+ * upgrade shows up as a new implementation of every proxy using that beacon.
+ *
+ * Logs come from the Etherscan logs API when available, otherwise from eth_getLogs
+ * (see eventLogs.js).
+ * Each implementation's source is saved to <chain>/<proxy>/history/v<N>/, and the
+ * timeline to <chain>/<proxy>/upgrade-history.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { getChainConfig } from './chainConfig.js';
+import { createProvider } from './proxyDetector.js';
+import { isTransportError } from './rpcProvider.js';
+import { parseQuantity, createLogContext, fetchContractLogs, sortLogs } from './eventLogs.js';
+import { fetchContractSource } from './sourceFetcher.js';
+import { processAndSaveSource, createOutputDirectory, updateAuditManifest } from './sourceParser.js';
+import { decompileContract } from './decompiler.js';
+import { getStorageLayout, compareStorageLayouts } from './storageLayout.js';
+import { logger } from './logger.js';
+
+export const UPGRADE_EVENTS = {
+  UPGRADED: { name: 'Upgraded', topic: ethers.id('Upgraded(address)') },
+  BEACON_UPGRADED: { name: 'BeaconUpgraded', topic: ethers.id('BeaconUpgraded(address)') }
+};
+
+const HISTORY_FILE_NAME = 'upgrade-history.json';
+
+const BEACON_ABI = ['function implementation() view returns (address)'];
+
+/**
+ * Normalize a log from the explorer API or eth_getLogs
+ * @param {Object} log - Raw log
+ * @returns {Object} { emitter, event, address, blockNumber, logIndex, transactionHash, timestamp }
+ */
+export function normalizeUpgradeLog(log) {
+  const topic = log.topics[0].toLowerCase();
+  const event = topic === UPGRADE_EVENTS.UPGRADED.topic ? UPGRADE_EVENTS.UPGRADED.name : UPGRADE_EVENTS.BEACON_UPGRADED.name;
+
+  return {
+    emitter: ethers.getAddress(log.address),
+    event,
+    address: ethers.getAddress('0x' + log.topics[1].slice(-40)),
+    blockNumber: parseQuantity(log.blockNumber),
+    logIndex: parseQuantity(log.logIndex ?? log.index),
+    transactionHash: log.transactionHash,
+    timestamp: log.timeStamp ? parseQuantity(log.timeStamp) : null
+  };
+}
+
+/**
+ * Fetch the upgrade logs emitted by one contract
+ * @param {Object} context - From createLogContext
+ * @param {string} address - Emitting contract
+ * @param {string[]} topics - Event topics
+ * @returns {Promise<Object>} { logs: normalized logs, source: 'explorer' | 'rpc' }
+ */
+async function fetchUpgradeLogs(context, address, topics) {
+  const { logs, source } = await fetchContractLogs(context, address, topics);
+  return { logs: logs.map(normalizeUpgradeLog), source };
+}
+
+/**
+ * Build the implementation timeline from proxy and beacon logs
+ * @param {string} proxyAddress - Proxy address
+ * @param {Object[]} logs - Normalized logs of the proxy and of its beacons
+ * @returns {Object[]} Versions { version, implementation, event, beacon, activeFromBlock, replacedAtBlock, transactionHash, timestamp }
+ */
+export function buildTimeline(proxyAddress, logs) {
+  const proxy = ethers.getAddress(proxyAddress);
+  const beaconImplementations = new Map();
+  const versions = [];
+  let currentBeacon = null;
+
+  const addVersion = (implementation, log, event) => {
+    const previous = versions[versions.length - 1];
+    if (previous && previous.implementation === implementation && previous.beacon === currentBeacon) {
+      return;
+    }
+    if (previous) {
+      previous.replacedAtBlock = log.blockNumber;
+    }
+    versions.push({
+      version: versions.length + 1,
+      implementation,
+      event,
+      beacon: currentBeacon,
+      activeFromBlock: log.blockNumber,
+      replacedAtBlock: null,
+      transactionHash: log.transactionHash,
+      timestamp: log.timestamp
+    });
+  };
+
+  for (const log of sortLogs(logs)) {
+    if (log.emitter === proxy) {
+      if (log.event === UPGRADE_EVENTS.UPGRADED.name) {
+        currentBeacon = null;
+        addVersion(log.address, log, log.event);
+      } else {
+        currentBeacon = log.address;
+        addVersion(beaconImplementations.get(currentBeacon) || null, log, log.event);
+      }
+    } else if (log.event === UPGRADE_EVENTS.UPGRADED.name) {
+      // A beacon's own upgrade
+      beaconImplementations.set(log.emitter, log.address);
+      if (log.emitter === currentBeacon) {
+        addVersion(log.address, log, 'BeaconImplementationUpgraded');
+      }
+    }
+  }
+
+  return versions;
+}
+
+/**
+ * Read the implementation of every beacon version the beacon logs did not cover
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {Object[]} versions - Timeline versions (updated in place)
+ */
+async function resolveBeaconImplementations(provider, versions) {
+  for (const version of versions) {
+    if (version.implementation || !version.beacon) continue;
+    try {
+      const beacon = new ethers.Contract(version.beacon, BEACON_ABI, provider);
+      version.implementation = ethers.getAddress(await beacon.implementation({ blockTag: version.activeFromBlock }));
+    } catch (error) {
+      if (isTransportError(error)) throw error;
+      version.error = `Could not read beacon implementation: ${error.shortMessage || error.message}`;
+    }
+  }
+}
+
+/**
+ * Rebuild a proxy's implementation timeline
+ * @param {string} chainName - Name of the chain
+ * @param {string} proxyAddress - Proxy address
+ * @param {Object} options - { toBlock: last block to include (default: latest) }
+ * @returns {Promise<Object>} { logSource, toBlock, events, versions }
+ */
+export async function getUpgradeHistory(chainName, proxyAddress, options = {}) {
+  const { toBlock = 'latest' } = options;
+  const chainConfig = getChainConfig(chainName);
+  if (!chainConfig) {
+    throw new Error(`Unsupported chain: ${chainName}`);
+  }
+
+  const provider = createProvider(chainName);
+  const context = createLogContext(chainConfig, provider, toBlock);
+
+  try {
+    return await readUpgradeHistory(context, proxyAddress);
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Read the upgrade logs of a proxy and its beacons and build the timeline
+ * @param {Object} context - From createLogContext
+ * @param {string} proxyAddress - Proxy address
+ * @returns {Promise<Object>} { logSource, toBlock, events, versions }
+ */
+async function readUpgradeHistory(context, proxyAddress) {
+  const { provider, toBlock } = context;
+
+  const proxyLogs = await fetchUpgradeLogs(context, proxyAddress, [UPGRADE_EVENTS.UPGRADED.topic, UPGRADE_EVENTS.BEACON_UPGRADED.topic]);
+  const logs = [...proxyLogs.logs];
+  const sources = new Set([proxyLogs.source]);
+
+  const beacons = [...new Set(proxyLogs.logs.filter(l => l.event === UPGRADE_EVENTS.BEACON_UPGRADED.name).map(l => l.address))];
+  for (const beacon of beacons) {
+    const beaconLogs = await fetchUpgradeLogs(context, beacon, [UPGRADE_EVENTS.UPGRADED.topic]);
+    logs.push(...beaconLogs.logs);
+    sources.add(beaconLogs.source);
+  }
+
+  const versions = buildTimeline(proxyAddress, logs);
+  await resolveBeaconImplementations(provider, versions);
+
+  // Explorer logs carry timestamps; RPC logs need the block
+  for (const version of versions) {
+    if (version.timestamp === null) {
+      const block = await provider.getBlock(version.activeFromBlock);
+      version.timestamp = block ? block.timestamp : null;
+    }
+  }
+
+  return {
+    logSource: sources.size === 1 ? [...sources][0] : 'mixed',
+    toBlock,
+    events: sortLogs(logs),
+    versions
+  };
+}
+
+/**
+ * Rebuild the upgrade history and save the source of every past implementation
+ * Versions are saved to <chain>/<baseAddress>/history/v<N>/; each verified version's storage
+ * layout is checked against the previous verified version and written into its audit manifest
+ * @param {string} chainName - Name of the chain
+ * @param {string} proxyAddress - Proxy address
+ * @param {Object} options - { toBlock, baseAddress, decompile = true }
+ * @returns {Promise<Object>} History with per-version save results and historyPath
+ */
+export async function fetchUpgradeHistory(chainName, proxyAddress, options = {}) {
+  const { toBlock = 'latest', baseAddress = proxyAddress, decompile = true } = options;
+  const history = await getUpgradeHistory(chainName, proxyAddress, { toBlock });
+  const sourceCache = new Map();
+  let previous = null;
+
+  for (const version of history.versions) {
+    if (!version.implementation) continue;
+    const contractType = `history/v${version.version}`;
+
+    try {
+      const key = version.implementation.toLowerCase();
+      if (!sourceCache.has(key)) {
+        sourceCache.set(key, await fetchContractSource(chainName, version.implementation));
+      }
+      const sourceData = sourceCache.get(key);
+
+      if (sourceData.isVerified) {
+        const saveResult = processAndSaveSource(sourceData, contractType, baseAddress);
+        version.verified = true;
+        version.contractName = sourceData.contractName;
+        version.sourceProvider = sourceData.sourceProvider;
+        version.outputDir = path.join(saveResult.outputDir, contractType);
+        logger.info(`    ✓ v${version.version}: ${sourceData.contractName} (${version.implementation})`);
+
+        // Storage layouts are computed for Solidity only (null for Vyper versions)
+        const storageLayout = getStorageLayout(sourceData);
+        if (storageLayout) {
+          const manifestFields = { storageLayout };
+          if (previous && previous.storageLayout) {
+            const upgradeCheck = { comparedWith: `v${previous.version}`, ...compareStorageLayouts(previous.storageLayout, storageLayout) };
+            manifestFields.upgradeCheck = upgradeCheck;
+            version.storageCompatible = upgradeCheck.compatible;
+            for (const issue of upgradeCheck.issues) {
+              logger[issue.severity === 'error' ? 'warn' : 'info'](`      ${issue.severity === 'error' ? '⚠' : 'ℹ'} Storage ${issue.kind} since v${previous.version}: ${issue.variable}`);
+            }
+          }
+          updateAuditManifest(chainName, baseAddress, contractType, manifestFields);
+        }
+        previous = { version: version.version, storageLayout };
+      } else if (decompile) {
+        // Code as deployed when this version went live (later self-destructs leave no code)
+        const decompileResult = await decompileContract(chainName, version.implementation, {
+          contractType,
+          baseAddress,
+          blockTag: version.activeFromBlock
+        });
+        version.verified = false;
+        version.decompiled = true;
+        version.outputDir = decompileResult.outputDir;
+        logger.info(`    ℹ v${version.version}: not verified, decompiled (${version.implementation})`);
+      } else {
+        version.verified = false;
+        logger.info(`    ℹ v${version.version}: not verified (${version.implementation})`);
+      }
+    } catch (error) {
+      version.error = error.message;
+      logger.error(`    ✗ v${version.version}: ${error.message}`);
+    }
+  }
+
+  const record = {
+    chainName,
+    proxy: ethers.getAddress(proxyAddress),
+    generatedAt: new Date().toISOString(),
+    ...history
+  };
+
+  const historyPath = path.join(createOutputDirectory(chainName, baseAddress), HISTORY_FILE_NAME);
+  fs.writeFileSync(historyPath, JSON.stringify(record, null, 2), 'utf8');
+
+  return { ...record, historyPath };
+}
+
+export default {
+  UPGRADE_EVENTS,
+  normalizeUpgradeLog,
+  buildTimeline,
+  getUpgradeHistory,
+  fetchUpgradeHistory
+};
@@ -0,0 +1,442 @@
+/**
+ * Vendor Fingerprints Module
+ * Identifies vendor library files by a normalized content hash instead of by path
+ *
+ * The database (src/config/vendor-fingerprints.json) lists, per npm package, the path
+ * prefixes its files are found under in fetched sources and a hash of every .sol file of
+ * each known release: packages -> relative path -> hash -> versions. A file under a
+ * package prefix is 'known' when its hash matches a release and 'modified' otherwise,
+ * whatever release its path or header claims. Modified files are diffed against the
+ * closest release, downloaded from the npm registry (and cached like explorer responses).
+ *
+ * Normalization strips comments, trims and collapses whitespace on each line (string
+ * literals are left as written) and drops blank lines, so license headers, NatSpec and
+ * indentation don't change the hash.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { createTwoFilesPatch, diffLines } from 'diff';
+import { cached } from './cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'config', 'vendor-fingerprints.json');
+const DEFAULT_REGISTRY_URL = 'https://registry.npmjs.org';
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+export const VENDOR_STATUS = {
+  KNOWN: 'known',
+  MODIFIED: 'modified'
+};
+
+const config = {
+  databasePath: process.env.VENDOR_FINGERPRINTS || DEFAULT_DATABASE_PATH,
+  registryUrl: process.env.NPM_REGISTRY_URL || DEFAULT_REGISTRY_URL
+};
+
+// Loaded database and its hash index, reset when the configuration changes
+let loaded = null;
+
+// Comments and string literals; strings are kept, comments are dropped (newlines kept)
+const COMMENT_OR_STRING = /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|\/\/[^\n]*|\/\*[\s\S]*?\*\//g;
+
+// Whitespace runs outside string literals
+const WHITESPACE_OR_STRING = /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|\s+/g;
+
+// Release named in a header line comment, e.g. "// OpenZeppelin Contracts (last updated v4.9.0) (...)"
+const HEADER_VERSION = /^\s*\/\/.*?\bv(\d+\.\d+\.\d+(?:-[0-9A-Za-z.]+)?)\b/m;
+
+/**
+ * Update fingerprint configuration
+ * @param {Object} options - { databasePath, registryUrl }
+ * @returns {Object} Resulting configuration
+ */
+export function configureVendorFingerprints(options = {}) {
+  if (options.databasePath !== undefined) {
+    config.databasePath = options.databasePath || DEFAULT_DATABASE_PATH;
+  }
+  if (options.registryUrl !== undefined) {
+    config.registryUrl = (options.registryUrl || DEFAULT_REGISTRY_URL).replace(/\/+$/, '');
+  }
+  loaded = null;
+  return getVendorFingerprintsConfig();
+}
+
+/**
+ * Get the current fingerprint configuration
+ * @returns {Object} Copy of the configuration
+ */
+export function getVendorFingerprintsConfig() {
+  return { ...config };
+}
+
+/**
+ * Normalize Solidity source for hashing and for choosing the closest release
+ * @param {string} content - Source code
+ * @returns {string} One statement-ish line per non-blank source line, comments removed
+ */
+export function normalizeSource(content) {
+  return content
+    .replace(/\r\n?/g, '\n')
+    .replace(COMMENT_OR_STRING, (match, string) => string || match.replace(/[^\n]/g, ''))
+    .split('\n')
+    .map(line => line.replace(WHITESPACE_OR_STRING, (match, string) => string || ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Normalized content hash of a source file
+ * @param {string} content - Source code
+ * @returns {string} sha256 hex digest
+ */
+export function hashSource(content) {
+  return crypto.createHash('sha256').update(normalizeSource(content)).digest('hex');
+}
+
+/**
+ * Read the fingerprint database, or an empty one when the file doesn't exist
+ * @returns {Object} { packages: { name: { paths, versions, files } } }
+ */
+export function loadFingerprintDatabase() {
+  if (!fs.existsSync(config.databasePath)) {
+    return { packages: {} };
+  }
+  const database = JSON.parse(fs.readFileSync(config.databasePath, 'utf8'));
+  return { ...database, packages: database.packages || {} };
+}
+
+/**
+ * Loaded database with a hash -> { path, versions } index per package
+ * @returns {Object} { database, hashes: Map<package, Map<hash, { path, versions }>> }
+ */
+function getDatabase() {
+  if (!loaded) {
+    const database = loadFingerprintDatabase();
+    const hashes = new Map();
+    for (const [name, pkg] of Object.entries(database.packages)) {
+      const index = new Map();
+      for (const [filePath, releases] of Object.entries(pkg.files || {})) {
+        for (const [hash, versions] of Object.entries(releases)) {
+          if (!index.has(hash)) {
+            index.set(hash, { path: filePath, versions });
+          }
+        }
+      }
+      hashes.set(name, index);
+    }
+    loaded = { database, hashes };
+  }
+  return loaded;
+}
+
+/**
+ * Compare two release versions (numeric parts, pre-releases before the release)
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const [mainA, preA = ''] = a.split('-');
+  const [mainB, preB = ''] = b.split('-');
+  const partsA = mainA.split('.').map(Number);
+  const partsB = mainB.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  if (preA === preB) return 0;
+  if (!preA) return 1;
+  if (!preB) return -1;
+  return preA < preB ? -1 : 1;
+}
+
+/**
+ * Find the fingerprinted package a file path belongs to
+ * A prefix matches at the start of the path or after a '/', with or without an
+ * '@<version>' after the package folder (e.g. '@openzeppelin/contracts@4.9.3/')
+ * @param {string} filePath - Source unit name
+ * @returns {Object|null} { package, relativePath, pathVersion }, longest prefix first;
+ *   pathVersion is the '@<version>' of the path, or null
+ */
+export function matchVendorPackage(filePath) {
+  const normalizedPath = filePath.replace(/\\/g, '/').replace(/^\/+/, '');
+  let best = null;
+
+  for (const [name, pkg] of Object.entries(getDatabase().database.packages)) {
+    for (const prefix of pkg.paths || [`${name}/`]) {
+      const folder = prefix.replace(/\/$/, '');
+      const escaped = folder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = normalizedPath.match(new RegExp(`(?:^|/)${escaped}(?:@([^/]+))?/(.+)$`));
+      if (match && (!best || prefix.length > best.prefixLength)) {
+        best = { package: name, relativePath: match[2], pathVersion: match[1] || null, prefixLength: prefix.length };
+      }
+    }
+  }
+
+  return best ? { package: best.package, relativePath: best.relativePath, pathVersion: best.pathVersion } : null;
+}
+
+/**
+ * Release a vendor file says it comes from: the '@<version>' of its path, otherwise the
+ * version in its header comment (OpenZeppelin's "last updated vX.Y.Z" or "vX.Y.Z")
+ * Informational only: the file controls its own header, so a claim never decides its status
+ * @param {Object} match - matchVendorPackage result
+ * @param {string} content - File content
+ * @returns {string|null} Claimed version
+ */
+function getClaimedVersion(match, content) {
+  if (match.pathVersion) {
+    return match.pathVersion;
+  }
+  // Only comments above the pragma are a header
+  const pragma = content.search(/^\s*pragma\b/m);
+  const header = (pragma === -1 ? content : content.slice(0, pragma)).match(HEADER_VERSION);
+  return header ? header[1] : null;
+}
+
+/**
+ * Release paths a modified file is diffed against: its own path when a release ships it,
+ * otherwise release files with the same name (files moved between releases, e.g.
+ * security/ReentrancyGuard.sol -> utils/ReentrancyGuard.sol)
+ * @param {Object} pkg - Package entry of the database
+ * @param {string} relativePath - Package-relative path of the file
+ * @returns {string[]} Package-relative paths
+ */
+function findCandidatePaths(pkg, relativePath) {
+  const files = pkg.files || {};
+  if (files[relativePath]) {
+    return [relativePath];
+  }
+  const fileName = path.posix.basename(relativePath);
+  return Object.keys(files).filter(filePath => path.posix.basename(filePath) === fileName);
+}
+
+/**
+ * Identify a fetched file against the fingerprint database
+ * A file under a fingerprinted package is either a known release or modified vendor code:
+ * whatever release it claims, a hash no release has is a modification to audit
+ * @param {string} filePath - Source unit name
+ * @param {string} content - File content
+ * @returns {Object|null} null when the path is under no fingerprinted package, otherwise
+ *   { status: 'known', package, relativePath, path, versions } or
+ *   { status: 'modified', package, relativePath, claimedVersion, candidatePaths, candidateVersions }
+ *   (candidatePaths is empty when no release ships a file of that name)
+ */
+export function identifyVendorFile(filePath, content) {
+  const match = matchVendorPackage(filePath);
+  if (!match) return null;
+
+  const { database, hashes } = getDatabase();
+  const pkg = database.packages[match.package];
+  const hash = hashSource(content);
+  const releases = pkg.files?.[match.relativePath] || {};
+
+  // A release file at the same path first, then the same file moved elsewhere
+  if (releases[hash]) {
+    return { status: VENDOR_STATUS.KNOWN, ...match, path: match.relativePath, versions: releases[hash] };
+  }
+  const known = hashes.get(match.package).get(hash);
+  if (known) {
+    return { status: VENDOR_STATUS.KNOWN, ...match, path: known.path, versions: known.versions };
+  }
+
+  const candidatePaths = findCandidatePaths(pkg, match.relativePath);
+  const candidateVersions = [...new Set(candidatePaths.flatMap(candidate => Object.values(pkg.files[candidate]).flat()))]
+    .sort(compareVersions);
+  return {
+    status: VENDOR_STATUS.MODIFIED,
+    ...match,
+    claimedVersion: getClaimedVersion(match, content),
+    candidatePaths,
+    candidateVersions
+  };
+}
+
+/**
+ * Extract the regular files of a tar archive
+ * Handles ustar prefixes, pax 'path' records and GNU long names
+ * @param {Buffer} archive - Uncompressed tar
+ * @returns {Object} Map of paths to file contents (Buffer)
+ */
+function readTar(archive) {
+  const files = {};
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1) || '0';
+    const prefix = field(257, 6).startsWith('ustar') ? field(345, 155) : '';
+    const data = archive.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') {
+      const record = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+      longName = record ? record[1] : longName;
+    } else if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0.*$/s, '');
+    } else if (type === 'g') {
+      continue;
+    } else {
+      const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+      longName = null;
+      if (type === '0' || type === '7') {
+        files[name] = Buffer.from(data);
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Download the .sol files of a published package release from the npm registry
+ * Releases never change, so the result is cached without expiry
+ * @param {string} packageName - npm package name (e.g. '@openzeppelin/contracts')
+ * @param {string} version - Release version
+ * @returns {Promise<Object>} Map of package-relative paths to content
+ */
+export async function fetchPackageSources(packageName, version) {
+  const tarballName = `${packageName.split('/').pop()}-${version}.tgz`;
+  const url = `${config.registryUrl}/${packageName}/-/${tarballName}`;
+
+  return cached('vendor', [config.registryUrl, packageName, version], async () => {
+    const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`Could not download ${packageName}@${version}: HTTP ${response.status}`);
+    }
+
+    const archive = zlib.gunzipSync(Buffer.from(await response.arrayBuffer()));
+    const sources = {};
+    for (const [name, content] of Object.entries(readTar(archive))) {
+      // npm tarballs put everything under a single top folder (usually package/)
+      const relativePath = name.split('/').slice(1).join('/');
+      if (relativePath.endsWith('.sol')) {
+        sources[relativePath] = content.toString('utf8');
+      }
+    }
+    return sources;
+  }, { description: `${packageName}@${version}` });
+}
+
+/**
+ * Diff a modified vendor file against the closest known release
+ * Every candidate release file is scored by changed normalized lines; ties go to the newer release
+ * @param {string} filePath - Source unit name (used in the patch header)
+ * @param {string} content - Fetched file content
+ * @param {Object} identification - identifyVendorFile result with status 'modified'
+ * @returns {Promise<Object>} { closestVersion, closestPath, addedLines, removedLines, patch } -
+ *   closestVersion is null when no release ships a file of that name
+ */
+export async function diffAgainstClosestRelease(filePath, content, identification) {
+  const { package: packageName, relativePath } = identification;
+  const pkg = getDatabase().database.packages[packageName];
+  const candidatePaths = identification.candidatePaths || findCandidatePaths(pkg, relativePath);
+  const normalized = normalizeSource(content);
+  let best = null;
+
+  for (const candidatePath of candidatePaths) {
+    // Releases with identical files score the same; only download the newest of each
+    const versions = Object.values(pkg.files[candidatePath])
+      .map(group => [...group].sort(compareVersions).pop())
+      .sort(compareVersions);
+
+    for (const version of versions) {
+      const sources = await fetchPackageSources(packageName, version);
+      const original = sources[candidatePath];
+      if (original === undefined) continue;
+
+      let addedLines = 0;
+      let removedLines = 0;
+      for (const part of diffLines(normalizeSource(original) + '\n', normalized + '\n')) {
+        if (part.added) addedLines += part.count;
+        if (part.removed) removedLines += part.count;
+      }
+
+      const changed = addedLines + removedLines;
+      const bestChanged = best && best.addedLines + best.removedLines;
+      if (!best || changed < bestChanged || (changed === bestChanged && compareVersions(version, best.closestVersion) >= 0)) {
+        best = { closestVersion: version, closestPath: candidatePath, addedLines, removedLines, original };
+      }
+    }
+  }
+
+  if (!best) {
+    return { closestVersion: null, closestPath: null, addedLines: 0, removedLines: 0, patch: null };
+  }
+
+  return {
+    closestVersion: best.closestVersion,
+    closestPath: best.closestPath,
+    addedLines: best.addedLines,
+    removedLines: best.removedLines,
+    patch: createTwoFilesPatch(
+      `${packageName}@${best.closestVersion}/${best.closestPath}`,
+      filePath,
+      best.original,
+      content
+    )
+  };
+}
+
+/**
+ * Fingerprint releases of a package and add them to the database file
+ * @param {string} packageName - npm package name
+ * @param {string[]} versions - Release versions
+ * @param {Object} options - { paths: path prefixes the package appears under (default: '<package>/') }
+ * @returns {Promise<Object>} { package, versions, files } - files fingerprinted per version
+ */
+export async function addPackageFingerprints(packageName, versions, options = {}) {
+  const database = loadFingerprintDatabase();
+  const pkg = database.packages[packageName] || { paths: [`${packageName}/`], versions: [], files: {} };
+  if (options.paths && options.paths.length > 0) {
+    pkg.paths = [...new Set([...pkg.paths, ...options.paths.map(prefix => prefix.replace(/\/?$/, '/'))])];
+  }
+
+  const counts = {};
+  for (const version of versions) {
+    const sources = await fetchPackageSources(packageName, version);
+    for (const [relativePath, content] of Object.entries(sources)) {
+      const releases = pkg.files[relativePath] || (pkg.files[relativePath] = {});
+      const hash = hashSource(content);
+      releases[hash] = [...new Set([...(releases[hash] || []), version])].sort(compareVersions);
+    }
+    counts[version] = Object.keys(sources).length;
+    pkg.versions = [...new Set([...pkg.versions, version])].sort(compareVersions);
+  }
+
+  // Keep the file stable for review: packages and paths in sorted order
+  pkg.files = Object.fromEntries(Object.entries(pkg.files).sort(([a], [b]) => a.localeCompare(b)));
+  database.packages[packageName] = pkg;
+  database.packages = Object.fromEntries(Object.entries(database.packages).sort(([a], [b]) => a.localeCompare(b)));
+
+  fs.mkdirSync(path.dirname(config.databasePath), { recursive: true });
+  fs.writeFileSync(config.databasePath, JSON.stringify(database, null, 2) + '\n', 'utf8');
+  loaded = null;
+
+  return { package: packageName, versions: counts, files: Object.keys(pkg.files).length };
+}
+
+export default {
+  VENDOR_STATUS,
+  configureVendorFingerprints,
+  getVendorFingerprintsConfig,
+  normalizeSource,
+  hashSource,
+  loadFingerprintDatabase,
+  matchVendorPackage,
+  identifyVendorFile,
+  fetchPackageSources,
+  diffAgainstClosestRelease,
+  addPackageFingerprints
+};
@@ -0,0 +1,288 @@
+/**
+ * Vyper Source Module
+ * Comment stripping and light-weight analysis of Vyper sources
+ *
+ * There is no Vyper parser among the dependencies, so the analysis reads the comment-free
+ * text by indentation, as Python does: top-level declarations start in column 0 and a
+ * block holds the indented lines below its header.
+ */
+
+// Vyper contracts (.vy) and interface files (.vyi)
+const VYPER_FILE_PATTERN = /\.vyi?$/i;
+
+// Comments that are compiler directives (# @version, #pragma version, # pragma optimize), kept when stripping
+const DIRECTIVE_COMMENT_PATTERN = /^#\s*(@version\b|pragma\b)/;
+
+/**
+ * Check if a file is a Vyper source
+ * @param {string} filePath - Path to the file
+ * @returns {boolean} True for .vy and .vyi files
+ */
+export function isVyperFile(filePath) {
+  return VYPER_FILE_PATTERN.test(filePath || '');
+}
+
+/**
+ * Guess whether source code of unknown language is Vyper
+ * Looks for a version pragma comment, or top-level decorated `def` functions
+ * @param {string} source - Source code
+ * @returns {boolean} True if the source reads as Vyper
+ */
+export function looksLikeVyper(source) {
+  return /^#\s*(@version|pragma\s+version)\b/m.test(source) ||
+    (/^@(external|internal|deploy)\s*$/m.test(source) && /^def\s+\w+\s*\(/m.test(source));
+}
+
+/**
+ * Position just past the end of a string literal
+ * @param {string} source - Source code
+ * @param {number} start - Position after the opening quote(s)
+ * @param {string} quote - Opening quote(s): ', ", ''' or """
+ * @returns {number} Position after the closing quote(s) (end of line for an unterminated short string)
+ */
+function findStringEnd(source, start, quote) {
+  let i = start;
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (source.startsWith(quote, i)) {
+      return i + quote.length;
+    }
+    if (quote.length === 1 && source[i] === '\n') {
+      return i;
+    }
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Whether a block is left without statements once a docstring is removed
+ * The block is empty when the next line with code is indented less than the docstring
+ * @param {string} source - Source code
+ * @param {number} position - Position after the docstring
+ * @param {number} column - Column the docstring starts at
+ * @returns {boolean} True if the block needs a `pass`
+ */
+function isBlockEmptyAfter(source, position, column) {
+  const lines = source.slice(position).split('\n').slice(1);
+  const next = lines.find(line => line.trim() !== '' && !line.trim().startsWith('#'));
+  const indentation = next === undefined ? 0 : next.length - next.trimStart().length;
+  return indentation < column;
+}
+
+/**
+ * Strip comments and docstrings from Vyper source code
+ * Version and pragma comments are kept, as they configure the compiler. A docstring that was
+ * the only statement of a function is replaced by `pass`, so the result still compiles.
+ * Strings are preserved, including `#` inside them.
+ * @param {string} source - Vyper source code
+ * @returns {string} Source code without comments and docstrings
+ */
+export function stripVyperComments(source) {
+  let result = '';
+  let i = 0;
+  // Open brackets: a string starting a line outside any is a statement of its own (a docstring)
+  let depth = 0;
+  const len = source.length;
+
+  while (i < len) {
+    const char = source[i];
+    const lineStart = source.lastIndexOf('\n', i - 1) + 1;
+    const startsLine = source.slice(lineStart, i).trim() === '';
+
+    // Handle string literals, short and triple-quoted
+    if (char === '"' || char === "'") {
+      const quote = source.startsWith(char.repeat(3), i) ? char.repeat(3) : char;
+      let end = findStringEnd(source, i + quote.length, quote);
+      if (quote.length === 3 && depth === 0 && startsLine) {
+        // Docstring: the whole line goes, unless `pass` has to take its place
+        if (isBlockEmptyAfter(source, end, i - lineStart)) {
+          result += 'pass';
+        } else {
+          result = result.slice(0, result.length - (i - lineStart));
+          const rest = source.slice(end).match(/^[ \t\r]*\n/);
+          if (rest) end += rest[0].length;
+        }
+      } else {
+        result += source.slice(i, end);
+      }
+      i = end;
+      continue;
+    }
+
+    // Handle comments (up to the end of the line, which is kept)
+    if (char === '#') {
+      let lineEnd = source.indexOf('\n', i);
+      if (lineEnd === -1) lineEnd = len;
+      const comment = source.slice(i, lineEnd);
+      if (startsLine && DIRECTIVE_COMMENT_PATTERN.test(comment)) {
+        result += comment;
+      }
+      i = lineEnd;
+      continue;
+    }
+
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth = Math.max(0, depth - 1);
+    }
+
+    // Regular character
+    result += char;
+    i++;
+  }
+
+  // Trim trailing whitespace on each line
+  result = result.split('\n').map(line => line.trimEnd()).join('\n');
+
+  // Clean up excessive blank lines (more than 2 consecutive newlines)
+  result = result.replace(/\n{3,}/g, '\n\n');
+
+  // Trim leading/trailing whitespace from the entire file
+  return result.trim() + '\n';
+}
+
+/**
+ * List the top-level functions of comment-free Vyper source
+ * @param {string} code - Vyper source without comments (stripVyperComments)
+ * @returns {Object[]} { name, decorators, body } - body lines are the non-blank lines of the function block
+ */
+function findFunctions(code) {
+  const lines = code.split('\n');
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^def\s+(\w+)\s*\(/);
+    if (!match) return;
+
+    // The signature may span lines; the block starts after the line ending with ':'
+    let headerEnd = index;
+    while (headerEnd < lines.length - 1 && !/:$/.test(lines[headerEnd])) headerEnd++;
+
+    const body = [];
+    for (let j = headerEnd + 1; j < lines.length && (lines[j] === '' || /^\s/.test(lines[j])); j++) {
+      if (lines[j].trim() !== '') body.push(lines[j]);
+    }
+
+    const decorators = [];
+    for (let j = index - 1; j >= 0 && lines[j].startsWith('@'); j--) {
+      decorators.unshift(lines[j].trim());
+    }
+
+    functions.push({ name: match[1], decorators, body });
+  });
+
+  return functions;
+}
+
+/**
+ * Check if a Vyper file only declares interfaces
+ * .vyi files are interfaces by definition; a .vy file is one when it declares interfaces or
+ * functions and none of its functions does more than `pass` or `...`
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @returns {boolean} True if it's a pure interface
+ */
+export function isVyperInterface(filePath, content) {
+  if (/\.vyi$/i.test(filePath)) {
+    return true;
+  }
+
+  const code = stripVyperComments(content);
+  const functions = findFunctions(code);
+  if (functions.length === 0 && !/^interface\s+\w+\s*:/m.test(code)) {
+    return false;
+  }
+
+  return functions.every(fn => fn.body.every(line => /^(pass|\.\.\.)$/.test(line.trim())));
+}
+
+/**
+ * Count the external functions of a Vyper file
+ * @param {string} content - File content
+ * @returns {number} Functions decorated with @external
+ */
+export function countExternalFunctions(content) {
+  return findFunctions(stripVyperComments(content))
+    .filter(fn => fn.decorators.includes('@external')).length;
+}
+
+/**
+ * Split the arguments of a call
+ * @param {string} code - Source code
+ * @param {number} start - Position after the opening parenthesis
+ * @returns {string[]} Arguments, trimmed (keyword arguments as written, e.g. "is_delegate_call=True")
+ */
+function splitArguments(code, start) {
+  const args = [];
+  let current = '';
+  let depth = 0;
+
+  for (let i = start; i < code.length; i++) {
+    const char = code[i];
+    if (char === '"' || char === "'") {
+      const end = findStringEnd(code, i + 1, char);
+      current += code.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      if (depth === 0) break;
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim() !== '') args.push(current.trim());
+
+  return args;
+}
+
+/**
+ * Find the delegatecall forwarding of a Vyper proxy
+ * Vyper proxies forward every call from __default__ with
+ * raw_call(target, msg.data, ..., is_delegate_call=True) (delegate_call=True in early releases)
+ * @param {string} content - File content
+ * @returns {Object|null} { target, variable, address } - the target as written (e.g. self.implementation),
+ *   the storage variable, immutable or constant it names, and the address of a constant address target
+ */
+export function findDelegateForwarder(content) {
+  const code = stripVyperComments(content);
+  const fallback = findFunctions(code).find(fn => fn.name === '__default__');
+  if (!fallback) {
+    return null;
+  }
+
+  const body = fallback.body.join('\n');
+  for (const match of body.matchAll(/\braw_call\s*\(/g)) {
+    const args = splitArguments(body, match.index + match[0].length);
+    if (!args.some(arg => /^(is_)?delegate_call\s*=\s*True$/.test(arg))) continue;
+
+    const target = args[0];
+    const variable = (target.match(/^(?:self\.)?(\w+)$/) || [])[1] || null;
+    const constant = variable && !target.startsWith('self.')
+      ? code.match(new RegExp(`^${variable}\\s*:\\s*constant\\(address\\)\\s*=\\s*(0x[a-fA-F0-9]{40})\\b`, 'm'))
+      : null;
+    return { target, variable, address: constant ? constant[1] : null };
+  }
+
+  return null;
+}
+
+export default {
+  isVyperFile,
+  looksLikeVyper,
+  stripVyperComments,
+  isVyperInterface,
+  countExternalFunctions,
+  findDelegateForwarder
+};
@@ -0,0 +1,530 @@
+/**
+ * Watch Module
+ * Monitors a list of proxies and raises an alert when one is upgraded or changes admin
+ *
+ * Modes:
+ *   poll - every interval, run proxy detection and read the EIP-1967 admin and beacon slots
+ *          at the latest block
+ *   logs - every interval, scan the blocks since the last check for Upgraded, AdminChanged and
+ *          BeaconUpgraded logs (and the beacon's own Upgraded logs); only proxies that emitted
+ *          one are read again
+ *
+ * The first check of a proxy records its baseline. When the implementation changes, the new
+ * implementation is saved to <chain>/<proxy>/upgrades/<implementation>/ and diffed against the
+ * previous one (the saved implementation/ or upgrades/ folder, fetched if neither exists); the
+ * diff goes to <chain>/<proxy>/upgrades/<old>__<new>/. Every alert is written as a JSON file
+ * and, when a webhook is configured, POSTed to it.
+ *
+ * The last known state of every proxy is kept in a state file, so a restarted watcher only
+ * alerts on changes made since it last looked.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { PROXY_STATUS, EIP_1967_SLOTS, createProvider, detectProxy } from './proxyDetector.js';
+import { fetchLogsFromRpc, parseQuantity, sortLogs } from './eventLogs.js';
+import { UPGRADE_EVENTS, normalizeUpgradeLog } from './upgradeHistory.js';
+import { fetchContractSource } from './sourceFetcher.js';
+import { OUTPUT_DIR, createOutputDirectory, processAndSaveSource } from './sourceParser.js';
+import { loadDiffSide, diffSources, writeDiffReport } from './sourceDiff.js';
+import { entryKey, runPool, writeJsonAtomic } from './batch.js';
+import { logger } from './logger.js';
+
+export const WATCH_MODES = {
+  POLL: 'poll',
+  LOGS: 'logs'
+};
+
+export const ALERT_TYPES = {
+  UPGRADED: 'upgraded',
+  ADMIN_CHANGED: 'admin-changed'
+};
+
+// AdminChanged(address previousAdmin, address newAdmin) - both values are in the log data
+const ADMIN_CHANGED_TOPIC = ethers.id('AdminChanged(address,address)');
+
+// Events a proxy emits when it changes
+const PROXY_TOPICS = [UPGRADE_EVENTS.UPGRADED.topic, UPGRADE_EVENTS.BEACON_UPGRADED.topic, ADMIN_CHANGED_TOPIC];
+
+// Folder (under the proxy's output directory) holding watched implementations and their diffs
+const UPGRADES_DIR = 'upgrades';
+
+const DEFAULT_ALERTS_DIR = path.join(OUTPUT_DIR, 'alerts');
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Normalize an upgrade or admin log
+ * @param {Object} log - Raw log
+ * @returns {Object} { emitter, event, address, previousAddress?, blockNumber, logIndex, transactionHash }
+ */
+export function normalizeWatchLog(log) {
+  if (log.topics[0].toLowerCase() !== ADMIN_CHANGED_TOPIC) {
+    return normalizeUpgradeLog(log);
+  }
+
+  const [previousAdmin, newAdmin] = ethers.AbiCoder.defaultAbiCoder().decode(['address', 'address'], log.data);
+  return {
+    emitter: ethers.getAddress(log.address),
+    event: 'AdminChanged',
+    address: ethers.getAddress(newAdmin),
+    previousAddress: ethers.getAddress(previousAdmin),
+    blockNumber: parseQuantity(log.blockNumber),
+    logIndex: parseQuantity(log.logIndex ?? log.index),
+    transactionHash: log.transactionHash,
+    timestamp: null
+  };
+}
+
+/**
+ * Read an address stored in a slot
+ * @param {ethers.Provider} provider - Ethers provider
+ * @param {string} address - Contract address
+ * @param {string} slot - Storage slot
+ * @param {number} blockNumber - Block to read at
+ * @returns {Promise<string|null>} Checksummed address, or null if the slot is empty
+ */
+async function readSlotAddress(provider, address, slot, blockNumber) {
+  const value = await provider.getStorage(address, slot, blockNumber);
+  const candidate = '0x' + value.slice(-40);
+  return /^0x0{40}$/.test(candidate) ? null : ethers.getAddress(candidate);
+}
+
+/**
+ * Get the proxy's own source once per watcher run (non-standard proxies are detected from it)
+ * A failed fetch is not kept, so the next check tries again
+ * @param {Object} entry - { chain, address }
+ * @param {Object} context - Watch context
+ * @returns {Promise<Object|null>} Source data, or null if it could not be fetched
+ */
+function getProxySource(entry, context) {
+  const key = entryKey(entry);
+  if (!context.proxySources.has(key)) {
+    context.proxySources.set(key, Promise.resolve()
+      .then(() => context.fetchSource(entry.chain, entry.address))
+      .catch(() => {
+        context.proxySources.delete(key);
+        return null;
+      }));
+  }
+  return context.proxySources.get(key);
+}
+
+/**
+ * Read a proxy's implementation, admin and beacon
+ * Reads are pinned to a block number, so cached latest-block reads never hide an upgrade, and
+ * bypass the on-disk cache: every poll reads a new block, so caching them would only fill the disk
+ * @param {Object} entry - { chain, address }
+ * @param {Object} context - Watch context
+ * @param {number} blockNumber - Block to read at (default: the latest block)
+ * @returns {Promise<Object>} { blockNumber, implementation, admin, beacon, detectionMethod, events: [] }
+ */
+async function pollProxy(entry, context, blockNumber = null) {
+  const sourceData = await getProxySource(entry, context);
+  const provider = createProvider(entry.chain, { useCache: false });
+
+  try {
+    const block = blockNumber ?? await provider.getBlockNumber();
+    const detection = await detectProxy(entry.chain, entry.address, sourceData, { blockTag: block, useCache: false });
+    if (detection.status === PROXY_STATUS.INCONCLUSIVE) {
+      // Inconclusive only comes from failed reads
+      throw Object.assign(new Error(detection.error), { networkFailure: true });
+    }
+
+    const admin = await readSlotAddress(provider, entry.address, EIP_1967_SLOTS.ADMIN, block);
+    const beacon = await readSlotAddress(provider, entry.address, EIP_1967_SLOTS.BEACON, block);
+    return {
+      blockNumber: block,
+      implementation: detection.implementationAddress ? ethers.getAddress(detection.implementationAddress) : null,
+      admin,
+      beacon,
+      detectionMethod: detection.detectionMethod || null,
+      events: []
+    };
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Scan the blocks since the last check for upgrade and admin logs
+ * The proxy is only read again when it (or its beacon) emitted one. Like polls, the scans
+ * bypass the on-disk cache
+ * @param {Object} entry - { chain, address }
+ * @param {Object} previous - Last recorded state (null on the first check)
+ * @param {Object} context - Watch context
+ * @returns {Promise<Object>} { blockNumber, implementation, admin, beacon, detectionMethod, events }
+ */
+async function scanProxyLogs(entry, previous, context) {
+  if (!previous || previous.blockNumber == null) {
+    return pollProxy(entry, context);
+  }
+
+  const unchanged = (blockNumber) => ({
+    blockNumber,
+    implementation: previous.implementation,
+    admin: previous.admin,
+    beacon: previous.beacon,
+    detectionMethod: previous.detectionMethod,
+    events: []
+  });
+
+  const provider = createProvider(entry.chain, { useCache: false });
+  const logs = [];
+  let latestBlock;
+  try {
+    latestBlock = await provider.getBlockNumber();
+    if (latestBlock <= previous.blockNumber) {
+      return unchanged(previous.blockNumber);
+    }
+    const fromBlock = previous.blockNumber + 1;
+    logs.push(...await fetchLogsFromRpc(provider, entry.address, PROXY_TOPICS, fromBlock, latestBlock));
+    if (previous.beacon) {
+      logs.push(...await fetchLogsFromRpc(provider, previous.beacon, [UPGRADE_EVENTS.UPGRADED.topic], fromBlock, latestBlock));
+    }
+  } finally {
+    provider.destroy();
+  }
+
+  const events = sortLogs(logs.map(normalizeWatchLog));
+  if (events.length === 0) {
+    return unchanged(latestBlock);
+  }
+  return { ...await pollProxy(entry, context, latestBlock), events };
+}
+
+/**
+ * Find a saved copy of an implementation in the proxy's output directory
+ * @param {Object} entry - { chain, address }
+ * @param {string} implementation - Implementation address
+ * @returns {string|null} Directory holding its sources
+ */
+function findSavedImplementation(entry, implementation) {
+  const baseDir = path.join(OUTPUT_DIR, entry.chain, entry.address);
+
+  for (const dir of [path.join(baseDir, UPGRADES_DIR, implementation), path.join(baseDir, 'implementation')]) {
+    const manifestPath = path.join(dir, 'audit-manifest.json');
+    if (!fs.existsSync(manifestPath)) continue;
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (String(manifest.contractAddress || '').toLowerCase() === implementation.toLowerCase()) {
+      return dir;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fetch an implementation and save it to <chain>/<proxy>/upgrades/<implementation>/
+ * @param {Object} entry - { chain, address }
+ * @param {string} implementation - Implementation address
+ * @param {Object} context - Watch context
+ * @returns {Promise<Object>} { address, verified, contractName, sourceProvider, outputDir }
+ */
+async function saveImplementation(entry, implementation, context) {
+  const sourceData = await context.fetchSource(entry.chain, implementation);
+  if (!sourceData.isVerified) {
+    return { address: implementation, verified: false, contractName: null, sourceProvider: null, outputDir: null };
+  }
+
+  const contractType = `${UPGRADES_DIR}/${implementation}`;
+  const saveResult = processAndSaveSource(sourceData, contractType, entry.address);
+  return {
+    address: implementation,
+    verified: true,
+    contractName: sourceData.contractName,
+    sourceProvider: sourceData.sourceProvider,
+    outputDir: path.join(saveResult.outputDir, contractType)
+  };
+}
+
+/**
+ * Save the new implementation and diff it against the previous one
+ * @param {Object} entry - { chain, address }
+ * @param {string|null} previousImplementation - Implementation before the upgrade
+ * @param {string|null} currentImplementation - Implementation after the upgrade
+ * @param {Object} context - Watch context
+ * @returns {Promise<Object>} { implementation, diff, diffError }
+ */
+async function processUpgrade(entry, previousImplementation, currentImplementation, context) {
+  if (!currentImplementation) {
+    return { implementation: null, diff: null, diffError: 'The contract no longer has an implementation' };
+  }
+
+  const implementation = await saveImplementation(entry, currentImplementation, context);
+  if (!previousImplementation) {
+    return { implementation, diff: null, diffError: null };
+  }
+  if (!implementation.verified) {
+    return { implementation, diff: null, diffError: 'The new implementation is not verified' };
+  }
+
+  let previousDir = findSavedImplementation(entry, previousImplementation);
+  if (!previousDir) {
+    const previous = await saveImplementation(entry, previousImplementation, context);
+    if (!previous.verified) {
+      return { implementation, diff: null, diffError: 'The previous implementation is not verified' };
+    }
+    previousDir = previous.outputDir;
+  }
+
+  const side = (dir) => ({ type: 'directory', dir, label: path.relative(OUTPUT_DIR, dir).split(path.sep).join('/') });
+  const result = diffSources(await loadDiffSide(side(previousDir)), await loadDiffSide(side(implementation.outputDir)));
+  const diffDir = path.join(createOutputDirectory(entry.chain, entry.address), UPGRADES_DIR, `${previousImplementation}__${currentImplementation}`);
+  const { patchPath, summaryPath } = writeDiffReport(result, diffDir);
+
+  return {
+    implementation,
+    diff: {
+      left: result.left,
+      right: result.right,
+      stats: result.stats,
+      contracts: result.contracts.filter(contract => contract.status !== 'unchanged'),
+      patchPath,
+      summaryPath
+    },
+    diffError: null
+  };
+}
+
+/**
+ * POST an alert to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} alert - Alert
+ * @returns {Promise<Object>} { delivered, status } or { delivered: false, error }
+ */
+async function sendWebhook(url, alert) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return { delivered: true, status: response.status };
+  } catch (error) {
+    logger.warn(`   ⚠ Webhook delivery failed: ${error.message}`);
+    return { delivered: false, error: error.message };
+  }
+}
+
+/**
+ * Build, deliver and write one alert
+ * @param {string} type - ALERT_TYPES value
+ * @param {Object} entry - { chain, address }
+ * @param {Object} previous - State before the change
+ * @param {Object} current - State after the change
+ * @param {Object} context - Watch context
+ * @returns {Promise<Object>} Alert, with alertPath
+ */
+async function raiseAlert(type, entry, previous, current, context) {
+  const field = type === ALERT_TYPES.UPGRADED ? 'implementation' : 'admin';
+  const alert = {
+    type,
+    text: `🚨 ${type === ALERT_TYPES.UPGRADED ? 'Proxy upgraded' : 'Proxy admin changed'}: ${entry.chain} ${entry.address} ` +
+      `${previous[field] || 'none'} → ${current[field] || 'none'}`,
+    chain: entry.chain,
+    proxy: entry.address,
+    blockNumber: current.blockNumber,
+    detectedAt: new Date().toISOString(),
+    previous: { implementation: previous.implementation, admin: previous.admin, beacon: previous.beacon },
+    current: { implementation: current.implementation, admin: current.admin, beacon: current.beacon },
+    events: current.events
+  };
+
+  if (type === ALERT_TYPES.UPGRADED) {
+    try {
+      Object.assign(alert, await processUpgrade(entry, previous.implementation, current.implementation, context));
+    } catch (error) {
+      alert.diffError = error.message;
+    }
+  }
+
+  logger.warn(`   ${alert.text}`);
+  if (alert.diff) {
+    const { stats } = alert.diff;
+    logger.warn(`      Diff: ${stats.modified} modified, ${stats.added} added, ${stats.removed} removed file(s) → ${alert.diff.patchPath}`);
+  } else if (alert.diffError) {
+    logger.warn(`      No diff: ${alert.diffError}`);
+  }
+
+  if (context.webhookUrl) {
+    alert.webhook = await sendWebhook(context.webhookUrl, alert);
+  }
+
+  const fileName = `${alert.detectedAt.replace(/[:.]/g, '-')}_${entry.chain}_${entry.address}_${type}.json`;
+  alert.alertPath = path.join(context.alertsDir, fileName);
+  writeJsonAtomic(alert.alertPath, alert);
+  logger.event('watch-alert', alert);
+
+  return alert;
+}
+
+/**
+ * Check one proxy, record its state and raise alerts for any change
+ * @param {Object} entry - { chain, address }
+ * @param {Object} state - Watch state (updated in place)
+ * @param {Object} context - Watch context
+ * @returns {Promise<Object>} { alerts, error, networkFailure }
+ */
+async function checkEntry(entry, state, context) {
+  const key = entryKey(entry);
+  const previous = state.proxies[key] || null;
+  const hasBaseline = Boolean(previous && 'implementation' in previous);
+  const checkedAt = new Date().toISOString();
+
+  let current;
+  try {
+    current = await context.readProxy(entry, hasBaseline ? previous : null, context);
+  } catch (error) {
+    state.proxies[key] = { ...(previous || entry), checkedAt, error: error.message };
+    logger.warn(`   ⚠ ${entry.chain} ${entry.address}: ${error.message}`);
+    return { alerts: [], error: error.message, networkFailure: Boolean(error.networkFailure) || context.isNetworkFailure(error) };
+  }
+
+  const record = {
+    chain: entry.chain,
+    address: entry.address,
+    implementation: current.implementation,
+    admin: current.admin,
+    beacon: current.beacon,
+    detectionMethod: current.detectionMethod || null,
+    blockNumber: current.blockNumber,
+    checkedAt,
+    changedAt: previous?.changedAt || null,
+    error: null
+  };
+
+  const alerts = [];
+  if (!hasBaseline) {
+    logger.info(`   ℹ ${entry.chain} ${entry.address}: implementation ${record.implementation || 'none'}, admin ${record.admin || 'none'}`);
+  } else {
+    if (previous.implementation !== record.implementation) {
+      alerts.push(await raiseAlert(ALERT_TYPES.UPGRADED, entry, previous, { ...record, events: current.events }, context));
+    }
+    if (previous.admin !== record.admin) {
+      alerts.push(await raiseAlert(ALERT_TYPES.ADMIN_CHANGED, entry, previous, { ...record, events: current.events }, context));
+    }
+    if (alerts.length > 0) {
+      record.changedAt = checkedAt;
+    } else {
+      logger.debug(`   ✓ ${entry.chain} ${entry.address}: unchanged at block ${record.blockNumber}`);
+    }
+  }
+
+  state.proxies[key] = record;
+  return { alerts, error: null, networkFailure: false };
+}
+
+/**
+ * Load the watch state file
+ * @param {string} statePath - State file path
+ * @returns {Object} { proxies: { key: record } }
+ */
+function loadWatchState(statePath) {
+  if (!statePath || !fs.existsSync(statePath)) {
+    return { proxies: {} };
+  }
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+/**
+ * Watch proxies for upgrades and admin changes
+ * @param {Object[]} entries - Proxies ({ chain, address }, e.g. from readBatchFile)
+ * @param {Object} options - Watch options
+ * @param {string} options.mode - 'poll' or 'logs' (default: poll)
+ * @param {number} options.intervalMs - Time between checks (default: 60s)
+ * @param {number} options.cycles - Checks to run before returning (default: until the process stops)
+ * @param {number} options.concurrency - Proxies checked at once (default: 3)
+ * @param {string} options.statePath - Last known state of every proxy (optional)
+ * @param {string} options.alertsDir - Alert file directory (default: <output>/alerts)
+ * @param {string} options.webhookUrl - URL every alert is POSTed to (optional)
+ * @param {Function} options.readProxy - Async (entry, previous, context) returning the proxy state
+ *   (default: per mode)
+ * @param {Function} options.fetchSource - Async (chain, address) returning source data (default: fetchContractSource)
+ * @param {Function} options.isNetworkFailure - (error) whether a failed read means the network could not
+ *   answer (default: only inconclusive proxy detection)
+ * @returns {Promise<Object>} { cycles, alerts, alertCount, failed: proxies whose last check failed,
+ *   networkFailures: those among them the network could not answer, state }
+ *   alerts holds every alert raised when cycles is finite, and only the last check's otherwise
+ */
+export async function runWatch(entries, options = {}) {
+  const {
+    mode = WATCH_MODES.POLL,
+    intervalMs = 60000,
+    cycles = Infinity,
+    concurrency = 3,
+    statePath = null,
+    alertsDir = DEFAULT_ALERTS_DIR,
+    webhookUrl = null,
+    readProxy = null,
+    fetchSource = fetchContractSource,
+    isNetworkFailure = () => false
+  } = options;
+
+  if (!Object.values(WATCH_MODES).includes(mode)) {
+    throw new Error(`Unknown watch mode: ${mode} (expected ${Object.values(WATCH_MODES).join(' or ')})`);
+  }
+  if (!(Number.isFinite(intervalMs) && intervalMs > 0)) {
+    throw new Error(`Invalid watch interval: ${intervalMs}`);
+  }
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error(`Invalid concurrency: ${concurrency}`);
+  }
+
+  const context = {
+    readProxy: readProxy || (mode === WATCH_MODES.LOGS ? scanProxyLogs : (entry, previous, ctx) => pollProxy(entry, ctx)),
+    fetchSource,
+    alertsDir,
+    webhookUrl,
+    isNetworkFailure,
+    proxySources: new Map()
+  };
+  const state = loadWatchState(statePath);
+  // An unbounded watch would grow without end; the alert files keep every alert anyway
+  const keepAllAlerts = Number.isFinite(cycles);
+  let alerts = [];
+  let alertCount = 0;
+  let failed = 0;
+  let networkFailures = 0;
+  let cycle = 0;
+
+  logger.info(`👁️  Watching ${entries.length} proxy(ies) (${mode}, every ${intervalMs / 1000}s)`);
+  logger.event('watch-start', { total: entries.length, mode, intervalMs });
+
+  while (cycle < cycles) {
+    if (cycle > 0) {
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+    cycle++;
+    const cycleAlerts = [];
+    failed = 0;
+    networkFailures = 0;
+
+    await runPool(entries, concurrency, async (entry) => {
+      const result = await checkEntry(entry, state, context);
+      cycleAlerts.push(...result.alerts);
+      if (result.error) failed++;
+      if (result.networkFailure) networkFailures++;
+      if (statePath) {
+        writeJsonAtomic(statePath, state);
+      }
+    });
+
+    alerts = keepAllAlerts ? alerts.concat(cycleAlerts) : cycleAlerts;
+    alertCount += cycleAlerts.length;
+    logger.info(`🔄 Check ${cycle}: ${entries.length - failed} proxy(ies) read, ${cycleAlerts.length} alert(s), ${failed} failed`);
+    logger.event('watch-cycle', { cycle, checked: entries.length - failed, alerts: cycleAlerts.length, failed });
+  }
+
+  return { cycles: cycle, alerts, alertCount, failed, networkFailures, state };
+}
+
+export default {
+  WATCH_MODES,
+  ALERT_TYPES,
+  normalizeWatchLog,
+  runWatch
+};
@@ -0,0 +1,82 @@
+/**
+ * Test Helpers
+ *
+ * The named checks, result summary and exit handling every test script shares, and the
+ * verified source data fixture the audit output tests build on.
+ */
+
+/**
+ * Run one named check and print its outcome
+ * @param {string} name - What the check verifies
+ * @param {Function} fn - Sync or async function returning true when the check passes
+ * @returns {Promise<boolean>} True if it passed (a thrown error is a failure)
+ */
+export async function check(name, fn) {
+  try {
+    const ok = await fn();
+    console.log(`  ${ok ? '✓ PASSED' : '✗ FAILED'}: ${name}`);
+    return ok;
+  } catch (error) {
+    console.log(`  ✗ FAILED: ${name} (${error.message})`);
+    return false;
+  }
+}
+
+/**
+ * Print the summary banner and exit with the result
+ * @param {string} title - Name of the suite (e.g. 'Cache' prints "Cache Tests Passed")
+ * @param {boolean} success - Whether every check passed
+ */
+export function finish(title, success) {
+  console.log('\n========================================');
+  console.log(`${title} Tests ${success ? 'Passed' : 'Failed'}`);
+  console.log('========================================\n');
+  process.exit(success ? 0 : 1);
+}
+
+/**
+ * Run a test script's main function, exiting with 1 if it throws
+ * @param {Function} main - Async main function
+ */
+export function runMain(main) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+/**
+ * Verified standard-JSON source data as sourceFetcher returns it
+ * @param {string|null} chain - Chain name
+ * @param {string} address - Contract address
+ * @param {string} contractName - Contract name
+ * @param {Object} files - Map of paths to content
+ * @returns {Object} Source data
+ */
+export function sourceData(chain, address, contractName, files) {
+  return {
+    chainName: chain,
+    contractAddress: address,
+    contractName,
+    contractFileName: null,
+    isVerified: true,
+    compilerVersion: 'v0.8.20+commit.a1b79de6',
+    optimizationUsed: true,
+    runs: 10000,
+    evmVersion: 'shanghai',
+    licenseType: 'MIT',
+    sourceProvider: 'etherscan',
+    abi: '[]',
+    sourceCode: '{' + JSON.stringify({
+      language: 'Solidity',
+      sources: Object.fromEntries(Object.entries(files).map(([file, content]) => [file, { content }]))
+    }) + '}'
+  };
+}
+
+export default {
+  check,
+  finish,
+  runMain,
+  sourceData
+};
@@ -0,0 +1,243 @@
+/**
+ * Mock Network for Tests
+ *
+ * Local block explorer and JSON-RPC servers that replay a recorded fixture file
+ * (see src/modules/fixtureRecorder.js), so the network tests run offline and deterministically.
+ * The checked-in fixtures/network.json is synthetic (see TEST_CONTRACTS).
+ *
+ * startMockNetwork() points the explorer base URLs and a copy of each chain at the mocks.
+ * Requests without a recorded response are answered with an error and listed in `missing`.
+ * With RECORD_FIXTURES set nothing is mocked: tests run against the live chains and every
+ * response is recorded (npm run fixtures:record).
+ *
+ * startServer() and startRpcServer() are the local HTTP and JSON-RPC servers every test builds
+ * its mocks on.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getChainConfig, reloadChainRegistry } from '../modules/chainConfig.js';
+import { configureCache } from '../modules/cache.js';
+import { isRecording, readFixtures, rpcFixtureKey } from '../modules/fixtureRecorder.js';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Fixtures of the network tests (test-proxy-detection, test-fetch-source, test-parse-source, test-all)
+export const NETWORK_FIXTURES = path.join(__dirname, 'fixtures', 'network.json');
+
+// Test contracts shared by the network tests, with what the fixtures say about them. The
+// checked-in fixtures are synthetic: these addresses hold no real contracts, and their sources
+// and bytecode were made up for the tests. Point them at live contracts (and update the
+// expectations) before re-recording.
+export const TEST_CONTRACTS = {
+  proxy: {
+    chain: 'bsc',
+    address: '0x1000000000000000000000000000000000000001',
+    description: 'Synthetic BSC Proxy Contract',
+    contractName: 'TokenProxy',
+    implementation: '0x1000000000000000000000000000000000000002',
+    implementationName: 'TokenV2'
+  },
+  normal: {
+    chain: 'ethereum',
+    address: '0x1000000000000000000000000000000000000003',
+    description: 'Synthetic Ethereum Normal Contract',
+    contractName: 'StakingRewards'
+  },
+  unverified: {
+    chain: 'bsc',
+    address: '0x1000000000000000000000000000000000000004',
+    description: 'Synthetic BSC Unverified Contract'
+  }
+};
+
+// Address without code on BSC
+export const EMPTY_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+const EXPLORER_ENV = ['ETHERSCAN_API_URL', 'SOURCIFY_API_URL', 'ROUTESCAN_API_URL'];
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {Function} handler - (request, body) => { status, headers, body }; an object body is sent as JSON,
+ *   a string or Buffer as is, and no body sends an empty response
+ * @returns {Promise<Object>} { server, url, close }
+ */
+export function startServer(handler) {
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      const reply = handler(request, body);
+      const raw = reply.body === undefined || typeof reply.body === 'string' || Buffer.isBuffer(reply.body);
+      response.writeHead(reply.status || 200, {
+        ...(raw ? {} : { 'Content-Type': 'application/json' }),
+        ...reply.headers
+      });
+      response.end(raw ? reply.body : JSON.stringify(reply.body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Start a JSON-RPC node on a free local port
+ * Batched requests are answered call by call
+ * @param {Function} handler - (payload, request) => the result or error fields of the response,
+ *   or { status, body } for a raw HTTP reply (e.g. an unavailable node)
+ * @returns {Promise<Object>} { server, url, requests, close } - requests lists the methods called
+ */
+export async function startRpcServer(handler) {
+  const requests = [];
+  const server = await startServer((request, body) => {
+    const payload = JSON.parse(body);
+    const calls = Array.isArray(payload) ? payload : [payload];
+    const replies = calls.map(call => {
+      requests.push(call.method);
+      return handler(call, request);
+    });
+
+    const raw = replies.find(reply => reply.status !== undefined);
+    if (raw) {
+      return raw;
+    }
+    const answers = replies.map((reply, index) => ({ jsonrpc: '2.0', id: calls[index].id, ...reply }));
+    return { status: 200, body: Array.isArray(payload) ? answers : answers[0] };
+  });
+
+  return { ...server, requests };
+}
+
+/**
+ * Start a block explorer that serves recorded explorer responses
+ * Explorer base URLs map to /etherscan, /sourcify, /routescan and /blockscout/<chainId>
+ * @param {Object} fixtures - Recorded fixtures ({ explorer })
+ * @param {string[]} missing - Receives requests without a recorded response
+ * @returns {Promise<Object>} { server, url, close }
+ */
+export function startMockExplorer(fixtures, missing = []) {
+  return startServer((request) => {
+    const key = request.url.replace(/([?&])apikey=[^&]*&?/i, '$1').slice(1);
+    if (!(key in fixtures.explorer)) {
+      missing.push(`explorer ${key}`);
+      return { status: 500, body: { error: `No recorded response for ${key}` } };
+    }
+    const body = fixtures.explorer[key];
+    return body === null ? { status: 404, body: { error: 'Not found' } } : { status: 200, body };
+  });
+}
+
+/**
+ * Start a JSON-RPC node that serves recorded responses, one endpoint per chain at /<chainId>
+ * @param {Object} fixtures - Recorded fixtures ({ rpc })
+ * @param {string[]} missing - Receives requests without a recorded response
+ * @returns {Promise<Object>} { server, url, requests, close }
+ */
+export function startMockRpc(fixtures, missing = []) {
+  return startRpcServer(({ method, params }, request) => {
+    const chainId = request.url.slice(1);
+    const key = rpcFixtureKey(method, params);
+    const recorded = (fixtures.rpc[chainId] || {})[key];
+    if (!recorded) {
+      missing.push(`rpc ${chainId} ${key}`);
+      return { error: { code: -32000, message: `No recorded response for ${key}` } };
+    }
+    return recorded;
+  });
+}
+
+/**
+ * Replay a fixture file: start the mocks and point the explorers and chains at them
+ * Each chain is replaced by a copy under a unique name, so its output directory can be removed
+ * @param {string} fixturePath - Fixture file
+ * @param {string[]} chainNames - Chains the test uses
+ * @returns {Promise<Object>} { chains: name -> chain to use, missing, close }
+ */
+export async function startMockNetwork(fixturePath, chainNames) {
+  configureCache({ enabled: false });
+
+  if (isRecording()) {
+    return {
+      chains: Object.fromEntries(chainNames.map(name => [name, name])),
+      missing: [],
+      close: async () => {}
+    };
+  }
+
+  const fixtures = readFixtures(fixturePath);
+  const missing = [];
+  const explorer = await startMockExplorer(fixtures, missing);
+  const rpc = await startMockRpc(fixtures, missing);
+
+  const previousEnv = Object.fromEntries(EXPLORER_ENV.map(name => [name, process.env[name]]));
+  process.env.ETHERSCAN_API_URL = `${explorer.url}/etherscan`;
+  process.env.SOURCIFY_API_URL = `${explorer.url}/sourcify`;
+  process.env.ROUTESCAN_API_URL = `${explorer.url}/routescan`;
+
+  const suffix = Date.now();
+  const chains = {};
+  const overrides = {};
+  for (const name of chainNames) {
+    const { key, chainId, blockscoutUrl, ...chain } = getChainConfig(name);
+    chains[name] = `test-fixtures-${key}-${suffix}`;
+    overrides[key] = null;
+    overrides[chains[name]] = {
+      ...chain,
+      chainId,
+      aliases: [],
+      rpcUrls: [`${rpc.url}/${chainId}`],
+      ...(blockscoutUrl ? { blockscoutUrl: `${explorer.url}/blockscout/${chainId}` } : {})
+    };
+  }
+  const overridePath = path.join(os.tmpdir(), `chains-fixtures-${suffix}.json`);
+  fs.writeFileSync(overridePath, JSON.stringify({ chains: overrides }));
+  reloadChainRegistry({ overridePath, env: {} });
+
+  return {
+    chains,
+    missing,
+    close: async () => {
+      await explorer.close();
+      await rpc.close();
+      for (const [name, value] of Object.entries(previousEnv)) {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      }
+      for (const chain of Object.values(chains)) {
+        fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+      }
+      fs.rmSync(overridePath, { force: true });
+      reloadChainRegistry();
+    }
+  };
+}
+
+export default {
+  NETWORK_FIXTURES,
+  TEST_CONTRACTS,
+  EMPTY_ADDRESS,
+  startServer,
+  startRpcServer,
+  startMockExplorer,
+  startMockRpc,
+  startMockNetwork
+};
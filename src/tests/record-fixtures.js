@@ -0,0 +1,58 @@
+/**
+ * Record Network Fixtures
+ *
+ * Usage: npm run fixtures:record
+ *
+ * Runs the network tests against the live explorers and RPC endpoints with RECORD_FIXTURES
+ * set, rewriting src/tests/fixtures/network.json from their responses. The checked-in
+ * fixtures are synthetic, so first point TEST_CONTRACTS (mockNetwork.js) at live contracts.
+ * Its expectations describe the recorded contracts: checks that fail while recording point
+ * at values to update there.
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { NETWORK_FIXTURES } from './mockNetwork.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Tests whose traffic is replayed from NETWORK_FIXTURES
+const NETWORK_TESTS = [
+  'test-proxy-detection.js',
+  'test-fetch-source.js',
+  'test-parse-source.js',
+  'test-all.js'
+];
+
+function main() {
+  console.log('========================================');
+  console.log('Record Network Fixtures');
+  console.log('========================================');
+  console.log(`\nFixture file: ${NETWORK_FIXTURES}`);
+
+  fs.rmSync(NETWORK_FIXTURES, { force: true });
+  const failed = [];
+  for (const test of NETWORK_TESTS) {
+    console.log(`\n▶ ${test}`);
+    const child = spawnSync(process.execPath, [path.join(__dirname, test)], {
+      stdio: 'inherit',
+      timeout: 600000,
+      env: { ...process.env, RECORD_FIXTURES: NETWORK_FIXTURES }
+    });
+    if (child.status !== 0) {
+      failed.push(test);
+    }
+  }
+
+  console.log('\n========================================');
+  console.log(failed.length === 0
+    ? 'Fixtures recorded'
+    : `Fixtures recorded; checks failed in ${failed.join(', ')} (update TEST_CONTRACTS in mockNetwork.js)`);
+  console.log('========================================\n');
+  process.exit(failed.length === 0 ? 0 : 1);
+}
+
+main();
@@ -1,210 +1,109 @@
 /**
  * Test: All Modules - Comprehensive Test Suite
- * 
+ *
  * Usage: npm run test:all
- * 
- * Tests the complete workflow with all three test contracts:
+ *
+ * Runs the complete fetch workflow for the three test contracts, replaying recorded
+ * explorer and JSON-RPC responses from local mock servers (no network access; see mockNetwork.js):
  * - Proxy contract (BSC)
  * - Normal contract (Ethereum)
  * - Unverified contract (BSC)
  */
 
-import { fetchContract } from '../index.js';
-import { detectProxy } from '../modules/proxyDetector.js';
-import { fetchContractSource } from '../modules/sourceFetcher.js';
-import { isContractVerified } from '../modules/sourceFetcher.js';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-// Output directory is outside the project
-const OUTPUT_DIR = path.join(__dirname, '..', '..', '..', 'evm-chain-contracts');
-
-// Test contracts provided by user
-const TEST_CONTRACTS = {
-  proxy: {
-    chain: 'bsc',
-    address: '0x25aB3Efd52e6470681CE037cD546Dc60726948D3',
-    description: 'BSC Proxy Contract',
-    expectedProxy: true
-  },
-  normal: {
-    chain: 'ethereum',
-    address: '0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14',
-    description: 'Ethereum Normal Contract',
-    expectedProxy: false
-  },
-  unverified: {
-    chain: 'bsc',
-    address: '0xC38e4e6A15593f908255214653d3D947CA1c2338',
-    description: 'BSC Unverified Contract',
-    expectedProxy: false
-  }
-};
+import { fetchContract, getExitCode, EXIT_CODES } from '../index.js';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+import { PROXY_STATUS } from '../modules/proxyDetector.js';
+import { LOG_LEVELS, configureLogger } from '../modules/logger.js';
+import { NETWORK_FIXTURES, TEST_CONTRACTS, startMockNetwork } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
 
-async function testProxyContract() {
-  console.log('\n========================================');
-  console.log('TEST 1: Proxy Contract (BSC)');
-  console.log('========================================');
-  
+/**
+ * List the files written for a contract, relative to its output directory
+ * @param {string} chain - Chain name
+ * @param {string} address - Contract address
+ * @returns {string[]} File paths
+ */
+function listOutput(chain, address) {
+  const outputDir = path.join(OUTPUT_DIR, chain, address);
+  if (!fs.existsSync(outputDir)) return [];
+  return fs.readdirSync(outputDir, { recursive: true })
+    .filter(file => fs.statSync(path.join(outputDir, file)).isFile());
+}
+
+async function testProxyContract(chains) {
+  console.log('\n--- Test 1: Proxy Contract (BSC) ---');
   const contract = TEST_CONTRACTS.proxy;
-  console.log(`\nContract: ${contract.address}`);
-  console.log(`Chain: ${contract.chain}`);
-  console.log(`Expected: Proxy contract with implementation\n`);
-  
-  try {
-    // Test proxy detection
-    console.log('1. Testing proxy detection...');
-    const proxyResult = await detectProxy(contract.chain, contract.address);
-    console.log(`   Is Proxy: ${proxyResult.isProxy}`);
-    if (proxyResult.implementationAddress) {
-      console.log(`   Implementation: ${proxyResult.implementationAddress}`);
-    }
-    
-    // Test full fetch workflow
-    console.log('\n2. Running full fetch workflow...');
-    const result = await fetchContract(contract.chain, contract.address);
-    
-    // Verify output
-    console.log('\n3. Verifying output...');
-    const outputDir = path.join(OUTPUT_DIR, contract.chain, contract.address);
-    if (fs.existsSync(outputDir)) {
-      const files = fs.readdirSync(outputDir, { recursive: true });
-      console.log(`   Output directory exists: ✓`);
-      console.log(`   Files created: ${files.length}`);
-    } else {
-      console.log(`   Output directory: ✗ Not created`);
-    }
-    
-    console.log('\n✓ Proxy contract test complete');
-    return result;
-  } catch (error) {
-    console.error(`\n✗ Error: ${error.message}`);
-    return null;
-  }
+  const chain = chains[contract.chain];
+  const results = [];
+
+  const result = await fetchContract(chain, contract.address);
+
+  results.push(await check('Proxy and implementation detected', () =>
+    result.proxyInfo.isProxy && result.proxyInfo.implementationAddress === contract.implementation &&
+    result.proxyInfo.detectionMethod === 'etherscan-api'));
+
+  results.push(await check('Proxy and implementation sources saved', () => {
+    const [proxy, implementation] = result.sourceResults;
+    return result.sourceResults.length === 2 &&
+      proxy.type === 'proxy' && proxy.verified && proxy.sourceData.contractName === contract.contractName &&
+      implementation.type === 'implementation' && implementation.verified &&
+      implementation.address === contract.implementation &&
+      implementation.sourceData.contractName === contract.implementationName;
+  }));
+
+  results.push(await check('Output tree holds both contracts and the report', () => {
+    const files = listOutput(chain, contract.address);
+    return files.includes(path.join('proxy', `${contract.contractName}.sol`)) &&
+      files.some(file => file.startsWith(`implementation${path.sep}`) && file.endsWith('.sol')) &&
+      files.includes('report.md') && getExitCode(result) === EXIT_CODES.SUCCESS;
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testNormalContract() {
-  console.log('\n========================================');
-  console.log('TEST 2: Normal Contract (Ethereum)');
-  console.log('========================================');
-  
+async function testNormalContract(chains) {
+  console.log('\n--- Test 2: Normal Contract (Ethereum) ---');
   const contract = TEST_CONTRACTS.normal;
-  console.log(`\nContract: ${contract.address}`);
-  console.log(`Chain: ${contract.chain}`);
-  console.log(`Expected: Regular verified contract\n`);
-  
-  try {
-    // Test proxy detection
-    console.log('1. Testing proxy detection...');
-    const proxyResult = await detectProxy(contract.chain, contract.address);
-    console.log(`   Is Proxy: ${proxyResult.isProxy}`);
-    
-    // Test verification status
-    console.log('\n2. Testing verification status...');
-    const verified = await isContractVerified(contract.chain, contract.address);
-    console.log(`   Verified: ${verified}`);
-    
-    // Test full fetch workflow
-    console.log('\n3. Running full fetch workflow...');
-    const result = await fetchContract(contract.chain, contract.address);
-    
-    // Verify output
-    console.log('\n4. Verifying output...');
-    const outputDir = path.join(OUTPUT_DIR, contract.chain, contract.address);
-    if (fs.existsSync(outputDir)) {
-      const files = fs.readdirSync(outputDir, { recursive: true });
-      console.log(`   Output directory exists: ✓`);
-      console.log(`   Files created: ${files.length}`);
-      
-      // Check for source files
-      const solFiles = files.filter(f => f.endsWith('.sol'));
-      console.log(`   Solidity files: ${solFiles.length}`);
-    } else {
-      console.log(`   Output directory: ✗ Not created`);
-    }
-    
-    console.log('\n✓ Normal contract test complete');
-    return result;
-  } catch (error) {
-    console.error(`\n✗ Error: ${error.message}`);
-    return null;
-  }
+  const chain = chains[contract.chain];
+  const results = [];
+
+  const result = await fetchContract(chain, contract.address);
+
+  results.push(await check('Regular verified contract', () =>
+    result.proxyInfo.status === PROXY_STATUS.NOT_PROXY &&
+    result.sourceResults.length === 1 && result.sourceResults[0].type === 'main' &&
+    result.sourceResults[0].verified && result.sourceResults[0].sourceProvider === 'etherscan'));
+
+  results.push(await check('Sources, manifest and report written', () => {
+    const files = listOutput(chain, contract.address);
+    return files.filter(file => file.endsWith('.sol')).length > 1 &&
+      files.includes('report.md') && result.sourceResults[0].auditManifest.mainContractPath.endsWith('.sol') &&
+      getExitCode(result) === EXIT_CODES.SUCCESS;
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testUnverifiedContract() {
-  console.log('\n========================================');
-  console.log('TEST 3: Unverified Contract (BSC)');
-  console.log('========================================');
-  
+async function testUnverifiedContract(chains) {
+  console.log('\n--- Test 3: Unverified Contract (BSC) ---');
   const contract = TEST_CONTRACTS.unverified;
-  console.log(`\nContract: ${contract.address}`);
-  console.log(`Chain: ${contract.chain}`);
-  console.log(`Expected: Unverified - should attempt decompilation\n`);
-  
-  try {
-    // Test verification status
-    console.log('1. Testing verification status...');
-    const verified = await isContractVerified(contract.chain, contract.address);
-    console.log(`   Verified: ${verified}`);
-    
-    if (verified) {
-      console.log('   Note: Contract appears to be verified now');
-    }
-    
-    // Test full fetch workflow (should trigger decompilation for unverified)
-    console.log('\n2. Running full fetch workflow...');
-    const result = await fetchContract(contract.chain, contract.address);
-    
-    // Verify output
-    console.log('\n3. Verifying output...');
-    const outputDir = path.join(OUTPUT_DIR, contract.chain, contract.address);
-    if (fs.existsSync(outputDir)) {
-      const files = fs.readdirSync(outputDir, { recursive: true });
-      console.log(`   Output directory exists: ✓`);
-      console.log(`   Files created: ${files.length}`);
-      
-      // Check for decompiled files
-      const decompiledDir = path.join(outputDir, 'decompiled');
-      if (fs.existsSync(decompiledDir)) {
-        const decompiledFiles = fs.readdirSync(decompiledDir);
-        console.log(`   Decompiled files: ${decompiledFiles.length}`);
-      }
-    } else {
-      console.log(`   Output directory: ✗ Not created`);
-    }
-    
-    console.log('\n✓ Unverified contract test complete');
-    return result;
-  } catch (error) {
-    console.error(`\n✗ Error: ${error.message}`);
-    return null;
-  }
-}
+  const chain = chains[contract.chain];
+  const results = [];
 
-async function printSummary(results) {
-  console.log('\n========================================');
-  console.log('TEST SUMMARY');
-  console.log('========================================\n');
-  
-  const tests = [
-    { name: 'Proxy Contract (BSC)', result: results[0] },
-    { name: 'Normal Contract (Ethereum)', result: results[1] },
-    { name: 'Unverified Contract (BSC)', result: results[2] }
-  ];
-  
-  for (const test of tests) {
-    const status = test.result ? '✓ PASS' : '✗ FAIL';
-    console.log(`  ${status} - ${test.name}`);
-  }
-  
-  const passed = results.filter(r => r !== null).length;
-  const total = results.length;
-  
-  console.log(`\n  Results: ${passed}/${total} tests passed`);
-  console.log('');
+  const result = await fetchContract(chain, contract.address);
+
+  results.push(await check('Unverified contract is decompiled', () => {
+    const [main] = result.sourceResults;
+    return result.proxyInfo.status === PROXY_STATUS.NOT_PROXY && result.sourceResults.length === 1 &&
+      !main.verified && main.decompiled && main.success && fs.existsSync(main.outputPath);
+  }));
+
+  results.push(await check('Exit code reports the contract as unverified', () =>
+    getExitCode(result) === EXIT_CODES.UNVERIFIED));
+
+  return results.every(Boolean);
 }
 
 async function main() {
@@ -212,21 +111,25 @@ async function main() {
   console.log('COMPREHENSIVE TEST SUITE');
   console.log('Fetch Solidity Contract');
   console.log('========================================');
-  console.log(`\nOutput directory: ${OUTPUT_DIR}`);
-  console.log(`Test contracts: ${Object.keys(TEST_CONTRACTS).length}`);
-  
-  const results = [];
-  
-  // Run all tests
-  results.push(await testProxyContract());
-  results.push(await testNormalContract());
-  results.push(await testUnverifiedContract());
-  
-  // Print summary
-  await printSummary(results);
+  console.log(`\nTest contracts: ${Object.keys(TEST_CONTRACTS).length}`);
+
+  configureLogger({ level: LOG_LEVELS.QUIET });
+  const network = await startMockNetwork(NETWORK_FIXTURES, ['bsc', 'ethereum']);
+  let success = false;
+  try {
+    const proxy = await testProxyContract(network.chains);
+    const normal = await testNormalContract(network.chains);
+    const unverified = await testUnverifiedContract(network.chains);
+    const replayed = await check('Every request was answered from the fixtures', () => {
+      network.missing.forEach(request => console.log(`    missing: ${request}`));
+      return network.missing.length === 0;
+    });
+    success = proxy && normal && unverified && replayed;
+  } finally {
+    await network.close();
+  }
+
+  finish('All', success);
 }
 
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+runMain(main);
@@ -0,0 +1,291 @@
+/**
+ * Test: API Server
+ *
+ * Usage: npm run test:server
+ *
+ * Tests the local HTTP API: fetch jobs and status polling, reuse of recent and running
+ * jobs, the in-process cache behind /source and /proxy, /parse, output tree listings and
+ * downloads, and error responses (no network access: fetches and lookups are stubbed)
+ */
+
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+import { JOB_STATUS, startApiServer } from '../modules/apiServer.js';
+import { LOG_LEVELS, configureLogger } from '../modules/logger.js';
+import { check, finish, runMain } from './helpers.js';
+
+const ADDRESS = '0x00000000000000000000000000000000000000e1';
+const OTHER_ADDRESS = '0x00000000000000000000000000000000000000e2';
+
+/**
+ * Send a request to the server
+ * @param {string} baseUrl - Server URL
+ * @param {string} method - HTTP method
+ * @param {string} route - Path and query
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} { status, headers, body, text }
+ */
+async function request(baseUrl, method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Not JSON (file downloads)
+  }
+  return { status: response.status, headers: response.headers, body: parsed, text };
+}
+
+/**
+ * Poll a job until it finishes
+ * @param {string} baseUrl - Server URL
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Finished job
+ */
+async function waitForJob(baseUrl, id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request(baseUrl, 'GET', `/jobs/${id}`);
+    if (body.status === JOB_STATUS.SUCCEEDED || body.status === JOB_STATUS.FAILED) return body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+async function testJobs(baseUrl, calls) {
+  console.log('\n--- Test: fetch jobs ---');
+  const results = [];
+
+  results.push(await check('Health and chain list', async () => {
+    const health = await request(baseUrl, 'GET', '/health');
+    const chains = await request(baseUrl, 'GET', '/chains');
+    return health.status === 200 && health.body.status === 'ok' &&
+      chains.body.chains.some(chain => chain.key === 'ethereum' && chain.chainId === 1);
+  }));
+
+  results.push(await check('Invalid fetch requests are answered with 400', async () => {
+    const chain = await request(baseUrl, 'POST', '/fetch', { chain: 'nochain', address: ADDRESS });
+    const address = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: '0x1234' });
+    const option = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS, options: { crawl: 'yes' } });
+    const unknown = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS, options: { outputDir: '/tmp' } });
+    return chain.status === 400 && chain.body.error.includes('Unsupported chain') &&
+      address.status === 400 && option.status === 400 && option.body.error.includes('crawl') &&
+      unknown.status === 400 && unknown.body.error.includes('Unknown fetch option') && calls.fetch === 0;
+  }));
+
+  results.push(await check('Null bodies and null options are answered with 400', async () => {
+    const nullBody = await fetch(`${baseUrl}/fetch`, { method: 'POST', body: 'null' });
+    const arrayBody = await fetch(`${baseUrl}/parse`, { method: 'POST', body: '[]' });
+    const nullOptions = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS, options: null });
+    return nullBody.status === 400 && (await nullBody.json()).error.includes('JSON object') &&
+      arrayBody.status === 400 && nullOptions.status === 400 && nullOptions.body.error.includes('options') &&
+      calls.fetch === 0;
+  }));
+
+  results.push(await check('Option values follow the CLI rules', async () => {
+    const invalid = [
+      { exportFramework: 'truffle' },
+      { crawlDepth: -1 },
+      { crawlDepth: 1.5 },
+      { blockTag: -5 },
+      { blockTag: 12.5 }
+    ];
+    const responses = [];
+    for (const options of invalid) {
+      responses.push(await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS, options }));
+    }
+    return responses.every(response => response.status === 400) &&
+      responses[0].body.error.includes('foundry or hardhat') &&
+      responses[1].body.error.includes('crawlDepth must be a non-negative integer') &&
+      responses[3].body.error.includes('blockTag must be a non-negative integer') &&
+      calls.fetch === 0;
+  }));
+
+  let firstJob = null;
+  results.push(await check('A fetch is queued and polled until it succeeds', async () => {
+    const response = await request(baseUrl, 'POST', '/fetch', { chain: 'eth', address: ADDRESS, options: { crawl: true } });
+    firstJob = await waitForJob(baseUrl, response.body.id);
+    return response.status === 202 && response.headers.get('location') === `/jobs/${response.body.id}` &&
+      response.body.reused === false && firstJob.status === JOB_STATUS.SUCCEEDED &&
+      firstJob.chain === 'ethereum' && firstJob.result.options.crawl === true && calls.fetch === 1;
+  }));
+
+  results.push(await check('Repeating a recent fetch returns the finished job', async () => {
+    const response = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS.toUpperCase().replace('0X', '0x'), options: { crawl: true } });
+    return response.status === 200 && response.body.reused === true && response.body.id === firstJob.id &&
+      response.body.result.status === 'succeeded' && calls.fetch === 1;
+  }));
+
+  results.push(await check('Identical requests share a running job', async () => {
+    const [first, second] = await Promise.all([
+      request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: OTHER_ADDRESS }),
+      request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: OTHER_ADDRESS })
+    ]);
+    await waitForJob(baseUrl, first.body.id);
+    return first.body.id === second.body.id && [first.body.reused, second.body.reused].includes(true) && calls.fetch === 2;
+  }));
+
+  results.push(await check('Failed fetches are reported on the job and retried', async () => {
+    const response = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS, options: { verify: true } });
+    const job = await waitForJob(baseUrl, response.body.id);
+    const retry = await request(baseUrl, 'POST', '/fetch', { chain: 'ethereum', address: ADDRESS, options: { verify: true } });
+    await waitForJob(baseUrl, retry.body.id);
+    return job.status === JOB_STATUS.FAILED && job.error === 'explorer down' && job.result === null &&
+      retry.status === 202 && retry.body.id !== job.id;
+  }));
+
+  results.push(await check('Job list and unknown jobs', async () => {
+    const list = await request(baseUrl, 'GET', '/jobs');
+    const missing = await request(baseUrl, 'GET', '/jobs/does-not-exist');
+    return list.body.jobs.length === 4 && list.body.jobs.every(job => !('result' in job)) && missing.status === 404;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testLookups(baseUrl, calls) {
+  console.log('\n--- Test: source, proxy and parse ---');
+  const results = [];
+
+  results.push(await check('Source lookups are cached in process', async () => {
+    const first = await request(baseUrl, 'GET', `/source/ethereum/${ADDRESS}`);
+    const second = await request(baseUrl, 'GET', `/source/ethereum/${ADDRESS}`);
+    return first.headers.get('x-cache') === 'miss' && second.headers.get('x-cache') === 'hit' &&
+      second.body.contractName === 'Vault' && calls.source === 1;
+  }));
+
+  results.push(await check('Proxy detection reuses the cached source', async () => {
+    const first = await request(baseUrl, 'GET', `/proxy/ethereum/${ADDRESS}`);
+    const second = await request(baseUrl, 'GET', `/proxy/ethereum/${ADDRESS}`);
+    const historical = await request(baseUrl, 'GET', `/proxy/ethereum/${ADDRESS}?block=100`);
+    return first.headers.get('x-cache') === 'miss' && second.headers.get('x-cache') === 'hit' &&
+      first.body.sourceContract === 'Vault' && historical.body.blockTag === 100 &&
+      calls.proxy === 2 && calls.source === 1;
+  }));
+
+  results.push(await check('Invalid block numbers are rejected', async () => {
+    const response = await request(baseUrl, 'GET', `/proxy/ethereum/${ADDRESS}?block=latest`);
+    return response.status === 400 && response.body.error.includes('Invalid block');
+  }));
+
+  results.push(await check('Source code is parsed', async () => {
+    const parsed = await request(baseUrl, 'POST', '/parse', { sourceCode: 'contract A {}' });
+    const missing = await request(baseUrl, 'POST', '/parse', {});
+    const invalid = await fetch(`${baseUrl}/parse`, { method: 'POST', body: '{not json' });
+    return parsed.status === 200 && parsed.body.files['contract.sol'] === 'contract A {}' &&
+      missing.status === 400 && invalid.status === 400;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testFiles(baseUrl) {
+  console.log('\n--- Test: output tree ---');
+  const results = [];
+  const chain = `test-server-${Date.now()}`;
+  const contractDir = path.join(OUTPUT_DIR, chain, ADDRESS);
+  fs.mkdirSync(path.join(contractDir, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(contractDir, 'src', 'Vault.sol'), 'contract Vault {}\n');
+  fs.writeFileSync(path.join(contractDir, 'report.md'), '# Audit Report: Vault\n');
+
+  try {
+    results.push(await check('Directories are listed', async () => {
+      const response = await request(baseUrl, 'GET', `/files/${chain}/${ADDRESS}`);
+      return response.status === 200 && response.body.path === `${chain}/${ADDRESS}` &&
+        JSON.stringify(response.body.entries) === JSON.stringify([
+          { name: 'report.md', type: 'file', size: 22 },
+          { name: 'src', type: 'directory' }
+        ]);
+    }));
+
+    results.push(await check('Files are served and downloadable', async () => {
+      const file = await request(baseUrl, 'GET', `/files/${chain}/${ADDRESS}/report.md`);
+      const download = await request(baseUrl, 'GET', `/files/${chain}/${ADDRESS}/src/Vault.sol?download=1`);
+      return file.text === '# Audit Report: Vault\n' && file.headers.get('content-type').startsWith('text/markdown') &&
+        !file.headers.get('content-disposition') &&
+        download.text === 'contract Vault {}\n' && download.headers.get('content-disposition') === 'attachment; filename="Vault.sol"';
+    }));
+
+    results.push(await check('Paths outside the output directory are refused', async () => {
+      const traversal = await request(baseUrl, 'GET', '/files/..%2f..%2fetc%2fpasswd');
+      const missing = await request(baseUrl, 'GET', `/files/${chain}/missing.sol`);
+      return traversal.status === 403 && missing.status === 404;
+    }));
+
+    results.push(await check('Unreadable files and malformed escapes are answered, not fatal', async () => {
+      // A Unix socket passes the existence check but cannot be opened for reading
+      const socket = net.createServer();
+      await new Promise(resolve => socket.listen(path.join(contractDir, 'node.sock'), resolve));
+      try {
+        const unreadable = await request(baseUrl, 'GET', `/files/${chain}/${ADDRESS}/node.sock`);
+        const malformedFile = await request(baseUrl, 'GET', '/files/100%');
+        const malformedChain = await request(baseUrl, 'GET', `/source/eth%zz/${ADDRESS}`);
+        const health = await request(baseUrl, 'GET', '/health');
+        return unreadable.status === 500 && malformedFile.status === 400 && malformedChain.status === 400 &&
+          health.status === 200;
+      } finally {
+        await new Promise(resolve => socket.close(resolve));
+      }
+    }));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+  }
+
+  results.push(await check('Unknown routes and methods', async () => {
+    const route = await request(baseUrl, 'GET', '/nothing');
+    const method = await request(baseUrl, 'DELETE', '/fetch');
+    const files = await request(baseUrl, 'POST', '/files/');
+    return route.status === 404 && method.status === 405 && files.status === 405;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: API Server');
+  console.log('========================================');
+
+  configureLogger({ level: LOG_LEVELS.QUIET });
+  const calls = { fetch: 0, source: 0, proxy: 0 };
+  const api = await startApiServer({
+    port: 0,
+    concurrency: 1,
+    fetchContract: async (chain, address, options) => {
+      calls.fetch++;
+      await new Promise(resolve => setTimeout(resolve, 30));
+      if (options.verify && calls.fetch === 3) throw new Error('explorer down');
+      return { status: 'succeeded', chain, address, options };
+    },
+    handlers: {
+      fetchContractSource: async (chain, address) => {
+        calls.source++;
+        return { chainName: chain, contractAddress: address, contractName: 'Vault', sourceCode: 'contract Vault {}' };
+      },
+      detectProxy: async (chain, address, sourceData, options) => {
+        calls.proxy++;
+        return { status: 'not-proxy', isProxy: false, sourceContract: sourceData?.contractName, blockTag: options.blockTag };
+      }
+    }
+  });
+
+  let success = false;
+  try {
+    const jobs = await testJobs(api.url, calls);
+    const lookups = await testLookups(api.url, calls);
+    const files = await testFiles(api.url);
+    success = jobs && lookups && files;
+  } finally {
+    await api.close();
+  }
+
+  finish('API Server', success);
+}
+
+runMain(main);
@@ -0,0 +1,149 @@
+/**
+ * Test: Audit Manifest
+ *
+ * Usage: npm run test:manifest
+ *
+ * Tests the full audit manifest: schema version and required fields, per-file
+ * categories, line counts, SLOC and hashes, and proxy / implementation links (no network access)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  OUTPUT_DIR,
+  AUDIT_MANIFEST_SCHEMA_VERSION,
+  getFileStats,
+  generateAuditMetadata,
+  processAndSaveSource,
+  linkAuditManifests
+} from '../modules/sourceParser.js';
+import { check, finish, runMain, sourceData } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'audit-manifest.schema.json'), 'utf8'));
+
+const PROXY = '0x00000000000000000000000000000000000000b1';
+const IMPLEMENTATION = '0x00000000000000000000000000000000000000b2';
+
+const VAULT = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./interfaces/IVault.sol";
+import "../contracts/lib/Math.sol";
+
+/**
+ * @title Vault
+ */
+contract Vault is IVault {
+    uint256 public total; // running total
+
+    function deposit(uint256 amount) external {
+        total = Math.add(total, amount);
+    }
+}
+`;
+
+const SOURCES = {
+  'src/Vault.sol': VAULT,
+  'src/interfaces/IVault.sol': 'pragma solidity ^0.8.20;\n\ninterface IVault {\n    function deposit(uint256 amount) external;\n}\n',
+  'contracts/lib/Math.sol': 'pragma solidity ^0.8.20;\nlibrary Math { function add(uint256 a, uint256 b) internal pure returns (uint256) { return a + b; } }\n',
+  'test/Vault.t.sol': 'pragma solidity ^0.8.20;\ncontract VaultTest {}\n'
+};
+
+async function testMetadata() {
+  console.log('\n--- Test: metadata ---');
+  const results = [];
+
+  results.push(await check('Lines, SLOC and hashes are counted per file', () => {
+    const stats = getFileStats('src/Vault.sol', VAULT);
+    return stats.lines === 16 && stats.sloc === 9 &&
+      stats.sha256 === crypto.createHash('sha256').update(VAULT).digest('hex') &&
+      getFileStats('settings.json', '{\n\n  "a": 1\n}').sloc === 3 && getFileStats('empty.sol', '').lines === 0;
+  }));
+
+  results.push(await check('Every file gets a category, priority and size', () => {
+    const metadata = generateAuditMetadata(SOURCES, 'Vault');
+    const { files } = metadata;
+    return metadata.mainContractPath === 'src/Vault.sol' &&
+      files['src/Vault.sol'].category === 'main' && files['src/Vault.sol'].priority === 'high' &&
+      files['contracts/lib/Math.sol'].category === 'red-flag' && files['contracts/lib/Math.sol'].priority === 'critical' &&
+      files['src/interfaces/IVault.sol'].category === 'interface' && files['src/interfaces/IVault.sol'].priority === 'low' &&
+      files['test/Vault.t.sol'].category === 'excluded' && files['test/Vault.t.sol'].reason === 'dev-tooling' &&
+      metadata.totalSloc === Object.values(files).reduce((sum, file) => sum + file.sloc, 0) &&
+      metadata.auditSloc === metadata.totalSloc - files['test/Vault.t.sol'].sloc;
+  }));
+
+  results.push(await check('Decisions already taken are reused', () => {
+    const metadata = generateAuditMetadata(SOURCES, 'Vault', null, {
+      mainContract: 'src/Vault.sol',
+      exclusions: { 'contracts/lib/Math.sol': { shouldExclude: true, reason: 'known-vendor-release' } }
+    });
+    return metadata.files['contracts/lib/Math.sol'].reason === 'known-vendor-release' && !metadata.hasRedFlags;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testSavedManifests() {
+  console.log('\n--- Test: saved manifests ---');
+  const results = [];
+  const chain = `test-manifest-${Date.now()}`;
+  const baseDir = path.join(OUTPUT_DIR, chain, PROXY);
+  const readManifest = (...parts) => JSON.parse(fs.readFileSync(path.join(baseDir, ...parts, 'audit-manifest.json'), 'utf8'));
+
+  try {
+    const proxySource = sourceData(chain, PROXY, 'VaultProxy', { 'src/VaultProxy.sol': 'pragma solidity ^0.8.20;\ncontract VaultProxy {}\n' });
+    const implementationSource = sourceData(chain, IMPLEMENTATION, 'Vault', SOURCES);
+    processAndSaveSource(proxySource, 'proxy', PROXY);
+    processAndSaveSource(implementationSource, 'implementation', PROXY);
+    const links = linkAuditManifests(chain, PROXY, { type: 'proxy', address: PROXY }, [{ type: 'implementation', address: IMPLEMENTATION }]);
+
+    const proxy = readManifest('proxy');
+    const implementation = readManifest('implementation');
+
+    results.push(await check('Manifests carry the schema version and every required field', () =>
+      [proxy, implementation].every(manifest =>
+        manifest.schemaVersion === AUDIT_MANIFEST_SCHEMA_VERSION &&
+        SCHEMA.properties.schemaVersion.const === AUDIT_MANIFEST_SCHEMA_VERSION &&
+        SCHEMA.required.every(field => field in manifest) &&
+        Object.values(manifest.files).every(file => SCHEMA.properties.files.additionalProperties.required.every(field => field in file)))));
+
+    results.push(await check('The manifest names the contract itself, not the folder address', () =>
+      implementation.contractAddress === IMPLEMENTATION && implementation.contractName === 'Vault' &&
+      implementation.compilerVersion === 'v0.8.20+commit.a1b79de6' && implementation.chain === chain &&
+      implementation.excludedReasons['test/Vault.t.sol'] === 'dev-tooling' &&
+      implementation.redFlags[0].file === 'contracts/lib/Math.sol'));
+
+    results.push(await check('Proxy and implementation manifests link to each other', () =>
+      links.implementation.manifest === '../implementation/audit-manifest.json' &&
+      proxy.links.implementation.address === IMPLEMENTATION &&
+      implementation.links.proxy.manifest === '../proxy/audit-manifest.json' &&
+      implementation.links.proxy.address === PROXY));
+
+    results.push(await check('Contracts without a manifest are linked with a null path', () => {
+      const facetLinks = linkAuditManifests(chain, PROXY, { type: 'proxy', address: PROXY }, [{ type: `facets/${IMPLEMENTATION}`, address: IMPLEMENTATION }]);
+      return facetLinks.facets[0].manifest === null && readManifest('proxy').links.facets.length === 1;
+    }));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Audit Manifest');
+  console.log('========================================');
+
+  const metadata = await testMetadata();
+  const saved = await testSavedManifests();
+  const success = metadata && saved;
+
+  finish('Audit Manifest', success);
+}
+
+runMain(main);
@@ -0,0 +1,137 @@
+/**
+ * Test: Audit Report
+ *
+ * Usage: npm run test:report
+ *
+ * Tests report.md and report.html built from saved sources and a proxy detection
+ * result: proxy details, compiler info, files by priority, red flags, excluded
+ * files, SLOC totals and HTML escaping (no network access)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OUTPUT_DIR, processAndSaveSource } from '../modules/sourceParser.js';
+import { PROXY_STATUS } from '../modules/proxyDetector.js';
+import { REPORT_FILE_NAMES, buildAuditReport, renderHtmlReport, writeAuditReport } from '../modules/auditReport.js';
+import { check, finish, runMain, sourceData } from './helpers.js';
+
+const PROXY = '0x00000000000000000000000000000000000000c1';
+const IMPLEMENTATION = '0x00000000000000000000000000000000000000c2';
+
+const SOURCES = {
+  'src/Vault.sol': 'pragma solidity ^0.8.20;\nimport "./interfaces/IVault.sol";\nimport "../contracts/lib/Math.sol";\n\n// Vault\ncontract Vault is IVault {\n    uint256 public total;\n    function deposit(uint256 amount) external { total = Math.add(total, amount); }\n}\n',
+  'src/interfaces/IVault.sol': 'pragma solidity ^0.8.20;\ninterface IVault { function deposit(uint256 amount) external; }\n',
+  'contracts/lib/Math.sol': 'pragma solidity ^0.8.20;\nlibrary Math { function add(uint256 a, uint256 b) internal pure returns (uint256) { return a + b; } }\n',
+  'test/Vault.t.sol': 'pragma solidity ^0.8.20;\ncontract VaultTest {}\n'
+};
+
+async function testReport() {
+  console.log('\n--- Test: proxy report ---');
+  const results = [];
+  const chain = `test-report-${Date.now()}`;
+
+  try {
+    const items = [
+      { type: 'proxy', address: PROXY, sourceData: sourceData(chain, PROXY, 'VaultProxy', { 'src/VaultProxy.sol': 'pragma solidity ^0.8.20;\ncontract VaultProxy {}\n' }) },
+      { type: 'implementation', address: IMPLEMENTATION, sourceData: sourceData(chain, IMPLEMENTATION, 'Vault', SOURCES) }
+    ];
+    const result = {
+      chainName: chain,
+      contractAddress: PROXY,
+      chainConfig: { key: chain, name: 'Test Chain', chainId: 31337, explorerUrl: 'https://explorer.test' },
+      blockTag: 'latest',
+      proxyInfo: { status: PROXY_STATUS.PROXY, isProxy: true, proxyAddress: PROXY, implementationAddress: IMPLEMENTATION, detectionMethod: 'eip-1967' },
+      sourceResults: items.map(item => ({ ...item, verified: true, ...processAndSaveSource(item.sourceData, item.type, PROXY) }))
+    };
+
+    const { markdownPath, htmlPath, report } = writeAuditReport(result);
+    const markdown = fs.readFileSync(markdownPath, 'utf8');
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const implementation = report.contracts.find(contract => contract.type === 'implementation');
+
+    results.push(await check('Both reports are written into the output directory', () =>
+      markdownPath === path.join(OUTPUT_DIR, chain, PROXY, REPORT_FILE_NAMES.markdown) &&
+      htmlPath === path.join(OUTPUT_DIR, chain, PROXY, REPORT_FILE_NAMES.html) &&
+      markdown.startsWith('# Audit Report: Vault') && html.startsWith('<!DOCTYPE html>')));
+
+    results.push(await check('Chain, address and proxy detection are reported', () =>
+      markdown.includes('Test Chain (ID 31337)') &&
+      markdown.includes(`[\`${PROXY}\`](https://explorer.test/address/${PROXY})`) &&
+      markdown.includes('| Detection method | eip-1967 |') &&
+      markdown.includes(`| Implementation | \`${IMPLEMENTATION}\` |`)));
+
+    results.push(await check('Compiler info comes from the fetched source', () =>
+      markdown.includes('| Compiler | v0.8.20+commit.a1b79de6 |') &&
+      markdown.includes('| Optimizer | enabled, 10000 runs |') &&
+      markdown.includes('| Main contract | src/Vault.sol |')));
+
+    results.push(await check('Files are listed by priority with red flags and exclusions', () =>
+      implementation.files[0].file === 'contracts/lib/Math.sol' && implementation.files[0].priority === 'critical' &&
+      implementation.files.at(-1).priority === 'excluded' &&
+      markdown.includes('#### Critical (1 file(s)') &&
+      markdown.includes('- 🚨 `contracts/lib/Math.sol` (red-flag-path)') &&
+      markdown.includes('| `test/Vault.t.sol` | dev-tooling |  |')));
+
+    results.push(await check('SLOC totals add up across contracts', () => {
+      const manifests = result.sourceResults.map(sourceResult => sourceResult.auditManifest);
+      return report.totals.sloc === manifests.reduce((sum, manifest) => sum + manifest.totalSloc, 0) &&
+        report.totals.auditSloc === manifests.reduce((sum, manifest) => sum + manifest.auditSloc, 0) &&
+        report.totals.redFlags === 1 &&
+        markdown.includes(`| **Total** |  |  | 5 | 3 | ${report.totals.sloc} | ${report.totals.auditSloc} | 1 |`);
+    }));
+
+    results.push(await check('The HTML report is self-contained', () =>
+      html.includes('<style>') && !/<(link|script)\b/.test(html) && !/src="http/.test(html) &&
+      html.includes('class="priority-critical"') && html.includes('Detection method')));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function testEdgeCases() {
+  console.log('\n--- Test: unverified contracts and escaping ---');
+  const results = [];
+  const base = {
+    chainName: 'test',
+    contractAddress: PROXY,
+    chainConfig: { name: 'Test Chain', chainId: 31337 },
+    blockTag: 12345
+  };
+
+  results.push(await check('Unverified and failed contracts are reported without files', () => {
+    const report = buildAuditReport({
+      ...base,
+      proxyInfo: { status: PROXY_STATUS.INCONCLUSIVE, isProxy: false, rpcErrors: ['timeout'] },
+      sourceResults: [{ type: 'main', address: PROXY, verified: false, decompiled: true, decompileTool: 'heimdall' }]
+    });
+    return report.proxy.kind.startsWith('Inconclusive') && report.proxy.errors.join() === 'timeout' &&
+      report.contracts[0].compiler === null && report.totals.sloc === 0 && report.title === PROXY;
+  }));
+
+  results.push(await check('Contract names and paths are escaped in HTML', () => {
+    const html = renderHtmlReport(buildAuditReport({
+      ...base,
+      proxyInfo: { status: PROXY_STATUS.NOT_PROXY, isProxy: false },
+      sourceResults: [{ type: 'main', address: PROXY, verified: false, error: '<script>alert(1)</script>' }]
+    }));
+    return !html.includes('<script>') && html.includes('&lt;script&gt;');
+  }));
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Audit Report');
+  console.log('========================================');
+
+  const report = await testReport();
+  const edgeCases = await testEdgeCases();
+  const success = report && edgeCases;
+
+  finish('Audit Report', success);
+}
+
+runMain(main);
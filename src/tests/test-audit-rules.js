@@ -0,0 +1,226 @@
+/**
+ * Test: Audit Rules
+ *
+ * Usage: npm run test:rules
+ *
+ * Tests the built-in audit rules, rule priorities, project override files and how
+ * categorization and saving apply them (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RULE_ACTIONS, loadAuditRules, reloadAuditRules, evaluateAuditRules } from '../modules/auditRules.js';
+import { configureVendorFingerprints, hashSource } from '../modules/vendorFingerprints.js';
+import { OUTPUT_DIR, categorizeFilesForAudit, generateAuditMetadata, parseSourceCode, saveSourceFiles } from '../modules/sourceParser.js';
+import { check, finish, runMain } from './helpers.js';
+
+const ERC20 = 'pragma solidity ^0.8.0;\ncontract ERC20 { function transfer(address to, uint256 amount) external returns (bool) { return true; } }\n';
+const VAULT = 'pragma solidity ^0.8.0;\nimport "@openzeppelin/contracts/token/ERC20/ERC20.sol";\ncontract Vault is ERC20 { function deposit() external {} }\n';
+
+async function testBuiltinRules() {
+  console.log('\n--- Test: built-in rules ---');
+  const results = [];
+  reloadAuditRules({ overridePath: null });
+
+  results.push(await check('Build artifacts, dev tooling and test files are excluded', () => {
+    const cases = {
+      'artifacts/build-info/Vault.sol': 'build-artifact',
+      'node_modules/solady/src/Lib.sol': 'build-artifact',
+      'test/Vault.t.sol': 'dev-tooling',
+      'lib/forge-std/src/Test.sol': 'red-flag-path',
+      'src/VaultHarness.sol': 'test-file',
+      'hardhat/console.sol': 'dev-tooling'
+    };
+    return Object.entries(cases).every(([file, reason]) => evaluateAuditRules(file).reason === reason) &&
+      evaluateAuditRules('test/Vault.t.sol').shouldExclude;
+  }));
+
+  results.push(await check('Red flag paths win over lower priority exclusions', () => {
+    const result = evaluateAuditRules('contracts/vendor/mocks/ERC20Mock.sol');
+    return !result.shouldExclude && result.action === RULE_ACTIONS.RED_FLAG &&
+      result.rule === 'red-flag-paths' && result.warning.includes('Must audit');
+  }));
+
+  results.push(await check('Project files match no rule', () => {
+    const result = evaluateAuditRules('src/Vault.sol');
+    return !result.shouldExclude && result.reason === 'custom-contract' && result.rule === null;
+  }));
+
+  results.push(await check('Vendor paths are only excluded for a fingerprinted release', () => {
+    const databasePath = path.join(os.tmpdir(), `audit-rules-fingerprints-${Date.now()}.json`);
+    fs.writeFileSync(databasePath, JSON.stringify({
+      packages: {
+        '@openzeppelin/contracts': { paths: ['@openzeppelin/contracts/'], versions: ['4.9.6'], files: { 'token/ERC20/ERC20.sol': { [hashSource(ERC20)]: ['4.9.6'] } } }
+      }
+    }));
+    try {
+      configureVendorFingerprints({ databasePath });
+      const file = '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+      const known = evaluateAuditRules(file, ERC20);
+      const modified = evaluateAuditRules(file, ERC20.replace('return true', 'return false'));
+      const unverified = evaluateAuditRules('@uniswap/v3-core/contracts/UniswapV3Pool.sol', ERC20);
+      // The header is the file's own claim: it never turns a mismatch into an unverified file
+      const olderRelease = evaluateAuditRules(file, `// OpenZeppelin Contracts (last updated v4.8.0) (token/ERC20/ERC20.sol)\n${ERC20.replace('return true', 'return false')}`);
+      return known.shouldExclude && known.reason === 'vendor-library' &&
+        !modified.shouldExclude && modified.reason === 'modified-vendor' && Boolean(modified.warning) &&
+        !unverified.shouldExclude && unverified.reason === 'unverified-vendor' && !unverified.warning &&
+        !olderRelease.shouldExclude && olderRelease.reason === 'modified-vendor' && Boolean(olderRelease.warning) &&
+        evaluateAuditRules(file).shouldExclude;
+    } finally {
+      configureVendorFingerprints({ databasePath: null });
+      fs.rmSync(databasePath, { force: true });
+    }
+  }));
+
+  results.push(await check('Path rules do not exclude vendor files that are not a known release', () => {
+    const databasePath = path.join(os.tmpdir(), `audit-rules-fingerprints-${Date.now()}.json`);
+    fs.writeFileSync(databasePath, JSON.stringify({
+      packages: {
+        '@openzeppelin/contracts': { paths: ['@openzeppelin/contracts/'], versions: ['4.9.6'], files: { 'token/ERC20/ERC20.sol': { [hashSource(ERC20)]: ['4.9.6'] } } }
+      }
+    }));
+    try {
+      configureVendorFingerprints({ databasePath });
+      const installed = 'node_modules/@openzeppelin/contracts/token/ERC20/ERC20.sol';
+      const known = evaluateAuditRules(installed, ERC20);
+      const modified = evaluateAuditRules(installed, ERC20.replace('return true', 'return false'));
+      // No fingerprinted release ships mocks/: a file there that matches no release is a red flag
+      const mock = evaluateAuditRules('@openzeppelin/contracts/mocks/ERC20Mock.sol', ERC20.replace('contract ERC20', 'contract ERC20Mock'));
+      return known.shouldExclude && known.reason === 'build-artifact' &&
+        !modified.shouldExclude && modified.reason === 'modified-vendor' && modified.rule === 'build-artifacts' &&
+        !mock.shouldExclude && mock.reason === 'modified-vendor' &&
+        evaluateAuditRules('node_modules/solady/src/Lib.sol', ERC20).shouldExclude;
+    } finally {
+      configureVendorFingerprints({ databasePath: null });
+      fs.rmSync(databasePath, { force: true });
+    }
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testOverrides(tempDir) {
+  console.log('\n--- Test: project overrides ---');
+  const results = [];
+  const overridePath = path.join(tempDir, 'audit-rules.json');
+  fs.writeFileSync(overridePath, JSON.stringify({
+    rules: {
+      'test-files': null,
+      'dev-tooling': { patterns: ['\\bscripts/'] },
+      'keep-periphery': { action: 'include', priority: 90, reason: 'in-scope', patterns: ['^contracts/periphery/'] },
+      'generated': { action: 'exclude', priority: 80, reason: 'generated', contains: ['/generated/'] },
+      'legacy': { action: 'red-flag', priority: 10, warning: 'Legacy code, audit by hand', patterns: ['^legacy/'] }
+    }
+  }));
+
+  results.push(await check('Overrides merge by id, remove rules with null and add new ones', () => {
+    const rules = loadAuditRules({ overridePath });
+    const devTooling = rules.find(rule => rule.id === 'dev-tooling');
+    return !rules.some(rule => rule.id === 'test-files') && devTooling.patterns.length === 1 &&
+      devTooling.priority === 70 && devTooling.reason === 'dev-tooling' &&
+      rules.map(rule => rule.priority).every((priority, i, all) => i === 0 || all[i - 1] >= priority);
+  }));
+
+  results.push(await check('Priorities decide between rules, and overrides win ties', () => {
+    reloadAuditRules({ overridePath });
+    return evaluateAuditRules('contracts/periphery/test/Router.sol').reason === 'in-scope' &&
+      evaluateAuditRules('src/generated/out/Types.sol').reason === 'generated' &&
+      evaluateAuditRules('src/VaultHarness.sol').reason === 'custom-contract' &&
+      evaluateAuditRules('test/Vault.t.sol').reason === 'custom-contract' &&
+      evaluateAuditRules('legacy/Old.sol').warning === 'Legacy code, audit by hand';
+  }));
+
+  results.push(await check('Invalid rules and missing files are reported', () => {
+    const brokenPath = path.join(tempDir, 'broken.json');
+    fs.writeFileSync(brokenPath, JSON.stringify({ rules: { bad: { action: 'skip', patterns: ['x'] } } }));
+    const missingPath = path.join(tempDir, 'missing.json');
+    const errors = [];
+    for (const options of [{ overridePath: brokenPath }, { overridePath: missingPath }, { env: { AUDIT_RULES: missingPath } }]) {
+      try {
+        loadAuditRules(options);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    return errors.length === 3 && errors[0].includes('invalid action skip') &&
+      errors[1].includes('not found') && errors[2].includes('AUDIT_RULES not found');
+  }));
+
+  reloadAuditRules({ overridePath: null });
+  return results.every(Boolean);
+}
+
+async function testApplication() {
+  console.log('\n--- Test: categorization and saving ---');
+  const results = [];
+  const files = {
+    'src/Vault.sol': VAULT,
+    'src/interfaces/IVault.sol': 'pragma solidity ^0.8.0;\ninterface IVault { function deposit() external; }\n',
+    'contracts/lib/SafeMath.sol': 'pragma solidity ^0.8.0;\nlibrary SafeMath { function add(uint a, uint b) internal pure returns (uint) { return a + b; } }\n',
+    'test/Vault.t.sol': 'pragma solidity ^0.8.0;\ncontract VaultTest { function testDeposit() public {} }\n',
+    'script/DeployVault.sol': 'pragma solidity ^0.8.0;\ncontract DeployVault { function run() external {} }\n'
+  };
+
+  results.push(await check('Files are categorized by the rules', () => {
+    const categories = categorizeFilesForAudit(files, 'src/Vault.sol');
+    return categories.excluded.sort().join() === 'test/Vault.t.sol' &&
+      categories.excludedReasons['test/Vault.t.sol'] === 'dev-tooling' &&
+      categories.redFlagFiles.join() === 'contracts/lib/SafeMath.sol' &&
+      categories.interfaces.join() === 'src/interfaces/IVault.sol' &&
+      categories.criticalFiles.sort().join() === 'contracts/lib/SafeMath.sol,script/DeployVault.sol';
+  }));
+
+  results.push(await check('The main contract is never excluded', () => {
+    const metadata = generateAuditMetadata(files, 'VaultTest', 'Vault.t.sol');
+    return metadata.mainContractPath === 'test/Vault.t.sol' && !metadata.categories.excluded.includes('test/Vault.t.sol') &&
+      metadata.auditPriority.high.join() === 'test/Vault.t.sol' && metadata.reductionPercentage === 0;
+  }));
+
+  const chain = `test-audit-rules-${Date.now()}`;
+  try {
+    const parsedSource = parseSourceCode(JSON.stringify({
+      sources: Object.fromEntries(Object.entries({ ...files, 'test/mocks/VaultMock.sol': files['test/Vault.t.sol'] }).map(([file, content]) => [file, { content }]))
+    }));
+    const saveResult = saveSourceFiles(chain, '0x00000000000000000000000000000000000000a2', parsedSource, 'VaultMock', 'main', 'VaultMock.sol');
+    const baseDir = path.join(OUTPUT_DIR, chain, '0x00000000000000000000000000000000000000a2');
+    const manifest = JSON.parse(fs.readFileSync(path.join(baseDir, 'audit-manifest.json'), 'utf8'));
+
+    results.push(await check('Excluded files are deleted, red flags and the main contract are kept', () =>
+      saveResult.deletedFiles.join() === 'test/Vault.t.sol' &&
+      fs.existsSync(path.join(baseDir, 'test/mocks/VaultMock.sol')) &&
+      fs.existsSync(path.join(baseDir, 'contracts/lib/SafeMath.sol')) &&
+      !fs.existsSync(path.join(baseDir, 'test/Vault.t.sol'))));
+
+    results.push(await check('Reasons and red flags are recorded in the audit manifest', () =>
+      manifest.mainContractPath === 'test/mocks/VaultMock.sol' &&
+      manifest.excludedReasons['test/Vault.t.sol'] === 'dev-tooling' &&
+      manifest.redFlags.length === 1 && manifest.redFlags[0].file === 'contracts/lib/SafeMath.sol' &&
+      manifest.redFlags[0].rule === 'red-flag-paths'));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Audit Rules');
+  console.log('========================================');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-rules-'));
+  let success = false;
+  try {
+    const builtin = await testBuiltinRules();
+    const overrides = await testOverrides(tempDir);
+    const application = await testApplication();
+    success = builtin && overrides && application;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  finish('Audit Rules', success);
+}
+
+runMain(main);
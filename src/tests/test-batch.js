@@ -0,0 +1,162 @@
+/**
+ * Test: Batch Mode
+ *
+ * Usage: npm run test:batch
+ *
+ * Tests list parsing, the concurrency pool, the token-bucket rate limiter and
+ * resuming a batch from its state file (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseBatchList, runPool, runBatch, BATCH_STATUS } from '../modules/batch.js';
+import { TokenBucket } from '../modules/rateLimiter.js';
+import { check, finish, runMain } from './helpers.js';
+
+const ADDRESS_A = '0x00000000000000000000000000000000000000aa';
+const ADDRESS_B = '0x00000000000000000000000000000000000000bb';
+const ADDRESS_C = '0x00000000000000000000000000000000000000cc';
+
+async function testParsing() {
+  console.log('\n--- Test: list parsing ---');
+  const results = [];
+
+  results.push(await check('CSV with reordered header', () => {
+    const entries = parseBatchList(`address,chain\n${ADDRESS_A},ethereum\n${ADDRESS_B},BSC\n`, 'csv');
+    return entries.length === 2 && entries[1].chain === 'bsc' && entries[0].address.toLowerCase() === ADDRESS_A;
+  }));
+
+  results.push(await check('CSV without header', () => {
+    return parseBatchList(`ethereum,${ADDRESS_A}`, 'csv').length === 1;
+  }));
+
+  results.push(await check('JSON objects and chain:address strings', () => {
+    const entries = parseBatchList(JSON.stringify([{ chain: 'base', address: ADDRESS_A }, `arbitrum:${ADDRESS_B}`]), 'json');
+    return entries.length === 2 && entries[0].chain === 'base' && entries[1].chain === 'arbitrum';
+  }));
+
+  results.push(await check('Line list with comments and duplicates', () => {
+    const content = `# protocol deployment\nethereum ${ADDRESS_A}\n\nethereum ${ADDRESS_A.toUpperCase().replace('0X', '0x')}  # again\nbsc, ${ADDRESS_B}\n`;
+    return parseBatchList(content).length === 2;
+  }));
+
+  results.push(await check('Unsupported chain is rejected with its line number', () => {
+    try {
+      parseBatchList(`ethereum ${ADDRESS_A}\nsolana ${ADDRESS_B}`);
+      return false;
+    } catch (error) {
+      return error.message.startsWith('line 2');
+    }
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testPoolAndRateLimiter() {
+  console.log('\n--- Test: concurrency pool and rate limiter ---');
+  const results = [];
+
+  results.push(await check('Pool never exceeds the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+    const done = [];
+    await runPool([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      done.push(item);
+    });
+    return peak === 3 && done.length === 7;
+  }));
+
+  results.push(await check('Token bucket allows a burst, then paces requests', async () => {
+    const bucket = new TokenBucket(20, 2);
+    const start = Date.now();
+    for (let i = 0; i < 6; i++) {
+      await bucket.acquire();
+    }
+    // 2 burst tokens + 4 refilled at 20/s => at least ~200ms
+    const elapsed = Date.now() - start;
+    return elapsed >= 180 && elapsed < 1000;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testResume() {
+  console.log('\n--- Test: resume from state file ---');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+  const statePath = path.join(tempDir, 'list.state.json');
+  const reportPath = path.join(tempDir, 'list.report.json');
+  const entries = parseBatchList(`ethereum ${ADDRESS_A}\nethereum ${ADDRESS_B}\nethereum ${ADDRESS_C}`);
+  const results = [];
+
+  // B crashes on the first run; A is verified, C is unverified
+  const processed = [];
+  let crashB = true;
+  const processEntry = async (entry) => {
+    processed.push(entry.address.toLowerCase());
+    if (entry.address.toLowerCase() === ADDRESS_B && crashB) {
+      throw new Error('explorer timeout');
+    }
+    const verified = entry.address.toLowerCase() !== ADDRESS_C;
+    return { sourceResults: [{ type: 'main', address: entry.address, verified, decompiled: !verified }] };
+  };
+
+  try {
+    results.push(await check('First run records succeeded, unverified and failed', async () => {
+      const report = await runBatch(entries, { processEntry, concurrency: 2, statePath, reportPath });
+      const saved = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+      return report.succeeded === 1 && report.unverified === 1 && report.failed === 1 &&
+        saved.results.find(r => r.status === BATCH_STATUS.FAILED).error === 'explorer timeout';
+    }));
+
+    results.push(await check('Second run only retries the failed entry', async () => {
+      processed.length = 0;
+      crashB = false;
+      const report = await runBatch(entries, { processEntry, concurrency: 2, statePath, reportPath });
+      return processed.length === 1 && processed[0] === ADDRESS_B &&
+        report.succeeded === 2 && report.failed === 0;
+    }));
+
+    results.push(await check('Failures are marked as network failures only when the network could not answer', async () => {
+      const failing = async (entry) => {
+        if (entry.address.toLowerCase() === ADDRESS_A) throw new Error('explorer timeout');
+        if (entry.address.toLowerCase() === ADDRESS_B) throw new Error('parse error');
+        return { sourceResults: [{ type: 'main', address: entry.address, error: 'Failed to fetch source', networkFailure: true }] };
+      };
+      const isNetworkFailure = (error) => error.message === 'explorer timeout';
+      const report = await runBatch(entries, { processEntry: failing, resume: false, isNetworkFailure });
+      const byAddress = Object.fromEntries(report.results.map(r => [r.address.toLowerCase(), r.networkFailure]));
+      return report.failed === 3 && report.networkFailures === 2 &&
+        byAddress[ADDRESS_A] === true && byAddress[ADDRESS_B] === false && byAddress[ADDRESS_C] === true;
+    }));
+
+    results.push(await check('Fresh run ignores the state file', async () => {
+      processed.length = 0;
+      await runBatch(entries, { processEntry, concurrency: 2, statePath, resume: false });
+      return processed.length === 3;
+    }));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Batch Mode');
+  console.log('========================================');
+
+  const parsing = await testParsing();
+  const pool = await testPoolAndRateLimiter();
+  const resume = await testResume();
+  const success = parsing && pool && resume;
+
+  finish('Batch', success);
+}
+
+runMain(main);
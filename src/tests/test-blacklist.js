@@ -2,12 +2,16 @@
  * Test: Contract File Blacklist
  * 
  * Tests the blacklist functionality to ensure vendor library files are not saved
+ * unless their content differs from every fingerprinted release
  */
 
 import { isBlacklisted, parseSourceCode, saveSourceFiles } from '../modules/sourceParser.js';
+import { configureVendorFingerprints, hashSource } from '../modules/vendorFingerprints.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { runMain } from './helpers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -97,7 +101,24 @@ async function testBlacklistInSaveProcess() {
   console.log('Test: Blacklist in Save Process');
   console.log('========================================\n');
   
+  const databasePath = path.join(os.tmpdir(), `test-blacklist-fingerprints-${Date.now()}.json`);
+  
   try {
+    // Fingerprint database with one release of the vendored ERC20 and Ownable
+    fs.writeFileSync(databasePath, JSON.stringify({
+      packages: {
+        '@openzeppelin/contracts': {
+          paths: ['@openzeppelin-contracts/contracts/'],
+          versions: ['4.9.6'],
+          files: {
+            'token/ERC20/ERC20.sol': { [hashSource('pragma solidity ^0.8.0; contract ERC20 {}')]: ['4.9.6'] },
+            'access/Ownable.sol': { [hashSource('pragma solidity ^0.8.0; contract Ownable {}')]: ['4.9.6'] }
+          }
+        }
+      }
+    }));
+    configureVendorFingerprints({ databasePath });
+    
     // Create mock source with blacklisted and non-blacklisted files
     const mockSourceData = {
       chainName: 'ethereum',
@@ -110,7 +131,10 @@ async function testBlacklistInSaveProcess() {
             content: 'pragma solidity ^0.8.0; contract MyContract {}'
           },
           '@openzeppelin-contracts/contracts/token/ERC20/ERC20.sol': {
-            content: 'pragma solidity ^0.8.0; contract ERC20 {}'
+            content: '// SPDX-License-Identifier: MIT\npragma solidity ^0.8.0;  contract ERC20 {}'
+          },
+          '@openzeppelin-contracts/contracts/access/Ownable.sol': {
+            content: 'pragma solidity ^0.8.0; contract Ownable { function backdoor() external {} }'
           },
           'contracts/AnotherContract.sol': {
             content: 'pragma solidity ^0.8.0; contract AnotherContract {}'
@@ -142,10 +166,9 @@ async function testBlacklistInSaveProcess() {
     console.log(`  Saved files: ${saveResult.savedFiles.length}`);
     console.log(`  Kept files: ${saveResult.keptFiles.length}`);
     
-    // Verify blacklisted files
+    // Verify blacklisted files: only vendor files matching a known release are dropped
     const expectedBlacklisted = [
-      '@openzeppelin-contracts/contracts/token/ERC20/ERC20.sol',
-      'chainlink/contracts/AggregatorV3Interface.sol'
+      '@openzeppelin-contracts/contracts/token/ERC20/ERC20.sol'
     ];
     
     let allFound = true;
@@ -158,6 +181,27 @@ async function testBlacklistInSaveProcess() {
       }
     }
     
+    // Verify vendor files that can't be matched to a release are flagged and kept
+    const { vendorFiles } = saveResult;
+    if (vendorFiles.known.length === 1 && vendorFiles.known[0].versions.join() === '4.9.6') {
+      console.log('  ✓ Known release identified: ERC20.sol (4.9.6)');
+    } else {
+      console.log('  ✗ FAILED: ERC20.sol was not identified as a known release');
+      allFound = false;
+    }
+    if (vendorFiles.modified.length === 1 && vendorFiles.modified[0].path === 'access/Ownable.sol') {
+      console.log('  ✓ Modified vendor file flagged: Ownable.sol');
+    } else {
+      console.log('  ✗ FAILED: Ownable.sol was not flagged as modified vendor code');
+      allFound = false;
+    }
+    if (vendorFiles.unverified.length === 1 && vendorFiles.unverified[0].file === 'chainlink/contracts/AggregatorV3Interface.sol') {
+      console.log('  ✓ Unfingerprinted vendor file flagged: AggregatorV3Interface.sol');
+    } else {
+      console.log('  ✗ FAILED: AggregatorV3Interface.sol was not flagged as unverified vendor code');
+      allFound = false;
+    }
+    
     // Verify saved files don't include blacklisted ones
     const testChainDir = path.join(__dirname, '..', '..', '..', 'evm-chain-contracts', 'test-chain', testAddress);
     if (fs.existsSync(testChainDir)) {
@@ -178,7 +222,7 @@ async function testBlacklistInSaveProcess() {
       }
       
       // Check that non-blacklisted files ARE saved
-      const expectedSaved = ['MyContract.sol', 'AnotherContract.sol'];
+      const expectedSaved = ['MyContract.sol', 'AnotherContract.sol', 'Ownable.sol', 'AggregatorV3Interface.sol'];
       for (const expected of expectedSaved) {
         if (solFiles.some(f => f.includes(expected))) {
           console.log(`  ✓ Non-blacklisted file saved: ${expected}`);
@@ -213,6 +257,9 @@ async function testBlacklistInSaveProcess() {
     console.error(`  ✗ FAILED: ${error.message}`);
     console.error(error.stack);
     return false;
+  } finally {
+    configureVendorFingerprints({ databasePath: null });
+    fs.rmSync(databasePath, { force: true });
   }
 }
 
@@ -224,7 +271,4 @@ async function main() {
   process.exit(success ? 0 : 1);
 }
 
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+runMain(main);
@@ -0,0 +1,261 @@
+/**
+ * Test: Bytecode Verifier
+ *
+ * Usage: npm run test:verify
+ *
+ * Tests compiler lookup, standard-JSON input reconstruction and the exact / partial /
+ * mismatch comparison, with stand-in compilers and a local JSON-RPC server (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../modules/cache.js';
+import { configureRpc } from '../modules/rpcProvider.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import {
+  VERIFICATION_STATUS,
+  findCompiler,
+  buildCompilerInput,
+  compileStandardJson,
+  findMetadataRanges,
+  compareBytecode,
+  verifyBytecode
+} from '../modules/bytecodeVerifier.js';
+import { startRpcServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
+
+const VERSION = 'v0.8.19+commit.7dd6d404';
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+
+/**
+ * solc's CBOR metadata trailer (ipfs hash + solc version), 53 bytes
+ * @param {string} hashByte - Byte repeated for the ipfs hash
+ * @returns {string} Hex
+ */
+function metadata(hashByte) {
+  return 'a2646970667358221220' + hashByte.repeat(32) + '64736f6c63430008130033';
+}
+
+const IMMUTABLE = 'ab'.repeat(32);
+// PUSH32 <immutable> POP STOP, then the metadata
+const COMPILED_BODY = '6080604052' + '7f' + '00'.repeat(32) + '5000';
+const ONCHAIN_BODY = '6080604052' + '7f' + IMMUTABLE + '5000';
+const DEPLOYED_BYTECODE = {
+  object: COMPILED_BODY + metadata('11'),
+  immutableReferences: { 7: [{ start: 6, length: 32 }] },
+  linkReferences: {}
+};
+
+const SOURCE_DATA = {
+  isVerified: true,
+  contractName: 'Vault',
+  contractFileName: null,
+  compilerVersion: VERSION,
+  compilerType: 'Solidity (Single file)',
+  optimizationUsed: true,
+  runs: 1000,
+  evmVersion: 'London',
+  library: 'MathLib:00000000000000000000000000000000000000aa',
+  sourceCode: 'pragma solidity 0.8.19;\nlibrary MathLib { function one() external pure returns (uint256) { return 1; } }\ncontract Vault {}\n'
+};
+
+/**
+ * Write a stand-in compiler that prints fixed standard-JSON output
+ * and records the input it was given
+ * @param {string} filePath - Compiler path
+ * @param {Object} output - Standard-JSON output
+ * @param {string} inputPath - Where to save the input
+ */
+function writeFakeSolc(filePath, output, inputPath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `#!${process.execPath}
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  require('fs').writeFileSync(${JSON.stringify(inputPath)}, input);
+  process.stdout.write(${JSON.stringify(JSON.stringify(output))});
+});
+`, { mode: 0o755 });
+}
+
+/**
+ * Start a JSON-RPC server that serves one contract's code
+ * @param {string} code - Runtime bytecode
+ * @returns {Promise<Object>} { url, close }
+ */
+function startNode(code) {
+  return startRpcServer(({ method }) => method === 'eth_getCode'
+    ? { result: code }
+    : { error: { code: -32601, message: 'method not found' } });
+}
+
+async function testComparison() {
+  console.log('\n--- Test: input and comparison ---');
+  const results = [];
+
+  results.push(await check('Single-file input gets settings and libraries from the explorer fields', () => {
+    const input = buildCompilerInput(SOURCE_DATA);
+    return input.language === 'Solidity' &&
+      input.sources['contract.sol'].content === SOURCE_DATA.sourceCode &&
+      input.settings.optimizer.enabled && input.settings.optimizer.runs === 1000 &&
+      input.settings.evmVersion === 'london' &&
+      input.settings.libraries['contract.sol'].MathLib === '0x00000000000000000000000000000000000000aa' &&
+      input.settings.outputSelection['*']['*'].includes('evm.deployedBytecode.object');
+  }));
+
+  results.push(await check('Standard-JSON input keeps its own settings', () => {
+    const sourceCode = JSON.stringify({
+      language: 'Solidity',
+      sources: { 'src/Vault.sol': { content: 'contract Vault {}' } },
+      settings: { optimizer: { enabled: false, runs: 200 }, viaIR: true, outputSelection: { '*': { '*': ['abi'] } } }
+    });
+    const input = buildCompilerInput({ ...SOURCE_DATA, sourceCode: `{${sourceCode}}`, library: '' });
+    return input.settings.viaIR === true && input.settings.optimizer.enabled === false &&
+      input.settings.outputSelection['*']['*'].length === 3 && !input.settings.evmVersion;
+  }));
+
+  results.push(await check('Libraries are keyed by the file that declares them', () => {
+    const sourceCode = JSON.stringify({
+      language: 'Solidity',
+      sources: {
+        'src/Vault.sol': { content: '// Links library MathLib { ... }\ncontract Vault {}' },
+        'src/MathLib.sol': { content: 'library MathLib { function max(uint256 a, uint256 b) external pure returns (uint256) { return a > b ? a : b; } }' }
+      },
+      settings: {}
+    });
+    const input = buildCompilerInput({ ...SOURCE_DATA, sourceCode: `{${sourceCode}}` });
+    return Object.keys(input.settings.libraries).join() === 'src/MathLib.sol' &&
+      input.settings.libraries['src/MathLib.sol'].MathLib === '0x00000000000000000000000000000000000000aa';
+  }));
+
+  results.push(await check('Metadata trailer is located by its length bytes', () => {
+    const ranges = findMetadataRanges(DEPLOYED_BYTECODE.object);
+    return ranges.length === 1 && ranges[0].start === COMPILED_BODY.length / 2 && ranges[0].length === 53;
+  }));
+
+  results.push(await check('Immutables are ignored for an exact match', () =>
+    compareBytecode('0x' + ONCHAIN_BODY + metadata('11'), DEPLOYED_BYTECODE).status === VERIFICATION_STATUS.EXACT));
+
+  results.push(await check('Different metadata hash is a partial match', () =>
+    compareBytecode(ONCHAIN_BODY + metadata('22'), DEPLOYED_BYTECODE).status === VERIFICATION_STATUS.PARTIAL));
+
+  results.push(await check('Code differences are a mismatch with the first differing byte', () => {
+    const comparison = compareBytecode(ONCHAIN_BODY.replace(/5000$/, '5050') + metadata('11'), DEPLOYED_BYTECODE);
+    return comparison.status === VERIFICATION_STATUS.MISMATCH && comparison.firstDifference === 39;
+  }));
+
+  results.push(await check('Library address guard and linked libraries are ignored', () => {
+    const placeholder = '__$' + 'f'.repeat(34) + '$__';
+    const compiled = {
+      object: '73' + '00'.repeat(20) + '3014' + '73' + placeholder + '00',
+      linkReferences: { 'lib/MathLib.sol': { MathLib: [{ start: 24, length: 20 }] } }
+    };
+    const onchain = '73' + '12'.repeat(20) + '3014' + '73' + 'aa'.repeat(20) + '00';
+    return compareBytecode(onchain, compiled).status === VERIFICATION_STATUS.EXACT;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testVerification() {
+  console.log('\n--- Test: verification with local compilers ---');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bytecode-verifier-test-'));
+  const node = await startNode('0x' + ONCHAIN_BODY + metadata('22'));
+  const registryPath = path.join(tempDir, 'chains.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    chains: { verifynet: { chainId: 90030, rpcUrls: [node.url], sourceProviders: ['sourcify'] } }
+  }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+
+  const solcDir = path.join(tempDir, 'solc');
+  const inputPath = path.join(tempDir, 'input.json');
+  const output = { contracts: { 'contract.sol': { Vault: { evm: { deployedBytecode: DEPLOYED_BYTECODE } } } } };
+  const results = [];
+
+  try {
+    results.push(await check('Missing compiler skips verification', async () => {
+      const verification = await verifyBytecode('verifynet', CONTRACT, SOURCE_DATA, { solcDir });
+      return verification.status === VERIFICATION_STATUS.SKIPPED && verification.reason.includes('not found');
+    }));
+
+    results.push(await check('svm layout and soljson builds are found', () => {
+      fs.mkdirSync(path.join(solcDir, '0.8.19'), { recursive: true });
+      fs.writeFileSync(path.join(solcDir, `soljson-${VERSION}.js`), '');
+      const soljson = findCompiler(VERSION, [solcDir]);
+      fs.writeFileSync(path.join(solcDir, '0.8.19', 'solc-0.8.19'), '', { mode: 0o755 });
+      const native = findCompiler(VERSION, [solcDir]);
+      return soljson.type === 'soljson' && native.type === 'native' &&
+        native.path.endsWith(path.join('0.8.19', 'solc-0.8.19')) && findCompiler('vyper:0.3.10', [solcDir]) === null;
+    }));
+
+    results.push(await check('Native solc output is compared with the deployed code', async () => {
+      writeFakeSolc(path.join(solcDir, `solc-${VERSION}`), output, inputPath);
+      const verification = await verifyBytecode('verifynet', CONTRACT, SOURCE_DATA, { solcDir });
+      const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+      return verification.status === VERIFICATION_STATUS.PARTIAL &&
+        verification.compiler.type === 'native' && verification.immutables === 1 &&
+        input.settings.optimizer.runs === 1000;
+    }));
+
+    results.push(await check('soljson builds compile through solidity_compile', async () => {
+      const soljsonDir = path.join(tempDir, 'soljson');
+      fs.mkdirSync(soljsonDir);
+      fs.writeFileSync(path.join(soljsonDir, `soljson-${VERSION}.js`), `
+module.exports = {
+  _solidity_compile: true,
+  cwrap: (name) => () => ${JSON.stringify(JSON.stringify(output))}
+};
+`);
+      const verification = await verifyBytecode('verifynet', CONTRACT, SOURCE_DATA, { solcDir: soljsonDir });
+      return verification.status === VERIFICATION_STATUS.PARTIAL && verification.compiler.type === 'soljson';
+    }));
+
+    results.push(await check('A hanging soljson build is stopped at the timeout without blocking', async () => {
+      const soljsonPath = path.join(tempDir, 'soljson-hang.js');
+      fs.writeFileSync(soljsonPath, 'module.exports = { _solidity_compile: true, cwrap: () => () => { for (;;) {} } };\n');
+      let ticks = 0;
+      const ticker = setInterval(() => ticks++, 20);
+      try {
+        const error = await compileStandardJson({ type: 'soljson', path: soljsonPath }, {}, { timeoutMs: 500 })
+          .then(() => null, e => e);
+        return Boolean(error) && error.message.includes('timed out after 0.5s') && ticks > 5;
+      } finally {
+        clearInterval(ticker);
+      }
+    }));
+
+    results.push(await check('Compiler errors are reported', async () => {
+      const errorDir = path.join(tempDir, 'broken');
+      writeFakeSolc(path.join(errorDir, `solc-${VERSION}`), {
+        errors: [{ severity: 'error', formattedMessage: 'ParserError: Expected ";"' }]
+      }, inputPath);
+      const verification = await verifyBytecode('verifynet', CONTRACT, SOURCE_DATA, { solcDir: errorDir });
+      return verification.status === VERIFICATION_STATUS.ERROR && verification.reason.includes('ParserError');
+    }));
+  } finally {
+    reloadChainRegistry();
+    await node.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Bytecode Verifier');
+  console.log('========================================');
+
+  // Every request must reach the test server
+  configureCache({ enabled: false });
+  configureRpc({ baseDelayMs: 10, timeoutMs: 2000 });
+
+  const comparison = await testComparison();
+  const verification = await testVerification();
+  const success = comparison && verification;
+
+  finish('Bytecode Verifier', success);
+}
+
+runMain(main);
@@ -0,0 +1,200 @@
+/**
+ * Test: Cache
+ *
+ * Usage: npm run test:cache
+ *
+ * Tests the on-disk cache modes and TTLs, and the cached JSON-RPC provider
+ * against a local JSON-RPC server (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache, cached, CacheMissError, CACHE_MODES, getCacheConfig, getCacheStats, ttlsFromEnvironment } from '../modules/cache.js';
+import { CachedJsonRpcProvider, getRpcCacheKind } from '../modules/rpcProvider.js';
+import { startRpcServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
+
+const CONTRACT = '0x00000000000000000000000000000000000000aa';
+const UNDEPLOYED = '0x00000000000000000000000000000000000000bb';
+const RUNTIME_CODE = '0x6080604052';
+
+// Addresses the local node has code at
+const deployed = new Set([CONTRACT]);
+
+/**
+ * Start a JSON-RPC server answering eth_getCode and reverting every eth_call
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+function startNode() {
+  return startRpcServer(({ method, params }) => method === 'eth_getCode'
+    ? { result: deployed.has(params[0].toLowerCase()) ? RUNTIME_CODE : '0x' }
+    : { error: { code: 3, message: 'execution reverted', data: '0x' } });
+}
+
+async function testCacheModes() {
+  console.log('\n--- Test: cache modes and TTLs ---');
+  const results = [];
+  let fetches = 0;
+  const fetcher = async () => ++fetches;
+
+  results.push(await check('miss fetches and stores', async () => {
+    return await cached('explorer', ['a'], fetcher) === 1 && fetches === 1;
+  }));
+
+  results.push(await check('fresh entry is served from cache', async () => {
+    return await cached('explorer', ['a'], fetcher) === 1 && fetches === 1;
+  }));
+
+  results.push(await check('expired entry is refetched', async () => {
+    configureCache({ ttls: { explorer: 0 } });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const value = await cached('explorer', ['a'], fetcher);
+    configureCache({ ttls: { explorer: 3600 } });
+    return value === 2;
+  }));
+
+  results.push(await check('refresh mode ignores stored entries', async () => {
+    configureCache({ mode: CACHE_MODES.REFRESH });
+    const value = await cached('explorer', ['a'], fetcher);
+    return value === 3;
+  }));
+
+  results.push(await check('offline mode serves expired entries', async () => {
+    configureCache({ mode: CACHE_MODES.OFFLINE, ttls: { explorer: 0 } });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return await cached('explorer', ['a'], fetcher) === 3 && fetches === 3;
+  }));
+
+  results.push(await check('offline mode fails on a miss', async () => {
+    try {
+      await cached('explorer', ['never-fetched'], fetcher);
+      return false;
+    } catch (error) {
+      return error instanceof CacheMissError;
+    }
+  }));
+
+  results.push(await check('offline mode refuses a disabled cache', () => {
+    try {
+      configureCache({ enabled: false });
+      return false;
+    } catch (error) {
+      return /Offline mode needs the cache/.test(error.message) && getCacheConfig().enabled;
+    }
+  }));
+
+  results.push(await check('invalid CACHE_TTL_* values fall back to the default', () => {
+    const ttls = ttlsFromEnvironment({ CACHE_TTL_EXPLORER: 'abc', CACHE_TTL_STORAGE: '-5', CACHE_TTL_CALL: '60', CACHE_TTL_LOGS: 'never' });
+    return !('explorer' in ttls) && !('storage' in ttls) && ttls.call === 60 && ttls.logs === null;
+  }));
+
+  results.push(await check('shouldCache rejects values', async () => {
+    configureCache({ mode: CACHE_MODES.DEFAULT, ttls: { explorer: 3600 } });
+    await cached('explorer', ['rejected'], async () => 'rate-limited', { shouldCache: () => false });
+    const value = await cached('explorer', ['rejected'], async () => 'ok');
+    return value === 'ok';
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testCachedProvider() {
+  console.log('\n--- Test: cached JSON-RPC provider ---');
+  const server = await startNode();
+  const results = [];
+
+  try {
+    const provider = new CachedJsonRpcProvider(server.url, 1);
+
+    results.push(await check('block-pinned reads use the historical kind', async () => {
+      return getRpcCacheKind('eth_getStorageAt', [CONTRACT, '0x0', '0x10']) === 'historical' &&
+        getRpcCacheKind('eth_getStorageAt', [CONTRACT, '0x0', 'latest']) === 'storage';
+    }));
+
+    results.push(await check('getCode is fetched once and then cached', async () => {
+      const first = await provider.getCode(CONTRACT);
+      const second = await provider.getCode(CONTRACT);
+      return first === RUNTIME_CODE && second === RUNTIME_CODE &&
+        server.requests.filter(m => m === 'eth_getCode').length === 1;
+    }));
+
+    // Reads after the deployment go through a second provider, past ethers' own short-lived result cache
+    results.push(await check('empty code at latest is not cached', async () => {
+      const before = await provider.getCode(UNDEPLOYED);
+      deployed.add(UNDEPLOYED);
+      const later = new CachedJsonRpcProvider(server.url, 1);
+      const after = await later.getCode(UNDEPLOYED);
+      later.destroy();
+      deployed.delete(UNDEPLOYED);
+      return before === '0x' && after === RUNTIME_CODE;
+    }));
+
+    results.push(await check('empty code at a block number is cached', async () => {
+      const before = await provider.getCode(UNDEPLOYED, 16);
+      deployed.add(UNDEPLOYED);
+      const later = new CachedJsonRpcProvider(server.url, 1);
+      const after = await later.getCode(UNDEPLOYED, 16);
+      later.destroy();
+      deployed.delete(UNDEPLOYED);
+      return before === '0x' && after === '0x';
+    }));
+
+    results.push(await check('reverted eth_call is cached as a revert', async () => {
+      const call = () => provider.call({ to: CONTRACT, data: '0x5c60da1b' }).then(() => 'ok', e => e.code);
+      const first = await call();
+      const second = await call();
+      return first === 'CALL_EXCEPTION' && second === 'CALL_EXCEPTION' &&
+        server.requests.filter(m => m === 'eth_call').length === 1;
+    }));
+
+    results.push(await check('latest code expires, code at a block number does not', async () => {
+      configureCache({ ttls: { bytecode: 0 } });
+      const later = new CachedJsonRpcProvider(server.url, 1);
+      const before = server.requests.filter(m => m === 'eth_getCode').length;
+      await later.getCode(CONTRACT);
+      await later.getCode(UNDEPLOYED, 16);
+      later.destroy();
+      configureCache({ ttls: { bytecode: 3600 } });
+      return server.requests.filter(m => m === 'eth_getCode').length === before + 1;
+    }));
+
+    results.push(await check('offline provider serves cached code without the server', async () => {
+      configureCache({ mode: CACHE_MODES.OFFLINE });
+      const before = server.requests.length;
+      const code = await provider.getCode(CONTRACT);
+      return code === RUNTIME_CODE && server.requests.length === before;
+    }));
+
+    provider.destroy();
+  } finally {
+    configureCache({ mode: CACHE_MODES.DEFAULT });
+    await server.close();
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Cache');
+  console.log('========================================');
+
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-cache-test-'));
+  configureCache({ enabled: true, dir: cacheDir, mode: CACHE_MODES.DEFAULT });
+
+  let success = false;
+  try {
+    const modes = await testCacheModes();
+    const provider = await testCachedProvider();
+    success = modes && provider;
+    const stats = getCacheStats();
+    console.log(`\n  Cache stats: ${stats.hits} hit(s), ${stats.misses} miss(es), ${stats.writes} write(s)`);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+
+  finish('Cache', success);
+}
+
+runMain(main);
@@ -0,0 +1,138 @@
+/**
+ * Test: Chain Registry
+ *
+ * Usage: npm run test:chains
+ *
+ * Tests chain lookup by name, alias and chain ID, the YAML/JSON user override file
+ * and the RPC_URL_* / EXPLORER_URL_* environment overrides
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getChainConfig,
+  getSupportedChains,
+  isChainSupported,
+  loadChainRegistry,
+  reloadChainRegistry
+} from '../modules/chainConfig.js';
+import { check, finish, runMain } from './helpers.js';
+
+const OVERRIDE_YAML = `
+chains:
+  devnet:
+    name: Local Devnet
+    chainId: 31337
+    aliases: [anvil, hardhat]
+    rpcUrls:
+      - http://127.0.0.1:8545
+    sourceProviders: [sourcify]
+  ethereum:
+    rpcUrls: [https://rpc.example.org]
+  avalanche: null
+`;
+
+async function testBuiltinRegistry() {
+  console.log('\n--- Test: built-in registry lookups ---');
+  const results = [];
+
+  results.push(await check('Lookup by name, alias and chain ID', () => {
+    return getChainConfig('ethereum').chainId === 1 &&
+      getChainConfig('ETH').key === 'ethereum' &&
+      getChainConfig(42161).key === 'arbitrum' &&
+      getChainConfig('137').key === 'polygon';
+  }));
+
+  results.push(await check('rpcUrl is the first of several rpcUrls', () => {
+    const bsc = getChainConfig('bsc');
+    return bsc.rpcUrls.length > 1 && bsc.rpcUrl === bsc.rpcUrls[0] && bsc.explorerUrl === 'https://bscscan.com';
+  }));
+
+  results.push(await check('Unknown chains are not supported', () => {
+    return !isChainSupported('solana') && !isChainSupported(999999) && getChainConfig('solana') === null;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testOverrides() {
+  console.log('\n--- Test: user override file and environment ---');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-registry-test-'));
+  const overridePath = path.join(tempDir, 'chains.local.yaml');
+  fs.writeFileSync(overridePath, OVERRIDE_YAML, 'utf8');
+  const results = [];
+
+  try {
+    results.push(await check('YAML override adds, merges and removes chains', () => {
+      reloadChainRegistry({ overridePath, env: {} });
+      const ethereum = getChainConfig('ethereum');
+      return getChainConfig('anvil').key === 'devnet' &&
+        getChainConfig(31337).rpcUrl === 'http://127.0.0.1:8545' &&
+        ethereum.rpcUrls.length === 1 && ethereum.rpcUrl === 'https://rpc.example.org' &&
+        ethereum.blockscoutUrl === 'https://eth.blockscout.com' &&
+        !getSupportedChains().includes('avalanche');
+    }));
+
+    results.push(await check('An override rpcUrl replaces the RPC URLs of a built-in chain', () => {
+      const rpcPath = path.join(tempDir, 'rpc.json');
+      fs.writeFileSync(rpcPath, JSON.stringify({ chains: { bsc: { rpcUrl: 'https://bsc.example' }, base: { rpcUrls: 'https://base.example' } } }));
+      reloadChainRegistry({ overridePath: rpcPath, env: {} });
+      const bsc = getChainConfig('bsc');
+      const base = getChainConfig('base');
+      return bsc.rpcUrl === 'https://bsc.example' && bsc.rpcUrls.length === 1 &&
+        base.rpcUrls.join() === 'https://base.example' && bsc.explorerUrl === 'https://bscscan.com';
+    }));
+
+    results.push(await check('Environment RPC URLs come first, explorer URL is replaced', () => {
+      reloadChainRegistry({
+        overridePath: null,
+        env: { RPC_URL_BASE: 'https://a.example,https://b.example', EXPLORER_URL_BASE: 'https://scan.example/' }
+      });
+      const base = getChainConfig('base');
+      return base.rpcUrls[0] === 'https://a.example' && base.rpcUrls[1] === 'https://b.example' &&
+        base.rpcUrls.length > 2 && base.explorerUrl === 'https://scan.example';
+    }));
+
+    results.push(await check('Duplicate chain IDs are rejected', () => {
+      const duplicatePath = path.join(tempDir, 'duplicate.json');
+      fs.writeFileSync(duplicatePath, JSON.stringify({ chains: { mainnet2: { chainId: 1, rpcUrls: ['http://x'] } } }));
+      try {
+        reloadChainRegistry({ overridePath: duplicatePath, env: {} });
+        return false;
+      } catch (error) {
+        return /refers to both/.test(error.message) && getChainConfig('ethereum') !== null;
+      }
+    }));
+
+    results.push(await check('Chains without an RPC URL are rejected', () => {
+      const invalidPath = path.join(tempDir, 'invalid.json');
+      fs.writeFileSync(invalidPath, JSON.stringify({ chains: { empty: { chainId: 5 } } }));
+      try {
+        loadChainRegistry({ overridePath: invalidPath, env: {} });
+        return false;
+      } catch (error) {
+        return /RPC URL/.test(error.message);
+      }
+    }));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    reloadChainRegistry();
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Chain Registry');
+  console.log('========================================');
+
+  const builtin = await testBuiltinRegistry();
+  const overrides = await testOverrides();
+  const success = builtin && overrides;
+
+  finish('Chain Registry', success);
+}
+
+runMain(main);
@@ -8,6 +8,7 @@ import { parseSourceCode, saveSourceFiles, createOutputDirectory } from '../modu
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { runMain } from './helpers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -209,7 +210,4 @@ async function main() {
   process.exit(success ? 0 : 1);
 }
 
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+runMain(main);
@@ -1,118 +1,120 @@
 /**
  * Test: Decompiler Module
- * 
+ *
  * Usage: npm run test:decompile
- * 
+ *
  * Tests the bytecode decompilation functionality using Panoramix
+ * and the built-in fallback decompiler, against a local JSON-RPC node (no network access)
  */
 
-import { decompileContract, decompileWithPanoramix } from '../modules/decompiler.js';
-import { getBytecode } from '../modules/proxyDetector.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { configureCache } from '../modules/cache.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import { decompileContract, decompileWithPanoramix, decompileBytecode, decompileBytecodeBuiltin } from '../modules/decompiler.js';
+import { getBytecode } from '../modules/proxyDetector.js';
+import { configureRpc } from '../modules/rpcProvider.js';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+import { startRpcServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Unverified contract served by the local node, and an address without code
+const CONTRACT = '0x00000000000000000000000000000000000000AA';
+const EMPTY_ADDRESS = '0x000000000000000000000000000000000000dEaD';
 
-// Test contracts
-const TEST_CONTRACTS = {
-  unverified: {
-    chain: 'bsc',
-    address: '0xC38e4e6A15593f908255214653d3D947CA1c2338',
-    description: 'BSC Unverified Contract'
-  }
-};
+// Minimal runtime bytecode with a balanceOf/transfer dispatcher and solc metadata
+const SAMPLE_BYTECODE = '0x6080604052348015600f57600080fd5b506004361060325760003560e01c806370a08231146037578063a9059cbb146051575b600080fd5b603f60005481565b60405190815260200160405180910390f35b6000546001016000555b00fea2646970667358221220aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa64736f6c63430008130033';
+
+async function testBuiltinDecompiler() {
+  console.log('\n--- Test: built-in decompiler ---');
+
+  const result = decompileBytecodeBuiltin(SAMPLE_BYTECODE);
+  const selectors = result.selectors.map(s => s.selector);
+  console.log(`  Basic blocks: ${result.blockCount}`);
+
+  const results = [
+    await check('recovers balanceOf selector', () => selectors.includes('0x70a08231')),
+    await check('recovers transfer selector', () => selectors.includes('0xa9059cbb')),
+    await check('names known signatures', () => result.source.includes('function transfer(address,uint256)')),
+    await check('lifts storage writes', () => result.source.includes('storage[0x00] = 0x01 + v0;')),
+    await check('lifts dispatcher into fallback', () => result.source.includes('goto balanceOf;'))
+  ];
+
+  return results.every(Boolean);
+}
+
+async function testEmptyBytecode(tempDir) {
+  console.log('\n--- Test: empty bytecode is rejected ---');
 
-async function testGetBytecode() {
+  const outputDir = path.join(tempDir, 'empty');
+  return check('decompileBytecode refuses "0x" without writing output', async () => {
+    const error = await decompileBytecode('0x', outputDir, { useExternal: false }).then(() => null, e => e);
+    return Boolean(error) && /No bytecode found/.test(error.message) && !fs.existsSync(outputDir);
+  });
+}
+
+async function testGetBytecode(chain) {
   console.log('\n--- Test: getBytecode for decompilation ---');
-  
-  const contract = TEST_CONTRACTS.unverified;
-  console.log(`\n  Testing ${contract.description}:`);
-  console.log(`    Chain: ${contract.chain}`);
-  console.log(`    Address: ${contract.address}`);
-  
-  try {
-    const bytecode = await getBytecode(contract.chain, contract.address);
-    console.log(`    Bytecode size: ${bytecode.length / 2} bytes`);
-    console.log(`    First 100 chars: ${bytecode.slice(0, 100)}...`);
-    console.log(`    ✓ Test passed`);
-    return bytecode;
-  } catch (error) {
-    console.log(`    ✗ Error: ${error.message}`);
-    return null;
-  }
+  const results = [];
+
+  results.push(await check('returns the deployed code', async () => {
+    return await getBytecode(chain, CONTRACT) === SAMPLE_BYTECODE;
+  }));
+
+  results.push(await check('refuses an address without code', async () => {
+    return getBytecode(chain, EMPTY_ADDRESS).then(() => false, error => /No bytecode found/.test(error.message));
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testDecompileContract() {
+async function testDecompileContract(chain) {
   console.log('\n--- Test: decompileContract ---');
-  
-  const contract = TEST_CONTRACTS.unverified;
-  console.log(`\n  Testing ${contract.description}:`);
-  console.log(`    Chain: ${contract.chain}`);
-  console.log(`    Address: ${contract.address}`);
-  
-  try {
-    const result = await decompileContract(contract.chain, contract.address);
-    
-    console.log(`    Decompilation success: ${result.success}`);
-    console.log(`    Pseudo-decompiled: ${result.pseudoDecompiled || false}`);
-    console.log(`    Output path: ${result.outputPath}`);
-    
-    if (result.metadata) {
-      console.log(`    Bytecode size: ${result.metadata.bytecodeSize} bytes`);
-    }
-    
-    // Check if output file exists
-    if (fs.existsSync(result.outputPath)) {
-      const content = fs.readFileSync(result.outputPath, 'utf8');
-      console.log(`    Output file size: ${content.length} chars`);
-      console.log(`    First 200 chars of output:`);
-      console.log(`    ${content.slice(0, 200).replace(/\n/g, '\n    ')}...`);
-    }
-    
-    console.log(`    ✓ Test passed`);
-    return result;
-  } catch (error) {
-    console.log(`    ✗ Error: ${error.message}`);
-    return null;
-  }
+  const results = [];
+
+  results.push(await check('writes the decompiled source, bytecode and metadata', async () => {
+    const result = await decompileContract(chain, CONTRACT, { useExternal: false });
+    const source = fs.readFileSync(result.outputPath, 'utf8');
+    const bytecode = fs.readFileSync(path.join(result.outputDir, 'bytecode.hex'), 'utf8');
+    return result.success && result.tool === 'builtin' && result.pseudoDecompiled &&
+      source.includes('function transfer(address,uint256)') && bytecode.trim() === SAMPLE_BYTECODE &&
+      result.metadata.bytecodeSize === (SAMPLE_BYTECODE.length - 2) / 2 &&
+      result.metadata.selectors.some(s => s.selector === '0x70a08231');
+  }));
+
+  results.push(await check('refuses an address without code', async () => {
+    return decompileContract(chain, EMPTY_ADDRESS, { useExternal: false })
+      .then(() => false, error => /No bytecode found/.test(error.message));
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testManualDecompile() {
+async function testManualDecompile(chain, tempDir) {
   console.log('\n--- Test: Manual decompilation flow ---');
-  
-  // This test demonstrates the manual flow for decompilation
-  const contract = TEST_CONTRACTS.unverified;
-  
+
+  // Stand-in for the Panoramix binary: prints a fixed decompilation of the bytecode it is given
+  const panoramix = path.join(tempDir, 'panoramix');
+  fs.writeFileSync(panoramix, '#!/bin/sh\necho "def unknown70a08231(addr _param1): # bytecode $1"\n', { mode: 0o755 });
+  const previousPath = process.env.PANORAMIX_PATH;
+  process.env.PANORAMIX_PATH = panoramix;
+
   try {
-    // 1. Get bytecode
-    console.log('\n  Step 1: Getting bytecode...');
-    const bytecode = await getBytecode(contract.chain, contract.address);
-    console.log(`    Got ${bytecode.length / 2} bytes`);
-    
-    // 2. Create temp directory
-    console.log('\n  Step 2: Creating temp directory...');
-    const tempDir = path.join(__dirname, '..', '..', '..', 'evm-chain-contracts', 'test-decompile');
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
+    return await check('getBytecode output is decompiled by Panoramix', async () => {
+      const bytecode = await getBytecode(chain, CONTRACT);
+      const outputDir = path.join(tempDir, 'manual');
+      const result = await decompileWithPanoramix(bytecode, outputDir);
+      const source = fs.readFileSync(result.outputPath, 'utf8');
+      return result.success && result.tool === 'panoramix' &&
+        source.includes('def unknown70a08231') && source.includes(SAMPLE_BYTECODE);
+    });
+  } finally {
+    if (previousPath === undefined) {
+      delete process.env.PANORAMIX_PATH;
+    } else {
+      process.env.PANORAMIX_PATH = previousPath;
     }
-    console.log(`    Created: ${tempDir}`);
-    
-    // 3. Attempt decompilation
-    console.log('\n  Step 3: Attempting decompilation...');
-    const result = await decompileWithPanoramix(bytecode, tempDir);
-    
-    console.log(`    Success: ${result.success}`);
-    console.log(`    Output: ${result.outputPath}`);
-    
-    if (result.error) {
-      console.log(`    Error: ${result.error}`);
-    }
-    
-    console.log(`    ✓ Test passed`);
-  } catch (error) {
-    console.log(`    ✗ Error: ${error.message}`);
   }
 }
 
@@ -120,14 +122,39 @@ async function main() {
   console.log('========================================');
   console.log('Test: Decompiler Module');
   console.log('========================================');
-  
-  await testGetBytecode();
-  await testDecompileContract();
-  await testManualDecompile();
-  
-  console.log('\n========================================');
-  console.log('Decompiler Tests Complete');
-  console.log('========================================\n');
+
+  // Every read must reach the local node
+  configureCache({ enabled: false });
+  configureRpc({ maxRetries: 0, timeoutMs: 2000 });
+
+  const node = await startRpcServer(({ method, params }) => {
+    if (method === 'eth_getCode') {
+      return { result: params[0].toLowerCase() === CONTRACT.toLowerCase() ? SAMPLE_BYTECODE : '0x' };
+    }
+    return { error: { code: -32601, message: 'method not found' } };
+  });
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decompile-test-'));
+  const chain = `test-decompile-${Date.now()}`;
+  const registryPath = path.join(tempDir, 'chains.json');
+  fs.writeFileSync(registryPath, JSON.stringify({ chains: { [chain]: { chainId: 90020, rpcUrls: [node.url] } } }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+
+  let success = false;
+  try {
+    const builtin = await testBuiltinDecompiler();
+    const empty = await testEmptyBytecode(tempDir);
+    const bytecode = await testGetBytecode(chain);
+    const contract = await testDecompileContract(chain);
+    const manual = await testManualDecompile(chain, tempDir);
+    success = builtin && empty && bytecode && contract && manual;
+  } finally {
+    reloadChainRegistry();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+    await node.close();
+  }
+
+  finish('Decompiler', success);
 }
 
-main().catch(console.error);
+runMain(main);
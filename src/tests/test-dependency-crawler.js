@@ -0,0 +1,212 @@
+/**
+ * Test: Dependency Crawler
+ *
+ * Usage: npm run test:crawl
+ *
+ * Tests address extraction from source, constructor arguments and bytecode, and that
+ * failed RPC reads and the contract limit mark the graph incomplete (against a local JSON-RPC server)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../modules/cache.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import { configureRpc } from '../modules/rpcProvider.js';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+import {
+  extractAddressesFromSource,
+  extractAddressesFromConstructorArgs,
+  extractAddressesFromBytecode,
+  crawlDependencies
+} from '../modules/dependencyCrawler.js';
+import { startRpcServer } from './mockNetwork.js';
+import { check, runMain } from './helpers.js';
+
+const ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+const VAULT = '0x00000000000000000000000000000000000000AA';
+
+const TEST_CASES = [
+  {
+    name: 'Address literal in source',
+    run: () => extractAddressesFromSource({
+      'contracts/Swap.sol': `contract Swap {\n  address constant ROUTER = ${ROUTER};\n}`
+    }),
+    expected: [ROUTER]
+  },
+  {
+    name: 'Address in comment is ignored',
+    run: () => extractAddressesFromSource({
+      'contracts/Swap.sol': `// deployed next to ${WETH}\ncontract Swap {}`
+    }),
+    expected: []
+  },
+  {
+    name: 'Constructor arguments',
+    run: () => extractAddressesFromConstructorArgs(
+      '000000000000000000000000' + ROUTER.slice(2).toLowerCase() +
+      '0000000000000000000000000000000000000000000000000000000000000064'
+    ),
+    expected: [ROUTER]
+  },
+  {
+    name: 'Small integers are not addresses',
+    run: () => extractAddressesFromConstructorArgs('00000000000000000000000000000000000000000000000000000000000003e8'),
+    expected: []
+  },
+  {
+    name: 'Precompiles are not addresses',
+    run: () => extractAddressesFromSource({
+      'contracts/Verify.sol': 'contract Verify {\n  address constant ECRECOVER = 0x0000000000000000000000000000000000000001;\n}'
+    }),
+    expected: []
+  },
+  {
+    name: 'Vanity address with leading zero bytes in source (Permit2)',
+    run: () => extractAddressesFromSource({
+      'contracts/Swap.sol': `contract Swap {\n  address constant PERMIT2 = ${PERMIT2};\n}`
+    }),
+    expected: [PERMIT2]
+  },
+  {
+    name: 'Vanity address with leading zero bytes in constructor arguments (Permit2)',
+    run: () => extractAddressesFromConstructorArgs('000000000000000000000000' + PERMIT2.slice(2).toLowerCase()),
+    expected: [PERMIT2]
+  },
+  {
+    name: 'PUSH20 constant and PUSH32 immutable in bytecode',
+    run: () => extractAddressesFromBytecode(
+      '0x73' + WETH.slice(2).toLowerCase() + '50' +
+      '7f000000000000000000000000' + ROUTER.slice(2).toLowerCase() + '50'
+    ),
+    expected: [WETH, ROUTER]
+  },
+  {
+    name: 'Address mask is ignored',
+    run: () => extractAddressesFromBytecode('0x73ffffffffffffffffffffffffffffffffffffffff16'),
+    expected: []
+  }
+];
+
+function testAddressExtraction() {
+  console.log('\n========================================');
+  console.log('Test: Dependency Address Extraction');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of TEST_CASES) {
+    console.log(`Testing: ${testCase.name}`);
+
+    try {
+      const result = testCase.run();
+      const ok = result.length === testCase.expected.length &&
+        testCase.expected.every(address => result.includes(address));
+
+      if (ok) {
+        console.log(`  ✓ PASSED`);
+        passed++;
+      } else {
+        console.log(`  ✗ FAILED (expected: ${testCase.expected.join(', ') || 'none'}, got: ${result.join(', ') || 'none'})`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  ✗ FAILED: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n========================================`);
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log(`========================================\n`);
+
+  return failed === 0;
+}
+
+/**
+ * Crawl from a verified seed referencing ROUTER, on a node that only answers for the seed
+ * @param {string} chain - Chain name registered for the node
+ * @param {Object} options - Extra crawl options
+ * @returns {Promise<Object>} Dependency graph
+ */
+function crawlVault(chain, options = {}) {
+  const sourceData = {
+    isVerified: true,
+    contractName: 'Vault',
+    sourceCode: `contract Vault {\n  address constant ROUTER = ${ROUTER};\n}`,
+    abi: '[]',
+    constructorArguments: ''
+  };
+  return crawlDependencies(chain, VAULT, { ...options, seeds: [{ address: VAULT, role: 'main', sourceData }] });
+}
+
+async function testRpcFailures() {
+  console.log('\n========================================');
+  console.log('Test: Crawl With Failing RPC Reads');
+  console.log('========================================\n');
+
+  const unavailable = { status: 503, body: { error: 'service unavailable' } };
+  const partialNode = await startRpcServer(({ method, params }) =>
+    method === 'eth_getCode' && params[0].toLowerCase() === VAULT.toLowerCase() ? { result: '0x6080604052' } : unavailable);
+  const deadNode = await startRpcServer(() => unavailable);
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-test-'));
+  const registryPath = path.join(tempDir, 'chains.json');
+  const partialChain = `test-crawl-partial-${Date.now()}`;
+  const deadChain = `test-crawl-dead-${Date.now()}`;
+  fs.writeFileSync(registryPath, JSON.stringify({
+    chains: {
+      [partialChain]: { chainId: 90011, rpcUrls: [partialNode.url], sourceProviders: [] },
+      [deadChain]: { chainId: 90012, rpcUrls: [deadNode.url], sourceProviders: [] }
+    }
+  }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+  configureCache({ enabled: false });
+  configureRpc({ maxRetries: 0, baseDelayMs: 10, timeoutMs: 2000 });
+
+  const results = [];
+  try {
+    results.push(await check('Unreadable reference is recorded on the edge', async () => {
+      const graph = await crawlVault(partialChain);
+      const edge = graph.edges.find(e => e.to === ROUTER);
+      return !graph.complete && graph.nodes.length === 1 && Boolean(edge && edge.error);
+    }));
+
+    results.push(await check('References past the contract limit are recorded as truncated', async () => {
+      const graph = await crawlVault(partialChain, { maxContracts: 0 });
+      const edge = graph.edges.find(e => e.to === ROUTER);
+      return !graph.complete && graph.nodes.length === 1 && Boolean(edge && edge.truncated) && !edge.error;
+    }));
+
+    results.push(await check('Unreadable bytecode is recorded on the node', async () => {
+      const graph = await crawlVault(deadChain);
+      return !graph.complete && Boolean(graph.nodes[0].referencesError) && graph.edges.length === 0;
+    }));
+  } finally {
+    reloadChainRegistry();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    for (const chain of [partialChain, deadChain]) {
+      fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+    }
+    await partialNode.close();
+    await deadNode.close();
+  }
+
+  const passed = results.filter(Boolean).length;
+  console.log(`\n========================================`);
+  console.log(`Results: ${passed} passed, ${results.length - passed} failed`);
+  console.log(`========================================\n`);
+
+  return passed === results.length;
+}
+
+async function main() {
+  const extraction = testAddressExtraction();
+  const rpcFailures = await testRpcFailures();
+  process.exit(extraction && rpcFailures ? 0 : 1);
+}
+
+runMain(main);
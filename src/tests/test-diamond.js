@@ -0,0 +1,202 @@
+/**
+ * Test: Diamond Detection
+ *
+ * Usage: npm run test:diamond
+ *
+ * Tests EIP-2535 facet discovery through the loupe and through DiamondCut replay,
+ * and the selector -> facet map, against local JSON-RPC servers (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { configureCache } from '../modules/cache.js';
+import { configureRpc } from '../modules/rpcProvider.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import { detectProxy, PROXY_STATUS } from '../modules/proxyDetector.js';
+import {
+  DIAMOND_LOUPE_ABI,
+  DIAMOND_CUT_TOPIC,
+  FACET_CUT_ACTIONS,
+  decodeDiamondCutLog,
+  replayDiamondCuts,
+  buildSelectorMap
+} from '../modules/diamond.js';
+import { startRpcServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
+
+const DIAMOND = '0x00000000000000000000000000000000000000dd';
+const FACET_A = ethers.getAddress('0x000000000000000000000000000000000000000a');
+const FACET_B = ethers.getAddress('0x000000000000000000000000000000000000000b');
+const FACET_C = ethers.getAddress('0x000000000000000000000000000000000000000c');
+
+const TRANSFER = ethers.id('transfer(address,uint256)').slice(0, 10);
+const OWNER = ethers.id('owner()').slice(0, 10);
+const PAUSE = ethers.id('pause()').slice(0, 10);
+
+const loupeInterface = new ethers.Interface(DIAMOND_LOUPE_ABI);
+const cutInterface = new ethers.Interface([
+  'event DiamondCut(tuple(address facetAddress, uint8 action, bytes4[] functionSelectors)[] _diamondCut, address _init, bytes _calldata)'
+]);
+
+/**
+ * Build an eth_getLogs-format DiamondCut log
+ * @param {Array} cuts - [[facetAddress, action, selectors]]
+ * @param {number} blockNumber - Block number
+ * @returns {Object} JSON-RPC log
+ */
+function cutLog(cuts, blockNumber) {
+  const { data, topics } = cutInterface.encodeEventLog('DiamondCut', [cuts, ethers.ZeroAddress, '0x']);
+  return {
+    address: DIAMOND,
+    topics,
+    data,
+    blockNumber: ethers.toQuantity(blockNumber),
+    blockHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber), 32),
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber + 1000), 32),
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  };
+}
+
+const CUT_LOGS = [
+  cutLog([[FACET_A, FACET_CUT_ACTIONS.ADD, [TRANSFER, OWNER, PAUSE]]], 5),
+  cutLog([[FACET_B, FACET_CUT_ACTIONS.REPLACE, [OWNER]], [ethers.ZeroAddress, FACET_CUT_ACTIONS.REMOVE, [PAUSE]]], 9)
+];
+
+const REVERT = { error: { code: 3, message: 'execution reverted', data: '0x' } };
+
+/**
+ * Handler for a diamond node
+ * @param {Object} options - { code, loupe: facets() result or null, logs }
+ * @returns {Function} Request handler
+ */
+function diamondNode({ code, loupe = null, logs = [] }) {
+  return ({ method, params }) => {
+    if (method === 'eth_getCode') return { result: code };
+    if (method === 'eth_blockNumber') return { result: '0x20' };
+    if (method === 'eth_getLogs') return { result: logs };
+    if (method === 'eth_getStorageAt') return { result: '0x' + '0'.repeat(64) };
+    if (method === 'eth_call') {
+      const selector = params[0].data.slice(0, 10);
+      if (loupe && selector === loupeInterface.getFunction('facets').selector) {
+        return { result: loupeInterface.encodeFunctionResult('facets', [loupe]) };
+      }
+      return REVERT;
+    }
+    return { error: { code: -32601, message: 'method not found' } };
+  };
+}
+
+async function testReplay() {
+  console.log('\n--- Test: DiamondCut replay ---');
+  const results = [];
+
+  results.push(await check('Add, Replace and Remove are applied in order', () => {
+    const facets = replayDiamondCuts(CUT_LOGS.map(decodeDiamondCutLog).reverse());
+    return facets.length === 2 &&
+      facets[0].facetAddress === FACET_A && facets[0].selectors.join() === TRANSFER &&
+      facets[1].facetAddress === FACET_B && facets[1].selectors.join() === OWNER;
+  }));
+
+  results.push(await check('Selector map names selectors from the facet ABI', () => {
+    const facets = [
+      { facetAddress: FACET_A, selectors: [TRANSFER] },
+      { facetAddress: FACET_C, selectors: [PAUSE] }
+    ];
+    const sources = new Map([[FACET_A.toLowerCase(), {
+      contractName: 'TokenFacet',
+      abi: JSON.stringify([{ type: 'function', name: 'transfer', inputs: [{ type: 'address' }, { type: 'uint256' }], outputs: [], stateMutability: 'nonpayable' }])
+    }]]);
+    const map = buildSelectorMap(facets, sources);
+    return map.selectors[TRANSFER].signature === 'transfer(address,uint256)' &&
+      map.selectors[TRANSFER].contractName === 'TokenFacet' &&
+      map.selectors[PAUSE].facet === FACET_C && map.selectors[PAUSE].signature === null &&
+      map.facets[1].verified === false;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testDetection() {
+  console.log('\n--- Test: diamond detection ---');
+  const loupeNode = await startRpcServer(diamondNode({
+    code: '0x6080604052',
+    loupe: [[FACET_A, [TRANSFER, PAUSE]], [FACET_B, [OWNER]], [ethers.ZeroAddress, []]]
+  }));
+  const cutNode = await startRpcServer(diamondNode({
+    code: '0x60806040527f' + DIAMOND_CUT_TOPIC.slice(2),
+    logs: CUT_LOGS
+  }));
+  const plainNode = await startRpcServer(diamondNode({ code: '0x6080604052', logs: CUT_LOGS }));
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diamond-test-'));
+  const registryPath = path.join(tempDir, 'chains.json');
+  // No Etherscan: DiamondCut logs come from eth_getLogs on the test server
+  fs.writeFileSync(registryPath, JSON.stringify({
+    chains: {
+      loupenet: { chainId: 90021, rpcUrls: [loupeNode.url], sourceProviders: ['sourcify'] },
+      cutnet: { chainId: 90022, rpcUrls: [cutNode.url], sourceProviders: ['sourcify'] },
+      plainnet: { chainId: 90023, rpcUrls: [plainNode.url], sourceProviders: ['sourcify'] }
+    }
+  }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+  const results = [];
+
+  try {
+    results.push(await check('Facets are read through the loupe', async () => {
+      const info = await detectProxy('loupenet', DIAMOND);
+      return info.status === PROXY_STATUS.PROXY && info.isDiamond &&
+        info.detectionMethod === 'diamond-loupe' &&
+        info.implementationAddress === null &&
+        info.facets.length === 2 && info.facets[0].selectors.length === 2;
+    }));
+
+    results.push(await check('Diamond without a loupe is rebuilt from DiamondCut events', async () => {
+      const info = await detectProxy('cutnet', DIAMOND);
+      return info.isDiamond && info.detectionMethod === 'diamond-cut-events' &&
+        info.facets.map(f => f.facetAddress).join() === [FACET_A, FACET_B].join() &&
+        cutNode.requests.includes('eth_getLogs');
+    }));
+
+    results.push(await check('Logs are not scanned for contracts without diamond markers', async () => {
+      const info = await detectProxy('plainnet', DIAMOND);
+      return info.status === PROXY_STATUS.NOT_PROXY && !info.isDiamond &&
+        !plainNode.requests.includes('eth_getLogs');
+    }));
+
+    results.push(await check('Verified source using LibDiamond triggers the replay', async () => {
+      const sourceData = { isVerified: true, sourceCode: 'import "./libraries/LibDiamond.sol"; contract Diamond {}' };
+      const info = await detectProxy('plainnet', DIAMOND, sourceData);
+      return info.isDiamond && info.facets.length === 2;
+    }));
+  } finally {
+    reloadChainRegistry();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    await loupeNode.close();
+    await cutNode.close();
+    await plainNode.close();
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Diamond Detection');
+  console.log('========================================');
+
+  // Every request must reach the test servers
+  configureCache({ enabled: false });
+  configureRpc({ baseDelayMs: 10, timeoutMs: 2000 });
+
+  const replay = await testReplay();
+  const detection = await testDetection();
+  const success = replay && detection;
+
+  finish('Diamond', success);
+}
+
+runMain(main);
@@ -1,115 +1,108 @@
 /**
  * Test: Source Fetcher Module
- * 
+ *
  * Usage: npm run test:fetch
- * 
- * Tests the contract source fetching from Etherscan
+ *
+ * Tests fetching verified and unverified contract sources through the source providers,
+ * replaying recorded explorer responses from a local mock explorer (no network access;
+ * see mockNetwork.js)
  */
 
 import { fetchContractSource, isContractVerified, fetchMultipleContractSources } from '../modules/sourceFetcher.js';
+import { parseSourceCode } from '../modules/sourceParser.js';
+import { LOG_LEVELS, configureLogger } from '../modules/logger.js';
+import { NETWORK_FIXTURES, TEST_CONTRACTS, startMockNetwork } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
 
-// Test contracts
-const TEST_CONTRACTS = {
-  proxy: {
-    chain: 'bsc',
-    address: '0x25aB3Efd52e6470681CE037cD546Dc60726948D3',
-    description: 'BSC Proxy Contract'
-  },
-  normal: {
-    chain: 'ethereum',
-    address: '0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14',
-    description: 'Ethereum Normal Contract'
-  },
-  unverified: {
-    chain: 'bsc',
-    address: '0xC38e4e6A15593f908255214653d3D947CA1c2338',
-    description: 'BSC Unverified Contract'
-  }
-};
-
-async function testFetchContractSource() {
+async function testFetchContractSource(chains) {
   console.log('\n--- Test: fetchContractSource ---');
-  
-  for (const [type, contract] of Object.entries(TEST_CONTRACTS)) {
-    console.log(`\n  Testing ${contract.description} (${type}):`);
-    console.log(`    Chain: ${contract.chain}`);
-    console.log(`    Address: ${contract.address}`);
-    
+  const results = [];
+  const { proxy, normal, unverified } = TEST_CONTRACTS;
+
+  results.push(await check(`${proxy.description}: verified, with Etherscan's implementation`, async () => {
+    const result = await fetchContractSource(chains[proxy.chain], proxy.address);
+    return result.isVerified && result.contractName === proxy.contractName &&
+      result.sourceProvider === 'etherscan' && result.chainName === chains[proxy.chain] &&
+      result.isProxy && result.implementation.toLowerCase() === proxy.implementation.toLowerCase() &&
+      parseSourceCode(result.sourceCode).type === 'single-file';
+  }));
+
+  results.push(await check(`${normal.description}: verified multi-file source`, async () => {
+    const result = await fetchContractSource(chains[normal.chain], normal.address);
+    const parsed = parseSourceCode(result.sourceCode);
+    return result.isVerified && result.contractName === normal.contractName && !result.isProxy &&
+      /^v0\.8\.\d+/.test(result.compilerVersion) && result.optimizationUsed && result.runs === 200 &&
+      parsed.type === 'multi-file' && Object.keys(parsed.files).length > 1 &&
+      JSON.parse(result.abi).length > 0;
+  }));
+
+  results.push(await check(`${unverified.description}: unverified on every provider`, async () => {
+    const result = await fetchContractSource(chains[unverified.chain], unverified.address);
+    return !result.isVerified && result.sourceCode === '' && result.sourceProvider === 'etherscan' &&
+      !result.providerErrors;
+  }));
+
+  results.push(await check('Unsupported chains are rejected', async () => {
     try {
-      const result = await fetchContractSource(contract.chain, contract.address);
-      console.log(`    Verified: ${result.isVerified}`);
-      
-      if (result.isVerified) {
-        console.log(`    Contract Name: ${result.contractName}`);
-        console.log(`    Compiler: ${result.compilerVersion}`);
-        console.log(`    Optimization: ${result.optimizationUsed ? 'Yes' : 'No'} (${result.runs} runs)`);
-        console.log(`    Source Type: ${result.sourceCode.startsWith('{') ? 'Multi-file JSON' : 'Single file'}`);
-        console.log(`    Source Length: ${result.sourceCode.length} chars`);
-        console.log(`    Is Proxy (Etherscan): ${result.isProxy}`);
-        if (result.implementation) {
-          console.log(`    Implementation (Etherscan): ${result.implementation}`);
-        }
-      } else {
-        console.log(`    ABI: ${result.abi}`);
-      }
-      
-      console.log(`    ✓ Test passed`);
+      await fetchContractSource('nochain', proxy.address);
+      return false;
     } catch (error) {
-      console.log(`    ✗ Error: ${error.message}`);
+      return error.message.includes('Unsupported chain');
     }
-  }
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testIsContractVerified() {
+async function testIsContractVerified(chains) {
   console.log('\n--- Test: isContractVerified ---');
-  
+  const results = [];
+
   for (const [type, contract] of Object.entries(TEST_CONTRACTS)) {
-    console.log(`\n  Testing ${contract.description} (${type}):`);
-    
-    try {
-      const verified = await isContractVerified(contract.chain, contract.address);
-      console.log(`    Verified: ${verified}`);
-      console.log(`    ✓ Test passed`);
-    } catch (error) {
-      console.log(`    ✗ Error: ${error.message}`);
-    }
+    const expected = type !== 'unverified';
+    results.push(await check(`${contract.description}: ${expected ? 'verified' : 'not verified'}`, async () =>
+      await isContractVerified(chains[contract.chain], contract.address) === expected));
   }
+
+  return results.every(Boolean);
 }
 
-async function testFetchMultipleContractSources() {
+async function testFetchMultipleContractSources(chains) {
   console.log('\n--- Test: fetchMultipleContractSources ---');
-  
-  const addresses = Object.values(TEST_CONTRACTS)
-    .filter(c => c.chain === 'bsc')
-    .map(c => c.address);
-  
-  console.log(`\n  Fetching ${addresses.length} BSC contracts simultaneously...`);
-  
-  try {
-    const results = await fetchMultipleContractSources('bsc', addresses);
-    
-    for (const result of results) {
-      console.log(`    ${result.contractAddress}: ${result.isVerified ? 'Verified' : 'Not Verified'}`);
-    }
-    
-    console.log(`    ✓ Test passed`);
-  } catch (error) {
-    console.log(`    ✗ Error: ${error.message}`);
-  }
+  const { proxy, unverified } = TEST_CONTRACTS;
+
+  const passed = await check('BSC contracts are fetched in order', async () => {
+    const results = await fetchMultipleContractSources(chains.bsc, [proxy.address, unverified.address]);
+    return results.length === 2 &&
+      results[0].contractAddress === proxy.address && results[0].isVerified &&
+      results[1].contractAddress === unverified.address && !results[1].isVerified;
+  });
+
+  return passed;
 }
 
 async function main() {
   console.log('========================================');
   console.log('Test: Source Fetcher Module');
   console.log('========================================');
-  
-  await testFetchContractSource();
-  await testIsContractVerified();
-  await testFetchMultipleContractSources();
-  
-  console.log('\n========================================');
-  console.log('Source Fetcher Tests Complete');
-  console.log('========================================\n');
+
+  configureLogger({ level: LOG_LEVELS.QUIET });
+  const network = await startMockNetwork(NETWORK_FIXTURES, ['bsc', 'ethereum']);
+  let success = false;
+  try {
+    const sources = await testFetchContractSource(network.chains);
+    const verified = await testIsContractVerified(network.chains);
+    const multiple = await testFetchMultipleContractSources(network.chains);
+    const replayed = await check('Every request was answered from the fixtures', () => {
+      network.missing.forEach(request => console.log(`    missing: ${request}`));
+      return network.missing.length === 0;
+    });
+    success = sources && verified && multiple && replayed;
+  } finally {
+    await network.close();
+  }
+
+  finish('Source Fetcher', success);
 }
 
-main().catch(console.error);
+runMain(main);
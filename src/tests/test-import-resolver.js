@@ -0,0 +1,171 @@
+/**
+ * Test: Import Resolver
+ *
+ * Usage: npm run test:imports
+ *
+ * Tests import parsing, relative and remapped resolution, reachability from the main
+ * contract and the saved import-graph.json / import-graph.dot (no network access)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  parseImports,
+  resolveUnitName,
+  resolveImport,
+  buildImportGraph,
+  getImportRoots,
+  analyzeImportGraph,
+  importGraphToDot
+} from '../modules/importResolver.js';
+import { OUTPUT_DIR, detectMainContract, processAndSaveSource } from '../modules/sourceParser.js';
+import { check, finish, runMain } from './helpers.js';
+
+const CHAIN = 'import-resolver-test';
+const ADDRESS = '0x00000000000000000000000000000000000000ad';
+
+const VAULT = `// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./Math.sol";
+import {IERC20 as Token} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import * as Fixed from "solmate/utils/FixedPointMathLib.sol";
+// import "./Commented.sol";
+/* import "./Blocked.sol"; */
+import "../interfaces/IMissing.sol" as Missing;
+
+contract Vault {
+    string constant NOTE = 'import "./InString.sol";';
+}
+`;
+
+const FILES = {
+  'src/Vault.sol': VAULT,
+  'src/Math.sol': 'pragma solidity 0.8.21;\nlibrary MathLib {}\n',
+  '@openzeppelin/contracts/token/ERC20/IERC20.sol': 'pragma solidity ^0.8.0;\ninterface IERC20 {}\n',
+  'lib/solmate/src/utils/FixedPointMathLib.sol': 'pragma solidity >=0.8.0;\nimport "../auth/Owned.sol";\nlibrary FixedPointMathLib {}\n',
+  'lib/solmate/src/auth/Owned.sol': 'pragma solidity >=0.8.0;\nabstract contract Owned {}\n',
+  'src/test/VaultHelper.sol': 'pragma solidity 0.8.21;\nimport "../Vault.sol";\ncontract VaultHelper { function run() external {} }\n'
+};
+
+const REMAPPINGS = ['solmate/=lib/solmate/src/'];
+
+async function testResolution() {
+  console.log('\n--- Test: parsing and resolution ---');
+  const results = [];
+
+  results.push(await check('All import forms are parsed, comments and strings are ignored', () => {
+    const imports = parseImports(VAULT);
+    return imports.map(i => i.path).join() ===
+      './Math.sol,@openzeppelin/contracts/token/ERC20/IERC20.sol,solmate/utils/FixedPointMathLib.sol,../interfaces/IMissing.sol' &&
+      imports[0].line === 4 && imports[3].line === 9;
+  }));
+
+  results.push(await check('Relative imports resolve against the importing file', () =>
+    resolveUnitName('./Math.sol', 'src/Vault.sol') === 'src/Math.sol' &&
+    resolveUnitName('../auth/Owned.sol', 'lib/solmate/src/utils/X.sol') === 'lib/solmate/src/auth/Owned.sol' &&
+    resolveUnitName('./A.sol', 'Root.sol') === 'A.sol' &&
+    resolveUnitName('../../A.sol', 'src/B.sol') === '../A.sol'));
+
+  results.push(await check('Longest prefix and most specific context win', () => {
+    const remappings = ['oz/=lib/oz-v4/', 'oz/token/=lib/oz-token/', 'src/legacy:oz/=lib/oz-v3/'];
+    return resolveUnitName('oz/token/ERC20.sol', 'src/Vault.sol', remappings) === 'lib/oz-token/ERC20.sol' &&
+      resolveUnitName('oz/access/Ownable.sol', 'src/Vault.sol', remappings) === 'lib/oz-v4/access/Ownable.sol' &&
+      resolveUnitName('oz/access/Ownable.sol', 'src/legacy/Old.sol', remappings) === 'lib/oz-v3/access/Ownable.sol';
+  }));
+
+  results.push(await check('Lookup tolerates a leading slash on either side', () =>
+    resolveImport('/src/Math.sol', 'src/Vault.sol', FILES) === 'src/Math.sol' &&
+    resolveImport('contracts/A.sol', 'x.sol', { '/contracts/A.sol': '' }) === '/contracts/A.sol'));
+
+  return results.every(Boolean);
+}
+
+async function testGraph() {
+  console.log('\n--- Test: graph and reachability ---');
+  const results = [];
+  const graph = buildImportGraph(FILES, REMAPPINGS);
+
+  results.push(await check('Edges follow remappings and missing imports are reported', () =>
+    graph.edges.length === 5 &&
+    graph.edges.some(e => e.from === 'src/Vault.sol' && e.to === 'lib/solmate/src/utils/FixedPointMathLib.sol') &&
+    graph.missing.length === 1 && graph.missing[0].import === '../interfaces/IMissing.sol' &&
+    graph.missing[0].file === 'src/Vault.sol' && graph.missing[0].line === 9));
+
+  results.push(await check('Files the main contract can\'t reach are marked', () => {
+    const analysis = analyzeImportGraph(graph, 'src/Vault.sol');
+    return analysis.unreachableFiles.join() === 'src/test/VaultHelper.sol' && analysis.reachableFiles.length === 5;
+  }));
+
+  results.push(await check('Main contract detection prefers files nothing imports', () => {
+    // The router is the only root; by size alone Vault.sol would win
+    const files = { ...FILES, 'src/VaultRouter.sol': 'pragma solidity 0.8.21;\nimport "./Vault.sol";\ncontract VaultRouter {}\n' };
+    delete files['src/test/VaultHelper.sol'];
+    const routerGraph = buildImportGraph(files, REMAPPINGS);
+    return getImportRoots(routerGraph).join() === 'src/VaultRouter.sol' &&
+      detectMainContract(files, null, null, routerGraph) === 'src/VaultRouter.sol' &&
+      detectMainContract(files, 'Vault') === 'src/Vault.sol';
+  }));
+
+  results.push(await check('DOT output marks the main contract, unreachable files and missing imports', () => {
+    const dot = importGraphToDot(graph, analyzeImportGraph(graph, 'src/Vault.sol'));
+    return dot.startsWith('digraph imports {') &&
+      dot.includes('"src/Vault.sol" [style="filled,bold"') &&
+      dot.includes('"src/test/VaultHelper.sol" [style=dashed') &&
+      dot.includes('"src/Vault.sol" -> "src/Math.sol";') &&
+      dot.includes('"src/Vault.sol" -> "missing:../interfaces/IMissing.sol" [style=dashed, color=red];');
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testSaved() {
+  console.log('\n--- Test: saved graph and manifest ---');
+  const results = [];
+  const sources = Object.fromEntries(Object.entries(FILES).map(([name, content]) => [name, { content }]));
+  const sourceData = {
+    isVerified: true,
+    contractAddress: ADDRESS,
+    chainName: CHAIN,
+    contractName: 'Vault',
+    contractFileName: 'Vault.sol',
+    compilerVersion: 'v0.8.21+commit.d9974bed',
+    sourceCode: `{${JSON.stringify({ language: 'Solidity', sources, settings: { remappings: REMAPPINGS } })}}`,
+    abi: '[]',
+    sourceProvider: 'etherscan'
+  };
+
+  try {
+    results.push(await check('Manifest and import-graph files are written with the sources', () => {
+      const result = processAndSaveSource(sourceData);
+      const contractDir = path.join(OUTPUT_DIR, CHAIN, ADDRESS);
+      const manifest = JSON.parse(fs.readFileSync(path.join(contractDir, 'audit-manifest.json'), 'utf8'));
+      const graph = JSON.parse(fs.readFileSync(result.artifacts.importGraph, 'utf8'));
+      return manifest.mainContractPath === 'src/Vault.sol' &&
+        manifest.unreachableFiles.join() === 'src/test/VaultHelper.sol' &&
+        manifest.missingImports[0].import === '../interfaces/IMissing.sol' &&
+        graph.mainFile === 'src/Vault.sol' && graph.edges.length === 5 &&
+        graph.nodes.find(node => node.id === 'src/Math.sol').importedBy === 1 &&
+        fs.readFileSync(path.join(contractDir, 'import-graph.dot'), 'utf8').includes('digraph imports');
+    }));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, CHAIN), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Import Resolver');
+  console.log('========================================');
+
+  const resolution = await testResolution();
+  const graph = await testGraph();
+  const saved = await testSaved();
+  const success = resolution && graph && saved;
+
+  finish('Import Resolver', success);
+}
+
+runMain(main);
@@ -0,0 +1,270 @@
+/**
+ * Test: Logger and Machine-Readable Output
+ *
+ * Usage: npm run test:logger
+ *
+ * Tests log levels, the json and ndjson output formats, batch events, exit codes
+ * and the CLI's --json / --quiet output (no network access: the CLI runs against a
+ * chain whose endpoints refuse connections)
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LOG_LEVELS, OUTPUT_FORMATS, configureLogger, logger } from '../modules/logger.js';
+import { runBatch } from '../modules/batch.js';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+import { PROXY_STATUS } from '../modules/proxyDetector.js';
+import { EXIT_CODES, getExitCode, buildResultDocument } from '../index.js';
+import { check, finish, runMain } from './helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const CLI_PATH = path.join(__dirname, '..', 'index.js');
+
+const ADDRESS = '0x00000000000000000000000000000000000000d1';
+
+/**
+ * Writable stand-in that records what is written
+ * @returns {Object} { write, text, lines }
+ */
+function captureStream() {
+  const chunks = [];
+  return {
+    write: (chunk) => { chunks.push(chunk); return true; },
+    text: () => chunks.join(''),
+    lines: () => chunks.join('').split('\n').filter(Boolean)
+  };
+}
+
+/**
+ * Route the logger to fresh capture streams
+ * @param {Object} options - { level, format }
+ * @returns {Object} { stdout, stderr }
+ */
+function capture(options) {
+  const stdout = captureStream();
+  const stderr = captureStream();
+  configureLogger({ ...options, stdout, stderr });
+  return { stdout, stderr };
+}
+
+function restoreLogger() {
+  configureLogger({ level: LOG_LEVELS.NORMAL, format: OUTPUT_FORMATS.TEXT, stdout: process.stdout, stderr: process.stderr });
+}
+
+/**
+ * fetchContract-shaped result
+ * @param {Object[]} sourceResults - Per-contract results
+ * @param {string} proxyStatus - PROXY_STATUS value
+ * @returns {Object} Result
+ */
+function fetchResult(sourceResults, proxyStatus = PROXY_STATUS.NOT_PROXY) {
+  return {
+    chainName: 'ethereum',
+    contractAddress: ADDRESS,
+    chainConfig: { chainId: 1 },
+    blockTag: 'latest',
+    proxyInfo: { status: proxyStatus, isProxy: false },
+    sourceResults,
+    selectorMapPath: null,
+    storage: null,
+    projects: null,
+    upgradeHistory: null,
+    dependencyGraph: null,
+    report: null
+  };
+}
+
+async function testLogger() {
+  console.log('\n--- Test: levels and formats ---');
+  const results = [];
+
+  try {
+    results.push(await check('Levels filter messages', () => {
+      const quiet = capture({ level: LOG_LEVELS.QUIET, format: OUTPUT_FORMATS.TEXT });
+      logger.info('progress');
+      logger.debug('detail');
+      logger.warn('careful');
+      logger.error('broken');
+      const verbose = capture({ level: LOG_LEVELS.VERBOSE, format: OUTPUT_FORMATS.TEXT });
+      logger.info('progress');
+      logger.debug('detail');
+      return quiet.stdout.text() === '' && quiet.stderr.lines().join() === 'careful,broken' &&
+        verbose.stdout.lines().join() === 'progress,detail';
+    }));
+
+    results.push(await check('Text format: progress on stdout, no events or result', () => {
+      const { stdout, stderr } = capture({ level: LOG_LEVELS.NORMAL, format: OUTPUT_FORMATS.TEXT });
+      logger.info('Found %d file(s)', 3);
+      logger.event('batch-start', { total: 1 });
+      logger.result({ status: 'succeeded' });
+      return stdout.text() === 'Found 3 file(s)\n' && stderr.text() === '';
+    }));
+
+    results.push(await check('JSON format: stdout holds only the result document', () => {
+      const { stdout, stderr } = capture({ level: LOG_LEVELS.NORMAL, format: OUTPUT_FORMATS.JSON });
+      logger.info('progress');
+      logger.event('batch-start', { total: 1 });
+      logger.result({ status: 'succeeded', exitCode: 0 });
+      return JSON.parse(stdout.text()).status === 'succeeded' && stderr.text() === 'progress\n';
+    }));
+
+    results.push(await check('NDJSON format: one event per line', () => {
+      const { stdout, stderr } = capture({ level: LOG_LEVELS.QUIET, format: OUTPUT_FORMATS.NDJSON });
+      logger.info('progress');
+      logger.event('batch-start', { total: 2 });
+      logger.result({ status: 'succeeded' });
+      const events = stdout.lines().map(line => JSON.parse(line));
+      return events.length === 2 && events[0].event === 'batch-start' && events[0].total === 2 &&
+        Boolean(events[0].time) && events[1].event === 'result' && stderr.text() === '';
+    }));
+
+    results.push(await check('Invalid levels and formats are rejected', () => {
+      const errors = [];
+      for (const options of [{ level: 'loud' }, { format: 'xml' }]) {
+        try {
+          configureLogger(options);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      return errors.length === 2 && errors[0].includes('Unknown log level') && errors[1].includes('Unknown output format');
+    }));
+
+    results.push(await check('Batch runs stream an event per contract', async () => {
+      const { stdout } = capture({ level: LOG_LEVELS.NORMAL, format: OUTPUT_FORMATS.NDJSON });
+      const entries = [
+        { chain: 'ethereum', address: ADDRESS },
+        { chain: 'bsc', address: ADDRESS }
+      ];
+      await runBatch(entries, {
+        concurrency: 1,
+        processEntry: async (entry) => {
+          if (entry.chain === 'bsc') throw new Error('explorer down');
+          return fetchResult([{ type: 'main', address: ADDRESS, verified: true }]);
+        }
+      });
+      const events = stdout.lines().map(line => JSON.parse(line));
+      return events.map(event => event.event).join() === 'batch-start,batch-entry,batch-entry,batch-complete' &&
+        events[1].status === 'succeeded' && events[2].status === 'failed' && events[2].error === 'explorer down' &&
+        events[3].failed === 1 && !('results' in events[3]);
+    }));
+  } finally {
+    restoreLogger();
+  }
+
+  return results.every(Boolean);
+}
+
+async function testExitCodes() {
+  console.log('\n--- Test: exit codes and result document ---');
+  const results = [];
+
+  results.push(await check('Fetch results map to exit codes', () =>
+    getExitCode(fetchResult([{ type: 'main', address: ADDRESS, verified: true }])) === EXIT_CODES.SUCCESS &&
+    getExitCode(fetchResult([{ type: 'main', address: ADDRESS, verified: false, decompiled: true }])) === EXIT_CODES.UNVERIFIED &&
+    getExitCode(fetchResult([{ type: 'main', address: ADDRESS, verified: false, skipped: true, error: 'not verified' }])) === EXIT_CODES.UNVERIFIED &&
+    getExitCode(fetchResult([{ type: 'main', address: ADDRESS, error: 'Failed to fetch source', networkFailure: true }])) === EXIT_CODES.NETWORK_FAILURE &&
+    getExitCode(fetchResult([{ type: 'main', address: ADDRESS, error: 'Cannot read properties of undefined', networkFailure: false }])) === EXIT_CODES.ERROR &&
+    getExitCode(fetchResult([{ type: 'main', address: ADDRESS, verified: true }], PROXY_STATUS.INCONCLUSIVE)) === EXIT_CODES.NETWORK_FAILURE));
+
+  results.push(await check('The result document is plain JSON without source code', () => {
+    const result = fetchResult([{
+      type: 'main',
+      address: ADDRESS,
+      verified: true,
+      sourceProvider: 'etherscan',
+      sourceData: { contractName: 'Vault', compilerVersion: 'v0.8.20', sourceCode: 'contract Vault {}' },
+      savedFiles: ['/out/Vault.sol'],
+      auditManifest: { mainContractPath: 'src/Vault.sol', totalSloc: 10, auditSloc: 8 }
+    }]);
+    const document = buildResultDocument(result);
+    const json = JSON.stringify(document);
+    return document.status === 'succeeded' && document.exitCode === 0 &&
+      document.contracts[0].contractName === 'Vault' && document.contracts[0].savedFiles === 1 &&
+      document.contracts[0].auditSloc === 8 && !json.includes('contract Vault {}');
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testCli(tempDir) {
+  console.log('\n--- Test: CLI ---');
+  const results = [];
+  const chain = `test-logger-${Date.now()}`;
+  const chainsFile = path.join(tempDir, 'chains.json');
+  fs.writeFileSync(chainsFile, JSON.stringify({
+    chains: {
+      [chain]: { chainId: 31337, rpcUrls: ['http://127.0.0.1:1'], blockscoutUrl: 'http://127.0.0.1:1', sourceProviders: ['blockscout'] }
+    }
+  }));
+  const run = (args) => spawnSync(process.execPath, [CLI_PATH, ...args], {
+    encoding: 'utf8',
+    timeout: 60000,
+    env: { ...process.env, CHAINS_FILE: chainsFile, RPC_MAX_RETRIES: '0', LOG_LEVEL: '' }
+  });
+
+  try {
+    results.push(await check('Unsupported chains exit with code 3', () => {
+      const child = run(['nochain', ADDRESS, '--json']);
+      const document = JSON.parse(child.stdout);
+      return child.status === EXIT_CODES.UNSUPPORTED_CHAIN && document.exitCode === EXIT_CODES.UNSUPPORTED_CHAIN &&
+        child.stderr.includes('Unsupported chain');
+    }));
+
+    results.push(await check('Network failures exit with code 4 and a JSON document', () => {
+      const child = run([chain, ADDRESS, '--json', '--no-cache', '--no-decompile']);
+      const document = JSON.parse(child.stdout);
+      return child.status === EXIT_CODES.NETWORK_FAILURE && document.status === 'failed' &&
+        document.proxy.status === PROXY_STATUS.INCONCLUSIVE && child.stderr.includes('Step 1');
+    }));
+
+    results.push(await check('Batches exit with 4 only when every failure is a network failure', () => {
+      const networkList = path.join(tempDir, 'network.txt');
+      fs.writeFileSync(networkList, `${chain} ${ADDRESS}\n`);
+      const network = run(['batch', networkList, '--json', '--no-cache', '--no-decompile', '--fresh']);
+      const document = JSON.parse(network.stdout);
+      return network.status === EXIT_CODES.NETWORK_FAILURE && document.exitCode === EXIT_CODES.NETWORK_FAILURE &&
+        document.failed === 1 && document.networkFailures === 1 && document.results[0].networkFailure === true;
+    }));
+
+    results.push(await check('--quiet leaves only warnings and errors', () => {
+      const child = run([chain, ADDRESS, '--quiet', '--no-cache', '--no-decompile']);
+      return child.status === EXIT_CODES.NETWORK_FAILURE && child.stdout === '' &&
+        child.stderr.includes('Could not fetch source') && !child.stderr.includes('Step 1');
+    }));
+
+    results.push(await check('Conflicting output options are rejected', () => {
+      const child = run([chain, ADDRESS, '--json', '--ndjson']);
+      return child.status === EXIT_CODES.ERROR && child.stdout === '' && child.stderr.includes('mutually exclusive');
+    }));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Logger and Machine-Readable Output');
+  console.log('========================================');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  let success = false;
+  try {
+    const loggerTests = await testLogger();
+    const exitCodes = await testExitCodes();
+    const cli = await testCli(tempDir);
+    success = loggerTests && exitCodes && cli;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  finish('Logger', success);
+}
+
+runMain(main);
@@ -0,0 +1,144 @@
+/**
+ * Test: Output Profiles
+ *
+ * Usage: npm run test:profiles
+ *
+ * Tests which artifacts (abi.json, compiler-settings.json, metadata.json) each output
+ * profile writes next to the saved source (no network access)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OUTPUT_DIR, configureOutput, getOutputConfig, processAndSaveSource } from '../modules/sourceParser.js';
+import { check, finish, runMain } from './helpers.js';
+
+const CHAIN = 'output-profile-test';
+const ADDRESS = '0x00000000000000000000000000000000000000ab';
+
+const RAW_DATA = {
+  SourceCode: 'pragma solidity ^0.8.0;\ncontract Token { uint256 public supply; }\n',
+  ABI: '[{"type":"function","name":"supply","inputs":[],"outputs":[{"type":"uint256"}],"stateMutability":"view"}]',
+  ContractName: 'Token',
+  CompilerVersion: 'v0.8.19+commit.7dd6d404',
+  OptimizationUsed: '1',
+  Runs: '999',
+  ConstructorArguments: '00000000000000000000000000000000000000000000000000000000000003e8',
+  EVMVersion: 'Default',
+  Library: '',
+  LicenseType: 'MIT',
+  Proxy: '0',
+  Implementation: '',
+  SwarmSource: ''
+};
+
+const SOURCE_DATA = {
+  isVerified: true,
+  contractAddress: ADDRESS,
+  chainName: CHAIN,
+  rawData: RAW_DATA,
+  sourceCode: RAW_DATA.SourceCode,
+  abi: RAW_DATA.ABI,
+  contractName: 'Token',
+  contractFileName: null,
+  compilerVersion: RAW_DATA.CompilerVersion,
+  compilerType: 'Solidity (Single file)',
+  optimizationUsed: true,
+  runs: 999,
+  evmVersion: 'Default',
+  constructorArguments: RAW_DATA.ConstructorArguments,
+  library: '',
+  licenseType: 'MIT',
+  sourceProvider: 'etherscan'
+};
+
+const contractDir = path.join(OUTPUT_DIR, CHAIN, ADDRESS);
+
+/**
+ * Artifact files present in the contract directory
+ * @returns {string} Sorted, comma-separated file names
+ */
+function artifactFiles() {
+  return ['abi.json', 'compiler-settings.json', 'metadata.json']
+    .filter(name => fs.existsSync(path.join(contractDir, name)))
+    .join();
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Output Profiles');
+  console.log('========================================\n');
+
+  const initialProfile = getOutputConfig().profile;
+  const results = [];
+
+  try {
+    results.push(await check('Profile defaults to standard', () =>
+      process.env.OUTPUT_PROFILE !== undefined || initialProfile === 'standard'));
+
+    results.push(await check('minimal saves only the source and audit manifest', () => {
+      configureOutput({ profile: 'minimal' });
+      const result = processAndSaveSource(SOURCE_DATA);
+      return result.success && artifactFiles() === '' &&
+        fs.existsSync(path.join(contractDir, 'Token.sol')) &&
+        fs.existsSync(path.join(contractDir, 'audit-manifest.json')) &&
+        result.artifacts.abi === null;
+    }));
+
+    results.push(await check('standard adds the ABI and compiler settings', () => {
+      configureOutput({ profile: 'standard' });
+      const result = processAndSaveSource(SOURCE_DATA);
+      const abi = fs.readFileSync(result.artifacts.abi, 'utf8');
+      const settings = JSON.parse(fs.readFileSync(result.artifacts.compilerSettings, 'utf8'));
+      return artifactFiles() === 'abi.json,compiler-settings.json' &&
+        JSON.parse(abi)[0].name === 'supply' && abi.includes('\n  ') &&
+        settings.compilerVersion === RAW_DATA.CompilerVersion &&
+        settings.optimizationUsed === true && settings.runs === 999 &&
+        settings.constructorArguments === RAW_DATA.ConstructorArguments &&
+        settings.settings === null;
+    }));
+
+    results.push(await check('full adds metadata.json with every explorer field', () => {
+      configureOutput({ profile: 'full' });
+      const result = processAndSaveSource(SOURCE_DATA);
+      const metadata = JSON.parse(fs.readFileSync(result.artifacts.metadata, 'utf8'));
+      return artifactFiles() === 'abi.json,compiler-settings.json,metadata.json' &&
+        Object.keys(RAW_DATA).every(key => metadata[key] === RAW_DATA[key]) &&
+        metadata.sourceProvider === 'etherscan' && metadata.contractAddress === ADDRESS;
+    }));
+
+    results.push(await check('A smaller profile removes artifacts it does not write', () => {
+      configureOutput({ profile: 'minimal' });
+      processAndSaveSource(SOURCE_DATA);
+      return artifactFiles() === '';
+    }));
+
+    results.push(await check('Standard-JSON settings are kept in compiler-settings.json', () => {
+      configureOutput({ profile: 'standard' });
+      const sourceCode = JSON.stringify({
+        language: 'Solidity',
+        sources: { 'src/Token.sol': { content: RAW_DATA.SourceCode } },
+        settings: { remappings: ['@oz/=lib/openzeppelin/'], viaIR: true }
+      });
+      const result = processAndSaveSource({ ...SOURCE_DATA, sourceCode: `{${sourceCode}}` });
+      const settings = JSON.parse(fs.readFileSync(result.artifacts.compilerSettings, 'utf8'));
+      return settings.settings.viaIR === true && settings.settings.remappings.length === 1;
+    }));
+
+    results.push(await check('Unknown profiles are rejected', () => {
+      try {
+        configureOutput({ profile: 'everything' });
+        return false;
+      } catch (error) {
+        return error.message.includes('minimal, standard, full');
+      }
+    }));
+  } finally {
+    configureOutput({ profile: initialProfile });
+    fs.rmSync(path.join(OUTPUT_DIR, CHAIN), { recursive: true, force: true });
+  }
+
+  const success = results.every(Boolean);
+  finish('Output Profile', success);
+}
+
+runMain(main);
@@ -1,27 +1,19 @@
 /**
  * Test: Source Parser Module
- * 
+ *
  * Usage: npm run test:parse
- * 
- * Tests the source parsing and file saving functionality
+ *
+ * Tests source parsing and saving of fetched sources, replaying recorded explorer
+ * responses from a local mock explorer (no network access; see mockNetwork.js)
  */
 
-import { parseSourceCode, processAndSaveSource } from '../modules/sourceParser.js';
+import fs from 'fs';
+import path from 'path';
+import { OUTPUT_DIR, parseSourceCode, processAndSaveSource } from '../modules/sourceParser.js';
 import { fetchContractSource } from '../modules/sourceFetcher.js';
-
-// Test contracts
-const TEST_CONTRACTS = {
-  proxy: {
-    chain: 'bsc',
-    address: '0x25aB3Efd52e6470681CE037cD546Dc60726948D3',
-    description: 'BSC Proxy Contract'
-  },
-  normal: {
-    chain: 'ethereum',
-    address: '0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14',
-    description: 'Ethereum Normal Contract'
-  }
-};
+import { LOG_LEVELS, configureLogger } from '../modules/logger.js';
+import { NETWORK_FIXTURES, TEST_CONTRACTS, startMockNetwork } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
 
 // Sample source codes for testing parsing
 const SAMPLE_SOURCES = {
@@ -29,12 +21,12 @@ const SAMPLE_SOURCES = {
 
 contract SimpleContract {
     uint256 public value;
-    
+
     function setValue(uint256 _value) public {
         value = _value;
     }
 }`,
-  
+
   multiFileJson: JSON.stringify({
     sources: {
       'contracts/Main.sol': {
@@ -65,91 +57,95 @@ contract Base {
       }
     }
   }),
-  
-  doubleWrapped: '{{' + JSON.stringify({
+
+  doubleWrapped: '{' + JSON.stringify({
     sources: {
       'Token.sol': { content: 'pragma solidity ^0.8.0; contract Token {}' }
     }
-  }) + '}}'
+  }) + '}'
 };
 
-function testParseSourceCode() {
+async function testParseSourceCode() {
   console.log('\n--- Test: parseSourceCode ---');
-  
-  // Test single file
-  console.log('\n  Testing single file source:');
-  const singleResult = parseSourceCode(SAMPLE_SOURCES.singleFile);
-  console.log(`    Type: ${singleResult.type}`);
-  console.log(`    Files: ${Object.keys(singleResult.files).join(', ')}`);
-  console.log(`    ✓ Test passed`);
-  
-  // Test multi-file JSON
-  console.log('\n  Testing multi-file JSON source:');
-  const multiResult = parseSourceCode(SAMPLE_SOURCES.multiFileJson);
-  console.log(`    Type: ${multiResult.type}`);
-  console.log(`    Files: ${Object.keys(multiResult.files).join(', ')}`);
-  console.log(`    Settings: ${JSON.stringify(multiResult.settings)}`);
-  console.log(`    ✓ Test passed`);
-  
-  // Test double-wrapped JSON
-  console.log('\n  Testing double-wrapped JSON source:');
-  const doubleResult = parseSourceCode(SAMPLE_SOURCES.doubleWrapped);
-  console.log(`    Type: ${doubleResult.type}`);
-  console.log(`    Files: ${Object.keys(doubleResult.files).join(', ')}`);
-  console.log(`    ✓ Test passed`);
-  
-  // Test empty source
-  console.log('\n  Testing empty source:');
-  const emptyResult = parseSourceCode('');
-  console.log(`    Type: ${emptyResult.type}`);
-  console.log(`    ✓ Test passed`);
+  const results = [];
+
+  results.push(await check('Single file source', () => {
+    const result = parseSourceCode(SAMPLE_SOURCES.singleFile);
+    return result.type === 'single-file' && result.files['contract.sol'] === SAMPLE_SOURCES.singleFile;
+  }));
+
+  results.push(await check('Multi-file JSON source keeps paths and settings', () => {
+    const result = parseSourceCode(SAMPLE_SOURCES.multiFileJson);
+    return result.type === 'multi-file' && result.language === 'Solidity' &&
+      Object.keys(result.files).join() === 'contracts/Main.sol,contracts/Base.sol' &&
+      result.files['contracts/Base.sol'].includes('contract Base') &&
+      result.settings.optimizer.runs === 200;
+  }));
+
+  results.push(await check('Double-wrapped JSON source is unwrapped', () => {
+    const result = parseSourceCode(SAMPLE_SOURCES.doubleWrapped);
+    return result.type === 'multi-file' && result.files['Token.sol'] === 'pragma solidity ^0.8.0; contract Token {}';
+  }));
+
+  results.push(await check('Empty source', () => {
+    const result = parseSourceCode('');
+    return result.type === 'empty' && Object.keys(result.files).length === 0;
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testProcessAndSaveSource() {
+async function testProcessAndSaveSource(chains) {
   console.log('\n--- Test: processAndSaveSource ---');
-  
+  const results = [];
+
   for (const [type, contract] of Object.entries(TEST_CONTRACTS)) {
-    console.log(`\n  Testing ${contract.description} (${type}):`);
-    console.log(`    Chain: ${contract.chain}`);
-    console.log(`    Address: ${contract.address}`);
-    
-    try {
-      // Fetch source first
-      const sourceData = await fetchContractSource(contract.chain, contract.address);
-      
-      if (!sourceData.isVerified) {
-        console.log(`    ⚠ Contract not verified, skipping save test`);
-        continue;
-      }
-      
-      // Process and save
-      const result = processAndSaveSource(sourceData);
-      
-      if (result.success) {
-        console.log(`    Output Dir: ${result.outputDir}`);
-        console.log(`    Files Saved: ${result.savedFiles.length}`);
-        console.log(`    Contract: ${result.metadata.contractName}`);
-        console.log(`    ✓ Test passed`);
-      } else {
-        console.log(`    ✗ Failed: ${result.error}`);
-      }
-    } catch (error) {
-      console.log(`    ✗ Error: ${error.message}`);
+    const chain = chains[contract.chain];
+
+    if (type === 'unverified') {
+      results.push(await check(`${contract.description}: nothing is saved`, async () => {
+        const result = processAndSaveSource(await fetchContractSource(chain, contract.address));
+        return !result.success && result.error === 'Contract is not verified' &&
+          !fs.existsSync(path.join(OUTPUT_DIR, chain, contract.address));
+      }));
+      continue;
     }
+
+    results.push(await check(`${contract.description}: sources saved under the contract address`, async () => {
+      const sourceData = await fetchContractSource(chain, contract.address);
+      const result = processAndSaveSource(sourceData);
+      const expectedFiles = Object.keys(parseSourceCode(sourceData.sourceCode).files).length;
+      return result.success && result.metadata.contractName === contract.contractName &&
+        result.outputDir === path.join(OUTPUT_DIR, chain, contract.address) &&
+        result.savedFiles.length === expectedFiles &&
+        result.savedFiles.every(file => fs.existsSync(file) && file.endsWith('.sol'));
+    }));
   }
+
+  return results.every(Boolean);
 }
 
 async function main() {
   console.log('========================================');
   console.log('Test: Source Parser Module');
   console.log('========================================');
-  
-  testParseSourceCode();
-  await testProcessAndSaveSource();
-  
-  console.log('\n========================================');
-  console.log('Source Parser Tests Complete');
-  console.log('========================================\n');
+
+  configureLogger({ level: LOG_LEVELS.QUIET });
+  const network = await startMockNetwork(NETWORK_FIXTURES, ['bsc', 'ethereum']);
+  let success = false;
+  try {
+    const parsing = await testParseSourceCode();
+    const saving = await testProcessAndSaveSource(network.chains);
+    const replayed = await check('Every request was answered from the fixtures', () => {
+      network.missing.forEach(request => console.log(`    missing: ${request}`));
+      return network.missing.length === 0;
+    });
+    success = parsing && saving && replayed;
+  } finally {
+    await network.close();
+  }
+
+  finish('Source Parser', success);
 }
 
-main().catch(console.error);
+runMain(main);
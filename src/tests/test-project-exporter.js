@@ -0,0 +1,212 @@
+/**
+ * Test: Project Exporter
+ *
+ * Usage: npm run test:export
+ *
+ * Tests the Foundry / Hardhat layouts, remapping rewrites and the generated configs
+ * for fetched sources (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getDefaultEvmVersion, planLayout, buildRemappings, exportProject } from '../modules/projectExporter.js';
+import { check, finish, runMain } from './helpers.js';
+
+const VERSION = 'v0.8.21+commit.d9974bed';
+
+const VAULT = `// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "solmate/utils/FixedPointMathLib.sol";
+import "./Math.sol";
+
+/// @notice Kept verbatim in the export
+contract Vault {
+    using MathLib for uint256;
+}
+`;
+
+/**
+ * Standard-JSON source as Etherscan returns it
+ * @param {Object} files - Source unit name -> content
+ * @param {Object} settings - Compiler settings
+ * @returns {Object} Normalized source data
+ */
+function standardJsonSource(files, settings) {
+  const sources = Object.fromEntries(Object.entries(files).map(([name, content]) => [name, { content }]));
+  return {
+    isVerified: true,
+    contractName: 'Vault',
+    compilerVersion: VERSION,
+    library: '',
+    sourceCode: `{${JSON.stringify({ language: 'Solidity', sources, settings })}}`
+  };
+}
+
+const MULTI_FILE = standardJsonSource({
+  'contracts/Vault.sol': VAULT,
+  'contracts/Math.sol': 'pragma solidity 0.8.21;\nlibrary MathLib { function one() public pure returns (uint256) { return 1; } }\n',
+  '@openzeppelin/contracts/token/ERC20/IERC20.sol': 'pragma solidity ^0.8.0;\ninterface IERC20 {}\n',
+  'lib/solmate/src/utils/FixedPointMathLib.sol': 'pragma solidity >=0.8.0;\nlibrary FixedPointMathLib {}\n'
+}, {
+  optimizer: { enabled: true, runs: 10000 },
+  viaIR: true,
+  metadata: { bytecodeHash: 'none' },
+  remappings: ['solmate/=lib/solmate/src/'],
+  libraries: { 'contracts/Math.sol': { MathLib: '0x00000000000000000000000000000000000000aa' } }
+});
+
+async function testLayout() {
+  console.log('\n--- Test: layout planning ---');
+  const results = [];
+
+  results.push(await check('Default EVM version follows the compiler release', () =>
+    getDefaultEvmVersion('0.8.19') === 'paris' && getDefaultEvmVersion('0.8.21') === 'shanghai' &&
+    getDefaultEvmVersion('0.7.6') === 'istanbul' && getDefaultEvmVersion('0.4.11') === null));
+
+  results.push(await check('Files sharing a project folder keep their names', () => {
+    const layout = planLayout(['contracts/A.sol', 'contracts/b/B.sol', 'lib/x/X.sol'], [], 'foundry');
+    return layout.sourceFolder === 'contracts' && layout.paths.get('contracts/b/B.sol') === 'contracts/b/B.sol' &&
+      layout.paths.get('lib/x/X.sol') === 'lib/x/X.sol' && layout.moves.length === 0 &&
+      layout.libraryFolders.join() === 'lib';
+  }));
+
+  results.push(await check('Scattered files move under src/ and npm packages under lib/ for Foundry', () => {
+    const layout = planLayout(['Token.sol', 'interfaces/IToken.sol', '@oz/contracts/ERC20.sol'], [], 'foundry');
+    return layout.paths.get('Token.sol') === 'src/Token.sol' &&
+      layout.paths.get('interfaces/IToken.sol') === 'src/interfaces/IToken.sol' &&
+      layout.paths.get('@oz/contracts/ERC20.sol') === 'lib/@oz/contracts/ERC20.sol' &&
+      buildRemappings([], layout.moves).join() === 'interfaces/=src/interfaces/,@oz/contracts/=lib/@oz/contracts/';
+  }));
+
+  results.push(await check('Remapping targets follow moved folders', () => {
+    const layout = planLayout(['src/A.sol', 'deps/solady/src/LibBit.sol'], ['solady/=deps/solady/src/'], 'foundry');
+    return layout.paths.get('deps/solady/src/LibBit.sol') === 'lib/deps/solady/src/LibBit.sol' &&
+      buildRemappings(['solady/=deps/solady/src/'], layout.moves).join() === 'solady/=lib/deps/solady/src/,deps/=lib/deps/';
+  }));
+
+  results.push(await check('Hardhat puts npm packages under node_modules/', () => {
+    const layout = planLayout(['contracts/A.sol', '@oz/contracts/ERC20.sol', 'node_modules/solmate/src/Auth.sol'], [], 'hardhat');
+    return layout.paths.get('@oz/contracts/ERC20.sol') === 'node_modules/@oz/contracts/ERC20.sol' &&
+      layout.paths.get('node_modules/solmate/src/Auth.sol') === 'node_modules/solmate/src/Auth.sol' &&
+      layout.packages.sort().join() === '@oz/contracts,solmate';
+  }));
+
+  results.push(await check('Hardhat serves files under a remapping target from node_modules/ by their import name', () => {
+    const remappings = ['@openzeppelin/=lib/openzeppelin-contracts/', 'forge-std/=lib/forge-std/src/', 'ctx:solady/=lib/solady/src/'];
+    const layout = planLayout([
+      'src/A.sol',
+      'lib/openzeppelin-contracts/contracts/token/ERC20/ERC20.sol',
+      'lib/forge-std/src/Test.sol',
+      'lib/solady/src/LibBit.sol'
+    ], remappings, 'hardhat');
+    return layout.paths.get('lib/openzeppelin-contracts/contracts/token/ERC20/ERC20.sol') === 'node_modules/@openzeppelin/contracts/token/ERC20/ERC20.sol' &&
+      layout.paths.get('lib/forge-std/src/Test.sol') === 'node_modules/forge-std/Test.sol' &&
+      layout.paths.get('lib/solady/src/LibBit.sol') === 'lib/solady/src/LibBit.sol' &&
+      layout.packages.sort().join() === '@openzeppelin/contracts,forge-std' &&
+      layout.packageRemappings.join() === '@openzeppelin/=lib/openzeppelin-contracts/,forge-std/=lib/forge-std/src/';
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testExport() {
+  console.log('\n--- Test: project export ---');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-exporter-test-'));
+  const solcDir = path.join(tempDir, 'solc');
+  const results = [];
+
+  try {
+    results.push(await check('Foundry project keeps sources verbatim and carries the settings', () => {
+      const outputDir = path.join(tempDir, 'foundry');
+      const project = exportProject(MULTI_FILE, outputDir, { framework: 'foundry', solcDir });
+      const config = fs.readFileSync(project.configPath, 'utf8');
+      return project.success &&
+        fs.readFileSync(path.join(outputDir, 'contracts/Vault.sol'), 'utf8') === VAULT &&
+        fs.existsSync(path.join(outputDir, 'lib/@openzeppelin/contracts/token/ERC20/IERC20.sol')) &&
+        config.includes('src = "contracts"') &&
+        config.includes('solc = "0.8.21"') && config.includes('offline = true') &&
+        config.includes('optimizer = true') && config.includes('optimizer_runs = 10000') &&
+        config.includes('evm_version = "shanghai"') && config.includes('via_ir = true') &&
+        config.includes('bytecode_hash = "none"') &&
+        config.includes('"solmate/=lib/solmate/src/"') &&
+        config.includes('"@openzeppelin/contracts/=lib/@openzeppelin/contracts/"') &&
+        config.includes('"contracts/Math.sol:MathLib:0x00000000000000000000000000000000000000aa"') &&
+        project.warnings.some(warning => warning.includes('not found locally'));
+    }));
+
+    results.push(await check('A local native solc is used by path', () => {
+      fs.mkdirSync(solcDir, { recursive: true });
+      fs.writeFileSync(path.join(solcDir, 'solc-0.8.21'), '', { mode: 0o755 });
+      const project = exportProject(MULTI_FILE, path.join(tempDir, 'foundry-local'), { framework: 'foundry', solcDir });
+      const config = fs.readFileSync(project.configPath, 'utf8');
+      return config.includes(`solc = ${JSON.stringify(path.join(solcDir, 'solc-0.8.21'))}`) && project.warnings.length === 0;
+    }));
+
+    results.push(await check('Hardhat project has node_modules packages and a local compiler hook', () => {
+      const outputDir = path.join(tempDir, 'hardhat');
+      const project = exportProject(MULTI_FILE, outputDir, { framework: 'hardhat', solcDir });
+      const config = fs.readFileSync(project.configPath, 'utf8');
+      const stub = JSON.parse(fs.readFileSync(path.join(outputDir, 'node_modules/@openzeppelin/contracts/package.json'), 'utf8'));
+      const remappedStub = JSON.parse(fs.readFileSync(path.join(outputDir, 'node_modules/solmate/package.json'), 'utf8'));
+      return stub.name === '@openzeppelin/contracts' && remappedStub.name === 'solmate' &&
+        fs.existsSync(path.join(outputDir, 'node_modules/@openzeppelin/contracts/token/ERC20/IERC20.sol')) &&
+        fs.existsSync(path.join(outputDir, 'node_modules/solmate/utils/FixedPointMathLib.sol')) &&
+        config.includes('TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD') &&
+        config.includes('"longVersion":"0.8.21+commit.d9974bed"') &&
+        config.includes('"viaIR": true') && config.includes('"evmVersion": "shanghai"') &&
+        config.includes('sources: "./contracts"') &&
+        !fs.existsSync(path.join(outputDir, 'remappings.txt')) &&
+        !project.warnings.some(warning => warning.includes('remappings.txt'));
+    }));
+
+    results.push(await check('Single-file sources are named after the contract', () => {
+      const outputDir = path.join(tempDir, 'single');
+      const project = exportProject({
+        isVerified: true,
+        contractName: 'Token',
+        compilerVersion: 'v0.7.6+commit.7338295f',
+        optimizationUsed: false,
+        runs: 200,
+        evmVersion: 'Default',
+        library: '',
+        sourceCode: 'pragma solidity 0.7.6;\ncontract Token {}\n'
+      }, outputDir, { framework: 'foundry', solcDir });
+      const config = fs.readFileSync(project.configPath, 'utf8');
+      return fs.existsSync(path.join(outputDir, 'src/Token.sol')) &&
+        config.includes('src = "src"') && config.includes('optimizer = false') &&
+        config.includes('evm_version = "istanbul"');
+    }));
+
+    results.push(await check('Unverified contracts and unknown frameworks are rejected', () => {
+      const unverified = exportProject({ isVerified: false }, path.join(tempDir, 'none'));
+      let unknown = false;
+      try {
+        exportProject(MULTI_FILE, path.join(tempDir, 'none'), { framework: 'truffle' });
+      } catch {
+        unknown = true;
+      }
+      return !unverified.success && unknown && !fs.existsSync(path.join(tempDir, 'none'));
+    }));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Project Exporter');
+  console.log('========================================');
+
+  const layout = await testLayout();
+  const exported = await testExport();
+  const success = layout && exported;
+
+  finish('Project Exporter', success);
+}
+
+runMain(main);
@@ -1,99 +1,114 @@
 /**
  * Test: Proxy Detection Module
- * 
+ *
  * Usage: npm run test:proxy
- * 
- * Tests the proxy detection functionality using ethers-proxies
+ *
+ * Tests provider creation, proxy detection and bytecode reads for the test contracts,
+ * replaying recorded JSON-RPC responses from a local mock node (no network access;
+ * see mockNetwork.js)
  */
 
-import { detectProxy, createProvider, getBytecode } from '../modules/proxyDetector.js';
-import { getSupportedChains } from '../modules/chainConfig.js';
-
-// Test contracts
-const TEST_CONTRACTS = {
-  proxy: {
-    chain: 'bsc',
-    address: '0x25aB3Efd52e6470681CE037cD546Dc60726948D3',
-    description: 'BSC Proxy Contract'
-  },
-  normal: {
-    chain: 'ethereum',
-    address: '0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14',
-    description: 'Ethereum Normal Contract'
-  },
-  unverified: {
-    chain: 'bsc',
-    address: '0xC38e4e6A15593f908255214653d3D947CA1c2338',
-    description: 'BSC Unverified Contract'
-  }
-};
+import { detectProxy, createProvider, getBytecode, PROXY_STATUS } from '../modules/proxyDetector.js';
+import { getChainConfig } from '../modules/chainConfig.js';
+import { LOG_LEVELS, configureLogger } from '../modules/logger.js';
+import { NETWORK_FIXTURES, TEST_CONTRACTS, EMPTY_ADDRESS, startMockNetwork } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
 
-async function testCreateProvider() {
+async function testCreateProvider(chains) {
   console.log('\n--- Test: createProvider ---');
-  
-  for (const chain of getSupportedChains()) {
+  const results = [];
+
+  for (const [name, chain] of Object.entries(chains)) {
+    results.push(await check(`${name}: provider uses the chain ID`, async () => {
+      const network = await createProvider(chain).getNetwork();
+      return Number(network.chainId) === getChainConfig(chain).chainId;
+    }));
+  }
+
+  results.push(await check('Unsupported chains are rejected', () => {
     try {
-      const provider = createProvider(chain);
-      const network = await provider.getNetwork();
-      console.log(`  ✓ ${chain}: Connected (Chain ID: ${network.chainId})`);
+      createProvider('nochain');
+      return false;
     } catch (error) {
-      console.log(`  ✗ ${chain}: ${error.message}`);
+      return error.message.includes('Unsupported chain');
     }
-  }
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testDetectProxy() {
+async function testDetectProxy(chains) {
   console.log('\n--- Test: detectProxy ---');
-  
-  for (const [type, contract] of Object.entries(TEST_CONTRACTS)) {
-    console.log(`\n  Testing ${contract.description} (${type}):`);
-    console.log(`    Chain: ${contract.chain}`);
-    console.log(`    Address: ${contract.address}`);
-    
-    try {
-      const result = await detectProxy(contract.chain, contract.address);
-      console.log(`    Is Proxy: ${result.isProxy}`);
-      
-      if (result.isProxy) {
-        console.log(`    Implementation: ${result.implementationAddress}`);
-      }
-      
-      console.log(`    ✓ Test passed`);
-    } catch (error) {
-      console.log(`    ✗ Error: ${error.message}`);
-    }
+  const results = [];
+  const { proxy, normal, unverified } = TEST_CONTRACTS;
+
+  results.push(await check(`${proxy.description}: EIP-1967 implementation found`, async () => {
+    const result = await detectProxy(chains[proxy.chain], proxy.address);
+    return result.status === PROXY_STATUS.PROXY && result.isProxy &&
+      result.detectionMethod === 'eip-1967' && result.proxyAddress === proxy.address &&
+      result.implementationAddress === proxy.implementation;
+  }));
+
+  for (const contract of [normal, unverified]) {
+    results.push(await check(`${contract.description}: not a proxy`, async () => {
+      const result = await detectProxy(chains[contract.chain], contract.address);
+      return result.status === PROXY_STATUS.NOT_PROXY && !result.isProxy && result.implementationAddress === null;
+    }));
   }
+
+  results.push(await check('Addresses without code are not proxies', async () => {
+    const result = await detectProxy(chains.bsc, EMPTY_ADDRESS);
+    return result.status === PROXY_STATUS.NOT_PROXY && result.error === 'No contract at address';
+  }));
+
+  return results.every(Boolean);
 }
 
-async function testGetBytecode() {
+async function testGetBytecode(chains) {
   console.log('\n--- Test: getBytecode ---');
-  
-  for (const [type, contract] of Object.entries(TEST_CONTRACTS)) {
-    console.log(`\n  Testing ${contract.description} (${type}):`);
-    
+  const results = [];
+
+  for (const contract of Object.values(TEST_CONTRACTS)) {
+    results.push(await check(`${contract.description}: bytecode read`, async () => {
+      const bytecode = await getBytecode(chains[contract.chain], contract.address);
+      return /^0x([0-9a-f]{2})+$/.test(bytecode) && bytecode.startsWith('0x60');
+    }));
+  }
+
+  results.push(await check('Addresses without code are an error', async () => {
     try {
-      const bytecode = await getBytecode(contract.chain, contract.address);
-      console.log(`    Bytecode size: ${bytecode.length / 2} bytes`);
-      console.log(`    First 50 chars: ${bytecode.slice(0, 50)}...`);
-      console.log(`    ✓ Test passed`);
+      await getBytecode(chains.bsc, EMPTY_ADDRESS);
+      return false;
     } catch (error) {
-      console.log(`    ✗ Error: ${error.message}`);
+      return error.message.includes('No bytecode found');
     }
-  }
+  }));
+
+  return results.every(Boolean);
 }
 
 async function main() {
   console.log('========================================');
   console.log('Test: Proxy Detection Module');
   console.log('========================================');
-  
-  await testCreateProvider();
-  await testDetectProxy();
-  await testGetBytecode();
-  
-  console.log('\n========================================');
-  console.log('Proxy Detection Tests Complete');
-  console.log('========================================\n');
+
+  configureLogger({ level: LOG_LEVELS.QUIET });
+  const network = await startMockNetwork(NETWORK_FIXTURES, ['bsc', 'ethereum']);
+  let success = false;
+  try {
+    const providers = await testCreateProvider(network.chains);
+    const detection = await testDetectProxy(network.chains);
+    const bytecode = await testGetBytecode(network.chains);
+    const replayed = await check('Every request was answered from the fixtures', () => {
+      network.missing.forEach(request => console.log(`    missing: ${request}`));
+      return network.missing.length === 0;
+    });
+    success = providers && detection && bytecode && replayed;
+  } finally {
+    await network.close();
+  }
+
+  finish('Proxy Detection', success);
 }
 
-main().catch(console.error);
+runMain(main);
@@ -0,0 +1,180 @@
+/**
+ * Test: RPC Failover
+ *
+ * Usage: npm run test:rpc
+ *
+ * Tests endpoint failover, retries, revert handling and the 'inconclusive' proxy
+ * detection state against local JSON-RPC servers (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../modules/cache.js';
+import {
+  CachedJsonRpcProvider,
+  RpcTransportError,
+  configureRpc,
+  getEndpointHealth,
+  resetEndpointHealth
+} from '../modules/rpcProvider.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import { detectProxy, getBytecode, PROXY_STATUS } from '../modules/proxyDetector.js';
+import { startRpcServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
+
+const PROXY = '0x00000000000000000000000000000000000000aa';
+const IMPLEMENTATION = '0x00000000000000000000000000000000000000bb';
+const EIP_1967_LOGIC_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+/**
+ * Handler for a healthy node; `storage` maps slots to values
+ * @param {Object} storage - Slot values
+ * @returns {Function} Request handler
+ */
+function healthyNode(storage = {}) {
+  return ({ method, params }) => {
+    if (method === 'eth_getCode') return { result: '0x6080604052' };
+    if (method === 'eth_getStorageAt') return { result: storage[params[1]] || ZERO_WORD };
+    if (method === 'eth_call') return { error: { code: 3, message: 'execution reverted', data: '0x' } };
+    return { error: { code: -32601, message: 'method not found' } };
+  };
+}
+
+const failingNode = () => ({ status: 503, body: { error: 'service unavailable' } });
+
+// Port with nothing listening
+const DEAD_URL = 'http://127.0.0.1:9';
+
+async function testFailover() {
+  console.log('\n--- Test: failover and retries ---');
+  const down = await startRpcServer(failingNode);
+  const up = await startRpcServer(healthyNode());
+  const results = [];
+
+  try {
+    results.push(await check('Fails over to the next endpoint after retries', async () => {
+      resetEndpointHealth();
+      const provider = new CachedJsonRpcProvider([down.url, up.url], 1);
+      const code = await provider.getCode(PROXY);
+      provider.destroy();
+      return code === '0x6080604052' &&
+        down.requests.length === 3 &&
+        getEndpointHealth()[down.url].unhealthyUntil > Date.now();
+    }));
+
+    results.push(await check('Unhealthy endpoint is tried last on the next request', async () => {
+      const before = down.requests.length;
+      const provider = new CachedJsonRpcProvider([down.url, up.url], 1);
+      await provider.getStorage(PROXY, 0);
+      provider.destroy();
+      return down.requests.length === before;
+    }));
+
+    results.push(await check('Reverts are returned without retrying', async () => {
+      resetEndpointHealth();
+      const before = up.requests.filter(m => m === 'eth_call').length;
+      const provider = new CachedJsonRpcProvider([up.url, down.url], 1);
+      const code = await provider.call({ to: PROXY, data: '0x5c60da1b' }).then(() => 'ok', e => e.code);
+      provider.destroy();
+      return code === 'CALL_EXCEPTION' &&
+        up.requests.filter(m => m === 'eth_call').length === before + 1;
+    }));
+
+    results.push(await check('All endpoints down raises RpcTransportError', async () => {
+      resetEndpointHealth();
+      const provider = new CachedJsonRpcProvider([down.url, DEAD_URL], 1);
+      try {
+        await provider.getCode(PROXY);
+        return false;
+      } catch (error) {
+        return error instanceof RpcTransportError && error.failures.length === 2;
+      } finally {
+        provider.destroy();
+      }
+    }));
+  } finally {
+    await down.close();
+    await up.close();
+  }
+
+  return results.every(Boolean);
+}
+
+async function testProxyDetectionStatus() {
+  console.log('\n--- Test: proxy detection status ---');
+  const proxyNode = await startRpcServer(healthyNode({ [EIP_1967_LOGIC_SLOT]: '0x' + IMPLEMENTATION.slice(2).padStart(64, '0') }));
+  const plainNode = await startRpcServer(healthyNode());
+  const flakyNode = await startRpcServer((payload) =>
+    payload.method === 'eth_getCode' ? healthyNode()(payload) : failingNode());
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-failover-test-'));
+  const registryPath = path.join(tempDir, 'chains.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    chains: {
+      proxynet: { chainId: 90001, rpcUrls: [DEAD_URL, proxyNode.url] },
+      plainnet: { chainId: 90002, rpcUrls: [plainNode.url] },
+      flakynet: { chainId: 90003, rpcUrls: [flakyNode.url] },
+      deadnet: { chainId: 90004, rpcUrls: [DEAD_URL] }
+    }
+  }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+  const results = [];
+
+  try {
+    results.push(await check('Proxy found through a failed-over endpoint', async () => {
+      const info = await detectProxy('proxynet', PROXY);
+      return info.status === PROXY_STATUS.PROXY && info.implementationAddress.toLowerCase() === IMPLEMENTATION;
+    }));
+
+    results.push(await check('Healthy RPC without proxy markers is not-proxy', async () => {
+      const info = await detectProxy('plainnet', PROXY);
+      return info.status === PROXY_STATUS.NOT_PROXY && !info.isProxy;
+    }));
+
+    results.push(await check('Errors other than failed reads are thrown, not inconclusive', async () => {
+      return detectProxy('plainnet', 'not-an-address').then(() => false, error => !(error instanceof RpcTransportError));
+    }));
+
+    results.push(await check('Failed storage reads make detection inconclusive', async () => {
+      const info = await detectProxy('flakynet', PROXY);
+      return info.status === PROXY_STATUS.INCONCLUSIVE && !info.isProxy && info.rpcErrors.length > 0;
+    }));
+
+    results.push(await check('Unreachable RPC makes detection inconclusive', async () => {
+      const info = await detectProxy('deadnet', PROXY);
+      return info.status === PROXY_STATUS.INCONCLUSIVE && info.rpcErrors.length === 1;
+    }));
+
+    results.push(await check('getBytecode passes transport errors through unchanged', async () => {
+      return getBytecode('deadnet', PROXY).then(() => false, error => error instanceof RpcTransportError);
+    }));
+  } finally {
+    reloadChainRegistry();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    await proxyNode.close();
+    await plainNode.close();
+    await flakyNode.close();
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: RPC Failover');
+  console.log('========================================');
+
+  // Every request must reach the test servers
+  configureCache({ enabled: false });
+  configureRpc({ baseDelayMs: 10, timeoutMs: 2000 });
+
+  const failover = await testFailover();
+  const detection = await testProxyDetectionStatus();
+  const success = failover && detection;
+
+  finish('RPC Failover', success);
+}
+
+runMain(main);
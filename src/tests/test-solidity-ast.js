@@ -0,0 +1,190 @@
+/**
+ * Test: Solidity AST
+ *
+ * Usage: npm run test:ast
+ *
+ * Tests the parser-based source summary, parse memoization and type names, and the
+ * detection built on it: pure interfaces, main contract by name and source-level proxy
+ * patterns, on formatting the old regexes missed (no network access)
+ */
+
+import { parseSolidity, findContractDefinitions, formatTypeName, analyzeSolidity, analyzeFiles } from '../modules/solidityAst.js';
+import { categorizeFilesForAudit, detectMainContract } from '../modules/sourceParser.js';
+import { findProxySourcePatterns } from '../modules/proxyDetector.js';
+import { check, finish, runMain } from './helpers.js';
+
+const VAULT = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+bytes32 constant VAULT_STORAGE_SLOT = 0x5A9F0000000000000000000000000000000000000000000000000000000000AB;
+
+contract Vault is
+    Ownable(msg.sender),
+    ERC4626Upgradeable
+{
+    struct Position { uint128 shares; uint128 debt; }
+
+    mapping(address account => mapping(uint256 id => Position)) internal positions;
+    uint256 public immutable cap;
+    uint256 private constant MAX = type(uint256).max;
+
+    event Deposited(address indexed account,
+        uint256 assets);
+
+    modifier onlyKeeper(address keeper) { require(keeper != address(0)); _; }
+
+    function deposit(
+        uint256 assets,
+        address receiver
+    )
+        public
+        override(ERC4626Upgradeable)
+        onlyKeeper(receiver)
+        returns (uint256 shares)
+    {
+        if (assets > 0) { shares = assets; } else { shares = 0; }
+    }
+
+    function noop() external {}
+}
+`;
+
+const INTERFACE_ONLY = `pragma solidity ^0.8.0;
+interface IVault {
+    struct Config { uint256 cap; }
+    function deposit(uint256 assets,
+                     address receiver) external returns (uint256);
+    function config() external view returns (Config memory);
+}
+`;
+
+// An interface next to an implementation with an empty body: the old
+// /function\s+\w+[^;]*\{[^}]+\}/ check saw no body and called it an interface
+const INTERFACE_AND_IMPLEMENTATION = `pragma solidity ^0.8.0;
+interface IHook { function run() external; }
+contract Hook is IHook { function run() external {} }
+`;
+
+async function testSummary() {
+  console.log('\n--- Test: source summary ---');
+  const results = [];
+  const { contracts, constants, errors } = analyzeSolidity(VAULT);
+  const vault = contracts[0];
+
+  results.push(await check('Contracts and multi-line inheritance lists are read', () =>
+    errors.length === 0 && contracts.length === 1 && vault.name === 'Vault' && vault.kind === 'contract' &&
+    vault.bases.join() === 'Ownable,ERC4626Upgradeable'));
+
+  results.push(await check('Multi-line functions keep parameters, modifiers and overrides', () => {
+    const deposit = vault.functions.find(fn => fn.name === 'deposit');
+    return deposit.parameters.map(p => `${p.type} ${p.name}`).join() === 'uint256 assets,address receiver' &&
+      deposit.modifiers.join() === 'onlyKeeper' && deposit.override && deposit.visibility === 'public' &&
+      deposit.returns[0].name === 'shares' && deposit.hasBody &&
+      vault.functions.find(fn => fn.name === 'noop').hasBody;
+  }));
+
+  results.push(await check('State variables, modifiers and events are listed', () => {
+    const [positions, cap, max] = vault.stateVariables;
+    return positions.type === 'mapping(address account => mapping(uint256 id => Position))' &&
+      positions.visibility === 'internal' && cap.immutable && max.constant &&
+      max.initialValue === 'type(uint256).max' &&
+      vault.modifiers[0].name === 'onlyKeeper' && vault.modifiers[0].parameters[0].type === 'address' &&
+      vault.events[0].name === 'Deposited' && vault.events[0].parameters[0].indexed;
+  }));
+
+  results.push(await check('File-level constants are listed', () =>
+    constants.length === 1 && constants[0].name === 'VAULT_STORAGE_SLOT' && constants[0].type === 'bytes32'));
+
+  results.push(await check('Syntax errors are reported without throwing', () => {
+    const broken = analyzeSolidity('contract Broken { function f( {');
+    return broken.errors.length > 0 && Array.isArray(broken.contracts);
+  }));
+
+  results.push(await check('Only .sol files of a file set are analyzed', () =>
+    Object.keys(analyzeFiles({ 'a.sol': VAULT, 'settings.json': '{}' })).join() === 'a.sol'));
+
+  results.push(await check('The same source is parsed once', () =>
+    parseSolidity(VAULT) === parseSolidity(`${VAULT}`) && parseSolidity(VAULT) !== parseSolidity(`${VAULT}\n`)));
+
+  results.push(await check('Type names are written the same whatever the formatting', () => {
+    const source = 'contract T { mapping( address=>uint[ 3 ] ) a; address  payable b; Lib.Info[] c; }';
+    const [contract] = findContractDefinitions(source);
+    const types = contract.subNodes.map(member => formatTypeName(source, member.variables[0].typeName));
+    return types.join('|') === 'mapping(address => uint[3])|address payable|Lib.Info[]';
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testDetection() {
+  console.log('\n--- Test: detection on the AST ---');
+  const results = [];
+
+  results.push(await check('Pure interfaces are told apart from implementations with empty bodies', () => {
+    const categories = categorizeFilesForAudit({
+      'src/Vault.sol': VAULT,
+      'src/IVault.sol': INTERFACE_ONLY,
+      'src/Hook.sol': INTERFACE_AND_IMPLEMENTATION
+    }, 'src/Vault.sol');
+    return categories.interfaces.join() === 'src/IVault.sol' && categories.criticalFiles.join() === 'src/Hook.sol';
+  }));
+
+  results.push(await check('Main contract is matched by declaration, not by text', () => {
+    const files = {
+      'src/Notes.sol': 'pragma solidity ^0.8.0;\n// contract Vault was split out of this file\nstring constant NOTE = "contract Vault";\nlibrary Notes {}\n',
+      'src/IVaultLike.sol': 'pragma solidity ^0.8.0;\ninterface Vault {}\n',
+      'src/Core.sol': VAULT
+    };
+    return detectMainContract(files, 'Vault') === 'src/Core.sol';
+  }));
+
+  results.push(await check('Without a root file, the most external functions wins, counted on the AST', () => {
+    // Each file imports the other, so no file is a root
+    const files = {
+      'src/IPool.sol': 'pragma solidity ^0.8.0;\nimport "./Pool.sol";\n// function legacy() external was removed\ninterface IPool {\n' +
+        '    function deposit() external;\n    function withdraw() external;\n    function balance() external view returns (uint256);\n}\n',
+      'src/Pool.sol': 'pragma solidity ^0.8.0;\nimport "./IPool.sol";\ncontract Pool {\n    constructor() {}\n' +
+        '    function deposit() external {}\n    function withdraw() public {}\n    function _move() internal {}\n}\n'
+    };
+    return detectMainContract(files, null) === 'src/Pool.sol';
+  }));
+
+  results.push(await check('Proxy patterns are found across formatting', () => {
+    const proxy = `pragma solidity ^0.8.0;
+contract MOSTProxy
+    is BaseUpgradeabilityProxy {
+    bytes32 private constant IMPL_STORAGE_SLOT =
+        0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3;
+    function _implementation()
+        internal
+        view
+        override
+        returns (address impl) { impl = address(0); }
+}`;
+    const patterns = findProxySourcePatterns(JSON.stringify({ 'MOSTProxy.sol': { content: proxy } }));
+    return patterns.proxyInheritance && patterns.implementationOverride &&
+      patterns.storageSlot === '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
+  }));
+
+  results.push(await check('File-level slot constants count, proxies named only in comments do not', () => {
+    const patterns = findProxySourcePatterns(VAULT.replace('contract Vault', '// contract Vault is Proxy\ncontract Vault'));
+    return !patterns.proxyInheritance && !patterns.implementationOverride &&
+      patterns.storageSlot === '0x5a9f0000000000000000000000000000000000000000000000000000000000ab';
+  }));
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Solidity AST');
+  console.log('========================================');
+
+  const summary = await testSummary();
+  const detection = await testDetection();
+  const success = summary && detection;
+
+  finish('Solidity AST', success);
+}
+
+runMain(main);
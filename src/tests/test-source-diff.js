@@ -0,0 +1,211 @@
+/**
+ * Test: Source Diff
+ *
+ * Usage: npm run test:diff
+ *
+ * Tests file pairing, comment-insensitive diffs and the function / modifier /
+ * storage variable summary on two saved output directories (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadDiffSide, diffSources, parseDiffTarget, writeDiffReport } from '../modules/sourceDiff.js';
+import { check, finish, runMain } from './helpers.js';
+
+const OLD_VAULT = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./Base.sol";
+
+contract Vault is Base {
+    uint256 public totalDeposits;
+    mapping(address => uint256) public balances;
+
+    modifier onlyPositive(uint256 amount) {
+        require(amount > 0, "zero");
+        _;
+    }
+
+    /// @notice Deposit funds
+    function deposit(uint256 amount) external onlyPositive(amount) {
+        balances[msg.sender] += amount;
+        totalDeposits += amount;
+    }
+
+    function withdraw(uint256 amount) external {
+        balances[msg.sender] -= amount;
+        totalDeposits -= amount;
+    }
+
+    function legacy() external pure returns (uint256) {
+        return 1;
+    }
+}
+`;
+
+const NEW_VAULT = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./Base.sol";
+
+contract Vault is Base {
+    uint256 public totalDeposits;
+    mapping(address => uint256) public balances;
+    bool public paused;
+
+    modifier onlyPositive(uint256 amount) {
+        require(amount > 0, "amount is zero");
+        _;
+    }
+
+    /**
+     * @notice Deposit funds (now documented differently)
+     */
+    function deposit(uint256 amount) external onlyPositive(amount) {
+        balances[msg.sender] += amount;
+        totalDeposits += amount;
+    }
+
+    function withdraw(uint256 amount) external {
+        require(!paused, "paused");
+        balances[msg.sender] -= amount;
+        totalDeposits -= amount;
+    }
+
+    function pause() external {
+        paused = true;
+    }
+}
+`;
+
+const BASE = `pragma solidity ^0.8.0;
+
+// Shared base
+abstract contract Base {
+    address public owner;
+}
+`;
+
+const BASE_COMMENT_CHURN = `pragma solidity ^0.8.0;
+
+/* Shared base contract, comment rewritten */
+abstract contract Base {
+    address public owner; // the owner
+}
+`;
+
+/**
+ * Write a saved-output-style directory
+ * @param {string} dir - Directory
+ * @param {Object} files - Relative path -> content
+ */
+function writeFiles(dir, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    const fullPath = path.join(dir, filePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf8');
+  }
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Source Diff');
+  console.log('========================================\n');
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-diff-test-'));
+  const oldDir = path.join(tempDir, 'v1');
+  const newDir = path.join(tempDir, 'v2');
+  writeFiles(oldDir, {
+    'contracts/Vault.sol': OLD_VAULT,
+    'contracts/Base.sol': BASE,
+    'audit-manifest.json': '{}',
+    'decompiled/decompiled.sol': 'contract Ignored {}',
+    'dependencies/0x00000000000000000000000000000000000000aa/Dep.sol': 'contract Dep {}',
+    'dependencies/0x00000000000000000000000000000000000000aa/audit-manifest.json': '{}'
+  });
+  writeFiles(newDir, {
+    'src/Vault.sol': NEW_VAULT,
+    'contracts/Base.sol': BASE_COMMENT_CHURN,
+    'src/Pausable.sol': 'pragma solidity ^0.8.0;\nabstract contract Pausable {}\n'
+  });
+
+  const results = [];
+  try {
+    const left = await loadDiffSide(oldDir);
+    const right = await loadDiffSide(newDir);
+    const result = diffSources(left, right);
+    const vault = result.contracts.find(contract => contract.name === 'Vault');
+
+    results.push(await check('Nested contract folders and decompiled/ are skipped', () =>
+      Object.keys(left.files).sort().join() === 'contracts/Base.sol,contracts/Vault.sol'));
+
+    results.push(await check('Moved file is paired by contract name', () => {
+      const file = result.files.find(f => f.oldPath === 'contracts/Vault.sol');
+      return file.newPath === 'src/Vault.sol' && file.status === 'moved-modified' && file.patch.includes('+        require(!paused, "paused");');
+    }));
+
+    results.push(await check('Comment-only changes are ignored', () => {
+      const file = result.files.find(f => f.oldPath === 'contracts/Base.sol');
+      const base = result.contracts.find(contract => contract.name === 'Base');
+      return file.status === 'unchanged' && file.patch === null && base.status === 'unchanged';
+    }));
+
+    results.push(await check('Functions added, removed and changed', () =>
+      vault.functions.added.join() === 'pause()' &&
+      vault.functions.removed.join() === 'legacy()' &&
+      vault.functions.changed.join() === 'withdraw(uint256)'));
+
+    results.push(await check('Modifiers and storage variables are summarized', () =>
+      vault.modifiers.changed.join() === 'onlyPositive(uint256)' &&
+      vault.storageVariables.added.join() === 'paused' &&
+      vault.storageVariables.removed.length === 0));
+
+    results.push(await check('New file and new contract are reported as added', () =>
+      result.files.some(f => f.newPath === 'src/Pausable.sol' && f.status === 'added') &&
+      result.contracts.some(contract => contract.name === 'Pausable' && contract.status === 'added')));
+
+    results.push(await check('Report files are written', () => {
+      const { patchPath, summaryPath } = writeDiffReport(result, path.join(tempDir, 'report'));
+      const summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+      return fs.readFileSync(patchPath, 'utf8').includes('--- a/contracts/Vault.sol') &&
+        summary.contracts.every(contract => contract.status !== 'unchanged') &&
+        summary.stats.moved === 1;
+    }));
+
+    results.push(await check('Known vendor releases missing from the other side are skipped', () => {
+      const ownable = 'pragma solidity ^0.8.0;\ncontract Ownable {}\n';
+      const fetched = {
+        label: 'ethereum:0x00000000000000000000000000000000000000aa',
+        files: { ...right.files, '@openzeppelin/contracts/access/Ownable.sol': ownable, 'src/Shared.sol': ownable },
+        knownVendorFiles: ['@openzeppelin/contracts/access/Ownable.sol', 'src/Shared.sol']
+      };
+      const saved = { ...right, files: { ...right.files, 'src/Shared.sol': ownable.replace('{}', '{ uint256 x; }') } };
+      const diff = diffSources(saved, fetched);
+      return diff.stats.added === 0 && diff.stats.modified === 1 &&
+        !diff.files.some(file => file.newPath === '@openzeppelin/contracts/access/Ownable.sol') &&
+        diff.skippedVendorFiles.length === 1 && diff.skippedVendorFiles[0].side === 'right' &&
+        diff.skippedVendorFiles[0].path === '@openzeppelin/contracts/access/Ownable.sol' &&
+        result.skippedVendorFiles.length === 0 && left.knownVendorFiles.length === 0;
+    }));
+
+    results.push(await check('Targets are parsed as chain:address or directory', () => {
+      const contract = parseDiffTarget('ethereum:0xF4a21Ac7e51d17A0e1C8B59f7a98bb7A97806f14');
+      let invalid = false;
+      try {
+        parseDiffTarget('ethereum');
+      } catch {
+        invalid = true;
+      }
+      return contract.type === 'contract' && contract.chain === 'ethereum' &&
+        parseDiffTarget(oldDir).type === 'directory' && invalid;
+    }));
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  const success = results.every(Boolean);
+  finish('Source Diff', success);
+}
+
+runMain(main);
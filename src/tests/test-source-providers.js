@@ -0,0 +1,172 @@
+/**
+ * Test: Source Providers
+ *
+ * Usage: npm run test:providers
+ *
+ * Tests provider response mapping and the per-chain fallback order
+ * using canned explorer responses (no network access)
+ */
+
+import { fetchContractSource } from '../modules/sourceFetcher.js';
+import { parseSourceCode } from '../modules/sourceParser.js';
+import { configureCache } from '../modules/cache.js';
+import { runMain } from './helpers.js';
+
+const ADDRESS = '0x00000000000000000000000000000000000000aa';
+
+const TOKEN_SOURCE = 'pragma solidity ^0.8.0; contract Token {}';
+
+// Canned responses keyed by URL fragment
+const RESPONSES = {
+  etherscanUnverified: {
+    match: 'api.etherscan.io',
+    body: { status: '1', message: 'OK', result: [{ SourceCode: '', ABI: 'Contract source code not verified', ContractName: '' }] }
+  },
+  etherscanError: {
+    match: 'api.etherscan.io',
+    body: { status: '0', message: 'NOTOK', result: 'Invalid API Key' }
+  },
+  sourcifyPartial: {
+    match: 'sourcify.dev',
+    body: {
+      status: 'partial',
+      files: [
+        { name: 'Token.sol', path: `/repository/contracts/partial_match/1/${ADDRESS}/sources/contracts/Token.sol`, content: TOKEN_SOURCE },
+        {
+          name: 'metadata.json',
+          path: `/repository/contracts/partial_match/1/${ADDRESS}/metadata.json`,
+          content: JSON.stringify({
+            language: 'Solidity',
+            compiler: { version: '0.8.19+commit.7dd6d404' },
+            output: { abi: [] },
+            settings: {
+              compilationTarget: { 'contracts/Token.sol': 'Token' },
+              optimizer: { enabled: true, runs: 999 },
+              evmVersion: 'paris',
+              libraries: {}
+            }
+          })
+        }
+      ]
+    }
+  },
+  sourcifyMissing: { match: 'sourcify.dev', status: 404, body: { error: 'Files have not been found!' } },
+  blockscoutVerified: {
+    match: 'eth.blockscout.com',
+    body: {
+      is_verified: true,
+      name: 'Token',
+      language: 'solidity',
+      compiler_version: 'v0.8.20+commit.a1b79de6',
+      optimization_enabled: false,
+      optimization_runs: 200,
+      evm_version: 'shanghai',
+      file_path: 'contracts/Token.sol',
+      source_code: TOKEN_SOURCE,
+      additional_sources: [{ file_path: 'contracts/Base.sol', source_code: 'contract Base {}' }],
+      abi: [],
+      constructor_args: '0x0000000000000000000000000000000000000000000000000000000000000001'
+    }
+  }
+};
+
+/**
+ * Replace global fetch with one that serves the given canned responses
+ * @param {Object[]} responses - Canned responses to serve
+ * @returns {string[]} Requested URLs (filled in as requests are made)
+ */
+function mockFetch(responses) {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    const canned = responses.find(r => String(url).includes(r.match));
+    const status = canned ? canned.status || 200 : 404;
+    return new Response(JSON.stringify(canned ? canned.body : {}), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  return requested;
+}
+
+const TEST_CASES = [
+  {
+    name: 'Falls back to Sourcify partial match when Etherscan has no source',
+    responses: [RESPONSES.etherscanUnverified, RESPONSES.sourcifyPartial],
+    check: (result) => result.isVerified &&
+      result.sourceProvider === 'sourcify' &&
+      result.sourceMatch === 'partial' &&
+      result.contractName === 'Token' &&
+      result.contractFileName === 'contracts/Token.sol' &&
+      result.compilerVersion === 'v0.8.19+commit.7dd6d404' &&
+      result.optimizationUsed === true && result.runs === 999 &&
+      parseSourceCode(result.sourceCode).files['contracts/Token.sol'] === TOKEN_SOURCE
+  },
+  {
+    name: 'Falls back to Blockscout after Etherscan error and Sourcify 404',
+    responses: [RESPONSES.etherscanError, RESPONSES.sourcifyMissing, RESPONSES.blockscoutVerified],
+    check: (result) => result.isVerified &&
+      result.sourceProvider === 'blockscout' &&
+      result.providerErrors.length === 1 &&
+      Object.keys(parseSourceCode(result.sourceCode).files).length === 2 &&
+      result.evmVersion === 'shanghai'
+  },
+  {
+    name: 'Returns unverified result when no provider has source',
+    responses: [RESPONSES.etherscanUnverified, RESPONSES.sourcifyMissing],
+    check: (result) => !result.isVerified && result.sourceProvider === 'etherscan'
+  },
+  {
+    name: 'Explicit provider order is respected',
+    responses: [RESPONSES.sourcifyPartial, RESPONSES.blockscoutVerified],
+    options: { providers: ['blockscout', 'sourcify'] },
+    check: (result, requested) => result.sourceProvider === 'blockscout' && requested.length === 1
+  }
+];
+
+async function testSourceProviders() {
+  console.log('\n========================================');
+  console.log('Test: Source Providers');
+  console.log('========================================\n');
+
+  // Canned responses must not be served from (or written to) the explorer cache
+  configureCache({ enabled: false });
+  
+  const originalFetch = globalThis.fetch;
+  let passed = 0;
+  let failed = 0;
+
+  for (const testCase of TEST_CASES) {
+    console.log(`Testing: ${testCase.name}`);
+    const requested = mockFetch(testCase.responses);
+
+    try {
+      const result = await fetchContractSource('ethereum', ADDRESS, testCase.options);
+      if (testCase.check(result, requested)) {
+        console.log(`  ✓ PASSED (source: ${result.sourceProvider})`);
+        passed++;
+      } else {
+        console.log(`  ✗ FAILED (source: ${result.sourceProvider}, verified: ${result.isVerified})`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`  ✗ FAILED: ${error.message}`);
+      failed++;
+    }
+  }
+
+  globalThis.fetch = originalFetch;
+
+  console.log(`\n========================================`);
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log(`========================================\n`);
+
+  return failed === 0;
+}
+
+async function main() {
+  const success = await testSourceProviders();
+  process.exit(success ? 0 : 1);
+}
+
+runMain(main);
@@ -0,0 +1,238 @@
+/**
+ * Test: Storage Layout
+ *
+ * Usage: npm run test:storage
+ *
+ * Tests slot packing, inheritance order, proxy / implementation collisions and the
+ * upgrade compatibility check on inline sources (no network access)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OUTPUT_DIR } from '../modules/sourceParser.js';
+import {
+  computeStorageLayout,
+  findStorageCollisions,
+  compareStorageLayouts,
+  recordStorageLayouts
+} from '../modules/storageLayout.js';
+import { check, finish, runMain } from './helpers.js';
+
+const PACKING = `pragma solidity ^0.8.20;
+
+type Price is uint128;
+
+struct Position {
+    address owner;
+    uint96 size;
+    uint256 entry;
+}
+
+contract Packing {
+    enum Status { Open, Closed }
+
+    uint128 public low;
+    uint128 public high;
+    bool public flag;
+    address public admin; // packs with flag
+    Status public status;
+    mapping(address => uint256) balances;
+    uint8 public small; // mapping took a whole slot
+    uint256[] public list;
+    string public name;
+    Position public position;
+    uint64[3] public checkpoints;
+    Price public price;
+    uint256 public constant MAX = 1e18;
+    address public immutable factory;
+    string public note = "a; b { c }";
+
+    constructor(address _factory) {
+        factory = _factory;
+    }
+}
+`;
+
+const INHERITANCE = `pragma solidity ^0.8.0;
+
+abstract contract Initializable {
+    uint8 private _initialized;
+    bool private _initializing;
+}
+
+abstract contract OwnableUpgradeable is Initializable {
+    address private _owner;
+    uint256[49] private __gap;
+}
+
+abstract contract PausableUpgradeable is Initializable {
+    bool private _paused;
+    uint256[49] private __gap;
+}
+
+contract Vault is OwnableUpgradeable, PausableUpgradeable {
+    uint256 public totalAssets;
+}
+`;
+
+/**
+ * Vault implementation versions, each as a source file
+ * @param {string} body - State variables of the implementation
+ * @returns {Object} Path -> source
+ */
+function vaultVersion(body) {
+  return { 'Vault.sol': `pragma solidity ^0.8.0;\ncontract Vault {\n${body}\n}\n` };
+}
+
+/**
+ * Find a variable in a layout
+ * @param {Object} layout - Storage layout
+ * @param {string} name - Variable name
+ * @returns {Object} Placed variable
+ */
+function variable(layout, name) {
+  return layout.variables.find(v => v.name === name);
+}
+
+async function testLayout() {
+  console.log('\n--- Test: layout computation ---');
+  const results = [];
+  const packing = computeStorageLayout({ 'Packing.sol': PACKING }, 'Packing');
+  const at = (name) => {
+    const v = variable(packing, name);
+    return `${v.slot}:${v.offset}`;
+  };
+
+  results.push(await check('Value types are packed into shared slots', () =>
+    at('low') === '0:0' && at('high') === '0:16' &&
+    at('flag') === '1:0' && at('admin') === '1:1' && at('status') === '1:21'));
+
+  results.push(await check('Mappings, arrays and strings take whole slots', () =>
+    at('balances') === '2:0' && at('small') === '3:0' && at('list') === '4:0' && at('name') === '5:0'));
+
+  results.push(await check('Structs, fixed arrays and value types are sized', () =>
+    at('position') === '6:0' && at('checkpoints') === '8:0' &&
+    at('price') === '9:0' && variable(packing, 'price').bytes === 16 &&
+    at('note') === '10:0' && packing.slotCount === 11 && packing.complete));
+
+  results.push(await check('Constants and immutables take no slot', () =>
+    !variable(packing, 'MAX') && !variable(packing, 'factory')));
+
+  const vault = computeStorageLayout({ 'Vault.sol': INHERITANCE }, 'Vault');
+  results.push(await check('Base contracts are laid out in C3 order', () =>
+    vault.variables.map(v => `${v.contract}.${v.name}@${v.slot}`).join() === [
+      'Initializable._initialized@0',
+      'Initializable._initializing@0',
+      'OwnableUpgradeable._owner@0',
+      'OwnableUpgradeable.__gap@1',
+      'PausableUpgradeable._paused@50',
+      'PausableUpgradeable.__gap@51',
+      'Vault.totalAssets@100'
+    ].join()));
+
+  results.push(await check('Missing base contracts make the layout incomplete', () => {
+    const layout = computeStorageLayout({ 'Token.sol': 'contract Token is ERC20 { uint256 cap; }' }, 'Token');
+    return !layout.complete && layout.warnings[0].includes('ERC20') && variable(layout, 'cap').slot === 0;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testChecks() {
+  console.log('\n--- Test: collision and upgrade checks ---');
+  const results = [];
+  const v1 = computeStorageLayout(vaultVersion('address owner;\nuint256 total;\nuint256[10] __gap;'), 'Vault');
+
+  results.push(await check('Proxy variables overlapping implementation slots collide', () => {
+    const proxy = computeStorageLayout({ 'Proxy.sol': 'contract Proxy { address implementation; address admin; }' }, 'Proxy');
+    const collisions = findStorageCollisions(proxy, v1);
+    return collisions.length === 2 &&
+      collisions[0].proxyVariable === 'Proxy.implementation' &&
+      collisions[0].implementationVariable === 'Vault.owner' &&
+      collisions[1].slot === 1;
+  }));
+
+  results.push(await check('Variables inherited from a shared storage base do not collide', () => {
+    const storage = `contract UnitrollerAdminStorage {
+    address public admin;
+    address public pendingAdmin;
+    address public comptrollerImplementation;
+}
+contract ComptrollerStorage is UnitrollerAdminStorage {
+    uint256 public closeFactor;
+}
+`;
+    const unitroller = computeStorageLayout({
+      'Storage.sol': storage,
+      'Unitroller.sol': 'import "./Storage.sol";\ncontract Unitroller is UnitrollerAdminStorage { uint256 public pendingImplementation; }'
+    }, 'Unitroller');
+    const comptroller = computeStorageLayout({
+      'Storage.sol': storage,
+      'Comptroller.sol': 'import "./Storage.sol";\ncontract Comptroller is ComptrollerStorage {}'
+    }, 'Comptroller');
+    const collisions = findStorageCollisions(unitroller, comptroller);
+    return collisions.length === 1 &&
+      collisions[0].proxyVariable === 'Unitroller.pendingImplementation' &&
+      collisions[0].implementationVariable === 'ComptrollerStorage.closeFactor';
+  }));
+
+  results.push(await check('Appending and shrinking the gap is compatible', () => {
+    const v2 = computeStorageLayout(vaultVersion('address owner;\nuint256 total;\nbool paused;\nuint256[9] __gap;'), 'Vault');
+    const check = compareStorageLayouts(v1, v2);
+    return check.compatible && check.issues.length === 0 && check.appended.join() === 'Vault.paused';
+  }));
+
+  results.push(await check('Reordered variables are reported as moved', () => {
+    const v2 = computeStorageLayout(vaultVersion('uint256 total;\naddress owner;'), 'Vault');
+    const check = compareStorageLayouts(v1, v2);
+    return !check.compatible && check.issues.map(i => `${i.kind}:${i.variable}`).join() === 'moved:Vault.owner,moved:Vault.total';
+  }));
+
+  results.push(await check('Type changes and removals are errors, renames are warnings', () => {
+    const v2 = computeStorageLayout(vaultVersion('address admin;\nint256 total;'), 'Vault');
+    const renamed = compareStorageLayouts(v1, v2);
+    const v3 = computeStorageLayout(vaultVersion('address owner;'), 'Vault');
+    const removed = compareStorageLayouts(v1, v3);
+    return renamed.issues.map(i => `${i.kind}:${i.severity}`).join() === 'renamed:warning,type-changed:error' &&
+      removed.issues.map(i => i.kind).join() === 'removed';
+  }));
+
+  results.push(await check('Layouts and collisions are written into the manifests', () => {
+    const chainName = 'storage-layout-test';
+    const baseAddress = '0x00000000000000000000000000000000000000aa';
+    const sourceData = (name, source) => ({ isVerified: true, contractName: name, sourceCode: source });
+    const sourceResults = [
+      { type: 'proxy', verified: true, sourceData: sourceData('Proxy', 'contract Proxy { address implementation; }') },
+      { type: 'implementation', verified: true, sourceData: sourceData('Vault', vaultVersion('address owner;')['Vault.sol']) },
+      { type: 'dependencies/0x00000000000000000000000000000000000000bb', verified: false }
+    ];
+
+    try {
+      const { layouts, collisions } = recordStorageLayouts(chainName, baseAddress, sourceResults);
+      const manifestPath = path.join(OUTPUT_DIR, chainName, baseAddress, 'implementation', 'audit-manifest.json');
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      return Object.keys(layouts).join() === 'proxy,implementation' &&
+        collisions.length === 1 &&
+        manifest.storageLayout.variables[0].name === 'owner' &&
+        manifest.storageCollisions[0].proxyVariable === 'Proxy.implementation';
+    } finally {
+      fs.rmSync(path.join(OUTPUT_DIR, chainName), { recursive: true, force: true });
+    }
+  }));
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Storage Layout');
+  console.log('========================================');
+
+  const layout = await testLayout();
+  const checks = await testChecks();
+  const success = layout && checks;
+
+  finish('Storage Layout', success);
+}
+
+runMain(main);
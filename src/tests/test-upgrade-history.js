@@ -0,0 +1,246 @@
+/**
+ * Test: Upgrade History
+ *
+ * Usage: npm run test:history
+ *
+ * Tests timeline reconstruction from Upgraded / BeaconUpgraded logs, chunked
+ * eth_getLogs scanning and deployment-block search (no network access)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { CacheMissError, configureCache } from '../modules/cache.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import {
+  UPGRADE_EVENTS,
+  normalizeUpgradeLog,
+  buildTimeline,
+  getUpgradeHistory
+} from '../modules/upgradeHistory.js';
+import { fetchLogsFromRpc, findDeploymentBlock, createLogContext, fetchContractLogs } from '../modules/eventLogs.js';
+import { RpcTransportError } from '../modules/rpcProvider.js';
+import { check, finish, runMain } from './helpers.js';
+
+const PROXY = ethers.getAddress('0x00000000000000000000000000000000000000aa');
+const BEACON = ethers.getAddress('0x00000000000000000000000000000000000000bb');
+const IMPL_A = ethers.getAddress('0x000000000000000000000000000000000000000a');
+const IMPL_C = ethers.getAddress('0x000000000000000000000000000000000000000c');
+const IMPL_D = ethers.getAddress('0x000000000000000000000000000000000000000d');
+
+/**
+ * Build an explorer-format upgrade log
+ * @param {string} emitter - Emitting contract
+ * @param {Object} event - UPGRADE_EVENTS entry
+ * @param {string} address - Indexed address argument
+ * @param {number} blockNumber - Block number
+ * @param {number} logIndex - Log index
+ * @returns {Object} Etherscan-style log
+ */
+function explorerLog(emitter, event, address, blockNumber, logIndex = 0) {
+  return {
+    address: emitter.toLowerCase(),
+    topics: [event.topic, ethers.zeroPadValue(address, 32)],
+    data: '0x',
+    blockNumber: ethers.toQuantity(blockNumber),
+    timeStamp: ethers.toQuantity(1700000000 + blockNumber),
+    logIndex: logIndex === 0 ? '0x' : ethers.toQuantity(logIndex),
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber), 32)
+  };
+}
+
+const PROXY_LOGS = [
+  explorerLog(PROXY, UPGRADE_EVENTS.UPGRADED, IMPL_A, 100),
+  explorerLog(PROXY, UPGRADE_EVENTS.BEACON_UPGRADED, BEACON, 200, 3)
+];
+const BEACON_LOGS = [
+  explorerLog(BEACON, UPGRADE_EVENTS.UPGRADED, IMPL_C, 150),
+  explorerLog(BEACON, UPGRADE_EVENTS.UPGRADED, IMPL_D, 300, 1)
+];
+
+async function testTimeline() {
+  console.log('\n--- Test: timeline reconstruction ---');
+  const results = [];
+
+  results.push(await check('Explorer logs are normalized ("0x" log index is 0)', () => {
+    const log = normalizeUpgradeLog(PROXY_LOGS[0]);
+    return log.emitter === PROXY && log.address === IMPL_A && log.blockNumber === 100 &&
+      log.logIndex === 0 && log.event === 'Upgraded' && log.timestamp === 1700000100;
+  }));
+
+  results.push(await check('Direct and beacon upgrades form one timeline', () => {
+    const versions = buildTimeline(PROXY, [...PROXY_LOGS, ...BEACON_LOGS].map(normalizeUpgradeLog));
+    return versions.length === 3 &&
+      versions[0].implementation === IMPL_A && versions[0].replacedAtBlock === 200 &&
+      versions[1].implementation === IMPL_C && versions[1].beacon === BEACON && versions[1].event === 'BeaconUpgraded' &&
+      versions[2].implementation === IMPL_D && versions[2].event === 'BeaconImplementationUpgraded' &&
+      versions[2].replacedAtBlock === null;
+  }));
+
+  results.push(await check('Repeated upgrade to the same implementation is not a new version', () => {
+    const logs = [
+      explorerLog(PROXY, UPGRADE_EVENTS.UPGRADED, IMPL_A, 100),
+      explorerLog(PROXY, UPGRADE_EVENTS.UPGRADED, IMPL_A, 110),
+      explorerLog(PROXY, UPGRADE_EVENTS.UPGRADED, IMPL_C, 120),
+      explorerLog(PROXY, UPGRADE_EVENTS.UPGRADED, IMPL_A, 130)
+    ].map(normalizeUpgradeLog);
+    const versions = buildTimeline(PROXY, logs);
+    return versions.length === 3 && versions.map(v => v.version).join() === '1,2,3' && versions[2].implementation === IMPL_A;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testRpcScanning() {
+  console.log('\n--- Test: eth_getLogs scanning ---');
+  const results = [];
+
+  results.push(await check('Oversized ranges are split and every log is found', async () => {
+    const requestedRanges = [];
+    const provider = {
+      getLogs: async ({ fromBlock, toBlock }) => {
+        requestedRanges.push([fromBlock, toBlock]);
+        if (toBlock - fromBlock + 1 > 1000) {
+          throw new Error('query exceeds max block range 1000');
+        }
+        return [150, 2500, 4999]
+          .filter(block => block >= fromBlock && block <= toBlock)
+          .map(block => ({ blockNumber: block }));
+      }
+    };
+    const logs = await fetchLogsFromRpc(provider, PROXY, [UPGRADE_EVENTS.UPGRADED.topic], 0, 4999, { chunkSize: 4000 });
+    const covered = requestedRanges.filter(([from, to]) => to - from + 1 <= 1000);
+    return logs.length === 3 && covered[0][0] === 0 && covered[covered.length - 1][1] === 4999;
+  }));
+
+  results.push(await check('Errors other than an oversized range are thrown without splitting', async () => {
+    const errors = [
+      new CacheMissError('historical', 'eth_getLogs on chain 1'),
+      Object.assign(new Error('could not coalesce error'), { error: { code: -32602, message: 'invalid params: topics' } })
+    ];
+    const outcomes = [];
+    for (const thrown of errors) {
+      let calls = 0;
+      const provider = { getLogs: async () => { calls++; throw thrown; } };
+      const error = await fetchLogsFromRpc(provider, PROXY, [UPGRADE_EVENTS.UPGRADED.topic], 0, 4999).then(() => null, caught => caught);
+      outcomes.push(error === thrown && calls === 1);
+    }
+    return outcomes.every(Boolean);
+  }));
+
+  results.push(await check('Range errors from the node are recognized on the JSON-RPC error', async () => {
+    let calls = 0;
+    const provider = {
+      getLogs: async ({ fromBlock, toBlock }) => {
+        calls++;
+        if (toBlock - fromBlock + 1 > 2000) {
+          throw Object.assign(new Error('could not coalesce error'), { error: { code: -32005, message: 'block range is too wide' } });
+        }
+        return [];
+      }
+    };
+    const logs = await fetchLogsFromRpc(provider, PROXY, [UPGRADE_EVENTS.UPGRADED.topic], 0, 3999, { chunkSize: 4000 });
+    return logs.length === 0 && calls === 3;
+  }));
+
+  results.push(await check('Deployment block is found by binary search', async () => {
+    let calls = 0;
+    const provider = { getCode: async (address, block) => { calls++; return block >= 12345 ? '0x60' : '0x'; } };
+    const block = await findDeploymentBlock(provider, PROXY, 1000000);
+    return block === 12345 && calls <= 21;
+  }));
+
+  results.push(await check('Deployment search fails clearly without archive state', async () => {
+    const provider = { getCode: async () => { throw new Error('missing trie node'); } };
+    return findDeploymentBlock(provider, PROXY, 1000000).then(() => false, error => /archive node/.test(error.message));
+  }));
+
+  results.push(await check('Deployment search passes transport errors through', async () => {
+    const provider = { getCode: async () => { throw new RpcTransportError('eth_getCode', [{ url: 'http://127.0.0.1:9', error: 'ECONNREFUSED' }]); } };
+    return findDeploymentBlock(provider, PROXY, 1000000).then(() => false, error => error instanceof RpcTransportError);
+  }));
+
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = async (url) => {
+    const body = new URL(url).searchParams.get('action') === 'getcontractcreation'
+      ? { status: '1', message: 'OK', result: [{ contractAddress: PROXY.toLowerCase(), txHash: '0x' + '1'.repeat(64), blockNumber: '12345' }] }
+      : { status: '0', message: 'NOTOK', result: 'Max rate limit reached' };
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+  try {
+    results.push(await check('Scan starts at the explorer creation block without archive state', async () => {
+      const ranges = [];
+      const provider = {
+        getBlockNumber: async () => 20000,
+        getCode: async () => { throw new Error('missing trie node'); },
+        getLogs: async ({ fromBlock, toBlock }) => { ranges.push([fromBlock, toBlock]); return []; }
+      };
+      const context = createLogContext({ chainId: 90010, sourceProviders: ['etherscan'] }, provider);
+      const { source } = await fetchContractLogs(context, PROXY, [UPGRADE_EVENTS.UPGRADED.topic]);
+      return source === 'rpc' && ranges.length === 1 && ranges[0][0] === 12345 && ranges[0][1] === 20000;
+    }));
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+
+  return results.every(Boolean);
+}
+
+async function testExplorerHistory() {
+  console.log('\n--- Test: history from the explorer logs API ---');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-history-test-'));
+  const registryPath = path.join(tempDir, 'chains.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    chains: { histnet: { chainId: 90010, rpcUrls: ['http://127.0.0.1:9'], sourceProviders: ['etherscan'] } }
+  }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+
+  const originalFetch = globalThis.fetch;
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    const query = new URL(url).searchParams;
+    requested.push(query.get('address').toLowerCase());
+    const emitter = query.get('address').toLowerCase() === BEACON.toLowerCase() ? BEACON_LOGS : PROXY_LOGS;
+    const logs = emitter.filter(log => log.topics[0] === query.get('topic0'));
+    const body = logs.length > 0
+      ? { status: '1', message: 'OK', result: logs }
+      : { status: '0', message: 'No records found', result: [] };
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+
+  const results = [];
+  try {
+    results.push(await check('Proxy and beacon logs are combined without RPC access', async () => {
+      const history = await getUpgradeHistory('histnet', PROXY);
+      return history.logSource === 'explorer' &&
+        history.versions.map(v => v.implementation).join() === [IMPL_A, IMPL_C, IMPL_D].join() &&
+        history.versions.every(v => v.timestamp !== null) &&
+        requested.includes(BEACON.toLowerCase());
+    }));
+  } finally {
+    globalThis.fetch = originalFetch;
+    reloadChainRegistry();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Upgrade History');
+  console.log('========================================');
+
+  // Canned responses must not be served from (or written to) the cache
+  configureCache({ enabled: false });
+
+  const timeline = await testTimeline();
+  const scanning = await testRpcScanning();
+  const explorer = await testExplorerHistory();
+  const success = timeline && scanning && explorer;
+
+  finish('Upgrade History', success);
+}
+
+runMain(main);
@@ -0,0 +1,307 @@
+/**
+ * Test: Vendor Fingerprints
+ *
+ * Usage: npm run test:vendor
+ *
+ * Tests normalized content hashing, package path matching, known vs modified vendor files,
+ * registry tarball extraction and the diff against the closest release, with a temporary
+ * fingerprint database and a local npm registry (no network access)
+ */
+
+import zlib from 'zlib';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { configureCache } from '../modules/cache.js';
+import {
+  VENDOR_STATUS,
+  configureVendorFingerprints,
+  normalizeSource,
+  hashSource,
+  matchVendorPackage,
+  identifyVendorFile,
+  fetchPackageSources,
+  diffAgainstClosestRelease,
+  addPackageFingerprints
+} from '../modules/vendorFingerprints.js';
+import { OUTPUT_DIR, parseSourceCode, saveSourceFiles, saveVendorDiffs } from '../modules/sourceParser.js';
+import { startServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
+
+const PACKAGE = '@acme/contracts';
+
+const OWNABLE_V1 = `// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// @title Ownable v1
+contract Ownable {
+    address public owner;
+
+    function transferOwnership(address newOwner) public {
+        require(msg.sender == owner, "Ownable: caller is not the owner");
+        owner = newOwner;
+    }
+}
+`;
+
+const OWNABLE_V2 = OWNABLE_V1.replace('Ownable v1', 'Ownable v2').replace(
+  '        owner = newOwner;',
+  '        require(newOwner != address(0), "Ownable: zero address");\n        owner = newOwner;'
+);
+
+// v2 with the owner check removed
+const OWNABLE_PATCHED = OWNABLE_V2.replace('        require(msg.sender == owner, "Ownable: caller is not the owner");\n', '');
+
+const MATH = 'pragma solidity ^0.8.0;\nlibrary Math { function max(uint256 a, uint256 b) internal pure returns (uint256) { return a > b ? a : b; } }\n';
+
+// A path over the 100 bytes of a plain tar header, stored as a pax record
+const LONG_PATH = `access/${'extensions/'.repeat(10)}Deep.sol`;
+
+const RELEASES = {
+  '1.0.0': { 'access/Ownable.sol': OWNABLE_V1, 'utils/Math.sol': MATH, 'README.md': '# acme' },
+  '1.1.0': { 'access/Ownable.sol': OWNABLE_V1, 'utils/Math.sol': MATH },
+  '2.0.0': { 'access/Ownable.sol': OWNABLE_V2, 'utils/Math.sol': MATH, [LONG_PATH]: MATH }
+};
+
+/**
+ * One tar header block
+ * @param {string} name - Entry name (at most 100 bytes)
+ * @param {number} size - Data size
+ * @param {string} type - Type flag
+ * @returns {Buffer} 512-byte header
+ */
+function tarHeader(name, size, type) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100);
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  header.write(type, 156);
+  header.write('ustar\0' + '00', 257);
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+/**
+ * Data padded to whole blocks
+ * @param {Buffer} data - Entry data
+ * @returns {Buffer} Padded data
+ */
+function tarData(data) {
+  return Buffer.concat([data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)]);
+}
+
+/**
+ * Gzipped tarball of a release, laid out like npm pack (everything under package/)
+ * @param {Object} files - Map of package-relative paths to content
+ * @returns {Buffer} .tgz
+ */
+function packRelease(files) {
+  const blocks = [];
+  for (const [relativePath, content] of Object.entries(files)) {
+    const name = `package/${relativePath}`;
+    const data = Buffer.from(content, 'utf8');
+    if (Buffer.byteLength(name) > 100) {
+      const record = ` path=${name}\n`;
+      let length = record.length;
+      length += String(length + String(length).length).length;
+      const pax = Buffer.from(`${length}${record}`, 'utf8');
+      blocks.push(tarHeader('PaxHeader', pax.length, 'x'), tarData(pax));
+    }
+    blocks.push(tarHeader(name.slice(0, 100), data.length, '0'), tarData(data));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Start a registry that serves the test releases as tarballs
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startRegistry() {
+  const requests = [];
+  const server = await startServer((req) => {
+    requests.push(req.url);
+    const match = req.url.match(/^\/@acme\/contracts\/-\/contracts-(.+)\.tgz$/);
+    if (!match || !RELEASES[match[1]]) {
+      return { status: 404, body: 'not found' };
+    }
+    return { headers: { 'Content-Type': 'application/octet-stream' }, body: packRelease(RELEASES[match[1]]) };
+  });
+
+  return { ...server, requests };
+}
+
+async function testNormalization() {
+  console.log('\n--- Test: normalized hashing ---');
+  const results = [];
+
+  results.push(await check('Comments, indentation and blank lines do not change the hash', () => {
+    const reformatted = OWNABLE_V1
+      .replace('// SPDX-License-Identifier: MIT', '// SPDX-License-Identifier: UNLICENSED')
+      .replace('/// @title Ownable v1', '/**\n * Reformatted\n */')
+      .replace(/ {4}/g, '\t')
+      .replace(/\n/g, '\r\n\r\n');
+    return hashSource(reformatted) === hashSource(OWNABLE_V1);
+  }));
+
+  results.push(await check('Code changes and string contents change the hash', () =>
+    hashSource(OWNABLE_PATCHED) !== hashSource(OWNABLE_V2) &&
+    hashSource(OWNABLE_V1.replace('not the owner', 'not  the owner')) !== hashSource(OWNABLE_V1)));
+
+  results.push(await check('Comment markers inside strings are kept', () =>
+    normalizeSource('string constant URL = "https://acme.xyz"; // docs') === 'string constant URL = "https://acme.xyz";'));
+
+  return results.every(Boolean);
+}
+
+async function testIdentification(registry) {
+  console.log('\n--- Test: identification ---');
+  const results = [];
+
+  results.push(await check('Releases are fingerprinted from registry tarballs, long pax paths included', async () => {
+    const sources = await fetchPackageSources(PACKAGE, '2.0.0');
+    const added = await addPackageFingerprints(PACKAGE, ['1.0.0', '1.1.0', '2.0.0'], { paths: ['acme-contracts/contracts'] });
+    return Object.keys(sources).sort().join() === ['access/Ownable.sol', LONG_PATH, 'utils/Math.sol'].sort().join() &&
+      added.versions['1.0.0'] === 2 && added.files === 3;
+  }));
+
+  results.push(await check('Package prefixes match at any depth and with a version suffix', () => {
+    const versioned = matchVendorPackage('lib/@acme/contracts@1.1.0/access/Ownable.sol');
+    const aliased = matchVendorPackage('acme-contracts/contracts/utils/Math.sol');
+    return versioned.package === PACKAGE && versioned.relativePath === 'access/Ownable.sol' &&
+      aliased.relativePath === 'utils/Math.sol' &&
+      matchVendorPackage('@acme/contracts-extra/Ownable.sol') === null &&
+      matchVendorPackage('src/Ownable.sol') === null;
+  }));
+
+  results.push(await check('An unmodified file is a known release, whatever its comments', () => {
+    const known = identifyVendorFile('@acme/contracts/access/Ownable.sol', OWNABLE_V1.replace('/// @title Ownable v1\n', ''));
+    return known.status === VENDOR_STATUS.KNOWN && known.versions.join() === '1.0.0,1.1.0' &&
+      known.path === 'access/Ownable.sol';
+  }));
+
+  results.push(await check('A changed file is modified vendor code', () => {
+    const modified = identifyVendorFile('@acme/contracts/access/Ownable.sol', OWNABLE_PATCHED);
+    return modified.status === VENDOR_STATUS.MODIFIED && modified.candidateVersions.join() === '1.0.0,1.1.0,2.0.0';
+  }));
+
+  results.push(await check('The release a changed file claims never makes it unverified', () => {
+    const header = version => `// Acme Contracts (last updated v${version}) (access/Ownable.sol)\n`;
+    const fromPath = identifyVendorFile('lib/@acme/contracts@1.2.0/access/Ownable.sol', OWNABLE_PATCHED);
+    const fromHeader = identifyVendorFile('@acme/contracts/access/Ownable.sol', header('3.0.0') + OWNABLE_PATCHED);
+    return fromPath.status === VENDOR_STATUS.MODIFIED && fromPath.claimedVersion === '1.2.0' &&
+      fromHeader.status === VENDOR_STATUS.MODIFIED && fromHeader.claimedVersion === '3.0.0' &&
+      fromHeader.candidatePaths.join() === 'access/Ownable.sol';
+  }));
+
+  results.push(await check('Files outside every package are not vendor files', () =>
+    identifyVendorFile('contracts/Ownable.sol', OWNABLE_V1) === null));
+
+  results.push(await check('The diff is taken against the closest release', async () => {
+    registry.requests.length = 0;
+    const identification = identifyVendorFile('@acme/contracts/access/Ownable.sol', OWNABLE_PATCHED);
+    const diff = await diffAgainstClosestRelease('@acme/contracts/access/Ownable.sol', OWNABLE_PATCHED, identification);
+    return diff.closestVersion === '2.0.0' && diff.addedLines === 0 && diff.removedLines === 1 &&
+      diff.patch.includes('--- @acme/contracts@2.0.0/access/Ownable.sol') &&
+      diff.patch.includes('-        require(msg.sender == owner, "Ownable: caller is not the owner");') &&
+      // 1.0.0 and 1.1.0 ship the same file; only the newer one is downloaded
+      registry.requests.join() === '/@acme/contracts/-/contracts-1.1.0.tgz,/@acme/contracts/-/contracts-2.0.0.tgz';
+  }));
+
+  results.push(await check('Moved files are diffed against release files of the same name', async () => {
+    const identification = identifyVendorFile('@acme/contracts/security/Ownable.sol', OWNABLE_PATCHED);
+    const diff = await diffAgainstClosestRelease('@acme/contracts/security/Ownable.sol', OWNABLE_PATCHED, identification);
+    return identification.status === VENDOR_STATUS.MODIFIED && identification.candidatePaths.join() === 'access/Ownable.sol' &&
+      diff.closestVersion === '2.0.0' && diff.closestPath === 'access/Ownable.sol' &&
+      diff.patch.includes('--- @acme/contracts@2.0.0/access/Ownable.sol');
+  }));
+
+  results.push(await check('Files no release ships are modified without a closest version', async () => {
+    const identification = identifyVendorFile('@acme/contracts/access/Extra.sol', OWNABLE_PATCHED);
+    const diff = await diffAgainstClosestRelease('@acme/contracts/access/Extra.sol', OWNABLE_PATCHED, identification);
+    return identification.status === VENDOR_STATUS.MODIFIED && identification.claimedVersion === null &&
+      identification.candidatePaths.length === 0 && diff.closestVersion === null && diff.patch === null;
+  }));
+
+  results.push(await check('Unknown releases fail with the HTTP status', async () => {
+    try {
+      await fetchPackageSources(PACKAGE, '9.9.9');
+      return false;
+    } catch (error) {
+      return error.message.includes('HTTP 404');
+    }
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testSave() {
+  console.log('\n--- Test: saving modified vendor files ---');
+  const results = [];
+  const chain = `test-vendor-${Date.now()}`;
+  const address = '0x00000000000000000000000000000000000000a1';
+
+  try {
+    const parsedSource = parseSourceCode(JSON.stringify({
+      sources: {
+        'src/Vault.sol': { content: 'pragma solidity ^0.8.0;\nimport "@acme/contracts/access/Ownable.sol";\nimport "@acme/contracts/utils/Math.sol";\ncontract Vault is Ownable {}\n' },
+        '@acme/contracts/access/Ownable.sol': { content: OWNABLE_PATCHED },
+        '@acme/contracts/utils/Math.sol': { content: MATH },
+        '@acme/contracts@3.0.0/access/Ownable.sol': { content: OWNABLE_PATCHED }
+      }
+    }));
+    const saveResult = saveSourceFiles(chain, address, parsedSource, 'Vault', 'main', 'src/Vault.sol');
+    const modified = await saveVendorDiffs(chain, address, parsedSource.files, saveResult.vendorFiles, 'main');
+    const manifest = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, chain, address, 'audit-manifest.json'), 'utf8'));
+    const patch = fs.readFileSync(path.join(OUTPUT_DIR, chain, address, modified[0].diff), 'utf8');
+
+    results.push(await check('Known releases are skipped, modified vendor files are kept', () =>
+      saveResult.blacklistedFiles.join() === '@acme/contracts/utils/Math.sol' &&
+      saveResult.keptFiles.includes('@acme/contracts/access/Ownable.sol') &&
+      saveResult.vendorFiles.known[0].versions.join() === '1.0.0,1.1.0,2.0.0'));
+
+    results.push(await check('The diff is saved and recorded in the audit manifest', () =>
+      modified[0].diff === path.join('vendor-diffs', '@acme/contracts/access/Ownable.sol.diff') &&
+      patch.includes('+++ @acme/contracts/access/Ownable.sol') &&
+      manifest.vendorFiles.modified[0].closestVersion === '2.0.0' &&
+      manifest.vendorFiles.known[0].package === PACKAGE));
+
+    results.push(await check('Files claiming a release the database lacks are diffed as modified', () =>
+      saveResult.keptFiles.includes('@acme/contracts@3.0.0/access/Ownable.sol') &&
+      modified.length === 2 && modified[1].claimedVersion === '3.0.0' && modified[1].closestVersion === '2.0.0' &&
+      manifest.vendorFiles.unverified.length === 0 && saveResult.redFlags.length === 2));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Vendor Fingerprints');
+  console.log('========================================');
+
+  // Every download must reach the test registry
+  configureCache({ enabled: false });
+  const registry = await startRegistry();
+  const databasePath = path.join(os.tmpdir(), `vendor-fingerprints-${Date.now()}.json`);
+  configureVendorFingerprints({ databasePath, registryUrl: registry.url });
+
+  let success = false;
+  try {
+    const normalization = await testNormalization();
+    const identification = await testIdentification(registry);
+    const save = await testSave();
+    success = normalization && identification && save;
+  } finally {
+    await registry.close();
+    fs.rmSync(databasePath, { force: true });
+  }
+
+  finish('Vendor Fingerprints', success);
+}
+
+runMain(main);
@@ -0,0 +1,335 @@
+/**
+ * Test: Vyper Sources
+ *
+ * Usage: npm run test:vyper
+ *
+ * Tests Vyper handling end to end: language detection, single-file and standard-JSON parsing,
+ * comment and docstring stripping, main contract and interface detection, saved file names,
+ * and Vyper proxy detection from forwarder bytecode and from source (no network access)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import {
+  OUTPUT_DIR,
+  SOURCE_LANGUAGES,
+  getSourceLanguage,
+  parseSourceCode,
+  parseContractSource,
+  stripSourceComments,
+  detectMainContract,
+  categorizeFilesForAudit,
+  processAndSaveSource
+} from '../modules/sourceParser.js';
+import { stripVyperComments, looksLikeVyper, countExternalFunctions } from '../modules/vyperSource.js';
+import { findProxySourcePatterns, parseVyperForwarderBytecode } from '../modules/proxyDetector.js';
+import { getStorageLayout } from '../modules/storageLayout.js';
+import { LOG_LEVELS, configureLogger } from '../modules/logger.js';
+import { check, finish, runMain } from './helpers.js';
+
+const FORWARDER = `# @version 0.3.10
+"""
+@title Forwarder
+@notice Forwards every call to the implementation
+"""
+
+NAME: constant(String[16]) = "Forwarder #1"
+
+implementation: public(address)  # current logic contract
+admin: public(address)
+
+@external
+def __init__(_implementation: address):
+    """
+    @param _implementation Logic contract
+    """
+    self.implementation = _implementation
+    self.admin = msg.sender
+
+@external
+def set_implementation(_implementation: address):
+    assert msg.sender == self.admin  # dev: only admin
+    self.implementation = _implementation
+
+@external
+def kill():
+    """
+    @notice Not supported
+    """
+
+@external
+@payable
+def __default__():
+    response: Bytes[65536] = raw_call(
+        self.implementation,
+        msg.data,
+        max_outsize=65536,
+        value=msg.value,
+        is_delegate_call=True
+    )
+    if len(response) != 0:
+        return response
+`;
+
+// Early Vyper syntax: delegate_call=True, with a constant target
+const CONSTANT_FORWARDER = `# @version 0.1.0b17
+TARGET: constant(address) = 0x2157A7894439191e520825fe9399aB8655E0f708
+
+@public
+@payable
+def __default__():
+    raw_call(TARGET, msg.data, outsize=4096, gas=msg.gas, delegate_call=True)
+`;
+
+// Forwards ether with a plain call: not a proxy
+const PAYMENT_SPLITTER = `# @version 0.3.7
+owner: public(address)
+
+@external
+@payable
+def __default__():
+    raw_call(self.owner, b"", value=msg.value)
+`;
+
+const ERC20_INTERFACE = `# @version 0.3.7
+interface ERC20:
+    def transfer(_to: address, _value: uint256) -> bool: nonpayable
+
+@external
+def transfer(_to: address, _value: uint256) -> bool:
+    pass
+`;
+
+const POOL = `# @version 0.3.7
+from vyper.interfaces import ERC20
+
+coins: public(address[2])
+
+@external
+def exchange(i: int128, j: int128, dx: uint256) -> uint256:
+    assert ERC20(self.coins[i]).transferFrom(msg.sender, self, dx)
+    return dx
+
+@external
+@view
+def get_dy(i: int128, j: int128, dx: uint256) -> uint256:
+    return dx
+
+@internal
+def _balances() -> uint256[2]:
+    return [0, 0]
+`;
+
+const VYPER_STANDARD_JSON = JSON.stringify({
+  language: 'Vyper',
+  sources: {
+    'contracts/Pool.vy': { content: POOL },
+    'contracts/Forwarder.vy': { content: FORWARDER }
+  },
+  interfaces: {
+    'interfaces/IPool.vyi': { content: '@external\ndef exchange(i: int128, j: int128, dx: uint256) -> uint256:\n    ...\n' },
+    'interfaces/ERC20.vy': { content: ERC20_INTERFACE },
+    'interfaces/Gauge.json': { abi: [{ type: 'function', name: 'deposit', inputs: [], outputs: [], stateMutability: 'nonpayable' }] }
+  },
+  settings: { evmVersion: 'shanghai', optimize: 'gas' }
+});
+
+// Runtime code of a Uniswap V1 exchange, deployed by create_forwarder_to
+const UNISWAP_V1_TEMPLATE = '0x2157a7894439191e520825fe9399ab8655e0f708';
+const VYPER_FORWARDER_BYTECODE = `0x366000600037611000600036600073${UNISWAP_V1_TEMPLATE.slice(2)}5af41558576110006000f3`;
+const EIP_1167_BYTECODE = `0x363d3d373d3d3d363d73${UNISWAP_V1_TEMPLATE.slice(2)}5af43d82803e903d91602b57fd5bf3`;
+
+const CHAIN = 'vyper-test';
+const ADDRESS = '0x00000000000000000000000000000000000000cd';
+
+async function testParsing() {
+  console.log('\n--- Test: Language and parsing ---');
+  const results = [];
+
+  results.push(await check('Explorer compiler fields tell the language', () =>
+    getSourceLanguage({ compilerVersion: 'vyper:0.3.10' }) === SOURCE_LANGUAGES.VYPER &&
+    getSourceLanguage({ compilerType: 'vyper', compilerVersion: 'v0.3.10+commit.91361694' }) === SOURCE_LANGUAGES.VYPER &&
+    getSourceLanguage({ compilerType: 'Solidity (Single file)', compilerVersion: 'v0.8.19' }) === SOURCE_LANGUAGES.SOLIDITY &&
+    getSourceLanguage({}) === null));
+
+  results.push(await check('Single-file Vyper is recognized from the source', () => {
+    const parsed = parseSourceCode(POOL);
+    return looksLikeVyper(POOL) && !looksLikeVyper('pragma solidity ^0.8.0;\ncontract A {}\n') &&
+      parsed.type === 'single-file' && parsed.language === 'Vyper' &&
+      Object.keys(parsed.files).join() === 'contract.vy';
+  }));
+
+  results.push(await check('The explorer language wins over the source', () => {
+    const unmarked = 'x: public(uint256)\n';
+    return Object.keys(parseSourceCode(unmarked).files).join() === 'contract.sol' &&
+      Object.keys(parseSourceCode(unmarked, { language: 'Vyper' }).files).join() === 'contract.vy';
+  }));
+
+  results.push(await check('Solidity single files are unchanged', () => {
+    const parsed = parseSourceCode('pragma solidity ^0.8.0;\ncontract A {}\n');
+    return parsed.language === 'Solidity' && Object.keys(parsed.files).join() === 'contract.sol';
+  }));
+
+  results.push(await check('Vyper standard JSON: sources, interfaces and JSON ABIs', () => {
+    const parsed = parseSourceCode(`{${VYPER_STANDARD_JSON}}`);
+    const abi = JSON.parse(parsed.files['interfaces/Gauge.json']);
+    return parsed.type === 'multi-file' && parsed.language === 'Vyper' && parsed.settings.optimize === 'gas' &&
+      Object.keys(parsed.files).length === 5 && parsed.files['contracts/Pool.vy'] === POOL &&
+      parsed.files['interfaces/IPool.vyi'].includes('...') && abi[0].name === 'deposit';
+  }));
+
+  results.push(await check('Single files are named <ContractName>.vy', () => {
+    const parsed = parseContractSource({ sourceCode: FORWARDER, contractName: 'Vyper_contract', compilerVersion: 'vyper:0.3.10' });
+    return Object.keys(parsed.files).join() === 'Vyper_contract.vy' && parsed.files['Vyper_contract.vy'] === FORWARDER;
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testStripping() {
+  console.log('\n--- Test: Comment and docstring stripping ---');
+  const results = [];
+  const stripped = stripVyperComments(FORWARDER);
+
+  results.push(await check('Comments and docstrings are removed', () =>
+    !stripped.includes('current logic contract') && !stripped.includes('dev: only admin') &&
+    !stripped.includes('@title') && !stripped.includes('@param') && !stripped.includes('"""')));
+
+  results.push(await check('Version pragma and strings with # are kept', () =>
+    stripped.startsWith('# @version 0.3.10\n') && stripped.includes('NAME: constant(String[16]) = "Forwarder #1"')));
+
+  results.push(await check('A function left empty gets `pass`', () =>
+    stripped.includes('def kill():\n    pass\n') &&
+    stripped.includes('def __init__(_implementation: address):\n    self.implementation = _implementation')));
+
+  results.push(await check('Strings inside calls are not docstrings', () => {
+    const source = 'x: String[8]\n\n@external\ndef f():\n    self.x = concat(\n        """ab""",\n        "cd"\n    )\n';
+    return stripVyperComments(source).includes('"""ab"""');
+  }));
+
+  results.push(await check('Blank lines left behind are collapsed', () =>
+    !/\n{3,}/.test(stripped) && stripped.split('\n').every(line => line === line.trimEnd())));
+
+  results.push(await check('stripSourceComments picks the stripper by extension', () =>
+    stripSourceComments('Pool.vy', 'x: uint256  # note\n') === 'x: uint256\n' &&
+    stripSourceComments('IPool.vyi', '# note\n@external\ndef f():\n    ...\n') === '@external\ndef f():\n    ...\n' &&
+    stripSourceComments('A.sol', 'uint x; // note\n') === 'uint x;\n' &&
+    stripSourceComments('Gauge.json', '[]') === '[]'));
+
+  return results.every(Boolean);
+}
+
+async function testDetection() {
+  console.log('\n--- Test: Main contract and interfaces ---');
+  const results = [];
+  const { files } = parseSourceCode(VYPER_STANDARD_JSON);
+
+  results.push(await check('Main contract is matched by file name', () =>
+    detectMainContract(files, 'Pool') === 'contracts/Pool.vy' &&
+    detectMainContract(files, 'Forwarder') === 'contracts/Forwarder.vy' &&
+    detectMainContract({ 'interfaces/Pool.vyi': '', 'Pool.vy': POOL }, 'Pool') === 'Pool.vy'));
+
+  results.push(await check('External functions are counted from decorators', () =>
+    countExternalFunctions(POOL) === 2 && countExternalFunctions(FORWARDER) === 4));
+
+  results.push(await check('Interface files, bodiless contracts and JSON ABIs are interfaces', () => {
+    const categories = categorizeFilesForAudit(files, 'contracts/Pool.vy');
+    return categories.interfaces.sort().join() === 'interfaces/ERC20.vy,interfaces/Gauge.json,interfaces/IPool.vyi' &&
+      categories.criticalFiles.join() === 'contracts/Forwarder.vy';
+  }));
+
+  return results.every(Boolean);
+}
+
+async function testProxyDetection() {
+  console.log('\n--- Test: Vyper proxies ---');
+  const results = [];
+  const template = ethers.getAddress(UNISWAP_V1_TEMPLATE);
+
+  results.push(await check('create_forwarder_to bytecode names its target', () =>
+    parseVyperForwarderBytecode(VYPER_FORWARDER_BYTECODE) === template &&
+    parseVyperForwarderBytecode(EIP_1167_BYTECODE) === null &&
+    parseVyperForwarderBytecode('0x6080604052') === null));
+
+  results.push(await check('__default__ delegating to a storage variable', () => {
+    const { delegateForwarder, proxyInheritance, storageSlot } = findProxySourcePatterns(FORWARDER, 'Vyper');
+    return !proxyInheritance && storageSlot === null && delegateForwarder.target === 'self.implementation' &&
+      delegateForwarder.variable === 'implementation' && delegateForwarder.address === null;
+  }));
+
+  results.push(await check('delegate_call=True to a constant gives the address', () => {
+    const { delegateForwarder } = findProxySourcePatterns(CONSTANT_FORWARDER);
+    return delegateForwarder.variable === 'TARGET' && delegateForwarder.address.toLowerCase() === UNISWAP_V1_TEMPLATE;
+  }));
+
+  results.push(await check('Plain raw_call forwarding is not a proxy', () =>
+    findProxySourcePatterns(PAYMENT_SPLITTER, 'Vyper').delegateForwarder === null &&
+    findProxySourcePatterns(VYPER_STANDARD_JSON).delegateForwarder.variable === 'implementation'));
+
+  return results.every(Boolean);
+}
+
+async function testSaving() {
+  console.log('\n--- Test: Saved output ---');
+  const results = [];
+  const sourceData = {
+    isVerified: true,
+    contractAddress: ADDRESS,
+    chainName: CHAIN,
+    rawData: {},
+    sourceCode: FORWARDER,
+    abi: '[]',
+    contractName: 'Vyper_contract',
+    contractFileName: null,
+    compilerVersion: 'vyper:0.3.10',
+    compilerType: '',
+    optimizationUsed: false,
+    runs: 200,
+    evmVersion: 'Default',
+    constructorArguments: '',
+    library: '',
+    licenseType: '',
+    sourceProvider: 'etherscan'
+  };
+
+  try {
+    const result = processAndSaveSource(sourceData);
+    const savedPath = path.join(OUTPUT_DIR, CHAIN, ADDRESS, 'Vyper_contract.vy');
+
+    results.push(await check('Single-file Vyper is saved as <ContractName>.vy, stripped', () =>
+      result.success && fs.existsSync(savedPath) &&
+      fs.readFileSync(savedPath, 'utf8') === stripVyperComments(FORWARDER) &&
+      result.auditManifest.mainContractPath === 'Vyper_contract.vy'));
+
+    results.push(await check('Compiler settings record the Vyper language', () => {
+      const settings = JSON.parse(fs.readFileSync(result.artifacts.compilerSettings, 'utf8'));
+      return settings.language === 'Vyper';
+    }));
+
+    results.push(await check('No storage layout is computed for Vyper', () =>
+      getStorageLayout(sourceData) === null && result.auditManifest.storageLayout === undefined));
+  } finally {
+    fs.rmSync(path.join(OUTPUT_DIR, CHAIN), { recursive: true, force: true });
+  }
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Vyper Sources');
+  console.log('========================================');
+
+  configureLogger({ level: LOG_LEVELS.QUIET });
+  const parsing = await testParsing();
+  const stripping = await testStripping();
+  const detection = await testDetection();
+  const proxies = await testProxyDetection();
+  const saving = await testSaving();
+  const success = parsing && stripping && detection && proxies && saving;
+
+  finish('Vyper', success);
+}
+
+runMain(main);
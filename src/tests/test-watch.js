@@ -0,0 +1,333 @@
+/**
+ * Test: Upgrade Watch
+ *
+ * Usage: npm run test:watch
+ *
+ * Tests the proxy watcher against a local JSON-RPC node: baselines, upgrade alerts with the
+ * saved implementation and its diff, admin changes, webhooks, unverified implementations,
+ * failed reads and log scanning (no network access: sources are stubbed)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { configureCache, getCacheStats } from '../modules/cache.js';
+import { configureRpc } from '../modules/rpcProvider.js';
+import { reloadChainRegistry } from '../modules/chainConfig.js';
+import { EIP_1967_SLOTS } from '../modules/proxyDetector.js';
+import { OUTPUT_DIR, processAndSaveSource } from '../modules/sourceParser.js';
+import { entryKey } from '../modules/batch.js';
+import { ALERT_TYPES, normalizeWatchLog, runWatch } from '../modules/watch.js';
+import { startServer, startRpcServer } from './mockNetwork.js';
+import { check, finish, runMain } from './helpers.js';
+
+const PROXY = ethers.getAddress('0x00000000000000000000000000000000000000f1');
+const LOG_PROXY = ethers.getAddress('0x00000000000000000000000000000000000000f2');
+const IMPL_V1 = ethers.getAddress('0x00000000000000000000000000000000000000a1');
+const IMPL_V2 = ethers.getAddress('0x00000000000000000000000000000000000000a2');
+const IMPL_UNVERIFIED = ethers.getAddress('0x00000000000000000000000000000000000000a3');
+const ADMIN = ethers.getAddress('0x00000000000000000000000000000000000000ad');
+const NEW_ADMIN = ethers.getAddress('0x00000000000000000000000000000000000000ae');
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+const VAULT_V1 = 'pragma solidity ^0.8.20;\ncontract Vault {\n    uint256 public total;\n    function deposit(uint256 amount) external { total += amount; }\n}\n';
+const VAULT_V2 = 'pragma solidity ^0.8.20;\ncontract Vault {\n    uint256 public total;\n    function deposit(uint256 amount) external { total += amount; }\n    function withdraw(uint256 amount) external { total -= amount; }\n}\n';
+
+const word = (address) => '0x' + address.slice(2).toLowerCase().padStart(64, '0');
+const hex = (value) => '0x' + value.toString(16);
+
+/**
+ * Start a JSON-RPC node whose storage, block number and logs the test changes
+ * @returns {Promise<Object>} { url, node: { blockNumber, storage, logs }, requests, close }
+ */
+async function startNode() {
+  const node = { blockNumber: 100, storage: {}, logs: [] };
+
+  const handle = ({ method, params }) => {
+    if (method === 'eth_blockNumber') return { result: hex(node.blockNumber) };
+    if (method === 'eth_getCode') return { result: '0x6080604052' };
+    if (method === 'eth_getStorageAt') return { result: node.storage[`${params[0].toLowerCase()}:${params[1]}`] || ZERO_WORD };
+    if (method === 'eth_call') return { error: { code: 3, message: 'execution reverted', data: '0x' } };
+    if (method === 'eth_getLogs') {
+      const filter = params[0];
+      const topics = filter.topics[0];
+      return {
+        result: node.logs.filter(log => log.address.toLowerCase() === filter.address.toLowerCase() &&
+          topics.includes(log.topics[0]) &&
+          Number(log.blockNumber) >= Number(filter.fromBlock) && Number(log.blockNumber) <= Number(filter.toBlock))
+      };
+    }
+    return { error: { code: -32601, message: 'method not found' } };
+  };
+
+  return { ...await startRpcServer(handle), node };
+}
+
+/**
+ * Start a webhook receiver
+ * @returns {Promise<Object>} { url, received, setStatus(code), close }
+ */
+async function startWebhook() {
+  const received = [];
+  let status = 200;
+  const server = await startServer((req, body) => {
+    received.push(JSON.parse(body));
+    return { status };
+  });
+
+  return {
+    ...server,
+    url: `${server.url}/hook`,
+    received,
+    setStatus: (code) => { status = code; }
+  };
+}
+
+/**
+ * Stubbed fetchContractSource: the implementations are verified, the proxies are not
+ * @param {string} chain - Chain name
+ * @param {string} address - Contract address
+ * @returns {Promise<Object>} Source data
+ */
+async function fetchSource(chain, address) {
+  const sources = { [IMPL_V1]: VAULT_V1, [IMPL_V2]: VAULT_V2 };
+  const sourceCode = sources[ethers.getAddress(address)];
+  return {
+    chainName: chain,
+    contractAddress: address,
+    contractName: sourceCode ? 'Vault' : '',
+    isVerified: Boolean(sourceCode),
+    compilerVersion: 'v0.8.20+commit.a1b79de6',
+    sourceProvider: 'etherscan',
+    abi: '[]',
+    sourceCode: sourceCode || ''
+  };
+}
+
+/**
+ * Upgraded(address) log
+ * @param {string} emitter - Proxy
+ * @param {string} implementation - New implementation
+ * @param {number} blockNumber - Block
+ * @returns {Object} Raw log
+ */
+function upgradedLog(emitter, implementation, blockNumber) {
+  return {
+    address: emitter.toLowerCase(),
+    topics: [ethers.id('Upgraded(address)'), word(implementation)],
+    data: '0x',
+    blockNumber: hex(blockNumber),
+    blockHash: '0x' + 'ab'.repeat(32),
+    transactionHash: '0x' + 'cd'.repeat(32),
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  };
+}
+
+async function testPolling(chain, rpc, webhook, tempDir) {
+  console.log('\n--- Test: polling ---');
+  const results = [];
+  const entries = [{ chain, address: PROXY }];
+  const options = {
+    cycles: 1,
+    intervalMs: 10,
+    statePath: path.join(tempDir, 'poll-state.json'),
+    alertsDir: path.join(tempDir, 'alerts'),
+    webhookUrl: webhook.url,
+    fetchSource
+  };
+  const setSlot = (slot, address) => { rpc.node.storage[`${PROXY.toLowerCase()}:${slot}`] = word(address); };
+
+  // The implementation saved by an earlier fetch is the diff baseline
+  processAndSaveSource(await fetchSource(chain, IMPL_V1), 'implementation', PROXY);
+  setSlot(EIP_1967_SLOTS.IMPLEMENTATION, IMPL_V1);
+  setSlot(EIP_1967_SLOTS.ADMIN, ADMIN);
+
+  results.push(await check('The first check records a baseline without alerts', async () => {
+    const first = await runWatch(entries, options);
+    rpc.node.blockNumber++;
+    const second = await runWatch(entries, options);
+    const record = JSON.parse(fs.readFileSync(options.statePath, 'utf8')).proxies[entryKey(entries[0])];
+    return first.alerts.length === 0 && second.alerts.length === 0 && webhook.received.length === 0 &&
+      record.implementation === IMPL_V1 && record.admin === ADMIN && record.blockNumber === 101 &&
+      record.detectionMethod === 'eip-1967';
+  }));
+
+  results.push(await check('An upgrade saves the new implementation and diffs it', async () => {
+    setSlot(EIP_1967_SLOTS.IMPLEMENTATION, IMPL_V2);
+    const { alerts } = await runWatch(entries, options);
+    const [alert] = alerts;
+    const saved = JSON.parse(fs.readFileSync(alert.alertPath, 'utf8'));
+    const patch = fs.readFileSync(alert.diff.patchPath, 'utf8');
+    return alerts.length === 1 && alert.type === ALERT_TYPES.UPGRADED &&
+      alert.previous.implementation === IMPL_V1 && alert.current.implementation === IMPL_V2 &&
+      alert.implementation.verified && fs.existsSync(path.join(alert.implementation.outputDir, 'audit-manifest.json')) &&
+      alert.diff.left === `${chain}/${PROXY}/implementation` && alert.diff.right === `${chain}/${PROXY}/upgrades/${IMPL_V2}` &&
+      alert.diff.contracts[0].functions.added.length === 1 && patch.includes('+    function withdraw') &&
+      saved.type === ALERT_TYPES.UPGRADED && saved.webhook.delivered;
+  }));
+
+  results.push(await check('The webhook receives the alert', () =>
+    webhook.received.length === 1 && webhook.received[0].proxy === PROXY &&
+    webhook.received[0].text.includes(`${IMPL_V1} → ${IMPL_V2}`) && webhook.received[0].diff.stats.modified === 1));
+
+  results.push(await check('Admin changes are alerted; a failing webhook still leaves the alert file', async () => {
+    setSlot(EIP_1967_SLOTS.ADMIN, NEW_ADMIN);
+    webhook.setStatus(500);
+    const { alerts, alertCount } = await runWatch(entries, options);
+    webhook.setStatus(200);
+    const [alert] = alerts;
+    return alerts.length === 1 && alertCount === 1 && alert.type === ALERT_TYPES.ADMIN_CHANGED &&
+      alert.previous.admin === ADMIN && alert.current.admin === NEW_ADMIN &&
+      alert.webhook.delivered === false && alert.webhook.error === 'HTTP 500' && fs.existsSync(alert.alertPath);
+  }));
+
+  results.push(await check('Unverified implementations are alerted without a diff', async () => {
+    setSlot(EIP_1967_SLOTS.IMPLEMENTATION, IMPL_UNVERIFIED);
+    const { alerts } = await runWatch(entries, options);
+    return alerts.length === 1 && alerts[0].implementation.verified === false &&
+      alerts[0].diff === null && alerts[0].diffError.includes('not verified');
+  }));
+
+  results.push(await check('A failed read keeps the last known state', async () => {
+    const result = await runWatch(entries, { ...options, readProxy: async () => { throw new Error('rpc down'); } });
+    const record = result.state.proxies[entryKey(entries[0])];
+    return result.failed === 1 && result.networkFailures === 0 && result.alerts.length === 0 &&
+      record.implementation === IMPL_UNVERIFIED && record.error === 'rpc down';
+  }));
+
+  results.push(await check('Failed reads are counted as network failures by isNetworkFailure', async () => {
+    const failing = { ...options, statePath: null, readProxy: async () => { throw new Error('rpc down'); } };
+    const network = await runWatch(entries, { ...failing, isNetworkFailure: (error) => error.message === 'rpc down' });
+    const other = await runWatch(entries, { ...failing, isNetworkFailure: () => false });
+    return network.failed === 1 && network.networkFailures === 1 && other.failed === 1 && other.networkFailures === 0;
+  }));
+
+  results.push(await check('A failed proxy source fetch is retried on the next check', async () => {
+    let proxyFetches = 0;
+    const flakySource = async (sourceChain, address) => {
+      if (ethers.getAddress(address) === PROXY && ++proxyFetches === 1) {
+        throw new Error('explorer down');
+      }
+      return fetchSource(sourceChain, address);
+    };
+    const result = await runWatch(entries, { ...options, cycles: 2, statePath: null, webhookUrl: null, fetchSource: flakySource });
+    return result.failed === 0 && result.alerts.length === 0 && proxyFetches === 2;
+  }));
+
+  results.push(await check('Every alert was written to the alerts directory', () =>
+    fs.readdirSync(options.alertsDir).length === 3));
+
+  return results.every(Boolean);
+}
+
+async function testLogScanning(chain, rpc, tempDir) {
+  console.log('\n--- Test: log scanning ---');
+  const results = [];
+  const entries = [{ chain, address: LOG_PROXY }];
+  const options = {
+    mode: 'logs',
+    cycles: 1,
+    intervalMs: 10,
+    statePath: path.join(tempDir, 'logs-state.json'),
+    alertsDir: path.join(tempDir, 'log-alerts'),
+    fetchSource
+  };
+  rpc.node.storage[`${LOG_PROXY.toLowerCase()}:${EIP_1967_SLOTS.IMPLEMENTATION}`] = word(IMPL_V1);
+
+  results.push(await check('Blocks without upgrade logs do not read the proxy again', async () => {
+    await runWatch(entries, options);
+    rpc.node.blockNumber += 5;
+    const before = rpc.requests.filter(method => method === 'eth_getStorageAt').length;
+    const { alerts, state } = await runWatch(entries, options);
+    const after = rpc.requests.filter(method => method === 'eth_getStorageAt').length;
+    return alerts.length === 0 && before === after && rpc.requests.includes('eth_getLogs') &&
+      state.proxies[entryKey(entries[0])].blockNumber === rpc.node.blockNumber;
+  }));
+
+  results.push(await check('An Upgraded log triggers an alert and a diff with the fetched previous version', async () => {
+    rpc.node.blockNumber += 5;
+    rpc.node.logs.push(upgradedLog(LOG_PROXY, IMPL_V2, rpc.node.blockNumber - 1));
+    rpc.node.storage[`${LOG_PROXY.toLowerCase()}:${EIP_1967_SLOTS.IMPLEMENTATION}`] = word(IMPL_V2);
+    const { alerts } = await runWatch(entries, options);
+    const [alert] = alerts;
+    return alerts.length === 1 && alert.events.length === 1 && alert.events[0].event === 'Upgraded' &&
+      alert.events[0].address === IMPL_V2 && alert.blockNumber === rpc.node.blockNumber &&
+      alert.diff.left === `${chain}/${LOG_PROXY}/upgrades/${IMPL_V1}` && alert.diff.stats.modified === 1;
+  }));
+
+  results.push(await check('Watch reads bypass the on-disk cache', async () => {
+    const cacheDir = path.join(tempDir, 'cache');
+    configureCache({ enabled: true, dir: cacheDir });
+    try {
+      const writesBefore = getCacheStats().writes;
+      rpc.node.blockNumber += 5;
+      await runWatch(entries, options);
+      await runWatch(entries, { ...options, mode: 'poll', statePath: path.join(tempDir, 'cached-poll-state.json') });
+      return getCacheStats().writes === writesBefore && !fs.existsSync(cacheDir);
+    } finally {
+      configureCache({ enabled: false });
+    }
+  }));
+
+  results.push(await check('AdminChanged logs are decoded', () => {
+    const log = normalizeWatchLog({
+      address: LOG_PROXY.toLowerCase(),
+      topics: [ethers.id('AdminChanged(address,address)')],
+      data: ethers.AbiCoder.defaultAbiCoder().encode(['address', 'address'], [ADMIN, NEW_ADMIN]),
+      blockNumber: 7,
+      index: 2,
+      transactionHash: '0x' + 'cd'.repeat(32)
+    });
+    return log.event === 'AdminChanged' && log.previousAddress === ADMIN && log.address === NEW_ADMIN && log.logIndex === 2;
+  }));
+
+  results.push(await check('Invalid modes are rejected', async () => {
+    try {
+      await runWatch(entries, { ...options, mode: 'subscribe' });
+      return false;
+    } catch (error) {
+      return error.message.includes('Unknown watch mode');
+    }
+  }));
+
+  return results.every(Boolean);
+}
+
+async function main() {
+  console.log('========================================');
+  console.log('Test: Upgrade Watch');
+  console.log('========================================');
+
+  configureCache({ enabled: false });
+  configureRpc({ baseDelayMs: 10, timeoutMs: 2000 });
+
+  const rpc = await startNode();
+  const webhook = await startWebhook();
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+  const chain = `test-watch-${Date.now()}`;
+  const registryPath = path.join(tempDir, 'chains.json');
+  fs.writeFileSync(registryPath, JSON.stringify({
+    chains: { [chain]: { chainId: 90101, rpcUrls: [rpc.url] } }
+  }));
+  reloadChainRegistry({ overridePath: registryPath, env: {} });
+
+  let success = false;
+  try {
+    const polling = await testPolling(chain, rpc, webhook, tempDir);
+    const logs = await testLogScanning(chain, rpc, tempDir);
+    success = polling && logs;
+  } finally {
+    reloadChainRegistry();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.rmSync(path.join(OUTPUT_DIR, chain), { recursive: true, force: true });
+    await rpc.close();
+    await webhook.close();
+  }
+
+  finish('Upgrade Watch', success);
+}
+
+runMain(main);